@@ -25,25 +25,136 @@ Notes: This is an MVP single-file React component that demonstrates:
 - Multiple layers (Konva Layer objects stacked)
 - Freehand brush, eraser, rectangle/ellipse/line shapes
 - Upload image as a new layer
-- Layer panel: add/remove/reorder, visibility, opacity, blend mode (Normal/Multiply/Screen)
+- Layer panel: add/remove/reorder, visibility, opacity, blend modes (all 16 canvas modes, each layer composited as a whole)
+- Non-destructive layer masks (painted with brush/eraser) and clipping masks
+- Nested layer groups with their own visibility, opacity, blend mode and move/scale handles
+- Selections (marquee, lasso, magic wand) that constrain painting, with copy/cut/paste, feather and transform
+- Paint bucket, linear/radial gradients and an eyedropper (Alt while painting)
 - Color picker and size/opacity sliders
-- Simple Undo/Redo using a snapshot history
+- Undo/redo of invertible document operations with a history panel (history.js)
 - Save/export canvas to PNG
-- Basic crop/rotate using a Transformer on selected image/shape layers
-- Basic filters (grayscale/sepia/invert) applied to image layers via pixel manipulation
+- Basic rotate using a Transformer on selected image/shape layers
+- New Document presets and backgrounds, crop tool, Canvas Size / Image Size
+- Non-destructive adjustment stack on image layers (levels, curves, blur, sepia...) run in a Web Worker
 
 This file is intentionally compact and has inline comments. For production, split components and add performance optimizations.
 */
 
-import React, { useRef, useState, useEffect } from 'react'
-import { Stage, Layer, Line, Rect, Ellipse, Image as KImage, Group, Transformer } from 'react-konva'
+import React, { useRef, useState, useEffect, useCallback } from 'react'
+import { Stage, Layer, Line, Rect, Ellipse, Text, Shape, Image as KImage, Group, Transformer } from 'react-konva'
+import { Portal } from 'react-konva-utils'
 import useImage from 'use-image'
 import { v4 as uuidv4 } from 'uuid'
 import LayersPanel from "./LayersPanel";
+import RecoveryDialog from './RecoveryDialog'
+import NewDocumentDialog from './NewDocumentDialog'
+import CanvasSizeDialog from './CanvasSizeDialog'
+import ExportDialog from './ExportDialog'
+import HistoryPanel from './HistoryPanel'
+import ShapeNode from './ShapeNode'
+import GroupTransformer from './GroupTransformer'
+import TextEditor from './TextEditor'
+import TextOptions from './TextOptions'
+import SelectionOptions from './SelectionOptions'
+import FillOptions from './FillOptions'
+import FiltersPanel from './FiltersPanel'
+import BrushPanel from './BrushPanel'
+import { PROJECT_EXTENSION, serializeProject, parseProject } from './projectFile'
+import { getAssetBlob } from './assets'
+import { saveDocument, markDocumentSaved, listDocuments, loadDocument, deleteDocument, pruneDocuments } from './autosave'
+import { renderDocument, trimTransparent } from './documentRender'
+import { useHistory, describeChanges } from './history'
+import { useFilteredImage } from './filterRunner'
+import { DEFAULT_SMOOTHING } from './brushEngine'
+import { drawLayerStrokes, drawLayerMask, erasesContent, invalidateLayerRasters, pruneLayerRasters } from './layerRaster'
+import { createMask, bakeLayerMask, clipBaseIndex } from './layerMask'
+import { isGroup, childrenOf, descendantsOf, reorderOps, placeLayerOps, insertLayerOps, layerBounds, transformLayerOps } from './layerTree'
+import { rasterizeLayers, mergedLayerOp, replacePixelsOp, canvasPixels } from './rasterize'
+import { DEFAULT_BRUSH } from './brushPresets'
+import { DEFAULT_FOREGROUND, DEFAULT_BACKGROUND, pushRecentColor } from './colors'
+import { loadRecentColors, saveRecentColors } from './palettes'
+import ColorPanel from './ColorPanel'
+import { findCommand, eventChord, commandForChord, loadBindings, saveBindings } from './shortcuts'
+import ShortcutsDialog from './ShortcutsDialog'
+import { ZOOM_PRESETS, fitView, zoomViewAbout, viewPosFor, stageToCanvas, pinchView } from './viewNavigation'
+import NavigatorPanel from './NavigatorPanel'
+import { SNAP_DISTANCE, createGuide, loadGuideSettings, saveGuideSettings, snapTargets, snapPoint, snapBox } from './guides'
+import GuidesLayer from './GuidesLayer'
+import GuidesOptions from './GuidesOptions'
+import { nodeTransform, hasNodeTransform, settleNodeTransform, matrixNodeTransform, sizedNodeProps } from './layerTransform'
+import {
+  createTransform, cropCanvas, canvasMatrix, isIdentity, isMoveAndScale, moveTransform, flipTransform, transformFields, applyFields, drawTransformed,
+} from './freeTransform'
+import FreeTransformBox from './FreeTransformBox'
+import TransformOptions from './TransformOptions'
+import { loadImageFile, isOversized, fittedSize, imageLayer, readClipboardImages, writeClipboardImage } from './imageImport'
+import { onBrushTipLoaded } from './brushTips'
+import { downloadURL } from './download'
+import { konvaFontStyle } from './textStyle'
+import { exportDocument } from './exportDocument'
+import { ORA_EXTENSION, importOpenRaster } from './openRaster'
+import { blendToComposite } from './blendModes'
+import LayerGroup from './layerGroup'
+import { SHAPE_TOOLS, isShapeTool, shapeLabel, shapeGeometry } from './shapes'
+import { DEFAULT_CANVAS, resizeCanvas, resampleDocument, cropDocument } from './canvasSize'
+import {
+  SELECTION_TOOLS, isSelectionTool, selectionModeFor, selectAll, shapeSelection, combineSelections, invertSelection,
+  featherSelection, transformSelection, freeTransformSelection, magicWandSelection, keepSelected, clearSelected, selectionClip, drawMarchingAnts,
+} from './selection'
+import { FILL_TOOLS, DEFAULT_GRADIENT, bucketFillStroke, gradientStroke, pixelColor } from './fillTools'
+
+const AUTOSAVE_DELAY = 1500 // ms after the last change
+const THUMBNAIL_WIDTH = 160
+const HISTORY_DEPTH = 200
+const HISTORY_MEMORY_BUDGET = 64 * 1024 * 1024 // bytes
+const TEXT_STYLE_KEYS = ['fontFamily', 'fontSize', 'fontWeight', 'fontStyle', 'align', 'lineHeight']
+const ANTS_INTERVAL = 120 // ms between marching ants steps
+const LASSO_CLOSE_DISTANCE = 8 // screen px from the first corner that closes a polygonal lasso
+const MAX_BRUSH_SIZE = 50
+const ZOOM_STEP = 1.25 // per zoom in/out command
+const NUDGE_FAR = 10 // px, arrow keys with Shift
+const WHEEL_ZOOM_STEP = 1.05
+const NAVIGATOR_DELAY = 300 // ms after the last change before the navigator thumbnail is redrawn
+
+function pick(obj, keys) {
+  return Object.fromEntries(keys.filter(key => obj[key] !== undefined).map(key => [key, obj[key]]))
+}
+
+// Shortcuts must not fire while the user is typing into a form field
+function isTypingTarget(target) {
+  return target instanceof HTMLElement && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))
+}
+
+function createDocument(canvas = DEFAULT_CANVAS) {
+  return {
+    layers: [
+      { id: uuidv4(), name: 'Background', type: 'raster', isBase: true, visible: true, opacity: 1, blend: 'normal', content: [] }
+    ],
+    lines: {},
+    canvas,
+  }
+}
+
+// Grey checkerboard shown behind transparent canvases
+let checkerboard = null
+function checkerboardPattern() {
+  if (!checkerboard) {
+    checkerboard = document.createElement('canvas')
+    checkerboard.width = checkerboard.height = 16
+    const ctx = checkerboard.getContext('2d')
+    ctx.fillStyle = '#fff'
+    ctx.fillRect(0, 0, 16, 16)
+    ctx.fillStyle = '#ccc'
+    ctx.fillRect(0, 0, 8, 8)
+    ctx.fillRect(8, 8, 8, 8)
+  }
+  return checkerboard
+}
 
 // small helper component to show konva images from HTML Image
-const KonvaImage = ({ layer, isSelected, onSelect, onChange }) => {
+const KonvaImage = ({ layer, isSelected, isEditing, onSelect, onEdit, onChange, snap }) => {
   const [img] = useImage(layer.src || '')
+  const filtered = useFilteredImage(img, layer.filters) // adjustments, processed in a worker
   const shapeRef = useRef()
   const trRef = useRef()
 
@@ -54,112 +165,88 @@ const KonvaImage = ({ layer, isSelected, onSelect, onChange }) => {
     }
   }, [isSelected])
 
-  if (!img && !layer.isShape) return null
+  if (!img && !layer.isShape && layer.type !== 'text') return null
+
+  if (layer.type === 'text') {
+    return (
+      <Group>
+        <Text
+          ref={shapeRef}
+          name="text-layer"
+          layerId={layer.id}
+          x={layer.x}
+          y={layer.y}
+          width={layer.width}
+          text={layer.text}
+          fill={layer.fill}
+          fontFamily={layer.fontFamily}
+          fontSize={layer.fontSize}
+          fontStyle={konvaFontStyle(layer)}
+          align={layer.align}
+          lineHeight={layer.lineHeight}
+          {...nodeTransform(layer)}
+          visible={!isEditing}
+          onClick={onSelect}
+          onDblClick={onEdit}
+          draggable={layer.draggable}
+          onDragStart={snap.start}
+          onDragMove={(e) => snap.node(e.target)}
+          onDragEnd={(e) => onChange({ x: e.target.x(), y: e.target.y() }, `Move ${layer.name}`)}
+          onTransformStart={snap.start}
+          onTransformEnd={() => {
+            // side handles re-wrap the text, corner handles also scale the font
+            const node = shapeRef.current
+            onChange(sizedNodeProps({ ...layer, width: node.width() }, settleNodeTransform(node)), `Transform ${layer.name}`)
+          }}
+        />
+        <Portal selector=".selection">{isSelected && <Transformer ref={trRef} anchorDragBoundFunc={snap.anchor} />}</Portal>
+      </Group>
+    )
+  }
 
   if (layer.isShape) {
-    if (layer.shapeType === 'rect') {
-      return (
-        <Group>
-          <Rect
-            ref={shapeRef}
-            x={layer.x}
-            y={layer.y}
-            width={layer.width}
-            height={layer.height}
-            stroke={layer.stroke}
-            strokeWidth={layer.strokeWidth}
-            fill={layer.fill}
-            opacity={layer.opacity}
-            onClick={onSelect}
-            draggable={layer.draggable}
-            onDragEnd={(e) => onChange({ ...layer, x: e.target.x(), y: e.target.y() })}
-            onTransformEnd={(e) => {
-              const node = shapeRef.current
-              const scaleX = node.scaleX()
-              const scaleY = node.scaleY()
-              node.scaleX(1)
-              node.scaleY(1)
-              onChange({ ...layer, x: node.x(), y: node.y(), width: Math.max(5, node.width() * scaleX), height: Math.max(5, node.height() * scaleY) })
-            }}
-          />
-          {isSelected && <Transformer ref={trRef} />}
-        </Group>
-      )
-    }
-    if (layer.shapeType === 'ellipse') {
-      return (
-        <Group>
-          <Ellipse
-            ref={shapeRef}
-            x={layer.x}
-            y={layer.y}
-            radiusX={layer.radiusX}
-            radiusY={layer.radiusY}
-            stroke={layer.stroke}
-            strokeWidth={layer.strokeWidth}
-            fill={layer.fill}
-            opacity={layer.opacity}
-            onClick={onSelect}
-            draggable={layer.draggable}
-            onDragEnd={(e) => onChange({ ...layer, x: e.target.x(), y: e.target.y() })}
-            onTransformEnd={(e) => {
-              const node = shapeRef.current
-              const scaleX = node.scaleX()
-              const scaleY = node.scaleY()
-              node.scaleX(1)
-              node.scaleY(1)
-              onChange({ ...layer, x: node.x(), y: node.y(), radiusX: Math.max(5, node.radiusX * scaleX), radiusY: Math.max(5, node.radiusY * scaleY) })
-            }}
-          />
-          {isSelected && <Transformer ref={trRef} />}
-        </Group>
-      )
-    }
-    if (layer.shapeType === 'line') {
-      return (
-        <Group>
-          <Line
-            ref={shapeRef}
-            points={layer.points}
-            stroke={layer.stroke}
-            strokeWidth={layer.strokeWidth}
-            lineCap="round"
-            lineJoin="round"
-            opacity={layer.opacity}
-            onClick={onSelect}
-            draggable={layer.draggable}
-            onDragEnd={(e) => onChange({ ...layer, x: e.target.x(), y: e.target.y() })}
-          />
-          {isSelected && <Transformer ref={trRef} />}
-        </Group>
-      )
-    }
+    return (
+      <Group>
+        <ShapeNode
+          layer={layer}
+          nodeRef={shapeRef}
+          onClick={onSelect}
+          draggable={layer.draggable}
+          onDragStart={snap.start}
+          onDragMove={(e) => snap.node(e.target)}
+          onDragEnd={(e) => onChange({ x: e.target.x(), y: e.target.y() }, `Move ${layer.name}`)}
+          onTransformStart={snap.start}
+          onTransformEnd={() => onChange(sizedNodeProps(layer, settleNodeTransform(shapeRef.current)), `Transform ${layer.name}`)}
+        />
+        <Portal selector=".selection">{isSelected && <Transformer ref={trRef} anchorDragBoundFunc={snap.anchor} />}</Portal>
+      </Group>
+    )
   }
 
   return (
     <Group>
       <KImage
-        image={img}
+        image={filtered || img}
         x={layer.x}
         y={layer.y}
         width={layer.width || img?.width}
         height={layer.height || img?.height}
-        opacity={layer.opacity}
+        {...nodeTransform(layer)}
         listening
         onClick={onSelect}
         draggable={layer.draggable}
         ref={shapeRef}
-        onDragEnd={(e) => onChange({ ...layer, x: e.target.x(), y: e.target.y() })}
+        onDragStart={snap.start}
+        onDragMove={(e) => snap.node(e.target)}
+        onDragEnd={(e) => onChange({ x: e.target.x(), y: e.target.y() }, `Move ${layer.name}`)}
+        onTransformStart={snap.start}
         onTransformEnd={() => {
+          // rotation and flips stay on the layer, the stretch goes into its size
           const node = shapeRef.current
-          const scaleX = node.scaleX()
-          const scaleY = node.scaleY()
-          node.scaleX(1)
-          node.scaleY(1)
-          onChange({ ...layer, x: node.x(), y: node.y(), width: Math.max(5, node.width() * scaleX), height: Math.max(5, node.height() * scaleY) })
+          onChange(sizedNodeProps({ ...layer, width: node.width(), height: node.height() }, settleNodeTransform(node)), `Transform ${layer.name}`)
         }}
       />
-      {isSelected && <Transformer ref={trRef} />}
+      <Portal selector=".selection">{isSelected && <Transformer ref={trRef} anchorDragBoundFunc={snap.anchor} />}</Portal>
     </Group>
   )
 }
@@ -167,26 +254,69 @@ const KonvaImage = ({ layer, isSelected, onSelect, onChange }) => {
 export default function App() {
   const stageRef = useRef()
   const canvasGroupRef = useRef()
+  const projectInputRef = useRef()
   const [tool, setTool] = useState('brush')
-  const [brushColor, setBrushColor] = useState('#000000')
+  const [brushColor, setBrushColor] = useState(DEFAULT_FOREGROUND)
+  const [backgroundColor, setBackgroundColor] = useState(DEFAULT_BACKGROUND)
+  const [recentColors, setRecentColors] = useState(loadRecentColors)
   const [brushSize, setBrushSize] = useState(6)
   const [brushOpacity, setBrushOpacity] = useState(1)
-  const [layers, setLayers] = useState([
-    { id: uuidv4(), name: 'Background', type: 'raster', isBase: true, visible: true, opacity: 1, blend: 'normal', content: [] }
-  ])
+  const [brush, setBrush] = useState(DEFAULT_BRUSH) // tip and dynamics, see brushPresets.js
+  const [smoothing, setSmoothing] = useState(DEFAULT_SMOOTHING)
+  const [stabilizer, setStabilizer] = useState(0) // 0 = raw input, towards 1 = heavy lag/smoothing
+  const [pressureSize, setPressureSize] = useState(true)
+  const [pressureOpacity, setPressureOpacity] = useState(false)
+  const [fillColor, setFillColor] = useState('#ffffff')
+  const [fillEnabled, setFillEnabled] = useState(false)
+  const [polygonSides, setPolygonSides] = useState(5)
+  const history = useHistory(createDocument, { limit: HISTORY_DEPTH, budget: HISTORY_MEMORY_BUDGET })
+  const { commit, undo, redo } = history
+  const { layers, lines, canvas } = history.doc
   const [activeLayerId, setActiveLayerId] = useState(layers[0].id)
-  const [lines, setLines] = useState({})
-  const [history, setHistory] = useState([])
-  const [historyIndex, setHistoryIndex] = useState(-1)
+  const [editingMask, setEditingMask] = useState(false) // paint on the active layer's mask instead of the layer
+  const [currentStroke, setCurrentStroke] = useState(null) // in-progress stroke, committed on pointer up
+  const strokeInputRef = useRef(null) // { startTime, last } of the stroke being drawn
+  const [shapeDraft, setShapeDraft] = useState(null) // { start, layer } while dragging out a shape
+  const [cropDraft, setCropDraft] = useState(null) // { start, rect } while dragging out a crop
+  const [textStyle, setTextStyle] = useState({ fontFamily: 'Arial', fontSize: 32, fontWeight: 'normal', fontStyle: 'normal', align: 'left', lineHeight: 1.2 })
+  const [textEditing, setTextEditing] = useState(null) // { layerId } or { draft } for new text
   const [selectedId, setSelectedId] = useState(null)
+  const [selection, setSelection] = useState(null) // see selection.js; editor state, not part of the document
+  const [selectionMode, setSelectionMode] = useState('replace')
+  const [selectionDraft, setSelectionDraft] = useState(null) // { tool, mode, start, end, points } while a marquee or lasso is drawn
+  const [transformingSelection, setTransformingSelection] = useState(false)
+  const [transformSession, setTransformSession] = useState(null) // what the Transform tool picked up, see beginTransform
+  const [transformMode, setTransformMode] = useState('free') // what its handles do: 'free', 'skew' or 'perspective'
+  const [wandOptions, setWandOptions] = useState({ tolerance: 32, contiguous: true })
+  const [featherRadius, setFeatherRadius] = useState(8)
+  const [clipboard, setClipboard] = useState(null) // pixels copied from a selection, with the source layer's name
+  const [bucketOptions, setBucketOptions] = useState({ tolerance: 32, contiguous: true, sample: 'layer' })
+  const [gradient, setGradient] = useState(DEFAULT_GRADIENT)
+  const pickSourceRef = useRef(null) // rendered canvas the eyedropper samples while held down
+  const antsLayerRef = useRef()
+  const antsRef = useRef()
+  const antsOffsetRef = useRef(0)
+
+  // Document identity for autosave / recovery
+  const [docId, setDocId] = useState(() => uuidv4())
+  const [docName, setDocName] = useState('Untitled')
+  const [recentDocs, setRecentDocs] = useState([])
+  const [showRecovery, setShowRecovery] = useState(false)
+  const [showNewDocument, setShowNewDocument] = useState(false)
+  const [showExport, setShowExport] = useState(false)
+  const [sizeDialog, setSizeDialog] = useState(null) // 'canvas' | 'image' while a size dialog is open
 
   // Canvas transform state
   const [canvasPos, setCanvasPos] = useState({ x: 450, y: 300 })
   const [canvasScale, setCanvasScale] = useState(1)
   const [canvasRotation, setCanvasRotation] = useState(0)
+  const [viewport, setViewport] = useState({ width: window.innerWidth, height: window.innerHeight }) // stage size
+  const canvasAreaRef = useRef()
+  const touchesRef = useRef(new Map()) // pointerId -> stage point of each finger down
+  const pinchRef = useRef(null) // { view, touches } while two fingers pinch
 
-  const canvasWidth = 800
-  const canvasHeight = 600
+  const canvasWidth = canvas.width
+  const canvasHeight = canvas.height
 
   const findLayer = (id) => layers.find(l => l.id === id)
   const [isDrawing, setIsDrawing] = useState(false)
@@ -203,84 +333,334 @@ export default function App() {
   const centerY = canvasHeight / 2
 
   const [showLayers, setShowLayers] = useState(false)
+  const [showHistory, setShowHistory] = useState(false)
+  const [showFilters, setShowFilters] = useState(false)
+  const [showBrushes, setShowBrushes] = useState(false)
+  const [showColors, setShowColors] = useState(false)
+  const [showShortcuts, setShowShortcuts] = useState(false)
+  const [showNavigator, setShowNavigator] = useState(false)
+  const [navigatorThumbnail, setNavigatorThumbnail] = useState(null)
+  const [guideSettings, setGuideSettings] = useState(loadGuideSettings) // rulers, grid and snapping, see guides.js
+  const [showGuideOptions, setShowGuideOptions] = useState(false)
+  const snapTargetsRef = useRef(null) // what drags and shape drafts snap to, gathered when they start
+  const [bindings, setBindings] = useState(loadBindings) // command id -> key chords, see shortcuts.js
+  const springRef = useRef(null) // { key, tool } while a spring-loaded tool's key is held
+  const [snapshots, setSnapshots] = useState([]) // pinned { id, name, doc, thumbnail }
+
+  // Keep a valid active layer when undo/redo removes the selected one
+  useEffect(() => {
+    if (!layers.some(l => l.id === activeLayerId)) setActiveLayerId(layers[layers.length - 1].id)
+  }, [layers, activeLayerId])
 
-  useEffect(() => { pushHistory() }, [])
+  // Strokes drawn with an imported tip render once the tip has decoded
+  useEffect(() => onBrushTipLoaded(() => {
+    invalidateLayerRasters()
+    stageRef.current?.batchDraw()
+  }), [])
 
+  // A selection only fits the canvas size it was made for
   useEffect(() => {
-    const handleKeyDown = (e) => {
-      if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'z') {
-        e.preventDefault(); // prevent browser undo
-        undo();
-      } else if ((e.ctrlKey || e.metaKey) && e.key.toLowerCase() === 'y') {
-        e.preventDefault();
-        redo();
-      }
-      if (e.key.toLowerCase() === 'r') {
-        setTool('rotate')
+    setSelection(null)
+    setSelectionDraft(null)
+  }, [canvasWidth, canvasHeight])
+
+  // An unfinished lasso or marquee belongs to the tool that drew it
+  useEffect(() => {
+    setSelectionDraft(null)
+    setTransformingSelection(false)
+  }, [tool])
+
+  // Marching ants
+  useEffect(() => {
+    if (!selection) return
+    const timer = setInterval(() => {
+      antsOffsetRef.current = (antsOffsetRef.current + 1) % 8
+      antsLayerRef.current?.batchDraw()
+    }, ANTS_INTERVAL)
+    return () => clearInterval(timer)
+  }, [selection])
+
+  useEffect(() => pruneLayerRasters(layers.flatMap(l => (l.mask ? [l.id, l.mask.id] : [l.id]))), [layers])
+
+  // Offer to recover autosaved documents on startup
+  useEffect(() => {
+    listDocuments()
+      .then(docs => {
+        if (docs.length === 0) return
+        setRecentDocs(docs)
+        setShowRecovery(true)
+      })
+      .catch(err => console.warn('Autosave unavailable:', err))
+  }, [])
+
+  const canvasBackground = canvas.background
+  const documentThumbnail = useCallback(() => renderDocument(canvasGroupRef.current, {
+    width: canvasWidth,
+    height: canvasHeight,
+    pixelRatio: THUMBNAIL_WIDTH / canvasWidth,
+    background: canvasBackground === 'transparent' ? null : canvasBackground,
+  }).toDataURL('image/png'), [canvasWidth, canvasHeight, canvasBackground])
+
+  // Debounced autosave after every change to the document, its name or the
+  // view (an untouched document is skipped)
+  const isUntouched = !history.canUndo && !history.canRedo
+  useEffect(() => {
+    if (isUntouched) return
+    const timer = setTimeout(() => {
+      saveDocument({
+        id: docId,
+        name: docName,
+        layers,
+        lines,
+        canvas,
+        view: { pos: canvasPos, scale: canvasScale, rotation: canvasRotation, activeLayerId },
+        thumbnail: documentThumbnail(),
+      })
+        .then(pruneDocuments)
+        .catch(err => console.warn('Autosave failed:', err))
+    }, AUTOSAVE_DELAY)
+    return () => clearTimeout(timer)
+  }, [isUntouched, docId, docName, layers, lines, canvas, canvasPos, canvasScale, canvasRotation, activeLayerId, documentThumbnail])
+
+  // The stage fills the canvas area and follows it when the window is resized
+  useEffect(() => {
+    const area = canvasAreaRef.current
+    const observer = new ResizeObserver(() => setViewport({ width: area.clientWidth, height: area.clientHeight }))
+    observer.observe(area)
+    return () => observer.disconnect()
+  }, [])
+
+  // Navigator thumbnail, redrawn shortly after the document changes
+  useEffect(() => {
+    if (!showNavigator) return
+    const timer = setTimeout(() => setNavigatorThumbnail(documentThumbnail()), NAVIGATOR_DELAY)
+    return () => clearTimeout(timer)
+  }, [showNavigator, history.doc, documentThumbnail])
+
+  // Keyboard shortcuts (see shortcuts.js). The listeners are bound once and
+  // call the handlers of the latest render, so commands act on the current
+  // state. A falsy handler means the command does nothing right now, and the
+  // key is left to the browser.
+  const keyListenersRef = useRef()
+  keyListenersRef.current = {
+    keydown: (e) => {
+      if (isTypingTarget(e.target) || showShortcuts) return
+      const command = findCommand(commandForChord(bindings, eventChord(e)))
+      if (command?.tool) {
+        e.preventDefault()
+        if (e.repeat) return
+        // a spring-loaded tool hands back the previous one when its key is released
+        if (command.spring) springRef.current = { key: e.key.toLowerCase(), tool: springRef.current?.tool ?? tool }
+        setTool(command.tool)
+        return
       }
-    };
-    const handleKeyUp = (e) => {
-      if (e.key.toLowerCase() === 'r') {
-        setTool('brush') // or previous tool
+      const handler = command && shortcutHandlers()[command.id]
+      if (handler) {
+        e.preventDefault()
+        handler()
       }
-    }
-    window.addEventListener('keydown', handleKeyDown)
-    window.addEventListener('keyup', handleKeyUp)
+    },
+    keyup: (e) => {
+      const spring = springRef.current
+      if (!spring || e.key.toLowerCase() !== spring.key) return
+      springRef.current = null
+      setTool(spring.tool)
+    },
+    // images pasted through the browser's own Edit menu
+    paste: (e) => {
+      if (isTypingTarget(e.target) || !e.clipboardData.files.length) return
+      e.preventDefault()
+      pasteImages([...e.clipboardData.files])
+    },
+  }
+  useEffect(() => {
+    const listeners = Object.keys(keyListenersRef.current).map(type => [type, (e) => keyListenersRef.current[type](e)])
+    for (const [type, listener] of listeners) window.addEventListener(type, listener)
     return () => {
-      window.removeEventListener('keydown', handleKeyDown)
-      window.removeEventListener('keyup', handleKeyUp)
+      for (const [type, listener] of listeners) window.removeEventListener(type, listener)
+    }
+  }, [])
+
+  function shortcutHandlers() {
+    const canNudge = transforming && !transforming.applying
+    // Ctrl+C and Ctrl+X take pixels only from the focused canvas or a
+    // selection; elsewhere the browser copies the page's own text
+    const ownsClipboard = selection || canvasAreaRef.current.contains(document.activeElement)
+    return {
+      undo,
+      redo,
+      showShortcuts: () => setShowShortcuts(true),
+      brushSmaller: () => setBrushSize(size => Math.max(1, size - Math.max(1, Math.round(size * 0.1)))),
+      brushLarger: () => setBrushSize(size => Math.min(MAX_BRUSH_SIZE, size + Math.max(1, Math.round(size * 0.1)))),
+      swapColors,
+      resetColors,
+      zoomIn: () => zoomTo(canvasScale * ZOOM_STEP),
+      zoomOut: () => zoomTo(canvasScale / ZOOM_STEP),
+      fitToScreen,
+      actualSize: () => zoomTo(1),
+      resetRotation,
+      toggleNavigator: () => setShowNavigator(shown => !shown),
+      newLayer: () => addLayer(),
+      toggleLayers: () => setShowLayers(shown => !shown),
+      toggleBrushes: () => setShowBrushes(shown => !shown),
+      toggleColors: () => setShowColors(shown => !shown),
+      toggleHistory: () => setShowHistory(shown => !shown),
+      selectAll: selectAllCanvas,
+      deselect,
+      invertSelection: invertCurrentSelection,
+      copy: ownsClipboard && copyPixels,
+      cut: selection && !isGroup(activeLayer) && cutPixels,
+      paste: pasteFromClipboard,
+      clearSelection: selection && (() => deleteSelection()),
+      confirm: selectionDraft?.tool === 'polygonLasso' ? closePolygonLasso : transformPending && (() => applyTransform(transformSession)),
+      cancel: transformPending ? cancelTransform : selectionDraft ? () => setSelectionDraft(null) : selection && deselect,
+      nudgeLeft: canNudge && (() => nudgeTransform(-1, 0)),
+      nudgeRight: canNudge && (() => nudgeTransform(1, 0)),
+      nudgeUp: canNudge && (() => nudgeTransform(0, -1)),
+      nudgeDown: canNudge && (() => nudgeTransform(0, 1)),
+      nudgeLeftFar: canNudge && (() => nudgeTransform(-NUDGE_FAR, 0)),
+      nudgeRightFar: canNudge && (() => nudgeTransform(NUDGE_FAR, 0)),
+      nudgeUpFar: canNudge && (() => nudgeTransform(0, -NUDGE_FAR)),
+      nudgeDownFar: canNudge && (() => nudgeTransform(0, NUDGE_FAR)),
     }
-  }, [historyIndex, history]);
+  }
 
-  function pushHistory() {
-    const snapshot = JSON.stringify({ layers, lines }); // include lines
-    const next = history.slice(0, historyIndex + 1);
-    next.push(snapshot);
-    setHistory(next);
-    setHistoryIndex(next.length - 1);
+  function createSnapshot(name) {
+    setSnapshots(prev => [...prev, { id: uuidv4(), name, doc: history.doc, thumbnail: documentThumbnail() }])
   }
 
-  function undo() {
-    if (historyIndex <= 0) return;
-    const prev = JSON.parse(history[historyIndex - 1]);
-    setLayers(prev.layers);
-    setLines(prev.lines); // full snapshot
-    setHistoryIndex(historyIndex - 1);
+  function restoreSnapshot(snapshot) {
+    commit({ type: 'setDocument', doc: snapshot.doc }, `Restore snapshot "${snapshot.name}"`)
   }
 
-  function redo() {
-    if (historyIndex >= history.length - 1) return;
-    const next = JSON.parse(history[historyIndex + 1]);
-    setLayers(next.layers);
-    setLines(next.lines);
-    setHistoryIndex(historyIndex + 1);
+  function compareSnapshot(snapshot) {
+    return { changes: describeChanges(snapshot.doc, history.doc), current: documentThumbnail() }
+  }
+
+  function selectLayer(id, { mask = false } = {}) {
+    setActiveLayerId(id)
+    setEditingMask(mask)
   }
 
   function addLayer(name = 'Layer') {
     const newLayer = { id: uuidv4(), name, type: 'raster', visible: true, opacity: 1, blend: 'normal', content: [] }
-    const next = [...layers, newLayer]
-    setLayers(next)
+    commit({ type: 'batch', ops: insertLayerOps(layers, [newLayer], activeLayerId) }, `New layer "${name}"`)
     setActiveLayerId(newLayer.id)
-    pushHistory()
   }
 
+  // Deleting a group deletes everything in it
   function deleteLayer(id) {
-    if (layers.length === 1) return
-    const next = layers.filter(l => l.id !== id)
-    setLayers(next)
-    if (activeLayerId === id) setActiveLayerId(next[next.length - 1].id)
-    pushHistory()
+    const layer = findLayer(id)
+    const removed = [layer, ...descendantsOf(layers, id)]
+    if (removed.length >= layers.length) return
+    commit({ type: 'batch', ops: removed.map(l => ({ type: 'removeLayer', id: l.id })) }, `Delete ${isGroup(layer) ? 'group' : 'layer'} "${layer.name}"`)
+    if (removed.some(l => l.id === activeLayerId)) {
+      const next = layers.filter(l => !removed.includes(l))
+      setActiveLayerId(next[next.length - 1].id)
+    }
   }
 
+  // Swaps a layer with its neighbouring sibling (direction -1 = down the stack)
   function reorderLayer(id, direction) {
-    const idx = layers.findIndex(l => l.id === id)
-    if (idx === -1) return
-    const copy = layers.slice()
-    const newIdx = Math.min(layers.length - 1, Math.max(0, idx + direction))
-    const [item] = copy.splice(idx, 1)
-    copy.splice(newIdx, 0, item)
-    setLayers(copy)
-    pushHistory()
+    const layer = findLayer(id)
+    const siblings = childrenOf(layers, layer.parentId ?? null)
+    const neighbour = siblings[siblings.indexOf(layer) + direction]
+    if (!neighbour) return
+    commit({ type: 'batch', ops: placeLayerOps(layers, id, neighbour.id, direction < 0 ? 'below' : 'above') }, `Reorder layer "${layer.name}"`)
+  }
+
+  // Drag and drop in the layers panel: 'below' / 'above' a layer, or 'inside' a group
+  function moveLayer(id, targetId, position) {
+    const ops = placeLayerOps(layers, id, targetId, position)
+    if (!ops || ops.length === 0) return
+    commit({ type: 'batch', ops }, `Move layer "${findLayer(id).name}"`)
+  }
+
+  // Wraps a layer in a new group that takes its place in the stack
+  function groupLayer(id) {
+    const layer = findLayer(id)
+    const group = { id: uuidv4(), name: `Group ${layers.filter(isGroup).length + 1}`, type: 'group', parentId: layer.parentId, visible: true, opacity: 1, blend: 'normal' }
+    commit({
+      type: 'batch',
+      ops: [
+        { type: 'insertLayer', layer: group, index: layers.indexOf(layer) + 1 },
+        { type: 'updateLayer', id, props: { parentId: group.id, clip: undefined } },
+      ],
+    }, `Group "${layer.name}"`)
+    selectLayer(group.id)
+  }
+
+  // Moves a group's children up a level, where the group was, and removes it
+  function ungroupLayer(id) {
+    const group = findLayer(id)
+    const children = childrenOf(layers, id)
+    const order = layers.filter(l => !children.includes(l)).map(l => l.id)
+    order.splice(order.indexOf(id), 0, ...children.map(l => l.id))
+    commit({
+      type: 'batch',
+      ops: [
+        ...children.map(child => ({ type: 'updateLayer', id: child.id, props: { parentId: group.parentId } })),
+        ...reorderOps(layers, order),
+        { type: 'removeLayer', id },
+      ],
+    }, `Ungroup "${group.name}"`)
+    if (activeLayerId === id && children.length) selectLayer(children[children.length - 1].id)
+  }
+
+  // Flattens a group into one image layer that looks the same
+  async function mergeGroup(id) {
+    const group = findLayer(id)
+    try {
+      const pixels = await rasterizeLayers(canvasGroupRef.current, history.doc, [id])
+      commit(mergedLayerOp(history.doc, id, descendantsOf(layers, id).map(l => l.id), pixels), `Merge group "${group.name}"`)
+    } catch (err) {
+      alert(`Could not merge group: ${err.message}`)
+    }
+  }
+
+  // Bakes the move/scale of a group's handles into its layers
+  function transformGroup(id, change) {
+    const ops = transformLayerOps(history.doc, id, change)
+    if (ops.length) commit({ type: 'batch', ops }, `Transform group "${findLayer(id).name}"`)
+  }
+
+  function layerNode(id) {
+    return canvasGroupRef.current?.findOne(node => node.getClassName() === 'LayerGroup' && node.getAttr('layerId') === id)
+  }
+
+  // Layer property edits (visibility, opacity, blend, position...). Edits that
+  // share a mergeKey in quick succession, like slider drags, become one step.
+  function updateLayer(id, props, label, mergeKey) {
+    commit({ type: 'updateLayer', id, props }, label, mergeKey)
+  }
+
+  // Layer masks: new masks reveal everything and open for painting
+  function addMask(id) {
+    const layer = findLayer(id)
+    updateLayer(id, { mask: createMask() }, `Add mask to ${layer.name}`)
+    selectLayer(id, { mask: true })
+  }
+
+  function deleteMask(id) {
+    const layer = findLayer(id)
+    commit({
+      type: 'batch',
+      ops: [
+        { type: 'setStrokes', layerId: layer.mask.id, strokes: null },
+        { type: 'updateLayer', id, props: { mask: undefined } },
+      ],
+    }, `Delete mask of ${layer.name}`)
+    setEditingMask(false)
+  }
+
+  async function applyMask(id) {
+    const layer = findLayer(id)
+    try {
+      commit(await bakeLayerMask(canvasGroupRef.current, history.doc, id), `Apply mask of ${layer.name}`)
+      setEditingMask(false)
+    } catch (err) {
+      alert(`Could not apply mask: ${err.message}`)
+    }
   }
 
   function isInsideCanvas(localPos) {
@@ -292,150 +672,1026 @@ export default function App() {
     )
   }
 
-  // Drawing events
-  function handleMouseDown(e) {
-    if (e.evt.button !== 0) return; // only left button starts drawing
-    if (tool !== 'brush' && tool !== 'eraser') return
+  // Crop tool: drag a rectangle (clamped to the canvas) and trim to it on release
+  function cropRect(start, end) {
+    const clampX = (v) => Math.round(Math.min(canvasWidth, Math.max(0, v)))
+    const clampY = (v) => Math.round(Math.min(canvasHeight, Math.max(0, v)))
+    const x = clampX(Math.min(start.x, end.x))
+    const y = clampY(Math.min(start.y, end.y))
+    return { x, y, width: clampX(Math.max(start.x, end.x)) - x, height: clampY(Math.max(start.y, end.y)) - y }
+  }
+
+  function startCrop() {
+    const pos = canvasGroupRef.current.getRelativePointerPosition()
+    if (!isInsideCanvas(pos)) return
+    setCropDraft({ start: pos, rect: cropRect(pos, pos) })
+  }
+
+  function updateCrop() {
+    if (!cropDraft) return
+    setCropDraft({ ...cropDraft, rect: cropRect(cropDraft.start, canvasGroupRef.current.getRelativePointerPosition()) })
+  }
+
+  function finishCrop() {
+    if (!cropDraft) return
+    const { rect } = cropDraft
+    setCropDraft(null)
+    if (rect.width < 1 || rect.height < 1) return
+    commit({ type: 'setDocument', doc: cropDocument(history.doc, rect) }, `Crop to ${rect.width}×${rect.height}`)
+  }
+
+  // Transform tool: `{ doc, layerId, selection, source, base, transform }`,
+  // the active layer (or its selected pixels) as `source`, cut out of `base`
+  // (the rest of the layer when only a selection moves), and how it's moved
+  // (see freeTransform.js). `source` is null when there's nothing to move.
+  const beginTransform = useCallback(() => {
+    const session = { doc: history.doc, layerId: activeLayerId, selection, source: null, base: null, transform: null }
+    // groups have no pixels of their own to cut
+    if (selection && isGroup(history.doc.layers.find(l => l.id === activeLayerId))) return session
+    const rendered = renderDocument(canvasGroupRef.current, {
+      width: canvasWidth,
+      height: canvasHeight,
+      background: null,
+      layerIds: [activeLayerId],
+      layerStyle: false,
+      masks: false,
+    })
+    if (selection) {
+      const box = selection.bounds
+      const source = cropCanvas(keepSelected(cropCanvas(rendered, { x: 0, y: 0, width: canvasWidth, height: canvasHeight }), selection), box)
+      return { ...session, source, base: clearSelected(rendered, selection), transform: createTransform(box) }
+    }
+    const { canvas: source, x, y } = trimTransparent(rendered)
+    // an empty layer trims down to a single clear pixel
+    if (source.width === 1 && source.getContext('2d').getImageData(0, 0, 1, 1).data[3] === 0) return session
+    return { ...session, source, transform: createTransform({ x, y, width: source.width, height: source.height }) }
+  }, [history.doc, activeLayerId, selection, canvasWidth, canvasHeight])
+
+  function changeTransform(transform) {
+    setTransformSession(session => ({ ...session, transform }))
+  }
+
+  function nudgeTransform(dx, dy) {
+    changeTransform(moveTransform(transformSession.transform, dx, dy))
+  }
+
+  function cancelTransform() {
+    changeTransform(createTransform(transformSession.transform.box))
+  }
 
+  // History ops for a transform session, keeping as much as the change
+  // allows: strokes and vectors when the layer is only moved and resized,
+  // node props when an image, text or shape is rotated, skewed or flipped.
+  // Anything else is baked into pixels. Layer masks follow moves and resizes.
+  const transformOps = useCallback(async ({ doc, layerId, selection: selected, source, base, transform }) => {
+    const layer = doc.layers.find(l => l.id === layerId)
+    if (!selected && isMoveAndScale(transform) && !hasNodeTransform(layer)) {
+      const { x, y, scaleX, scaleY } = transform.params
+      return transformLayerOps(doc, layerId, { dx: x - transform.box.x * scaleX, dy: y - transform.box.y * scaleY, scaleX, scaleY })
+    }
+    if (isGroup(layer)) throw new Error('groups can only be moved and resized; merge the group to rotate, skew or distort it')
+    const vector = layer.type === 'image' || layer.type === 'text' || layer.isShape
+    if (!selected && vector && !transform.corners && !doc.lines[layerId]?.length) {
+      return [{ type: 'updateLayer', id: layerId, props: sizedNodeProps(layer, matrixNodeTransform(layer, canvasMatrix(transform))) }]
+    }
+    const result = Object.assign(document.createElement('canvas'), { width: canvasWidth, height: canvasHeight })
+    const ctx = result.getContext('2d')
+    if (base) ctx.drawImage(base, 0, 0)
+    drawTransformed(ctx, source, transform)
+    return [replacePixelsOp(doc, layerId, await canvasPixels(result))]
+  }, [canvasWidth, canvasHeight])
+
+  const applyTransform = useCallback(async (session) => {
+    const layer = session.doc.layers.find(l => l.id === session.layerId)
+    setTransformSession({ ...session, applying: true })
+    try {
+      const ops = await transformOps(session)
+      if (ops.length) commit({ type: 'batch', ops }, `Transform ${layer.name}`)
+      // the selection goes along with what it selected
+      if (session.selection) setSelection(freeTransformSelection(session.selection, session.transform))
+    } catch (err) {
+      alert(`Could not transform: ${err.message}`)
+    }
+    setTransformSession(null)
+  }, [transformOps, commit])
+
+  // The Transform tool picks the active layer up once the canvas shows it.
+  // Leaving the tool or the layer applies what was changed; any other edit,
+  // undo included, drops the change and picks the layer up anew.
+  useEffect(() => {
+    const session = transformSession
+    if (session?.applying) return
+    const current = session && session.doc === history.doc && session.selection === selection
+    if (current && session.layerId === activeLayerId && tool === 'transform') return
+    if (current && session.source && !isIdentity(session.transform)) applyTransform(session)
+    else if (tool === 'transform') setTransformSession(beginTransform())
+    else if (session) setTransformSession(null)
+  }, [tool, activeLayerId, history.doc, selection, transformSession, beginTransform, applyTransform])
+
+  // Selection tools. A new selection replaces the current one or, with the
+  // mode picked in the options bar or by Shift/Alt, is combined with it.
+  function applySelection(next, mode) {
+    setSelection(prev => combineSelections(prev, next, mode))
+    setTransformingSelection(false)
+  }
+
+  function startSelection(e) {
+    const pos = canvasGroupRef.current.getRelativePointerPosition()
+    if (tool === 'magicWand') return selectWithWand(pos, selectionModeFor(e.evt, selectionMode))
+    if (tool === 'polygonLasso' && selectionDraft) {
+      // clicking the first corner again closes the shape
+      const [x0, y0] = selectionDraft.points
+      if (Math.hypot(pos.x - x0, pos.y - y0) * canvasScale < LASSO_CLOSE_DISTANCE) return closePolygonLasso()
+      setSelectionDraft({ ...selectionDraft, points: selectionDraft.points.concat(pos.x, pos.y), end: pos })
+      return
+    }
+    setSelectionDraft({ tool, mode: selectionModeFor(e.evt, selectionMode), start: pos, end: pos, points: [pos.x, pos.y] })
+  }
+
+  function updateSelection() {
+    if (!selectionDraft) return
     const pos = canvasGroupRef.current.getRelativePointerPosition()
+    const points = selectionDraft.tool === 'lasso' ? selectionDraft.points.concat(pos.x, pos.y) : selectionDraft.points
+    setSelectionDraft({ ...selectionDraft, points, end: pos })
+  }
+
+  // Marquee and freehand lasso end on release; the polygonal lasso on closing
+  function finishSelection() {
+    if (!selectionDraft || selectionDraft.tool === 'polygonLasso') return
+    const { tool: shapeTool, mode, start, end, points } = selectionDraft
+    setSelectionDraft(null)
+    if (shapeTool === 'lasso') {
+      if (points.length >= 6) applySelection(shapeSelection(canvasWidth, canvasHeight, { type: 'polygon', points }), mode)
+      return
+    }
+    const box = { x: Math.min(start.x, end.x), y: Math.min(start.y, end.y), width: Math.abs(end.x - start.x), height: Math.abs(end.y - start.y) }
+    if (box.width < 1 || box.height < 1) {
+      if (mode === 'replace') deselect() // a click, not a drag
+      return
+    }
+    applySelection(shapeSelection(canvasWidth, canvasHeight, { type: shapeTool === 'selectEllipse' ? 'ellipse' : 'rect', ...box }), mode)
+  }
+
+  function closePolygonLasso() {
+    if (!selectionDraft) return
+    const { mode, points } = selectionDraft
+    setSelectionDraft(null)
+    if (points.length >= 6) applySelection(shapeSelection(canvasWidth, canvasHeight, { type: 'polygon', points }), mode)
+  }
+
+  // Magic wand: similar colors on the active layer, as it looks on its own
+  function selectWithWand(pos, mode) {
+    if (!isInsideCanvas(pos)) return
+    const rendered = renderDocument(canvasGroupRef.current, {
+      width: canvasWidth,
+      height: canvasHeight,
+      background: null,
+      layerIds: [activeLayerId],
+      layerStyle: false,
+    })
+    const image = rendered.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvasWidth, canvasHeight)
+    applySelection(magicWandSelection(image, pos.x, pos.y, wandOptions), mode)
+  }
+
+  function selectAllCanvas() {
+    applySelection(selectAll(canvasWidth, canvasHeight), 'replace')
+  }
+
+  function deselect() {
+    setSelection(null)
+    setSelectionDraft(null)
+    setTransformingSelection(false)
+  }
+
+  function invertCurrentSelection() {
+    applySelection(invertSelection(selection, canvasWidth, canvasHeight), 'replace')
+  }
+
+  function featherCurrentSelection() {
+    if (selection) setSelection(featherSelection(selection, featherRadius))
+  }
+
+  function transformCurrentSelection(change) {
+    if (selection) setSelection(transformSelection(selection, change))
+  }
+
+  // Copies the selected pixels of the active layer (or group), or all of it
+  // without a selection, as they look without its opacity and blend mode.
+  // They also go on the system clipboard as PNG where the browser allows it.
+  async function copyPixels() {
+    try {
+      const pixels = await rasterizeLayers(canvasGroupRef.current, history.doc, [activeLayer.id], {
+        process: selection ? (canvas) => keepSelected(canvas, selection) : undefined,
+      })
+      setClipboard({ ...pixels, name: activeLayer.name })
+      await writeClipboardImage(getAssetBlob(pixels.assetId)).catch(err => console.warn('Could not write to the system clipboard:', err))
+      return true
+    } catch (err) {
+      alert(`Could not copy: ${err.message}`)
+      return false
+    }
+  }
+
+  // Clears the selected pixels of the active layer, which becomes an image
+  // layer; its mask is kept
+  async function deleteSelection(label = 'Delete selection') {
+    if (!selection || isGroup(activeLayer)) return
+    const layer = activeLayer
+    try {
+      const pixels = await rasterizeLayers(canvasGroupRef.current, history.doc, [layer.id], {
+        masks: false,
+        process: (canvas) => clearSelected(canvas, selection),
+      })
+      commit(replacePixelsOp(history.doc, layer.id, pixels), `${label} on ${layer.name}`)
+    } catch (err) {
+      alert(`Could not delete: ${err.message}`)
+    }
+  }
+
+  // Copies the selected pixels, then clears them. Without a selection there
+  // is nothing to cut, and neither the layer nor the history is touched.
+  async function cutPixels() {
+    if (!selection || isGroup(activeLayer)) return
+    if (await copyPixels()) await deleteSelection('Cut')
+  }
+
+  // Pastes the copied pixels where they were, as a new layer above the active one
+  function pasteAsLayer() {
+    if (!clipboard) return
+    const { name, ...pixels } = clipboard
+    const newLayer = {
+      id: uuidv4(),
+      name: `${name} copy`,
+      ...pixels,
+      type: 'image',
+      opacity: 1,
+      visible: true,
+      blend: 'normal',
+      draggable: true,
+      isShape: false,
+    }
+    commit({ type: 'batch', ops: insertLayerOps(layers, [newLayer], activeLayerId) }, `Paste "${newLayer.name}"`)
+    selectLayer(newLayer.id)
+  }
+
+  // Ctrl+V: images on the system clipboard become new layers. Where the
+  // browser won't share the clipboard, the pixels copied here are pasted.
+  async function pasteFromClipboard() {
+    let files = []
+    try {
+      files = await readClipboardImages()
+    } catch (err) {
+      console.warn('Could not read the system clipboard:', err)
+    }
+    if (files.length) pasteImages(files)
+    else pasteAsLayer()
+  }
+
+  // The pixels last copied here come back from the system clipboard as an
+  // image of their size: that goes back where they were
+  function pasteImages(files) {
+    importImages(files, {
+      name: 'Pasted image',
+      at: (image) => (clipboard && image.width === clipboard.width && image.height === clipboard.height
+        ? { x: clipboard.x + clipboard.width / 2, y: clipboard.y + clipboard.height / 2 }
+        : { x: canvasWidth / 2, y: canvasHeight / 2 }),
+    })
+  }
+
+  // Adds image files as new layers above the active one, each centered on
+  // `at(image)` (the canvas center by default). Images larger than the canvas
+  // can be scaled down to fit; files that aren't images are reported.
+  async function importImages(files, { name, at = () => ({ x: canvasWidth / 2, y: canvasHeight / 2 }) } = {}) {
+    const added = []
+    const errors = []
+    for (const file of files) {
+      try {
+        const image = await loadImageFile(file)
+        const fit = isOversized(image, canvas) &&
+          confirm(`${file.name || 'The image'} (${image.width}×${image.height}) is larger than the canvas (${canvasWidth}×${canvasHeight}). Scale it down to fit?`)
+        const size = fit ? fittedSize(image, canvas) : { width: image.width, height: image.height }
+        added.push(imageLayer(name || file.name, image, size, at(image)))
+      } catch (err) {
+        errors.push(err.message)
+      }
+    }
+    if (errors.length) alert(`Could not import:\n${errors.join('\n')}`)
+    if (!added.length) return
+    const label = added.length === 1 ? `Import ${added[0].name}` : `Import ${added.length} images`
+    commit({ type: 'batch', ops: insertLayerOps(layers, added, activeLayerId) }, label)
+    selectLayer(added[added.length - 1].id)
+  }
+
+  // Image files dropped on the canvas land where they were dropped
+  function handleDrop(e) {
+    if (!e.dataTransfer.files.length) return
+    e.preventDefault()
+    stageRef.current.setPointersPositions(e.nativeEvent)
+    const point = canvasGroupRef.current.getRelativePointerPosition()
+    importImages([...e.dataTransfer.files], { at: () => point })
+  }
+
+  // Image > Canvas Size / Image Size
+  function applyCanvasSize({ width, height, anchor }) {
+    setSizeDialog(null)
+    if (width === canvasWidth && height === canvasHeight) return
+    if (sizeDialog === 'image') {
+      commit({ type: 'setDocument', doc: resampleDocument(history.doc, { width, height }) }, `Image size ${width}×${height}`)
+    } else {
+      commit({ type: 'setDocument', doc: resizeCanvas(history.doc, { width, height, anchor }) }, `Canvas size ${width}×${height}`)
+    }
+  }
+
+  // Starts a blank document; the current one stays available from autosave
+  function createNewDocument({ name, canvas }) {
+    const doc = createDocument(canvas)
+    history.reset(doc)
+    setSnapshots([])
+    setActiveLayerId(doc.layers[0].id)
+    setDocId(uuidv4())
+    setDocName(name)
+    setView({ ...fitView(canvas, viewport.width, viewport.height), rotation: 0 })
+    setShowNewDocument(false)
+  }
+
+  // Shape tools: drag out a live preview, committed as a new shape layer on mouse up
+  function draftShapeLayer(start, end, constrain) {
+    return {
+      isShape: true,
+      shapeType: tool,
+      stroke: brushColor,
+      strokeWidth: brushSize,
+      fill: fillEnabled ? fillColor : undefined,
+      ...shapeGeometry(tool, start, end, { constrain, sides: polygonSides }),
+    }
+  }
+
+  function startShape(e) {
+    startSnapping()
+    const pos = snapCanvasPoint(canvasGroupRef.current.getRelativePointerPosition())
+    if (!isInsideCanvas(pos)) return
+    setShapeDraft({ start: pos, layer: draftShapeLayer(pos, pos, e.evt.shiftKey) })
+  }
+
+  function updateShape(e) {
+    if (!shapeDraft) return
+    const pos = snapCanvasPoint(canvasGroupRef.current.getRelativePointerPosition())
+    setShapeDraft({ ...shapeDraft, end: pos, layer: draftShapeLayer(shapeDraft.start, pos, e.evt.shiftKey) })
+  }
+
+  function finishShape() {
+    if (!shapeDraft) return
+    setShapeDraft(null)
+    const { start, end } = shapeDraft
+    if (!end || Math.hypot(end.x - start.x, end.y - start.y) < 2) return // a click, not a drag
+    const label = shapeLabel(shapeDraft.layer.shapeType)
+    const count = layers.filter(l => l.shapeType === shapeDraft.layer.shapeType).length + 1
+    const newLayer = {
+      ...shapeDraft.layer,
+      id: uuidv4(),
+      name: `${label} ${count}`,
+      type: 'shape',
+      visible: true,
+      opacity: 1,
+      blend: 'normal',
+      draggable: true,
+    }
+    commit({ type: 'batch', ops: insertLayerOps(layers, [newLayer], activeLayerId) }, `Draw ${label.toLowerCase()}`)
+    rememberColor(brushColor)
+    setActiveLayerId(newLayer.id)
+  }
+
+  // Text tool: click on existing text to edit it, anywhere else to add new text
+  function startText(e) {
+    if (e.target.hasName('text-layer')) {
+      const layerId = e.target.getAttr('layerId')
+      setActiveLayerId(layerId)
+      setTextEditing({ layerId })
+      return
+    }
+    const pos = canvasGroupRef.current.getRelativePointerPosition()
+    if (!isInsideCanvas(pos)) return
+    setTextEditing({ draft: { x: pos.x, y: pos.y, text: '', fill: brushColor, ...textStyle } })
+  }
+
+  function finishText(value) {
+    const editing = textEditing
+    // clicking the canvas may already have opened the next editor before this one blurred
+    setTextEditing(current => (current === editing ? null : current))
+    if (editing.draft) {
+      if (!value.trim()) return
+      const newLayer = {
+        ...editing.draft,
+        id: uuidv4(),
+        name: value.trim().split('\n')[0].slice(0, 24),
+        type: 'text',
+        text: value,
+        visible: true,
+        opacity: 1,
+        blend: 'normal',
+        draggable: true,
+      }
+      commit({ type: 'batch', ops: insertLayerOps(layers, [newLayer], activeLayerId) }, 'Add text')
+      rememberColor(newLayer.fill)
+      setActiveLayerId(newLayer.id)
+      return
+    }
+    const layer = findLayer(editing.layerId)
+    if (!layer || value === layer.text) return
+    if (!value.trim()) {
+      deleteLayer(layer.id)
+      return
+    }
+    updateLayer(layer.id, { text: value }, `Edit text ${layer.name}`)
+  }
+
+  // Font controls edit the defaults for new text, and the active text layer
+  function changeTextStyle(props) {
+    setTextStyle(prev => ({ ...prev, ...props }))
+    if (activeLayer.type === 'text') updateLayer(activeLayer.id, props, `Text style of ${activeLayer.name}`, `textstyle:${activeLayer.id}`)
+  }
+
+  function changeBrushColor(color) {
+    setBrushColor(color)
+    if (tool === 'text' && activeLayer.type === 'text') {
+      updateLayer(activeLayer.id, { fill: color }, `Text color of ${activeLayer.name}`, `textcolor:${activeLayer.id}`)
+    }
+  }
+
+  function swapColors() {
+    setBackgroundColor(brushColor)
+    changeBrushColor(backgroundColor)
+  }
+
+  function resetColors() {
+    setBackgroundColor(DEFAULT_BACKGROUND)
+    changeBrushColor(DEFAULT_FOREGROUND)
+  }
+
+  // Colors painted with go to the front of the recent colors strip
+  function rememberColor(color) {
+    const next = pushRecentColor(recentColors, color)
+    setRecentColors(next)
+    saveRecentColors(next)
+  }
+
+  function textEditorProps() {
+    const layer = textEditing.draft || findLayer(textEditing.layerId)
+    const point = canvasGroupRef.current.getAbsoluteTransform().point({ x: layer.x, y: layer.y })
+    const rect = stageRef.current.container().getBoundingClientRect()
+    return {
+      layer,
+      screenPos: { x: rect.left + point.x, y: rect.top + point.y },
+      scale: canvasScale,
+      rotation: canvasRotation,
+    }
+  }
+
+  // Canvas-local position of a (possibly coalesced) native pointer event
+  function toCanvasPoint(ev) {
+    const rect = stageRef.current.container().getBoundingClientRect()
+    const transform = canvasGroupRef.current.getAbsoluteTransform().copy().invert()
+    return transform.point({ x: ev.clientX - rect.left, y: ev.clientY - rect.top })
+  }
+
+  // Drawing events
+  function handlePointerDown(e) {
+    if (e.evt.button !== 0) return; // only the primary button / pen tip / touch starts drawing
+    if (e.target.findAncestor('.selection')) return // transform handles
+    if (e.target.hasName('guide') || e.target.hasName('ruler')) return
+    if (isShapeTool(tool)) return startShape(e)
+    if (tool === 'crop') return startCrop()
+    if (tool === 'text') return startText(e)
+    if (isSelectionTool(tool)) return startSelection(e)
+    if (tool === 'eyedropper' || (e.evt.altKey && ['brush', 'bucket', 'gradient'].includes(tool))) return startColorPick()
+    if (!['brush', 'eraser', 'bucket', 'gradient'].includes(tool)) return
+    if (isGroup(activeLayer)) return // groups hold layers, not strokes
+    if (tool === 'bucket') return bucketFill()
+    if (tool === 'gradient') return startGradient()
+
+    const ev = e.evt
+    const pos = toCanvasPoint(ev)
     if (!isInsideCanvas(pos)) return; // don't start stroke outside
+    ev.target.setPointerCapture?.(ev.pointerId) // keep receiving moves outside the stage
 
+    strokeInputRef.current = { startTime: ev.timeStamp, last: pos }
     setIsDrawing(true)
-    const lid = activeLayerId
-    const stroke = {
+    setCurrentStroke({
       id: uuidv4(),
       points: [pos.x, pos.y, pos.x + 0.1, pos.y + 0.1], // tiny line so it shows on click
-      color: brushColor,
+      pressures: [ev.pressure, ev.pressure],
+      tilts: [ev.tiltX || 0, ev.tiltY || 0, ev.tiltX || 0, ev.tiltY || 0],
+      times: [0, 0],
+      pointerType: ev.pointerType,
+      color: paintColor, // masks are painted black, erased back to white
       size: brushSize,
       opacity: brushOpacity,
-      mode: tool // 'brush' or 'eraser'
-    };
-
-    setLines(prev => ({ ...prev, [lid]: [...(prev[lid] || []), stroke] }));
+      mode: tool, // 'brush' or 'eraser'
+      smoothing,
+      dynamics: { size: pressureSize, opacity: pressureOpacity },
+      brush,
+      seed: Math.floor(Math.random() * 2 ** 31), // repeatable jitter
+      ...(selection && { clip: selectionClip(selection) }), // painting stays inside the selection
+    })
   }
 
-  function handleMouseMove(e) {
-    if (!isDrawing) return
-    if (e.evt.buttons !== 1) return; // only continue if left button held
+  function handlePointerMove(e) {
+    if (isShapeTool(tool)) return updateShape(e)
+    if (tool === 'crop') return updateCrop()
+    if (isSelectionTool(tool)) return updateSelection()
+    if (pickSourceRef.current) return updateColorPick()
+    if (tool === 'gradient') return updateGradient()
+    if (!isDrawing || !strokeInputRef.current) return
+    if (e.evt.buttons !== 1) return; // only continue while the primary button is held
     if (tool !== 'brush' && tool !== 'eraser') return
-    
+
+    // coalesced events carry the samples the browser merged into this frame
+    const events = e.evt.getCoalescedEvents?.() || []
+    const input = strokeInputRef.current
+    const samples = []
+    for (const ev of events.length ? events : [e.evt]) {
+      const raw = toCanvasPoint(ev)
+      if (!isInsideCanvas(raw)) continue
+      // stabilizer: the pen trails behind the pointer, ironing out jitter
+      const pos = {
+        x: input.last.x + (raw.x - input.last.x) * (1 - stabilizer),
+        y: input.last.y + (raw.y - input.last.y) * (1 - stabilizer),
+      }
+      input.last = pos
+      samples.push({ pos, ev })
+    }
+    if (samples.length === 0) return
+
+    setCurrentStroke(prev => prev && {
+      ...prev,
+      points: prev.points.concat(samples.flatMap(({ pos }) => [pos.x, pos.y])),
+      pressures: prev.pressures.concat(samples.map(({ ev }) => ev.pressure)),
+      tilts: prev.tilts.concat(samples.flatMap(({ ev }) => [ev.tiltX || 0, ev.tiltY || 0])),
+      times: prev.times.concat(samples.map(({ ev }) => Math.round(ev.timeStamp - input.startTime))),
+    })
+  }
+
+  function finishStroke() {
+    setIsDrawing(false)
+    strokeInputRef.current = null
+    if (!currentStroke) return
+    const [x0, y0, x1, y1] = currentStroke.points
+    // a gradient needs a direction; a click alone doesn't give one
+    if (currentStroke.kind !== 'gradient' || x0 !== x1 || y0 !== y1) commitStroke(currentStroke)
+    setCurrentStroke(null)
+  }
+
+  // Adds a stroke, fill or gradient to the active layer, or to its mask while that is being edited
+  function commitStroke(stroke) {
+    const layer = findLayer(activeLayerId)
+    const kind = { fill: 'Fill', gradient: 'Gradient' }[stroke.kind] || (stroke.mode === 'eraser' ? 'Eraser stroke' : 'Brush stroke')
+    if (maskTarget) {
+      commit({ type: 'insertStroke', layerId: maskTarget.id, stroke }, `${kind} on mask of ${layer.name}`)
+    } else {
+      commit({ type: 'insertStroke', layerId: activeLayerId, stroke }, `${kind} on ${layer.name}`)
+      if (stroke.color && stroke.mode !== 'eraser') rememberColor(stroke.color)
+    }
+  }
+
+  // Paint bucket: fills the region of similar color around the click, as
+  // seen on the active layer alone or on the whole image
+  function bucketFill() {
     const pos = canvasGroupRef.current.getRelativePointerPosition()
     if (!isInsideCanvas(pos)) return
+    const sampled = renderDocument(canvasGroupRef.current, {
+      width: canvasWidth,
+      height: canvasHeight,
+      background: null,
+      ...(bucketOptions.sample === 'layer' && { layerIds: [activeLayerId], layerStyle: false }),
+    })
+    const image = sampled.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, canvasWidth, canvasHeight)
+    const stroke = bucketFillStroke(image, pos.x, pos.y, { ...bucketOptions, color: paintColor, opacity: brushOpacity, selection })
+    if (stroke) commitStroke({ id: uuidv4(), ...stroke })
+  }
+
+  // Gradient tool: drag from where the gradient starts to where it ends
+  function draftGradient(start, end) {
+    return gradientStroke(gradient, start, end, { opacity: brushOpacity, width: canvasWidth, height: canvasHeight, selection })
+  }
+
+  function startGradient() {
+    const pos = canvasGroupRef.current.getRelativePointerPosition()
+    strokeInputRef.current = { start: pos }
+    setIsDrawing(true)
+    setCurrentStroke({ id: uuidv4(), ...draftGradient(pos, pos) })
+  }
 
-    const lid = activeLayerId
-    setLines(prev => {
-      const list = prev[lid];
-      if (!list || list.length === 0) return prev;
-      const last = list[list.length - 1];
-      last.points = last.points.concat([pos.x, pos.y]);
-      return { ...prev, [lid]: [...list.slice(0, -1), last] };
-    });
+  function updateGradient() {
+    if (!isDrawing || !strokeInputRef.current) return
+    const pos = canvasGroupRef.current.getRelativePointerPosition()
+    setCurrentStroke(prev => prev && { ...prev, ...draftGradient(strokeInputRef.current.start, pos) })
+  }
+
+  // Eyedropper: the brush color becomes that of the image under the pointer,
+  // sampled until the button is released
+  function startColorPick() {
+    pickSourceRef.current = renderDocument(canvasGroupRef.current, {
+      width: canvasWidth,
+      height: canvasHeight,
+      background: canvas.background === 'transparent' ? null : canvas.background,
+    })
+    updateColorPick()
   }
 
-  function handleMouseUp() { if (tool === 'brush' || tool === 'eraser') { setIsDrawing(false); pushHistory() } }
-  function handleMouseLeave() { setIsDrawing(false) }
+  function updateColorPick() {
+    const pos = canvasGroupRef.current.getRelativePointerPosition()
+    const color = pixelColor(pickSourceRef.current, pos.x, pos.y)
+    if (color) changeBrushColor(color)
+  }
+
+  function handlePointerUp() {
+    pickSourceRef.current = null
+    if (tool === 'brush' || tool === 'eraser' || tool === 'gradient') finishStroke()
+    else if (isShapeTool(tool)) finishShape()
+    else if (tool === 'crop') finishCrop()
+    else if (isSelectionTool(tool)) finishSelection()
+  }
+  function handlePointerLeave() { pickSourceRef.current = null; finishStroke(); finishShape(); finishSelection(); setCropDraft(null) }
+
+  // Drops the stroke, shape, crop or selection being dragged without committing it
+  function cancelPointerAction() {
+    pickSourceRef.current = null
+    strokeInputRef.current = null
+    setIsDrawing(false)
+    setCurrentStroke(null)
+    setShapeDraft(null)
+    setCropDraft(null)
+    if (selectionDraft?.tool !== 'polygonLasso') setSelectionDraft(null)
+  }
 
   function handleUpload(e) {
+    const files = [...e.target.files]
+    e.target.value = '' // allow importing the same file again
+    importImages(files)
+  }
+
+  // Exports the document bounds only, independent of the current view
+  async function exportImage(options) {
+    try {
+      const { blob, filename } = await exportDocument(canvasGroupRef.current, history.doc, { ...options, activeLayerId, name: docName })
+      const url = URL.createObjectURL(blob)
+      downloadURL(url, filename)
+      URL.revokeObjectURL(url)
+      setShowExport(false)
+    } catch (err) {
+      alert(`Could not export: ${err.message}`)
+    }
+  }
+
+  async function saveProject() {
+    try {
+      const json = await serializeProject({
+        layers,
+        lines,
+        canvas,
+        view: { pos: canvasPos, scale: canvasScale, rotation: canvasRotation, activeLayerId },
+      })
+      const url = URL.createObjectURL(new Blob([json], { type: 'application/json' }))
+      downloadURL(url, `${docName}${PROJECT_EXTENSION}`)
+      URL.revokeObjectURL(url)
+      markDocumentSaved(docId).catch(() => {})
+    } catch (err) {
+      alert(`Could not save project: ${err.message}`)
+    }
+  }
+
+  // Replaces the whole document (project file or recovered autosave)
+  function loadProjectState({ layers, lines, canvas, view }) {
+    // a loaded document starts a fresh history
+    history.reset({ layers, lines, canvas: canvas || DEFAULT_CANVAS })
+    setSnapshots([])
+    const active = layers.find(l => l.id === view?.activeLayerId) || layers[layers.length - 1]
+    setActiveLayerId(active.id)
+    setView(view || { ...fitView(canvas || DEFAULT_CANVAS, viewport.width, viewport.height), rotation: 0 })
+  }
+
+  async function openProject(e) {
     const file = e.target.files[0]
+    e.target.value = '' // allow re-opening the same file
     if (!file) return
-    const reader = new FileReader()
-    reader.onload = () => {
-      const img = new window.Image()
-      img.src = reader.result
-      img.onload = () => {
-        const newLayer = { id: uuidv4(), name: file.name, type: 'image', src: img.src, x: 50, y: 50, width: img.width, height: img.height, opacity: 1, visible: true, blend: 'normal', draggable: true, isShape: false }
-        setLayers(prev => [...prev, newLayer])
-        setActiveLayerId(newLayer.id)
-        pushHistory()
-      }
+    try {
+      // OpenRaster files from other painting tools open as image layers
+      const isORA = file.name.toLowerCase().endsWith(ORA_EXTENSION)
+      loadProjectState(isORA ? await importOpenRaster(file) : await parseProject(await file.text()))
+      setDocId(uuidv4())
+      setDocName(file.name.replace(/\.(iwd|ora)$/i, ''))
+    } catch (err) {
+      alert(`Could not open ${file.name}: ${err.message}`)
     }
-    reader.readAsDataURL(file)
   }
 
-  function exportPNG() {
-    const uri = stageRef.current.toDataURL({ pixelRatio: 1 })
-    const link = document.createElement('a')
-    link.download = 'mini-photoshop.png'
-    link.href = uri
-    document.body.appendChild(link)
-    link.click()
-    link.remove()
+  async function showRecentDocuments() {
+    try {
+      setRecentDocs(await listDocuments())
+      setShowRecovery(true)
+    } catch (err) {
+      alert(`Autosave storage is unavailable: ${err.message}`)
+    }
+  }
+
+  async function restoreDocument(id) {
+    try {
+      const doc = await loadDocument(id)
+      loadProjectState(doc)
+      setDocId(doc.id)
+      setDocName(doc.name)
+      setShowRecovery(false)
+    } catch (err) {
+      alert(`Could not restore document: ${err.message}`)
+    }
+  }
+
+  async function removeRecentDocument(id) {
+    await deleteDocument(id).catch(err => console.warn('Could not delete document:', err))
+    setRecentDocs(await listDocuments().catch(() => []))
+  }
+
+  // Merges the layer `id` into the sibling below it: the two are composited
+  // as they look, `id` with its opacity and blend mode, into one image layer
+  // that keeps those of the lower one
+  async function mergeDown(id) {
+    const layer = findLayer(id)
+    const siblings = childrenOf(layers, layer.parentId)
+    const below = siblings[siblings.indexOf(layer) - 1]
+    if (!below) return // nothing below to merge into
+    try {
+      const pixels = await rasterizeLayers(canvasGroupRef.current, history.doc, [below.id, id], { layerStyle: [id] })
+      const removed = [layer, ...descendantsOf(layers, id), ...descendantsOf(layers, below.id)].map(l => l.id)
+      commit(mergedLayerOp(history.doc, below.id, removed, pixels), `Merge "${layer.name}" down`)
+      setActiveLayerId(below.id)
+      setEditingMask(false)
+    } catch (err) {
+      alert(`Could not merge layers: ${err.message}`)
+    }
   }
 
   function mergeUp(id) {
-    const idx = layers.findIndex(l => l.id === id);
-    if (idx <= 0) return; // cannot merge topmost layer up
+    const layer = findLayer(id)
+    const siblings = childrenOf(layers, layer.parentId)
+    const above = siblings[siblings.indexOf(layer) + 1]
+    if (above) mergeDown(above.id)
+  }
 
-    const upperLayer = layers[idx - 1];
-    const currentLayer = layers[idx];
+  // Composites every visible layer into one image layer, in place of the
+  // lowest of them. With `flatten`, hidden layers are discarded as well.
+  async function mergeVisible({ flatten = false } = {}) {
+    const top = childrenOf(layers)
+    // clipped to a hidden layer, these show nothing and are left alone
+    const shown = top.filter(l => l.visible && !(l.clip && top[clipBaseIndex(top, top.indexOf(l))]?.visible === false))
+    if (!shown.length) return
+    const keep = shown[0]
+    const dropped = flatten ? top.filter(l => l !== keep) : shown.slice(1)
+    const removed = [...dropped.flatMap(l => [l, ...descendantsOf(layers, l.id)]), ...descendantsOf(layers, keep.id)].map(l => l.id)
+    try {
+      const pixels = await rasterizeLayers(canvasGroupRef.current, history.doc, shown.map(l => l.id), { layerStyle: true })
+      const props = { opacity: 1, blend: 'normal', clip: false }
+      commit(mergedLayerOp(history.doc, keep.id, removed, pixels, props), flatten ? 'Flatten image' : 'Merge visible')
+      setActiveLayerId(keep.id)
+      setEditingMask(false)
+    } catch (err) {
+      alert(`Could not merge layers: ${err.message}`)
+    }
+  }
 
-    // Merge lines (strokes)
-    const mergedLines = {
-      ...lines,
-      [upperLayer.id]: [
-        ...(lines[upperLayer.id] || []),
-        ...(lines[currentLayer.id] || [])
-      ]
-    };
+  const activeLayer = findLayer(activeLayerId) || layers[0]
+  const maskTarget = editingMask ? activeLayer.mask : null
+  const paintColor = maskTarget ? '#000000' : brushColor
+  const activeGroupBounds = isGroup(activeLayer) ? layerBounds(history.doc, activeLayer.id) : null
+  // the Transform tool's session while the canvas shows it, in place of its layer
+  const transformShown = transformSession?.applying || (
+    tool === 'transform' &&
+    transformSession?.layerId === activeLayerId &&
+    transformSession.doc === history.doc &&
+    transformSession.selection === selection
+  )
+  const transforming = transformShown && transformSession.source ? transformSession : null
+  const transformPending = !!transforming && !transforming.applying && !isIdentity(transforming.transform)
 
-    // Merge images/shapes: for simplicity, copy the current layer's shapes into upper layer
-    const mergedLayers = layers.filter(l => l.id !== id);
-    setLines(mergedLines);
-    setLayers(mergedLayers);
-    setActiveLayerId(upperLayer.id);
-    pushHistory();
+  // Canvas-space groups follow the view: pivot at the canvas center
+  const viewTransform = {
+    x: canvasPos.x + centerX,
+    y: canvasPos.y + centerY,
+    scaleX: canvasScale,
+    scaleY: canvasScale,
+    rotation: canvasRotation,
+    offsetX: centerX,
+    offsetY: centerY,
   }
 
-  function mergeDown(id) {
-    const idx = layers.findIndex(l => l.id === id);
-    if (idx === layers.length - 1) return; // cannot merge bottommost layer down
+  // Screen pixels per document pixel, which the stroke rasters are kept at
+  const rasterResolution = canvasScale * (window.devicePixelRatio || 1)
 
-    const lowerLayer = layers[idx + 1];
-    const currentLayer = layers[idx];
+  // One LayerGroup per layer; a group's holds those of its children. While
+  // the Transform tool holds a layer, the moved pixels stand in for its
+  // content, so renders of the document (thumbnails, exports) show them too.
+  function renderLayer(layer) {
+    const liveStroke = layer.id === activeLayerId && !maskTarget ? currentStroke : null
+    const cutsContent = erasesContent(layer, lines[layer.id] || [], liveStroke)
+    const preview = transforming?.layerId === layer.id ? transforming : null
+    return (
+      <LayerGroup
+        key={layer.id}
+        layerId={layer.id}
+        visible={layer.visible}
+        layerOpacity={layer.opacity}
+        layerBlend={blendToComposite(layer.blend)}
+        layerClip={!!layer.clip}
+        layerIsolated={cutsContent}
+        layerMask={layer.mask?.enabled ? (ctx) => drawLayerMask(ctx, layer.mask.id, lines[layer.mask.id] || [], {
+          width: canvasWidth,
+          height: canvasHeight,
+          inverted: layer.mask.inverted,
+          liveStroke: maskTarget === layer.mask ? currentStroke : null,
+          resolution: rasterResolution,
+        }) : null}
+      >
+        <Group visible={!preview}>
+          {isGroup(layer) && childrenOf(layers, layer.id).map(renderLayer)}
+
+          {layer.type === 'image' || layer.type === 'text' || layer.isShape ? (
+            <KonvaImage
+              layer={layer}
+              isSelected={activeLayerId === layer.id && tool !== 'transform'}
+              isEditing={textEditing?.layerId === layer.id}
+              onSelect={() => selectLayer(layer.id)}
+              onEdit={() => { selectLayer(layer.id); setTextEditing({ layerId: layer.id }) }}
+              onChange={(props, label) => updateLayer(layer.id, props, label)}
+              snap={layerSnapping(layer.id)}
+            />
+          ) : null}
 
-    const mergedLines = {
-      ...lines,
-      [lowerLayer.id]: [
-        ...(lines[lowerLayer.id] || []),
-        ...(lines[currentLayer.id] || [])
-      ]
-    };
+          {/* committed strokes come from the layer's cached bitmap, painted over its content */}
+          {!isGroup(layer) && (
+            <Shape
+              sceneFunc={(ctx) => drawLayerStrokes(ctx._context, layer.id, lines[layer.id] || [], {
+                width: canvasWidth,
+                height: canvasHeight,
+                liveStroke,
+                cutsContent,
+                resolution: rasterResolution,
+              })}
+              listening={false}
+            />
+          )}
+        </Group>
 
-    const mergedLayers = layers.filter(l => l.id !== id);
-    setLines(mergedLines);
-    setLayers(mergedLayers);
-    setActiveLayerId(lowerLayer.id);
-    pushHistory();
+        {preview && (
+          <Shape
+            sceneFunc={(ctx) => {
+              if (preview.base) ctx._context.drawImage(preview.base, 0, 0)
+              drawTransformed(ctx._context, preview.source, preview.transform)
+            }}
+            listening={false}
+          />
+        )}
+      </LayerGroup>
+    )
   }
 
-  function blendToComposite(blend) {
-    switch (blend) {
-      case 'multiply': return 'multiply'
-      case 'screen': return 'screen'
-      default: return 'source-over'
+  // Outline of the marquee or lasso being drawn
+  function renderSelectionDraft() {
+    const { tool: draftTool, start, end, points } = selectionDraft
+    const outline = { stroke: '#2563eb', strokeWidth: 1, strokeScaleEnabled: false, dash: [4, 4] }
+    if (draftTool === 'selectRect' || draftTool === 'selectEllipse') {
+      const box = { x: Math.min(start.x, end.x), y: Math.min(start.y, end.y), width: Math.abs(end.x - start.x), height: Math.abs(end.y - start.y) }
+      if (draftTool === 'selectRect') return <Rect {...box} {...outline} />
+      return <Ellipse x={box.x + box.width / 2} y={box.y + box.height / 2} radiusX={box.width / 2} radiusY={box.height / 2} {...outline} />
     }
+    // the polygonal lasso follows the pointer from its last corner
+    const shown = draftTool === 'polygonLasso' ? points.concat(end.x, end.y) : points
+    return <Line points={shown} closed {...outline} />
   }
 
-  const activeLayer = findLayer(activeLayerId) || layers[0]
+  // Guides live in the document, so adding, moving and removing them can be undone
+  function setGuides(guides, label) {
+    commit({ type: 'updateCanvas', props: { guides } }, label)
+  }
+
+  function addGuide(axis, position) {
+    setGuides([...(canvas.guides || []), createGuide(axis, position)], 'Add guide')
+  }
+
+  function moveGuide(id, position) {
+    setGuides(canvas.guides.map(g => (g.id === id ? { ...g, position: Math.round(position) } : g)), 'Move guide')
+  }
+
+  function removeGuide(id) {
+    setGuides(canvas.guides.filter(g => g.id !== id), 'Remove guide')
+  }
+
+  function changeGuideSettings(settings) {
+    setGuideSettings(settings)
+    saveGuideSettings(settings)
+  }
+
+  // Snapping to guides, grid, canvas edges and other layers. Targets are
+  // gathered once when a drag starts; `excludeId` is the layer being moved.
+  function startSnapping(excludeId = null) {
+    snapTargetsRef.current = snapTargets(history.doc, guideSettings, excludeId)
+  }
+
+  function snapCanvasPoint(point) {
+    if (!snapTargetsRef.current) return point
+    return snapPoint(point, snapTargetsRef.current, SNAP_DISTANCE / canvasScale)
+  }
+
+  function layerSnapping(layerId) {
+    return {
+      start: () => startSnapping(layerId),
+      // a dragged node moves so its nearest edge or center lands on a target
+      node: (node) => {
+        if (!snapTargetsRef.current) return
+        const box = node.getClientRect({ relativeTo: canvasGroupRef.current, skipShadow: true })
+        const { dx, dy } = snapBox(box, snapTargetsRef.current, SNAP_DISTANCE / canvasScale)
+        node.position({ x: node.x() + dx, y: node.y() + dy })
+      },
+      // transform handles, in stage coordinates
+      anchor: (oldPos, pos) => {
+        const transform = canvasGroupRef.current.getAbsoluteTransform()
+        return transform.point(snapCanvasPoint(transform.copy().invert().point(pos)))
+      },
+    }
+  }
+
+  // View navigation, see viewNavigation.js
+  const currentView = { pos: canvasPos, scale: canvasScale, rotation: canvasRotation }
+  const canvasCenter = { x: centerX, y: centerY }
+  const viewportMiddle = { x: viewport.width / 2, y: viewport.height / 2 }
+
+  function setView({ pos, scale, rotation }) {
+    if (pos) setCanvasPos(pos)
+    if (scale != null) setCanvasScale(scale)
+    if (rotation != null) setCanvasRotation(rotation)
+  }
+
+  // Zooms about the middle of the window
+  function zoomTo(scale) {
+    setView(zoomViewAbout(currentView, scale, viewportMiddle, canvasCenter))
+  }
+
+  function fitToScreen() {
+    setView(fitView(canvas, viewport.width, viewport.height, { enlarge: true }))
+  }
+
+  // Rotation back to 0°, keeping the canvas point in the middle of the window there
+  function resetRotation() {
+    const middle = stageToCanvas(currentView, viewportMiddle, canvasCenter)
+    setView({ rotation: 0, pos: viewPosFor({ ...currentView, rotation: 0 }, middle, viewportMiddle, canvasCenter) })
+  }
+
+  // Navigator: brings canvas point `point` to the middle of the window
+  function navigateTo(point) {
+    setCanvasPos(viewPosFor(currentView, point, viewportMiddle, canvasCenter))
+  }
+
+  function stagePoint(ev) {
+    const rect = stageRef.current.container().getBoundingClientRect()
+    return { x: ev.clientX - rect.left, y: ev.clientY - rect.top }
+  }
+
+  // Touch: a second finger turns the touch into a pinch (zoom, pan and rotate)
+  // and drops whatever the first one had started
+  function handleTouchDown(ev) {
+    const touches = touchesRef.current
+    touches.set(ev.pointerId, stagePoint(ev))
+    if (touches.size !== 2) return false
+    cancelPointerAction()
+    pinchRef.current = { view: currentView, touches: [...touches.values()] }
+    return true
+  }
+
+  function handleTouchMove(ev) {
+    const touches = touchesRef.current
+    if (!touches.has(ev.pointerId)) return false
+    touches.set(ev.pointerId, stagePoint(ev))
+    if (!pinchRef.current) return false
+    if (touches.size === 2) setView(pinchView(pinchRef.current, [...touches.values()], canvasCenter))
+    return true
+  }
+
+  function handleTouchUp(ev) {
+    touchesRef.current.delete(ev.pointerId)
+    if (!pinchRef.current) return false
+    if (touchesRef.current.size === 0) pinchRef.current = null
+    return true
+  }
+
+  function changeBindings(next) {
+    setBindings(next)
+    saveBindings(next)
+  }
 
   // Zoom/pan/rotate handlers
   const handleWheel = (e) => {
     e.evt.preventDefault()
-    const scaleBy = 1.05
-    const stage = stageRef.current
-    const oldScale = canvasScale
-    const pointer = stage.getPointerPosition()
-    const mousePointTo = {
-      x: (pointer.x - canvasPos.x) / oldScale,
-      y: (pointer.y - canvasPos.y) / oldScale
-    }
-    const direction = e.evt.deltaY > 0 ? -1 : 1
-    const newScale = direction > 0 ? oldScale * scaleBy : oldScale / scaleBy
-    setCanvasScale(newScale)
-    setCanvasPos({
-      x: pointer.x - mousePointTo.x * newScale,
-      y: pointer.y - mousePointTo.y * newScale
-    })
+    const pointer = stageRef.current.getPointerPosition()
+    const factor = e.evt.deltaY > 0 ? 1 / WHEEL_ZOOM_STEP : WHEEL_ZOOM_STEP
+    setView(zoomViewAbout(currentView, canvasScale * factor, pointer, canvasCenter))
   }
 
   return (
@@ -444,13 +1700,50 @@ export default function App() {
       <div className="w-16 bg-white border-r p-2 flex flex-col gap-2">
         <button onClick={() => setTool('brush')} className={`p-2 rounded ${tool === 'brush' ? 'bg-gray-200' : ''}`}>✏️</button>
         <button onClick={() => setTool('eraser')} className={`p-2 rounded ${tool === 'eraser' ? 'bg-gray-200' : ''}`}>🧽</button>
+        <button onClick={() => setTool('transform')} className={`p-2 rounded ${tool === 'transform' ? 'bg-gray-200' : ''}`} title="Transform">⤧</button>
+        <button onClick={() => setTool('crop')} className={`p-2 rounded ${tool === 'crop' ? 'bg-gray-200' : ''}`} title="Crop">⛶</button>
+        <button onClick={() => setTool('text')} className={`p-2 rounded font-serif ${tool === 'text' ? 'bg-gray-200' : ''}`} title="Text">T</button>
+        {SELECTION_TOOLS.map(({ type, label, icon }) => (
+          <button key={type} onClick={() => setTool(type)} className={`p-2 rounded ${tool === type ? 'bg-gray-200' : ''}`} title={label}>{icon}</button>
+        ))}
+        {FILL_TOOLS.map(({ type, label, icon }) => (
+          <button key={type} onClick={() => setTool(type)} className={`p-2 rounded ${tool === type ? 'bg-gray-200' : ''}`} title={label}>{icon}</button>
+        ))}
+        {SHAPE_TOOLS.map(({ type, label, icon }) => (
+          <button key={type} onClick={() => setTool(type)} className={`p-2 rounded ${tool === type ? 'bg-gray-200' : ''}`} title={label}>{icon}</button>
+        ))}
+        {tool === 'polygon' && (
+          <>
+            <label className="text-xs text-center">Sides</label>
+            <input
+              type="number"
+              min="3"
+              max="24"
+              value={polygonSides}
+              onChange={(e) => setPolygonSides(Math.min(24, Math.max(3, Number(e.target.value) || 3)))}
+              className="w-full text-sm"
+            />
+          </>
+        )}
+
+        <button
+          title="Brushes"
+          className={`p-2 rounded ${showBrushes ? 'bg-gray-200' : ''}`}
+          onClick={() => setShowBrushes(!showBrushes)}
+        >🖌</button>
+
+        <button
+          title="Colors"
+          className={`p-2 rounded ${showColors ? 'bg-gray-200' : ''}`}
+          onClick={() => setShowColors(!showColors)}
+        >🎨</button>
 
         {/* Brush size slider */}
         <label className="text-xs text-center">Size</label>
         <input
           type="range"
           min="1"
-          max="50"
+          max={MAX_BRUSH_SIZE}
           value={brushSize}
           onChange={(e) => setBrushSize(Number(e.target.value))}
           className="w-full"
@@ -468,16 +1761,58 @@ export default function App() {
           className="w-full"
         />
 
+        {/* Stroke smoothing / stabilizer */}
+        <label className="text-xs text-center" title="Curve smoothing of the rendered stroke">Smooth</label>
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.05"
+          value={smoothing}
+          onChange={(e) => setSmoothing(Number(e.target.value))}
+          className="w-full"
+        />
+        <label className="text-xs text-center" title="Pointer stabilization (lags behind the cursor)">Stabilize</label>
+        <input
+          type="range"
+          min="0"
+          max="0.9"
+          step="0.05"
+          value={stabilizer}
+          onChange={(e) => setStabilizer(Number(e.target.value))}
+          className="w-full"
+        />
+
+        {/* Pen pressure dynamics */}
+        <label className="text-xs" title="Pen pressure controls stroke width">
+          <input type="checkbox" checked={pressureSize} onChange={(e) => setPressureSize(e.target.checked)} /> P→size
+        </label>
+        <label className="text-xs" title="Pen pressure controls stroke opacity">
+          <input type="checkbox" checked={pressureOpacity} onChange={(e) => setPressureOpacity(e.target.checked)} /> P→opac.
+        </label>
+
         {/* Color picker button */}
         <label className="text-xs text-center">Color</label>
         <input
           type="color"
-          value={brushColor}
-          onChange={(e) => setBrushColor(e.target.value)}
+          value={brushColor.slice(0, 7)}
+          onChange={(e) => changeBrushColor(e.target.value)}
           className="w-full h-8 p-0 border rounded"
           title="Choose brush color"
         />
 
+        {/* Shape fill */}
+        <label className="text-xs text-center">
+          <input type="checkbox" checked={fillEnabled} onChange={(e) => setFillEnabled(e.target.checked)} /> Fill
+        </label>
+        <input
+          type="color"
+          value={fillColor}
+          onChange={(e) => { setFillColor(e.target.value); setFillEnabled(true) }}
+          className="w-full h-8 p-0 border rounded"
+          title="Choose shape fill color"
+        />
+
         {/* Layers button */}
         <button
           onClick={() => setShowLayers(!showLayers)}
@@ -485,18 +1820,164 @@ export default function App() {
         >
           🗂
         </button>
+        <button
+          onClick={() => setShowHistory(!showHistory)}
+          className="p-2 rounded hover:bg-gray-200"
+          title="History"
+        >
+          📜
+        </button>
+        <button
+          onClick={() => setShowFilters(!showFilters)}
+          className="p-2 rounded hover:bg-gray-200"
+          title="Adjustments (image layers)"
+        >
+          🎛
+        </button>
+
+        <input type="file" accept="image/*" multiple onChange={handleUpload} />
 
-        <input type="file" accept="image/*" onChange={handleUpload} />
+        {/* Document and canvas size */}
+        <button onClick={() => setShowNewDocument(true)} className="p-2 rounded hover:bg-gray-200" title="New document">📄</button>
+        <button onClick={() => setSizeDialog('canvas')} className="p-2 rounded hover:bg-gray-200" title="Image › Canvas size">⤢</button>
+        <button onClick={() => setSizeDialog('image')} className="p-2 rounded hover:bg-gray-200" title="Image › Image size">⇲</button>
+
+        {/* Project save / open */}
+        <button onClick={saveProject} className="p-2 rounded hover:bg-gray-200" title="Save project">💾</button>
+        <button onClick={() => projectInputRef.current.click()} className="p-2 rounded hover:bg-gray-200" title="Open project or OpenRaster file">📂</button>
+        <input ref={projectInputRef} type="file" accept={`${PROJECT_EXTENSION},${ORA_EXTENSION}`} onChange={openProject} hidden />
+        <button onClick={() => setShowExport(true)} className="p-2 rounded hover:bg-gray-200" title="Export image">⬇️</button>
+        <button onClick={showRecentDocuments} className="p-2 rounded hover:bg-gray-200" title="Recent documents">🕘</button>
+        <button onClick={() => setShowShortcuts(true)} className="p-2 rounded hover:bg-gray-200" title="Keyboard shortcuts">⌨️</button>
       </div>
 
       {/* Canvas */}
-      <div className="flex-1 flex justify-center items-center relative">
+      <div
+        ref={canvasAreaRef}
+        tabIndex={-1} // focusable, so the clipboard keys know the canvas is in use
+        className="flex-1 flex justify-center items-center relative overflow-hidden"
+        style={{ outline: 'none' }}
+        onDragOver={(e) => {
+          if (!e.dataTransfer.types.includes('Files')) return
+          e.preventDefault() // accept the drop
+          e.dataTransfer.dropEffect = 'copy'
+        }}
+        onDrop={handleDrop}
+      >
+        {tool === 'text' && (
+          <div className="absolute top-2 left-1/2 -translate-x-1/2 bg-white shadow rounded px-2 py-1 z-40">
+            <TextOptions
+              style={activeLayer.type === 'text' ? { ...textStyle, ...pick(activeLayer, TEXT_STYLE_KEYS) } : textStyle}
+              onChange={changeTextStyle}
+            />
+          </div>
+        )}
+        {(tool === 'bucket' || tool === 'gradient') && (
+          <div className="absolute top-2 left-1/2 -translate-x-1/2 bg-white shadow rounded px-2 py-1 z-40">
+            <FillOptions
+              tool={tool}
+              bucketOptions={bucketOptions}
+              setBucketOptions={setBucketOptions}
+              gradient={gradient}
+              setGradient={setGradient}
+              foreground={brushColor}
+              background={backgroundColor}
+            />
+          </div>
+        )}
+        {tool === 'transform' && (
+          <div className="absolute top-2 left-1/2 -translate-x-1/2 bg-white shadow rounded px-2 py-1 z-40">
+            <TransformOptions
+              mode={transformMode}
+              setMode={setTransformMode}
+              fields={transforming && !transforming.transform.corners ? transformFields(transforming.transform) : null}
+              onFields={(fields) => changeTransform(applyFields(transforming.transform, fields))}
+              onFlip={(axis) => changeTransform(flipTransform(transforming.transform, axis))}
+              onApply={() => applyTransform(transformSession)}
+              onCancel={cancelTransform}
+              pending={transformPending}
+              disabled={!transforming || transforming.applying}
+            />
+          </div>
+        )}
+        {isSelectionTool(tool) && (
+          <div className="absolute top-2 left-1/2 -translate-x-1/2 bg-white shadow rounded px-2 py-1 z-40">
+            <SelectionOptions
+              tool={tool}
+              mode={selectionMode}
+              setMode={setSelectionMode}
+              wandOptions={wandOptions}
+              setWandOptions={setWandOptions}
+              featherRadius={featherRadius}
+              setFeatherRadius={setFeatherRadius}
+              hasSelection={!!selection}
+              canPaste={!!clipboard}
+              transforming={transformingSelection}
+              actions={{
+                selectAll: selectAllCanvas,
+                deselect,
+                invert: invertCurrentSelection,
+                feather: featherCurrentSelection,
+                transform: () => setTransformingSelection(!transformingSelection),
+                copy: copyPixels,
+                cut: cutPixels,
+                paste: pasteAsLayer,
+                delete: () => deleteSelection(),
+              }}
+            />
+          </div>
+        )}
+        {/* Status bar: zoom and rotation */}
+        <div className="absolute bottom-2 right-2 bg-white shadow rounded px-2 py-1 z-40 flex items-center gap-2 text-xs">
+          <button onClick={() => zoomTo(canvasScale / ZOOM_STEP)} className="px-1 rounded bg-gray-200" title="Zoom out">−</button>
+          <select
+            value=""
+            onChange={(e) => (e.target.value === 'fit' ? fitToScreen() : zoomTo(Number(e.target.value)))}
+            title="Zoom"
+          >
+            <option value="" hidden>{Math.round(canvasScale * 100)}%</option>
+            {ZOOM_PRESETS.map(preset => (
+              <option key={preset} value={preset}>{preset * 100}%</option>
+            ))}
+            <option value="fit">Fit to window</option>
+          </select>
+          <button onClick={() => zoomTo(canvasScale * ZOOM_STEP)} className="px-1 rounded bg-gray-200" title="Zoom in">+</button>
+          <span title="View rotation (hold R and drag)">{Math.round(((canvasRotation % 360) + 360) % 360)}°</span>
+          <button onClick={resetRotation} disabled={canvasRotation % 360 === 0} className="px-1 rounded bg-gray-200 disabled:opacity-40" title="Reset rotation">⟲</button>
+          <button onClick={() => setShowNavigator(!showNavigator)} className={`px-1 rounded ${showNavigator ? 'bg-gray-300' : 'bg-gray-200'}`} title="Navigator">🧭</button>
+          <button onClick={() => setShowGuideOptions(!showGuideOptions)} className={`px-1 rounded ${showGuideOptions ? 'bg-gray-300' : 'bg-gray-200'}`} title="Rulers, guides and snapping">📐</button>
+        </div>
+        {showGuideOptions && (
+          <div className="absolute bottom-12 right-56 bg-white shadow-xl rounded-lg p-2 z-40">
+            <GuidesOptions
+              settings={guideSettings}
+              onChange={changeGuideSettings}
+              guideCount={canvas.guides?.length || 0}
+              onClearGuides={() => setGuides([], 'Clear guides')}
+            />
+          </div>
+        )}
+        {showNavigator && (
+          <div className="absolute bottom-12 right-2 bg-white shadow-xl rounded-lg p-2 z-40">
+            <NavigatorPanel
+              thumbnail={navigatorThumbnail}
+              canvas={canvas}
+              view={currentView}
+              viewport={viewport}
+              onNavigate={navigateTo}
+            />
+          </div>
+        )}
+
         <Stage
-          width={window.innerWidth}
-          height={window.innerHeight}
+          width={viewport.width}
+          height={viewport.height}
           ref={stageRef}
           onWheel={handleWheel}
-          onMouseDown={(e) => {
+          style={{ touchAction: 'none' }} // pens and fingers draw instead of scrolling
+          onPointerDown={(e) => {
+            canvasAreaRef.current.focus({ preventScroll: true })
+            if (e.evt.pointerType === 'touch' && handleTouchDown(e.evt)) return
             if (tool === 'rotate' && e.evt.button === 0) { // left button + rotate mode
               setIsRotating(true)
               setLastY(e.evt.clientY)
@@ -505,10 +1986,11 @@ export default function App() {
               setIsPanning(true)
               setLastPos({ x: e.evt.clientX, y: e.evt.clientY })
             } else {
-              handleMouseDown(e) // only brush/eraser with left click
+              handlePointerDown(e) // only brush/eraser with left click
             }
           }}
-          onMouseMove={(e) => {
+          onPointerMove={(e) => {
+            if (e.evt.pointerType === 'touch' && handleTouchMove(e.evt)) return
             if (isRotating) {
               const dy = e.evt.clientY - lastY
               setCanvasRotation(prev => prev + dy * 0.5) // adjust sensitivity
@@ -519,23 +2001,33 @@ export default function App() {
               setCanvasPos((prev) => ({ x: prev.x + dx, y: prev.y + dy }))
               setLastPos({ x: e.evt.clientX, y: e.evt.clientY })
             } else {
-              handleMouseMove(e)
+              handlePointerMove(e)
             }
           }}
-          onMouseUp={(e) => {
+          onPointerUp={(e) => {
+            if (e.evt.pointerType === 'touch' && handleTouchUp(e.evt)) return
             if (isRotating) setIsRotating(false)
             if (e.evt.button === 1) {
               setIsMiddleDown(false)
               setIsPanning(false)
             } else {
-              handleMouseUp(e)
+              handlePointerUp(e)
             }
           }}
-          onMouseLeave={handleMouseLeave}
+          onPointerLeave={(e) => {
+            if (e.evt.pointerType === 'touch' && handleTouchUp(e.evt)) return
+            handlePointerLeave()
+          }}
+          onPointerCancel={(e) => {
+            if (e.evt.pointerType === 'touch' && handleTouchUp(e.evt)) return
+            handlePointerLeave()
+          }}
+          onDblClick={() => tool === 'polygonLasso' && closePolygonLasso()}
+          onDblTap={() => tool === 'polygonLasso' && closePolygonLasso()}
         >
           {/* Background grid */}
           <Layer>
-            <Rect x={0} y={0} width={stageRef.current?.width() || 1000} height={stageRef.current?.height() || 800} fill="#888" />
+            <Rect x={0} y={0} width={viewport.width} height={viewport.height} fill="#888" />
             {[...Array(Math.ceil(2000 / 20))].map((_, i) => (
               <Line key={`v${i}`} points={[i * 20, 0, i * 20, 2000]} stroke="#aaa" strokeWidth={0.5} />
             ))}
@@ -544,14 +2036,15 @@ export default function App() {
             ))}
           </Layer>
 
-          {/* White canvas — separate Layer */}
+          {/* Canvas background — separate Layer */}
           <Layer>
             <Rect
               x={canvasPos.x + centerX}
               y={canvasPos.y + centerY}
               width={canvasWidth}
               height={canvasHeight}
-              fill="white"
+              fill={canvas.background === 'transparent' ? undefined : canvas.background}
+              fillPatternImage={canvas.background === 'transparent' ? checkerboardPattern() : undefined}
               shadowBlur={5}
               listening={false} // ignore pointer events
               scaleX={canvasScale}   // <- apply scaling
@@ -565,49 +2058,87 @@ export default function App() {
           {/* Strokes & images — draggable Group */}
           <Layer>
             <Group
-              x={canvasPos.x + centerX} // move pivot to center
-              y={canvasPos.y + centerY} // move pivot to center
-              scaleX={canvasScale}
-              scaleY={canvasScale}
-              rotation={canvasRotation}
-              offsetX={centerX} // set pivot to center
-              offsetY={centerY} // set pivot to center
+              {...viewTransform}
               ref={canvasGroupRef}
               draggable={isMiddleDown} // only draggable while middle mouse is down
               onDragEnd={(e) => setCanvasPos({ x: e.target.x(), y: e.target.y() })}
             >
-              {layers.map((layer) => (
-                <Group
-                  key={layer.id}
-                  visible={layer.visible}
-                  opacity={layer.opacity}
-                  globalCompositeOperation={blendToComposite(layer.blend)}
-                >
-                  {(lines[layer.id] || []).map((stroke) => (
-                    <Line
-                      key={stroke.id}
-                      points={stroke.points}
-                      stroke={stroke.mode === 'eraser' ? '#000' : stroke.color}
-                      strokeWidth={stroke.size}
-                      tension={stroke.mode === 'eraser' ? 0 : 0.5}
-                      lineCap="round"
-                      lineJoin="round"
-                      opacity={stroke.opacity}
-                      globalCompositeOperation={stroke.mode === 'eraser' ? 'destination-out' : 'source-over'}
-                      listening={stroke.mode === 'eraser' ? true : true} // eraser still reacts
-                    />
-                  ))}
-
-                  {layer.type === 'image' || layer.isShape ? (
-                    <KonvaImage
-                      layer={layer}
-                      isSelected={activeLayerId === layer.id}
-                      onSelect={() => setActiveLayerId(layer.id)}
-                      onChange={(updated) => setLayers(prev => prev.map(p => p.id === layer.id ? updated : p))}
-                    />
-                  ) : null}
-                </Group>
-              ))}
+              {childrenOf(layers).map(renderLayer)}
+
+              {/* Live preview of the shape being dragged out */}
+              {shapeDraft && <ShapeNode layer={shapeDraft.layer} listening={false} />}
+
+              {/* Transformers, kept out of the layers so blending and opacity don't touch them */}
+              <Group name="selection">
+                {transformingSelection && selection && (
+                  <GroupTransformer
+                    bounds={selection.bounds}
+                    getTarget={() => antsRef.current}
+                    onChange={transformCurrentSelection}
+                  />
+                )}
+                {!transformingSelection && tool !== 'transform' && isGroup(activeLayer) && activeGroupBounds && (
+                  <GroupTransformer
+                    bounds={activeGroupBounds}
+                    getTarget={() => layerNode(activeLayer.id)}
+                    onChange={(change) => transformGroup(activeLayer.id, change)}
+                  />
+                )}
+              </Group>
+
+              {/* Crop rectangle being dragged out */}
+              {cropDraft && (
+                <Rect
+                  {...cropDraft.rect}
+                  stroke="#2563eb"
+                  strokeWidth={1}
+                  strokeScaleEnabled={false}
+                  dash={[6, 4]}
+                  fill="rgba(37, 99, 235, 0.08)"
+                  listening={false}
+                />
+              )}
+            </Group>
+          </Layer>
+
+          {/* Transform tool: the picked-up layer, moved, with its handles */}
+          {transforming && (
+            <Layer>
+              <Group {...viewTransform}>
+                <FreeTransformBox
+                  transform={transforming.transform}
+                  scale={canvasScale}
+                  mode={transformMode}
+                  onChange={changeTransform}
+                />
+              </Group>
+            </Layer>
+          )}
+
+          {/* Rulers, grid and guides */}
+          <Layer>
+            <Group {...viewTransform}>
+              <GuidesLayer
+                canvas={canvas}
+                scale={canvasScale}
+                settings={guideSettings}
+                getTargets={() => snapTargets(history.doc, { ...guideSettings, snapToGuides: false })}
+                onAdd={addGuide}
+                onMove={moveGuide}
+                onRemove={removeGuide}
+              />
+            </Group>
+          </Layer>
+
+          {/* Selection outline, redrawn on its own while the ants march */}
+          <Layer ref={antsLayerRef} listening={false}>
+            <Group {...viewTransform}>
+              <Group ref={antsRef}>
+                {selection && (
+                  <Shape sceneFunc={(ctx) => drawMarchingAnts(ctx._context, selection, { scale: canvasScale, offset: antsOffsetRef.current })} />
+                )}
+              </Group>
+              {selectionDraft && renderSelectionDraft()}
             </Group>
           </Layer>
         </Stage>
@@ -618,16 +2149,129 @@ export default function App() {
         <div className="fixed top-4 right-4 w-72 bg-white shadow-xl rounded-lg p-3 z-50">
           <LayersPanel
             layers={layers}
-            setLayers={setLayers}
+            updateLayer={updateLayer}
             activeLayerId={activeLayerId}
-            setActiveLayerId={setActiveLayerId}
+            editingMask={editingMask}
+            selectLayer={selectLayer}
             addLayer={addLayer}
             deleteLayer={deleteLayer}
             reorderLayer={reorderLayer}
+            addMask={addMask}
+            deleteMask={deleteMask}
+            applyMask={applyMask}
+            moveLayer={moveLayer}
+            groupLayer={groupLayer}
+            ungroupLayer={ungroupLayer}
+            mergeGroup={mergeGroup}
+            mergeUp={mergeUp}
+            mergeDown={mergeDown}
+            mergeVisible={() => mergeVisible()}
+            flattenImage={() => mergeVisible({ flatten: true })}
+          />
+        </div>
+      )}
+
+      {/* Floating History Panel, next to the Layers Panel */}
+      {showHistory && (
+        <div className="fixed top-4 right-80 w-64 bg-white shadow-xl rounded-lg p-3 z-50">
+          <HistoryPanel
+            past={history.past}
+            future={history.future}
+            jumpTo={history.jumpTo}
+            snapshots={snapshots}
+            createSnapshot={createSnapshot}
+            restoreSnapshot={restoreSnapshot}
+            deleteSnapshot={(id) => setSnapshots(prev => prev.filter(s => s.id !== id))}
+            compareSnapshot={compareSnapshot}
           />
         </div>
       )}
 
+      {/* Floating Adjustments Panel for the active image layer */}
+      {showFilters && (
+        <div className="fixed bottom-4 right-4 w-72 bg-white shadow-xl rounded-lg p-3 z-50">
+          {activeLayer.type === 'image' ? (
+            <FiltersPanel layer={activeLayer} updateLayer={updateLayer} />
+          ) : (
+            <p className="text-sm text-gray-500">Select an image layer to add adjustments.</p>
+          )}
+        </div>
+      )}
+
+      {/* Floating Brushes Panel */}
+      {showBrushes && (
+        <div className="fixed top-4 left-20 w-72 bg-white shadow-xl rounded-lg p-3 z-50">
+          <BrushPanel
+            brush={brush}
+            setBrush={setBrush}
+            brushSize={brushSize}
+            setBrushSize={setBrushSize}
+            brushOpacity={brushOpacity}
+            setBrushOpacity={setBrushOpacity}
+          />
+        </div>
+      )}
+
+      {/* Floating Color Panel */}
+      {showColors && (
+        <div className="fixed bottom-4 left-20 w-64 bg-white shadow-xl rounded-lg p-3 z-50">
+          <ColorPanel
+            foreground={brushColor}
+            background={backgroundColor}
+            setForeground={changeBrushColor}
+            setBackground={setBackgroundColor}
+            swapColors={swapColors}
+            resetColors={resetColors}
+            recentColors={recentColors}
+          />
+        </div>
+      )}
+
+      {textEditing && (
+        <TextEditor
+          key={textEditing.layerId || 'new'}
+          {...textEditorProps()}
+          onFinish={finishText}
+          onCancel={() => setTextEditing(null)}
+        />
+      )}
+
+      {showShortcuts && (
+        <ShortcutsDialog bindings={bindings} onChange={changeBindings} onClose={() => setShowShortcuts(false)} />
+      )}
+
+      {showNewDocument && (
+        <NewDocumentDialog onCreate={createNewDocument} onClose={() => setShowNewDocument(false)} />
+      )}
+
+      {showExport && (
+        <ExportDialog
+          canvas={canvas}
+          activeLayer={activeLayer}
+          onExport={exportImage}
+          onClose={() => setShowExport(false)}
+        />
+      )}
+
+      {sizeDialog && (
+        <CanvasSizeDialog
+          key={sizeDialog}
+          mode={sizeDialog}
+          canvas={canvas}
+          onApply={applyCanvasSize}
+          onClose={() => setSizeDialog(null)}
+        />
+      )}
+
+      {showRecovery && (
+        <RecoveryDialog
+          documents={recentDocs}
+          onRestore={restoreDocument}
+          onDelete={removeRecentDocument}
+          onClose={() => setShowRecovery(false)}
+        />
+      )}
+
     </div>
   )
 }
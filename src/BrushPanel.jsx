@@ -0,0 +1,138 @@
+import React, { useRef, useState } from "react";
+import { BRUSH_TIPS, importTipImage } from "./brushTips";
+import {
+  BUILTIN_PRESETS,
+  createPreset,
+  loadUserPresets,
+  saveUserPresets,
+  serializeBrushPack,
+  parseBrushPack,
+} from "./brushPresets";
+import { downloadURL } from "./download";
+
+const BRUSH_PARAMS = [
+  { key: "hardness", label: "Hardness", min: 0, max: 1, step: 0.05 },
+  { key: "spacing", label: "Spacing", min: 0.02, max: 3, step: 0.01 },
+  { key: "flow", label: "Flow", min: 0.01, max: 1, step: 0.01 },
+  { key: "angle", label: "Angle", min: 0, max: 360, step: 1 },
+  { key: "sizeJitter", label: "Size jitter", min: 0, max: 1, step: 0.05 },
+  { key: "angleJitter", label: "Angle jitter", min: 0, max: 1, step: 0.05 },
+  { key: "opacityJitter", label: "Opacity jitter", min: 0, max: 1, step: 0.05 },
+  { key: "scatter", label: "Scatter", min: 0, max: 5, step: 0.1 },
+];
+
+// Brush presets and the tip/dynamics editor for the brush and eraser.
+// Brush settings are tool state, not document state, so nothing here is undoable.
+export default function BrushPanel({ brush, setBrush, brushSize, setBrushSize, brushOpacity, setBrushOpacity }) {
+  const [userPresets, setUserPresets] = useState(loadUserPresets);
+  const tipInputRef = useRef();
+  const packInputRef = useRef();
+
+  function updatePresets(next) {
+    setUserPresets(next);
+    saveUserPresets(next);
+  }
+
+  function applyPreset(preset) {
+    setBrush(preset.brush);
+    if (preset.size != null) setBrushSize(preset.size);
+    if (preset.opacity != null) setBrushOpacity(preset.opacity);
+  }
+
+  function savePreset() {
+    const name = prompt("Preset name", "My brush");
+    if (!name) return;
+    updatePresets([...userPresets, createPreset(name, { size: brushSize, opacity: brushOpacity, brush })]);
+  }
+
+  async function importTip(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      setBrush({ ...brush, tip: "custom", tipImage: await importTipImage(file) });
+    } catch (err) {
+      alert(err.message);
+    }
+  }
+
+  function exportPack() {
+    const url = URL.createObjectURL(new Blob([serializeBrushPack(userPresets)], { type: "application/json" }));
+    downloadURL(url, "brushes.json");
+    URL.revokeObjectURL(url);
+  }
+
+  async function importPack(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      updatePresets([...userPresets, ...parseBrushPack(await file.text())]);
+    } catch (err) {
+      alert(`Could not import brushes: ${err.message}`);
+    }
+  }
+
+  return (
+    <div className="flex flex-col gap-2">
+      <h2 className="font-bold">Brushes</h2>
+
+      <div className="space-y-1 max-h-40 overflow-y-auto">
+        {[...BUILTIN_PRESETS, ...userPresets].map((preset) => (
+          <div key={preset.id} className="flex justify-between items-center text-sm">
+            <button onClick={() => applyPreset(preset)} className="text-left flex-1 px-1 rounded hover:bg-gray-100">
+              {preset.name}
+            </button>
+            {!preset.builtin && (
+              <button
+                onClick={() => updatePresets(userPresets.filter((p) => p.id !== preset.id))}
+                className="text-red-500 text-xs"
+              >
+                Delete
+              </button>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="flex gap-1 text-xs">
+        <button onClick={savePreset} className="px-2 py-1 bg-blue-500 text-white rounded">Save as preset</button>
+        <button onClick={exportPack} disabled={userPresets.length === 0} className="px-2 py-1 bg-gray-200 rounded">
+          Export
+        </button>
+        <button onClick={() => packInputRef.current.click()} className="px-2 py-1 bg-gray-200 rounded">Import</button>
+        <input ref={packInputRef} type="file" accept=".json,application/json" hidden onChange={importPack} />
+      </div>
+
+      <label className="text-xs flex items-center gap-2">
+        Tip
+        <select
+          value={brush.tip}
+          onChange={(e) => setBrush({ ...brush, tip: e.target.value })}
+          className="text-sm flex-1"
+        >
+          {BRUSH_TIPS.map(({ value, label }) => (
+            <option key={value} value={value} disabled={value === "custom" && !brush.tipImage}>{label}</option>
+          ))}
+        </select>
+        <button onClick={() => tipInputRef.current.click()} className="px-1 bg-gray-200 rounded">PNG…</button>
+        <input ref={tipInputRef} type="file" accept="image/png" hidden onChange={importTip} />
+      </label>
+
+      {BRUSH_PARAMS.map((param) => (
+        <label key={param.key} className="block text-xs">
+          {param.label}: {brush[param.key]}
+          <input
+            type="range"
+            min={param.min}
+            max={param.max}
+            step={param.step}
+            value={brush[param.key]}
+            onChange={(e) => setBrush({ ...brush, [param.key]: Number(e.target.value) })}
+            className="w-full"
+          />
+        </label>
+      ))}
+    </div>
+  );
+}
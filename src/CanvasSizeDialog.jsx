@@ -0,0 +1,87 @@
+import React, { useState } from "react";
+import { ANCHORS, MAX_CANVAS_SIZE, clampCanvasSize } from "./canvasSize";
+
+// Image > Canvas Size (mode "canvas": add or trim around an anchor) and
+// Image > Image Size (mode "image": resample everything to the new size).
+export default function CanvasSizeDialog({ mode, canvas, onApply, onClose }) {
+  const [width, setWidth] = useState(canvas.width);
+  const [height, setHeight] = useState(canvas.height);
+  const [keepRatio, setKeepRatio] = useState(mode === "image");
+  const [anchor, setAnchor] = useState([0.5, 0.5]);
+  const ratio = canvas.width / canvas.height;
+
+  function changeWidth(value) {
+    setWidth(value);
+    if (keepRatio) setHeight(clampCanvasSize(value / ratio));
+  }
+
+  function changeHeight(value) {
+    setHeight(value);
+    if (keepRatio) setWidth(clampCanvasSize(value * ratio));
+  }
+
+  function apply(e) {
+    e.preventDefault();
+    onApply({ width: clampCanvasSize(width), height: clampCanvasSize(height), anchor });
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
+      <form onSubmit={apply} className="w-72 bg-white shadow-xl rounded-lg p-4 flex flex-col gap-3 text-sm">
+        <h2 className="font-bold">{mode === "image" ? "Image size" : "Canvas size"}</h2>
+        <p className="text-xs text-gray-500">Current: {canvas.width}×{canvas.height} px</p>
+
+        <div className="flex gap-2">
+          <label className="flex flex-col gap-1 flex-1">
+            Width (px)
+            <input
+              type="number"
+              min="1"
+              max={MAX_CANVAS_SIZE}
+              value={width}
+              onChange={(e) => changeWidth(e.target.value)}
+              className="border rounded px-1"
+            />
+          </label>
+          <label className="flex flex-col gap-1 flex-1">
+            Height (px)
+            <input
+              type="number"
+              min="1"
+              max={MAX_CANVAS_SIZE}
+              value={height}
+              onChange={(e) => changeHeight(e.target.value)}
+              className="border rounded px-1"
+            />
+          </label>
+        </div>
+
+        <label className="flex items-center gap-1">
+          <input type="checkbox" checked={keepRatio} onChange={(e) => setKeepRatio(e.target.checked)} />
+          Keep aspect ratio
+        </label>
+
+        {mode === "canvas" && (
+          <div className="flex items-center gap-3">
+            Anchor
+            <div className="grid grid-cols-3 gap-1">
+              {ANCHORS.map((a) => (
+                <button
+                  key={a.join()}
+                  type="button"
+                  onClick={() => setAnchor(a)}
+                  className={`w-6 h-6 border rounded ${a[0] === anchor[0] && a[1] === anchor[1] ? "bg-blue-500" : "bg-gray-100"}`}
+                />
+              ))}
+            </div>
+          </div>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-2 py-1 bg-gray-200 rounded">Cancel</button>
+          <button type="submit" className="px-2 py-1 bg-blue-500 text-white rounded">Apply</button>
+        </div>
+      </form>
+    </div>
+  );
+}
@@ -0,0 +1,264 @@
+import React, { useRef, useState } from "react";
+import { parseHex, formatHex, rgbToHsv, hsvToRgb, rgbToHsl, hslToRgb } from "./colors";
+import {
+  PALETTE_EXTENSIONS,
+  loadPalettes,
+  savePalettes,
+  createPalette,
+  paletteColor,
+  serializeGPL,
+  serializeASE,
+  importPalette,
+} from "./palettes";
+import { downloadURL } from "./download";
+
+const HUE_GRADIENT = "linear-gradient(to right, #f00, #ff0, #0f0, #0ff, #00f, #f0f, #f00)";
+
+// Foreground/background colors, an HSV picker with numeric RGB/HSL/HEX entry
+// and alpha, recent colors and swatch palettes. Colors are tool state, not
+// document state, so nothing here is undoable.
+export default function ColorPanel({ foreground, background, setForeground, setBackground, swapColors, resetColors, recentColors }) {
+  const [target, setTarget] = useState("foreground"); // which of the two colors is edited
+  const [hue, setHue] = useState(0); // kept for greys, which have no hue of their own
+  const [hexDraft, setHexDraft] = useState(null); // HEX field text while it is being typed
+  const [palettes, setPalettes] = useState(loadPalettes);
+  const [paletteId, setPaletteId] = useState(() => palettes[0]?.id);
+  const squareRef = useRef();
+  const importRef = useRef();
+
+  const color = target === "foreground" ? foreground : background;
+  const setColor = target === "foreground" ? setForeground : setBackground;
+  const rgba = parseHex(color) || { r: 0, g: 0, b: 0, a: 1 };
+  const hsv = rgbToHsv(rgba);
+  if (hsv.s === 0 || hsv.v === 0) hsv.h = hue;
+  const hsl = rgbToHsl(rgba);
+  const palette = palettes.find((p) => p.id === paletteId) || palettes[0];
+
+  function changeRgb(rgb, alpha = rgba.a) {
+    setColor(formatHex({ ...rgb, a: alpha }));
+  }
+
+  function changeHsv(next) {
+    setHue(next.h);
+    changeRgb(hsvToRgb(next));
+  }
+
+  function pickFromSquare(e) {
+    const rect = squareRef.current.getBoundingClientRect();
+    const s = Math.min(1, Math.max(0, (e.clientX - rect.left) / rect.width));
+    const v = Math.min(1, Math.max(0, 1 - (e.clientY - rect.top) / rect.height));
+    changeHsv({ h: hsv.h, s, v });
+  }
+
+  function commitHex() {
+    const parsed = hexDraft != null && parseHex(hexDraft);
+    if (parsed) setColor(formatHex(parsed));
+    setHexDraft(null);
+  }
+
+  function updatePalettes(next) {
+    setPalettes(next);
+    savePalettes(next);
+  }
+
+  function updatePalette(props) {
+    updatePalettes(palettes.map((p) => (p.id === palette.id ? { ...p, ...props } : p)));
+  }
+
+  function newPalette() {
+    const name = prompt("Palette name", "My palette");
+    if (!name) return;
+    const created = createPalette(name);
+    updatePalettes([...palettes, created]);
+    setPaletteId(created.id);
+  }
+
+  function deletePalette() {
+    if (!palette || !confirm(`Delete palette "${palette.name}"?`)) return;
+    const next = palettes.filter((p) => p.id !== palette.id);
+    updatePalettes(next);
+    setPaletteId(next[0]?.id);
+  }
+
+  function addSwatch() {
+    if (!palette) return;
+    updatePalette({ colors: [...palette.colors, paletteColor(color)] });
+  }
+
+  function removeSwatch(index) {
+    updatePalette({ colors: palette.colors.filter((_, i) => i !== index) });
+  }
+
+  function exportPalette(format) {
+    const data = format === ".ase" ? serializeASE(palette) : serializeGPL(palette);
+    const type = format === ".ase" ? "application/octet-stream" : "text/plain";
+    const url = URL.createObjectURL(new Blob([data], { type }));
+    downloadURL(url, `${palette.name}${format}`);
+    URL.revokeObjectURL(url);
+  }
+
+  async function importPaletteFile(e) {
+    const file = e.target.files[0];
+    e.target.value = "";
+    if (!file) return;
+    try {
+      const imported = await importPalette(file);
+      updatePalettes([...palettes, imported]);
+      setPaletteId(imported.id);
+    } catch (err) {
+      alert(`Could not import ${file.name}: ${err.message}`);
+    }
+  }
+
+  const numberField = (label, value, max, onChange) => (
+    <label className="flex flex-col items-center text-xs">
+      {label}
+      <input
+        type="number"
+        min="0"
+        max={max}
+        value={Math.round(value)}
+        onChange={(e) => onChange(Math.min(max, Math.max(0, Number(e.target.value) || 0)))}
+        className="w-12 text-sm"
+      />
+    </label>
+  );
+
+  return (
+    <div className="flex flex-col gap-2">
+      <h2 className="font-bold">Color</h2>
+
+      {/* Foreground / background */}
+      <div className="flex items-end gap-2">
+        <div className="relative w-12 h-12">
+          <button
+            onClick={() => setTarget("background")}
+            className={`absolute right-0 bottom-0 w-8 h-8 border-2 rounded ${target === "background" ? "border-blue-500" : "border-gray-400"}`}
+            style={{ background }}
+            title="Background color"
+          />
+          <button
+            onClick={() => setTarget("foreground")}
+            className={`absolute left-0 top-0 w-8 h-8 border-2 rounded ${target === "foreground" ? "border-blue-500" : "border-gray-400"}`}
+            style={{ background: foreground }}
+            title="Foreground color"
+          />
+        </div>
+        <button onClick={swapColors} className="px-1 text-sm bg-gray-200 rounded" title="Swap colors (X)">⇄</button>
+        <button onClick={resetColors} className="px-1 text-sm bg-gray-200 rounded" title="Black and white">◩</button>
+      </div>
+
+      {/* Saturation / value square and hue */}
+      <div
+        ref={squareRef}
+        className="relative w-full h-32 rounded cursor-crosshair touch-none"
+        style={{ background: `hsl(${hsv.h}, 100%, 50%)` }}
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture(e.pointerId);
+          pickFromSquare(e);
+        }}
+        onPointerMove={(e) => e.buttons === 1 && pickFromSquare(e)}
+      >
+        <div className="absolute inset-0 rounded" style={{ background: "linear-gradient(to right, #fff, rgba(255,255,255,0))" }} />
+        <div className="absolute inset-0 rounded" style={{ background: "linear-gradient(to top, #000, rgba(0,0,0,0))" }} />
+        <div
+          className="absolute w-3 h-3 -ml-1.5 -mt-1.5 border-2 border-white rounded-full shadow pointer-events-none"
+          style={{ left: `${hsv.s * 100}%`, top: `${(1 - hsv.v) * 100}%` }}
+        />
+      </div>
+      <input
+        type="range"
+        min="0"
+        max="359"
+        value={Math.round(hsv.h)}
+        onChange={(e) => changeHsv({ ...hsv, h: Number(e.target.value) })}
+        className="w-full"
+        style={{ background: HUE_GRADIENT }}
+        title="Hue"
+      />
+      <label className="text-xs flex items-center gap-2">
+        Alpha
+        <input
+          type="range"
+          min="0"
+          max="1"
+          step="0.01"
+          value={rgba.a}
+          onChange={(e) => changeRgb(rgba, Number(e.target.value))}
+          className="flex-1"
+        />
+        {Math.round(rgba.a * 100)}%
+      </label>
+
+      {/* Numeric entry */}
+      <label className="text-xs flex items-center gap-2">
+        HEX
+        <input
+          type="text"
+          value={hexDraft ?? color}
+          onChange={(e) => setHexDraft(e.target.value)}
+          onBlur={commitHex}
+          onKeyDown={(e) => e.key === "Enter" && commitHex()}
+          className="flex-1 text-sm font-mono border rounded px-1"
+        />
+      </label>
+      <div className="flex justify-between">
+        {numberField("R", rgba.r, 255, (r) => changeRgb({ ...rgba, r }))}
+        {numberField("G", rgba.g, 255, (g) => changeRgb({ ...rgba, g }))}
+        {numberField("B", rgba.b, 255, (b) => changeRgb({ ...rgba, b }))}
+      </div>
+      <div className="flex justify-between">
+        {numberField("H", hsl.h, 359, (h) => { setHue(h); changeRgb(hslToRgb({ ...hsl, h })); })}
+        {numberField("S %", hsl.s * 100, 100, (s) => changeRgb(hslToRgb({ ...hsl, s: s / 100 })))}
+        {numberField("L %", hsl.l * 100, 100, (l) => changeRgb(hslToRgb({ ...hsl, l: l / 100 })))}
+      </div>
+
+      {/* Recent colors */}
+      {recentColors.length > 0 && (
+        <div className="flex flex-wrap gap-1" title="Recent colors">
+          {recentColors.map((recent) => (
+            <button key={recent} onClick={() => setColor(recent)} className="w-4 h-4 border rounded-sm" style={{ background: recent }} title={recent} />
+          ))}
+        </div>
+      )}
+
+      {/* Swatch palettes */}
+      <div className="flex gap-1 items-center text-xs">
+        <select value={palette?.id || ""} onChange={(e) => setPaletteId(e.target.value)} className="flex-1 text-sm">
+          {palettes.map((p) => (
+            <option key={p.id} value={p.id}>{p.name}</option>
+          ))}
+        </select>
+        <button onClick={newPalette} className="px-1 bg-gray-200 rounded" title="New palette">＋</button>
+        <button onClick={deletePalette} disabled={!palette} className="px-1 bg-gray-200 rounded" title="Delete palette">🗑</button>
+      </div>
+      {palette && (
+        <div className="flex flex-wrap gap-1">
+          {palette.colors.map((swatch, index) => (
+            <button
+              key={index}
+              onClick={() => setColor(swatch.color)}
+              onContextMenu={(e) => {
+                e.preventDefault();
+                removeSwatch(index);
+              }}
+              className="w-5 h-5 border rounded-sm"
+              style={{ background: swatch.color }}
+              title={`${swatch.name || swatch.color} (right-click to remove)`}
+            />
+          ))}
+          <button onClick={addSwatch} className="w-5 h-5 border rounded-sm text-xs leading-none" title="Add the current color">+</button>
+        </div>
+      )}
+      <div className="flex gap-1 text-xs">
+        <button onClick={() => importRef.current.click()} className="px-2 py-1 bg-gray-200 rounded">Import</button>
+        <input ref={importRef} type="file" accept={PALETTE_EXTENSIONS.join(",")} hidden onChange={importPaletteFile} />
+        {PALETTE_EXTENSIONS.map((format) => (
+          <button key={format} onClick={() => exportPalette(format)} disabled={!palette} className="px-2 py-1 bg-gray-200 rounded">
+            Export {format}
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
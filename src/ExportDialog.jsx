@@ -0,0 +1,114 @@
+import React, { useState } from "react";
+import { EXPORT_FORMATS } from "./exportDocument";
+
+const SCALES = [0.25, 0.5, 1, 2, 3, 4];
+
+export default function ExportDialog({ canvas, activeLayer, onExport, onClose }) {
+  const [format, setFormat] = useState("png");
+  const [quality, setQuality] = useState(0.92);
+  const [scale, setScale] = useState(1);
+  const [transparent, setTransparent] = useState(canvas.background === "transparent");
+  const [scope, setScope] = useState("document");
+  const [busy, setBusy] = useState(false);
+  const type = EXPORT_FORMATS.find((f) => f.value === format);
+
+  async function submit(e) {
+    e.preventDefault();
+    setBusy(true);
+    try {
+      await onExport({ format, quality, scale, transparent: type.alpha && transparent, scope });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
+      <form onSubmit={submit} className="w-80 bg-white shadow-xl rounded-lg p-4 flex flex-col gap-3 text-sm">
+        <h2 className="font-bold">Export</h2>
+
+        <label className="flex flex-col gap-1">
+          Format
+          <select value={format} onChange={(e) => setFormat(e.target.value)} className="border rounded">
+            {EXPORT_FORMATS.map((f) => (
+              <option key={f.value} value={f.value}>{f.label}</option>
+            ))}
+          </select>
+        </label>
+        {format === "svg" && (
+          <p className="text-xs text-gray-500">
+            Strokes, shapes and text stay vector; erased or textured strokes and layer masks are embedded as images.
+          </p>
+        )}
+
+        {type.layered && (
+          <p className="text-xs text-gray-500">
+            Keeps every layer with its name, visibility, opacity and blend mode, for desktop painting tools.
+          </p>
+        )}
+
+        {type.quality && (
+          <label className="flex flex-col gap-1">
+            Quality: {Math.round(quality * 100)}%
+            <input
+              type="range"
+              min="0.1"
+              max="1"
+              step="0.01"
+              value={quality}
+              onChange={(e) => setQuality(Number(e.target.value))}
+            />
+          </label>
+        )}
+
+        {!type.layered && (
+          <>
+            <label className="flex flex-col gap-1">
+              Scale
+              <select value={scale} onChange={(e) => setScale(Number(e.target.value))} className="border rounded">
+                {SCALES.map((s) => (
+                  <option key={s} value={s}>
+                    {s * 100}% ({Math.round(canvas.width * s)}×{Math.round(canvas.height * s)})
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <label className="flex items-center gap-1">
+              <input
+                type="checkbox"
+                checked={type.alpha && transparent}
+                disabled={!type.alpha}
+                onChange={(e) => setTransparent(e.target.checked)}
+              />
+              Transparent background
+            </label>
+
+            <fieldset className="flex flex-col gap-1">
+              <legend className="mb-1">Content</legend>
+              <label className="flex items-center gap-1">
+                <input type="radio" checked={scope === "document"} onChange={() => setScope("document")} />
+                Whole document
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="radio" checked={scope === "layer"} onChange={() => setScope("layer")} />
+                Selected layer ({activeLayer.name})
+              </label>
+              <label className="flex items-center gap-1">
+                <input type="radio" checked={scope === "layers"} onChange={() => setScope("layers")} />
+                Each layer as a separate file (ZIP)
+              </label>
+            </fieldset>
+          </>
+        )}
+
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-2 py-1 bg-gray-200 rounded">Cancel</button>
+          <button type="submit" disabled={busy} className="px-2 py-1 bg-blue-500 text-white rounded">
+            {busy ? "Exporting…" : "Export"}
+          </button>
+        </div>
+      </form>
+    </div>
+  );
+}
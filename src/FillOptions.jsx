@@ -0,0 +1,123 @@
+import React from "react";
+import { GRADIENT_TYPES, gradientCSS } from "./fillTools";
+import { splitAlpha } from "./colors";
+
+// Options bar of the paint bucket and gradient tools. The gradient's color
+// stops are edited in place: color, opacity and position of each.
+export default function FillOptions({ tool, bucketOptions, setBucketOptions, gradient, setGradient, foreground, background }) {
+  if (tool === "bucket") {
+    return (
+      <div className="flex items-center gap-2 text-sm">
+        <label title="How far colors may differ from the clicked one (0-255)">
+          Tolerance
+          <input
+            type="number"
+            min="0"
+            max="255"
+            value={bucketOptions.tolerance}
+            onChange={(e) => setBucketOptions({ ...bucketOptions, tolerance: Math.min(255, Math.max(0, Number(e.target.value) || 0)) })}
+            className="w-14 ml-1"
+          />
+        </label>
+        <label title="Only fill pixels connected to the clicked one">
+          <input
+            type="checkbox"
+            checked={bucketOptions.contiguous}
+            onChange={(e) => setBucketOptions({ ...bucketOptions, contiguous: e.target.checked })}
+          />{" "}
+          Contiguous
+        </label>
+        <select
+          value={bucketOptions.sample}
+          onChange={(e) => setBucketOptions({ ...bucketOptions, sample: e.target.value })}
+          title="Which pixels decide the filled region"
+        >
+          <option value="layer">Current layer</option>
+          <option value="canvas">All layers</option>
+        </select>
+      </div>
+    );
+  }
+
+  if (tool !== "gradient") return null;
+
+  function changeStop(index, props) {
+    setGradient({ ...gradient, stops: gradient.stops.map((stop, i) => (i === index ? { ...stop, ...props } : stop)) });
+  }
+
+  function addStop() {
+    const last = gradient.stops[gradient.stops.length - 1];
+    setGradient({ ...gradient, stops: [...gradient.stops, { ...last, offset: 0.5 }] });
+  }
+
+  function removeStop(index) {
+    setGradient({ ...gradient, stops: gradient.stops.filter((_, i) => i !== index) });
+  }
+
+  // Two stops from the foreground to the background color
+  function colorStops() {
+    const stop = (color, offset) => {
+      const { hex, alpha } = splitAlpha(color);
+      return { offset, color: hex, opacity: alpha };
+    };
+    setGradient({ ...gradient, stops: [stop(foreground, 0), stop(background, 1)] });
+  }
+
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <select value={gradient.type} onChange={(e) => setGradient({ ...gradient, type: e.target.value })}>
+        {GRADIENT_TYPES.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      <div className="w-24 h-5 border rounded" style={{ background: gradientCSS(gradient) }} title="Preview" />
+      <button onClick={colorStops} className="px-2 rounded bg-gray-200" title="Foreground to background color">
+        FG → BG
+      </button>
+
+      {gradient.stops.map((stop, index) => (
+        <div key={index} className="flex items-center gap-1 border-l pl-2">
+          <input
+            type="color"
+            value={stop.color}
+            onChange={(e) => changeStop(index, { color: e.target.value })}
+            className="w-6 h-6 p-0 border rounded"
+            title="Stop color"
+          />
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.01"
+            value={stop.offset}
+            onChange={(e) => changeStop(index, { offset: Number(e.target.value) })}
+            className="w-16"
+            title={`Position ${Math.round(stop.offset * 100)}%`}
+          />
+          <input
+            type="range"
+            min="0"
+            max="1"
+            step="0.05"
+            value={stop.opacity ?? 1}
+            onChange={(e) => changeStop(index, { opacity: Number(e.target.value) })}
+            className="w-12"
+            title={`Opacity ${Math.round((stop.opacity ?? 1) * 100)}%`}
+          />
+          <button
+            onClick={() => removeStop(index)}
+            disabled={gradient.stops.length <= 2}
+            className="text-red-500 disabled:text-gray-300"
+            title="Remove stop"
+          >
+            ✕
+          </button>
+        </div>
+      ))}
+      <button onClick={addStop} className="px-2 rounded bg-gray-200" title="Add a color stop">
+        + Stop
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,97 @@
+import React from "react";
+import { v4 as uuidv4 } from "uuid";
+import { FILTERS, defaultParams } from "./filters";
+
+// Editable adjustment stack of an image layer. Every edit goes through
+// updateLayer so it can be undone; slider drags merge into one step.
+export default function FiltersPanel({ layer, updateLayer }) {
+  const filters = layer.filters || [];
+
+  function setFilters(next, label, mergeKey) {
+    updateLayer(layer.id, { filters: next }, label, mergeKey);
+  }
+
+  function addFilter(type) {
+    const filter = { id: uuidv4(), type, params: defaultParams(type), enabled: true };
+    setFilters([...filters, filter], `Add ${FILTERS[type].label} to ${layer.name}`);
+  }
+
+  function changeParam(filter, key, value) {
+    setFilters(
+      filters.map((f) => (f.id === filter.id ? { ...f, params: { ...f.params, [key]: value } } : f)),
+      `${FILTERS[filter.type].label} on ${layer.name}`,
+      `filter:${filter.id}:${key}`
+    );
+  }
+
+  function toggleFilter(filter) {
+    setFilters(
+      filters.map((f) => (f.id === filter.id ? { ...f, enabled: f.enabled === false } : f)),
+      `${filter.enabled === false ? "Enable" : "Disable"} ${FILTERS[filter.type].label}`
+    );
+  }
+
+  function removeFilter(filter) {
+    setFilters(filters.filter((f) => f.id !== filter.id), `Remove ${FILTERS[filter.type].label}`);
+  }
+
+  function moveFilter(index, direction) {
+    const next = filters.slice();
+    const [item] = next.splice(index, 1);
+    next.splice(index + direction, 0, item);
+    setFilters(next, "Reorder filters");
+  }
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex justify-between items-center">
+        <h2 className="font-bold">Adjustments</h2>
+        <select
+          value=""
+          onChange={(e) => e.target.value && addFilter(e.target.value)}
+          className="text-sm"
+        >
+          <option value="">+ Add…</option>
+          {Object.entries(FILTERS).map(([type, { label }]) => (
+            <option key={type} value={type}>{label}</option>
+          ))}
+        </select>
+      </div>
+
+      {filters.length === 0 && <p className="text-sm text-gray-500">No adjustments on {layer.name}.</p>}
+
+      <div className="space-y-2 max-h-96 overflow-y-auto">
+        {filters.map((filter, index) => (
+          <div key={filter.id} className={`p-2 rounded border bg-gray-50 ${filter.enabled === false ? "opacity-50" : ""}`}>
+            <div className="flex justify-between items-center text-sm">
+              <label className="flex items-center gap-1">
+                <input type="checkbox" checked={filter.enabled !== false} onChange={() => toggleFilter(filter)} />
+                {FILTERS[filter.type].label}
+              </label>
+              <div className="flex gap-1 text-xs">
+                <button onClick={() => moveFilter(index, -1)} disabled={index === 0} className="px-1 bg-gray-200 rounded">↑</button>
+                <button onClick={() => moveFilter(index, 1)} disabled={index === filters.length - 1} className="px-1 bg-gray-200 rounded">↓</button>
+                <button onClick={() => removeFilter(filter)} className="text-red-500">Remove</button>
+              </div>
+            </div>
+
+            {FILTERS[filter.type].params.map((param) => (
+              <label key={param.key} className="block text-xs mt-1">
+                {param.label}: {filter.params[param.key]}
+                <input
+                  type="range"
+                  min={param.min}
+                  max={param.max}
+                  step={param.step}
+                  value={filter.params[param.key]}
+                  onChange={(e) => changeParam(filter, param.key, Number(e.target.value))}
+                  className="w-full"
+                />
+              </label>
+            ))}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
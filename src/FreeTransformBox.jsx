@@ -0,0 +1,122 @@
+import React, { useRef } from "react";
+import { Group, Rect, Line, Circle } from "react-konva";
+import {
+  HANDLES,
+  transformCorners,
+  transformPoint,
+  moveTransform,
+  scaleTransform,
+  rotateTransform,
+  skewTransform,
+  distortTransform,
+} from "./freeTransform";
+
+const FAR = 100000; // the whole view answers the pointer: outside the box rotates
+const HANDLE_SIZE = 8; // screen px
+const COLOR = "#2563eb";
+
+function insideQuad(point, corners) {
+  let inside = false;
+  for (let i = 0, j = corners.length - 1; i < corners.length; j = i++) {
+    const a = corners[i];
+    const b = corners[j];
+    if (a.y > point.y !== b.y > point.y && point.x < ((b.x - a.x) * (point.y - a.y)) / (b.y - a.y) + a.x) inside = !inside;
+  }
+  return inside;
+}
+
+// Box, handles and pivot of the Transform tool; the transformed pixels are
+// previewed in the layer itself. Dragging inside moves, outside rotates around the
+// pivot (Shift: 15° steps), handles scale (Shift keeps the proportions, Alt
+// scales from the middle), slant the edges in skew mode or move the corners in
+// perspective mode. Goes inside a Group with the canvas view transform.
+export default function FreeTransformBox({ transform, scale, mode, onChange }) {
+  const groupRef = useRef();
+  const unit = 1 / scale; // one screen px in canvas px
+  const corners = transformCorners(transform);
+  const distorting = mode === "perspective" || !!transform.corners;
+
+  function pointerPoint() {
+    const stage = groupRef.current.getStage();
+    return groupRef.current.getAbsoluteTransform().copy().invert().point(stage.getPointerPosition());
+  }
+
+  // Follows the pointer until release; `change(start, from, to, evt)` gives
+  // the transform for the pointer at `to`
+  function drag(e, change) {
+    if (e.evt.button !== 0) return;
+    const stage = groupRef.current.getStage();
+    const start = transform;
+    const from = pointerPoint();
+    const follow = (evt) => {
+      stage.setPointersPositions(evt);
+      onChange(change(start, from, pointerPoint(), evt));
+    };
+    const drop = () => {
+      window.removeEventListener("pointermove", follow);
+      window.removeEventListener("pointerup", drop);
+    };
+    window.addEventListener("pointermove", follow);
+    window.addEventListener("pointerup", drop);
+  }
+
+  function dragBody(e) {
+    if (insideQuad(pointerPoint(), corners)) drag(e, (start, from, to) => moveTransform(start, to.x - from.x, to.y - from.y));
+    else drag(e, (start, from, to, evt) => rotateTransform(start, from, to, { snap: evt.shiftKey }));
+  }
+
+  function dragHandle(e, handle) {
+    const edge = handle[0] === 0.5 || handle[1] === 0.5;
+    if (distorting) drag(e, (start, from, to) => distortTransform(start, handle, from, to));
+    else if (mode === "skew" && edge) drag(e, (start, from, to) => skewTransform(start, handle, to));
+    else drag(e, (start, from, to, evt) => scaleTransform(start, handle, to, { keepRatio: evt.shiftKey, fromCenter: evt.altKey }));
+  }
+
+  function dragPivot(e) {
+    drag(e, (start, from, to) => ({ ...start, pivot: { x: start.pivot.x + to.x - from.x, y: start.pivot.y + to.y - from.y } }));
+  }
+
+  const handleSize = HANDLE_SIZE * unit;
+
+  return (
+    <Group ref={groupRef} name="free-transform">
+      <Rect x={-FAR} y={-FAR} width={2 * FAR} height={2 * FAR} fill="rgba(0, 0, 0, 0)" onPointerDown={dragBody} />
+      <Line
+        points={corners.flatMap((p) => [p.x, p.y])}
+        closed
+        stroke={COLOR}
+        strokeWidth={1}
+        strokeScaleEnabled={false}
+        listening={false}
+      />
+      {HANDLES.map((handle) => {
+        const p = transformPoint(transform, handle[0], handle[1]);
+        return (
+          <Rect
+            key={handle.join()}
+            x={p.x - handleSize / 2}
+            y={p.y - handleSize / 2}
+            width={handleSize}
+            height={handleSize}
+            fill="white"
+            stroke={COLOR}
+            strokeWidth={1}
+            strokeScaleEnabled={false}
+            onPointerDown={(e) => dragHandle(e, handle)}
+          />
+        );
+      })}
+      <Circle
+        x={transform.pivot.x}
+        y={transform.pivot.y}
+        radius={4 * unit}
+        stroke={COLOR}
+        strokeWidth={1.5}
+        strokeScaleEnabled={false}
+        hitStrokeWidth={8}
+        fill="rgba(255, 255, 255, 0.6)"
+        onPointerDown={dragPivot}
+      />
+    </Group>
+  );
+}
@@ -0,0 +1,51 @@
+import React, { useEffect, useRef } from "react";
+import { Rect, Transformer } from "react-konva";
+
+// Move / scale handles for a layer group. The handles hold a stand-in box
+// around the group's content; while it is dragged the group's node previews
+// the change, which is handed to `onChange({ dx, dy, scaleX, scaleY })` at the
+// end to be baked into the layers.
+export default function GroupTransformer({ bounds, getTarget, onChange }) {
+  const boxRef = useRef();
+  const trRef = useRef();
+
+  useEffect(() => {
+    trRef.current.nodes([boxRef.current]);
+    trRef.current.getLayer().batchDraw();
+  }, [bounds]);
+
+  function change() {
+    const box = boxRef.current;
+    const scaleX = box.scaleX();
+    const scaleY = box.scaleY();
+    return { dx: box.x() - bounds.x * scaleX, dy: box.y() - bounds.y * scaleY, scaleX, scaleY };
+  }
+
+  function preview() {
+    const { dx, dy, scaleX, scaleY } = change();
+    getTarget()?.setAttrs({ x: dx, y: dy, scaleX, scaleY });
+  }
+
+  function finish() {
+    const result = change();
+    getTarget()?.setAttrs({ x: 0, y: 0, scaleX: 1, scaleY: 1 });
+    boxRef.current.setAttrs({ ...bounds, scaleX: 1, scaleY: 1 });
+    onChange(result);
+  }
+
+  return (
+    <>
+      <Rect
+        ref={boxRef}
+        {...bounds}
+        fill="rgba(0, 0, 0, 0)"
+        draggable
+        onDragMove={preview}
+        onDragEnd={finish}
+        onTransform={preview}
+        onTransformEnd={finish}
+      />
+      <Transformer ref={trRef} rotateEnabled={false} />
+    </>
+  );
+}
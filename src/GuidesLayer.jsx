@@ -0,0 +1,171 @@
+import React, { useRef, useState } from "react";
+import { Group, Rect, Line, Shape } from "react-konva";
+import { RULER_SIZE, GUIDE_COLOR, rulerStep, snapPoint, SNAP_DISTANCE } from "./guides";
+
+const FAR = 100000; // guides run across the whole view
+
+// Rulers along the top and left canvas edges, the document grid and the
+// guides, drawn in canvas space so they follow zoom, pan and rotation.
+// Dragging out of a ruler adds a guide; dragging a guide back onto its ruler
+// removes it. Goes inside a Group with the canvas view transform.
+export default function GuidesLayer({ canvas, scale, settings, getTargets, onAdd, onMove, onRemove }) {
+  const groupRef = useRef();
+  const [draft, setDraft] = useState(null); // { axis, position } while pulled out of a ruler
+  const dragTargetsRef = useRef(null); // snap targets while a guide is dragged
+  const unit = 1 / scale; // one screen px in canvas px
+  const guides = canvas.guides || [];
+
+  function snapped(axis, point, targets) {
+    const p = snapPoint(point, targets, SNAP_DISTANCE * unit);
+    return axis === "x" ? p.x : p.y;
+  }
+
+  function pointerPoint() {
+    const stage = groupRef.current.getStage();
+    return groupRef.current.getAbsoluteTransform().copy().invert().point(stage.getPointerPosition());
+  }
+
+  // The top ruler makes horizontal guides, the left one vertical guides
+  function pullGuide(axis) {
+    const stage = groupRef.current.getStage();
+    const targets = getTargets();
+    const positionAt = (e) => {
+      stage.setPointersPositions(e);
+      return snapped(axis, pointerPoint(), targets);
+    };
+    const follow = (e) => setDraft({ axis, position: positionAt(e) });
+    const drop = (e) => {
+      window.removeEventListener("pointermove", follow);
+      window.removeEventListener("pointerup", drop);
+      setDraft(null);
+      const position = positionAt(e);
+      // still over the ruler: nothing added
+      if (position >= 0) onAdd(axis, position);
+    };
+    window.addEventListener("pointermove", follow);
+    window.addEventListener("pointerup", drop);
+  }
+
+  function guideLine(guide, props) {
+    const vertical = guide.axis === "x";
+    return (
+      <Line
+        key={guide.id}
+        points={vertical ? [0, -FAR, 0, FAR] : [-FAR, 0, FAR, 0]}
+        x={vertical ? guide.position : 0}
+        y={vertical ? 0 : guide.position}
+        stroke={GUIDE_COLOR}
+        strokeWidth={1}
+        strokeScaleEnabled={false}
+        hitStrokeWidth={6}
+        {...props}
+      />
+    );
+  }
+
+  function rulerTicks(ctx, length, vertical) {
+    const step = rulerStep(scale);
+    const minor = step / 5;
+    ctx.strokeStyle = "#6b7280";
+    ctx.fillStyle = "#374151";
+    ctx.lineWidth = unit;
+    ctx.font = `${9 * unit}px sans-serif`;
+    ctx.beginPath();
+    for (let v = 0; v <= length; v += minor) {
+      const major = Math.abs(v / step - Math.round(v / step)) < 1e-6;
+      const tick = (major ? RULER_SIZE : RULER_SIZE / 3) * unit;
+      if (vertical) {
+        ctx.moveTo(-tick, v);
+        ctx.lineTo(0, v);
+      } else {
+        ctx.moveTo(v, -tick);
+        ctx.lineTo(v, 0);
+      }
+      if (!major) continue;
+      const label = String(Math.round(v));
+      if (vertical) {
+        ctx.save();
+        ctx.translate(-RULER_SIZE * unit + 2 * unit, v + 2 * unit);
+        ctx.rotate(Math.PI / 2);
+        ctx.fillText(label, 0, 0);
+        ctx.restore();
+      } else {
+        ctx.fillText(label, v + 2 * unit, -RULER_SIZE * unit + 9 * unit);
+      }
+    }
+    ctx.stroke();
+  }
+
+  const rulerThickness = RULER_SIZE * unit;
+
+  return (
+    <Group ref={groupRef}>
+      {settings.grid && settings.gridSize > 0 && (
+        <Shape
+          listening={false}
+          sceneFunc={(ctx) => {
+            ctx.beginPath();
+            for (let x = settings.gridSize; x < canvas.width; x += settings.gridSize) {
+              ctx.moveTo(x, 0);
+              ctx.lineTo(x, canvas.height);
+            }
+            for (let y = settings.gridSize; y < canvas.height; y += settings.gridSize) {
+              ctx.moveTo(0, y);
+              ctx.lineTo(canvas.width, y);
+            }
+            ctx.strokeStyle = "rgba(0, 0, 0, 0.2)";
+            ctx.lineWidth = unit;
+            ctx.stroke();
+          }}
+        />
+      )}
+
+      {settings.guides &&
+        guides.map((guide) =>
+          guideLine(guide, {
+            name: "guide",
+            draggable: true,
+            onDragStart: () => (dragTargetsRef.current = getTargets()),
+            onDragMove: (e) => {
+              const node = e.target;
+              const position = snapped(guide.axis, { x: node.x(), y: node.y() }, dragTargetsRef.current);
+              // guides only move across their own direction
+              node.position(guide.axis === "x" ? { x: position, y: 0 } : { x: 0, y: position });
+            },
+            onDragEnd: (e) => {
+              const position = guide.axis === "x" ? e.target.x() : e.target.y();
+              // dragged back onto its ruler (or beyond)
+              if (position < 0) onRemove(guide.id);
+              else onMove(guide.id, position);
+            },
+          })
+        )}
+      {draft && guideLine(draft, { listening: false, opacity: draft.position < 0 ? 0.3 : 1, dash: [4, 4] })}
+
+      {settings.rulers && (
+        <>
+          <Rect
+            name="ruler"
+            x={0}
+            y={-rulerThickness}
+            width={canvas.width}
+            height={rulerThickness}
+            fill="#f3f4f6"
+            onPointerDown={(e) => e.evt.button === 0 && pullGuide("y")}
+          />
+          <Rect
+            name="ruler"
+            x={-rulerThickness}
+            y={0}
+            width={rulerThickness}
+            height={canvas.height}
+            fill="#f3f4f6"
+            onPointerDown={(e) => e.evt.button === 0 && pullGuide("x")}
+          />
+          <Shape listening={false} sceneFunc={(ctx) => rulerTicks(ctx, canvas.width, false)} />
+          <Shape listening={false} sceneFunc={(ctx) => rulerTicks(ctx, canvas.height, true)} />
+        </>
+      )}
+    </Group>
+  );
+}
@@ -0,0 +1,44 @@
+import React from "react";
+
+const SNAP_SWITCHES = [
+  { key: "snapToGuides", label: "Guides" },
+  { key: "snapToGrid", label: "Grid" },
+  { key: "snapToCanvas", label: "Canvas edges" },
+  { key: "snapToLayers", label: "Layer bounds" },
+];
+
+// Rulers, guides, grid and snapping switches. Guides are pulled out of the
+// rulers and belong to the document; these settings belong to the editor.
+export default function GuidesOptions({ settings, onChange, guideCount, onClearGuides }) {
+  const toggle = (key) => (
+    <input type="checkbox" checked={settings[key]} onChange={(e) => onChange({ ...settings, [key]: e.target.checked })} />
+  );
+
+  return (
+    <div className="flex flex-col gap-1 text-xs">
+      <h2 className="font-bold text-sm">Rulers & guides</h2>
+      <label>{toggle("rulers")} Rulers</label>
+      <label>{toggle("guides")} Guides ({guideCount})</label>
+      <label className="flex items-center gap-1">
+        {toggle("grid")} Grid every
+        <input
+          type="number"
+          min="2"
+          value={settings.gridSize}
+          onChange={(e) => onChange({ ...settings, gridSize: Math.max(2, Number(e.target.value) || 2) })}
+          className="w-14"
+        />
+        px
+      </label>
+      <label className="mt-1">{toggle("snap")} Snap to</label>
+      {SNAP_SWITCHES.map(({ key, label }) => (
+        <label key={key} className={`ml-4 ${settings.snap ? "" : "opacity-40"}`}>
+          {toggle(key)} {label}
+        </label>
+      ))}
+      <button onClick={onClearGuides} disabled={guideCount === 0} className="mt-1 px-2 py-1 rounded bg-gray-200 disabled:opacity-40">
+        Clear guides
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,121 @@
+import React, { useState } from "react";
+
+export default function HistoryPanel({
+  past,
+  future,
+  jumpTo,
+  snapshots,
+  createSnapshot,
+  restoreSnapshot,
+  deleteSnapshot,
+  compareSnapshot,
+}) {
+  const [comparing, setComparing] = useState(null); // { snapshot, changes, current }
+  const steps = [...past, ...future];
+
+  function toggleCompare(snapshot) {
+    if (comparing?.snapshot.id === snapshot.id) {
+      setComparing(null);
+      return;
+    }
+    setComparing({ snapshot, ...compareSnapshot(snapshot) });
+  }
+
+  function handleCreate() {
+    const name = prompt("Snapshot name", `Snapshot ${snapshots.length + 1}`);
+    if (name) createSnapshot(name);
+  }
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex justify-between items-center">
+        <h2 className="font-bold">History</h2>
+        <button
+          onClick={handleCreate}
+          className="bg-blue-500 text-white px-2 py-1 rounded text-sm"
+          title="Pin a snapshot of the current state"
+        >
+          📌
+        </button>
+      </div>
+
+      {/* Snapshots */}
+      {snapshots.length > 0 && (
+        <div className="space-y-1">
+          {snapshots.map((snapshot) => (
+            <div key={snapshot.id} className="p-2 rounded border bg-yellow-50 text-sm">
+              <div className="flex justify-between items-center">
+                <span>📌 {snapshot.name}</span>
+                <div className="flex gap-1 text-xs">
+                  <button onClick={() => restoreSnapshot(snapshot)} className="text-blue-600">
+                    Restore
+                  </button>
+                  <button onClick={() => toggleCompare(snapshot)} className="text-green-600">
+                    {comparing?.snapshot.id === snapshot.id ? "Hide" : "Compare"}
+                  </button>
+                  <button
+                    onClick={() => {
+                      if (comparing?.snapshot.id === snapshot.id) setComparing(null);
+                      deleteSnapshot(snapshot.id);
+                    }}
+                    className="text-red-500"
+                  >
+                    Delete
+                  </button>
+                </div>
+              </div>
+
+              {comparing?.snapshot.id === snapshot.id && (
+                <div className="mt-2">
+                  <div className="flex gap-1 text-xs text-center">
+                    <figure className="flex-1">
+                      <img src={snapshot.thumbnail} alt="" className="w-full border bg-white" />
+                      <figcaption>Snapshot</figcaption>
+                    </figure>
+                    <figure className="flex-1">
+                      <img src={comparing.current} alt="" className="w-full border bg-white" />
+                      <figcaption>Current</figcaption>
+                    </figure>
+                  </div>
+                  <ul className="mt-1 text-xs text-left list-disc pl-4">
+                    {comparing.changes.length === 0 && <li>No differences</li>}
+                    {comparing.changes.map((change, i) => (
+                      <li key={i}>{change}</li>
+                    ))}
+                  </ul>
+                </div>
+              )}
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Steps; future (undone) steps are dimmed */}
+      <div className="max-h-96 overflow-y-auto space-y-1 text-sm">
+        <div
+          onClick={() => jumpTo(0)}
+          className={`px-2 py-1 rounded cursor-pointer ${
+            past.length === 0 ? "bg-blue-100 border border-blue-500" : "bg-gray-50"
+          }`}
+        >
+          Open
+        </div>
+        {steps.map((step, index) => (
+          <div
+            key={index}
+            onClick={() => jumpTo(index + 1)}
+            className={`px-2 py-1 rounded cursor-pointer ${
+              index === past.length - 1
+                ? "bg-blue-100 border border-blue-500"
+                : index >= past.length
+                ? "bg-gray-50 text-gray-400"
+                : "bg-gray-50"
+            }`}
+          >
+            {step.label}
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
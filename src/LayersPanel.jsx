@@ -1,67 +1,147 @@
-import React from "react";
+import React, { useRef, useState } from "react";
+import { BLEND_MODES } from "./blendModes";
+import { isGroup, childrenOf } from "./layerTree";
 
 export default function LayersPanel({
   layers,
-  setLayers,
+  updateLayer,
   activeLayerId,
-  setActiveLayerId,
+  editingMask,
+  selectLayer,
   addLayer,
   deleteLayer,
   reorderLayer,
   mergeUp,
   mergeDown,
+  addMask,
+  deleteMask,
+  applyMask,
+  moveLayer,
+  groupLayer,
+  ungroupLayer,
+  mergeGroup,
+  mergeVisible,
+  flattenImage,
 }) {
-  function toggleVisibility(id) {
-    setLayers(prev =>
-      prev.map(l => (l.id === id ? { ...l, visible: !l.visible } : l))
-    );
+  const [collapsed, setCollapsed] = useState(() => new Set()); // ids of folded groups
+  const [drop, setDrop] = useState(null); // { id, position } of the row being dragged over
+  const dragged = useRef(null);
+
+  function toggleVisibility(layer) {
+    updateLayer(layer.id, { visible: !layer.visible }, `${layer.visible ? "Hide" : "Show"} ${layer.name}`);
   }
 
-  function changeOpacity(id, value) {
-    setLayers(prev =>
-      prev.map(l => (l.id === id ? { ...l, opacity: value } : l))
-    );
+  function changeOpacity(layer, value) {
+    // slider drags collapse into a single undo step
+    updateLayer(layer.id, { opacity: value }, `Opacity of ${layer.name}`, `opacity:${layer.id}`);
   }
 
-  function changeBlendMode(id, value) {
-    setLayers(prev =>
-      prev.map(l => (l.id === id ? { ...l, blend: value } : l))
-    );
+  function changeBlendMode(layer, value) {
+    updateLayer(layer.id, { blend: value }, `Blend mode of ${layer.name}`);
   }
 
-  return (
-    <div className="flex flex-col gap-2">
-      <div className="flex justify-between items-center">
-        <h2 className="font-bold">Layers</h2>
-        <button
-          onClick={() => addLayer(`Layer ${layers.length + 1}`)}
-          className="bg-blue-500 text-white px-2 py-1 rounded text-sm"
-        >
-          +
-        </button>
-      </div>
+  function toggleClip(layer) {
+    updateLayer(layer.id, { clip: !layer.clip }, `${layer.clip ? "Release" : "Create"} clipping mask for ${layer.name}`);
+  }
 
-      <div className="space-y-2">
-        {layers.map((layer, index) => (
+  function toggleMask(layer) {
+    const { mask } = layer;
+    updateLayer(layer.id, { mask: { ...mask, enabled: !mask.enabled } }, `${mask.enabled ? "Disable" : "Enable"} mask of ${layer.name}`);
+  }
+
+  function invertMask(layer) {
+    updateLayer(layer.id, { mask: { ...layer.mask, inverted: !layer.mask.inverted } }, `Invert mask of ${layer.name}`);
+  }
+
+  // Drag and drop: the list runs bottom to top, so dropping on the upper half
+  // of a row puts the layer below it in the stack, and the middle of a group
+  // puts it inside
+  function dropPosition(e, layer) {
+    const rect = e.currentTarget.getBoundingClientRect();
+    const y = (e.clientY - rect.top) / rect.height;
+    if (isGroup(layer) && y > 0.25 && y < 0.75) return "inside";
+    return y < 0.5 ? "below" : "above";
+  }
+
+  function dragStart(e, layer) {
+    e.stopPropagation();
+    e.dataTransfer.effectAllowed = "move";
+    e.dataTransfer.setData("text/plain", layer.id);
+    dragged.current = layer.id;
+  }
+
+  function dragOver(e, layer) {
+    if (!dragged.current || dragged.current === layer.id) return;
+    e.preventDefault();
+    e.stopPropagation();
+    const position = dropPosition(e, layer);
+    if (drop?.id !== layer.id || drop.position !== position) setDrop({ id: layer.id, position });
+  }
+
+  function dropOn(e, layer) {
+    e.preventDefault();
+    e.stopPropagation();
+    if (dragged.current && dragged.current !== layer.id) moveLayer(dragged.current, layer.id, dropPosition(e, layer));
+    dragged.current = null;
+    setDrop(null);
+  }
+
+  function dropHint(layer) {
+    if (drop?.id !== layer.id) return "";
+    return { below: "border-t-4 border-t-blue-400", above: "border-b-4 border-b-blue-400", inside: "ring-2 ring-blue-400" }[drop.position];
+  }
+
+  function toggleCollapsed(id) {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  function renderLayers(parentId) {
+    const siblings = childrenOf(layers, parentId);
+    return siblings.map((layer, index) => {
+      const group = isGroup(layer);
+      return (
+        <div key={layer.id} className="space-y-2">
           <div
-            key={layer.id}
-            onClick={() => setActiveLayerId(layer.id)} // click anywhere selects layer
+            onClick={() => selectLayer(layer.id)} // click anywhere selects layer
+            onDragOver={(e) => dragOver(e, layer)}
+            onDrop={(e) => dropOn(e, layer)}
             className={`p-2 rounded border cursor-pointer transition-colors ${
               activeLayerId === layer.id ? "bg-blue-100 border-blue-500" : "bg-gray-50"
-            }`}
+            } ${dropHint(layer)}`}
           >
             <div className="flex justify-between items-center mb-1">
               <span className="flex items-center gap-1">
+                <span
+                  draggable
+                  onDragStart={(e) => dragStart(e, layer)}
+                  onDragEnd={() => setDrop(null)}
+                  className="cursor-grab text-gray-400"
+                  title="Drag to move, onto a group to put it inside"
+                >
+                  ⠿
+                </span>
+                {group && (
+                  <button onClick={(e) => { e.stopPropagation(); toggleCollapsed(layer.id); }} className="w-4">
+                    {collapsed.has(layer.id) ? "▸" : "▾"}
+                  </button>
+                )}
+                {layer.clip && index > 0 && <span title="Clipped to the layer below">↳</span>}
+                {group && "📁"}
                 {layer.name}
                 {activeLayerId === layer.id && (
-                  <span className="text-xs text-blue-600 font-semibold">Active</span>
+                  <span className="text-xs text-blue-600 font-semibold">{editingMask && layer.mask ? "Mask" : "Active"}</span>
                 )}
               </span>
 
               <div className="flex gap-1">
                 {/* Visibility toggle */}
                 <button
-                  onClick={(e) => { e.stopPropagation(); toggleVisibility(layer.id); }}
+                  onClick={(e) => { e.stopPropagation(); toggleVisibility(layer); }}
                   className="px-1"
                 >
                   {layer.visible ? "👁" : "🚫"}
@@ -69,7 +149,7 @@ export default function LayersPanel({
 
                 {/* Select layer button */}
                 <button
-                  onClick={(e) => { e.stopPropagation(); setActiveLayerId(layer.id); }}
+                  onClick={(e) => { e.stopPropagation(); selectLayer(layer.id); }}
                   className={`px-2 py-1 rounded text-sm ${
                     activeLayerId === layer.id
                       ? "bg-blue-500 text-white font-semibold"
@@ -93,7 +173,7 @@ export default function LayersPanel({
                 </button>
                 <button
                   onClick={() => reorderLayer(layer.id, 1)}
-                  disabled={index === layers.length - 1}
+                  disabled={index === siblings.length - 1}
                   className="px-2 py-1 bg-gray-200 rounded"
                 >
                   ↓
@@ -101,22 +181,81 @@ export default function LayersPanel({
               </div>
               <div className="flex justify-end mt-1 text-xs gap-1">
                 <button
-                  onClick={(e) => { e.stopPropagation(); mergeUpLayer(layer.id); }}
-                  className="text-green-600"
-                  disabled={layers[0].id === layer.id}
+                  onClick={(e) => { e.stopPropagation(); mergeUp(layer.id); }}
+                  className="text-green-600 disabled:text-gray-400"
+                  disabled={index === siblings.length - 1}
+                  title="Merge the layer above into this one"
                 >
                   Merge Up
                 </button>
                 <button
-                  onClick={(e) => { e.stopPropagation(); mergeDownLayer(layer.id); }}
-                  className="text-green-600"
-                  disabled={layers[layers.length - 1].id === layer.id}
+                  onClick={(e) => { e.stopPropagation(); mergeDown(layer.id); }}
+                  className="text-green-600 disabled:text-gray-400"
+                  disabled={index === 0}
+                  title="Merge this layer into the one below"
                 >
                   Merge Down
                 </button>
               </div>
             </div>
 
+            {/* Group actions */}
+            {group && (
+              <div className="flex gap-1 mt-1 text-xs" onClick={(e) => e.stopPropagation()}>
+                <button onClick={() => ungroupLayer(layer.id)} className="px-2 py-1 bg-gray-200 rounded" title="Move the layers out and remove the group">
+                  Ungroup
+                </button>
+                <button onClick={() => mergeGroup(layer.id)} className="px-2 py-1 bg-gray-200 rounded" title="Flatten the group into one layer">
+                  Merge group
+                </button>
+              </div>
+            )}
+
+            {/* Layer mask and clipping mask */}
+            <div className="flex items-center gap-1 mt-1 text-xs" onClick={(e) => e.stopPropagation()}>
+              {group ? null : layer.mask ? (
+                <>
+                  <button
+                    onClick={() => selectLayer(layer.id, { mask: true })}
+                    className={`px-2 py-1 rounded border ${
+                      activeLayerId === layer.id && editingMask ? "border-blue-500 bg-white" : "border-gray-300 bg-gray-200"
+                    } ${layer.mask.enabled ? "" : "line-through text-gray-400"}`}
+                    title="Paint on the mask: brush hides, eraser reveals"
+                  >
+                    Mask
+                  </button>
+                  <button onClick={() => toggleMask(layer)} className="px-1" title={layer.mask.enabled ? "Disable mask" : "Enable mask"}>
+                    {layer.mask.enabled ? "◐" : "○"}
+                  </button>
+                  <button
+                    onClick={() => invertMask(layer)}
+                    className={`px-1 rounded ${layer.mask.inverted ? "bg-gray-300" : ""}`}
+                    title="Invert mask"
+                  >
+                    ⇄
+                  </button>
+                  <button onClick={() => applyMask(layer.id)} disabled={!layer.mask.enabled} className="px-1" title="Apply mask to the layer's pixels">
+                    Apply
+                  </button>
+                  <button onClick={() => deleteMask(layer.id)} className="px-1 text-red-500" title="Delete mask">
+                    ✕
+                  </button>
+                </>
+              ) : (
+                <button onClick={() => addMask(layer.id)} className="px-2 py-1 bg-gray-200 rounded" title="Add a layer mask">
+                  + Mask
+                </button>
+              )}
+              <button
+                onClick={() => toggleClip(layer)}
+                disabled={index === 0}
+                className={`ml-auto px-2 py-1 rounded ${layer.clip ? "bg-blue-500 text-white" : "bg-gray-200"}`}
+                title="Clip to the layer below"
+              >
+                Clip
+              </button>
+            </div>
+
             {/* Opacity slider */}
             <input
               type="range"
@@ -124,20 +263,19 @@ export default function LayersPanel({
               max="1"
               step="0.01"
               value={layer.opacity}
-              onChange={(e) => changeOpacity(layer.id, parseFloat(e.target.value))}
+              onChange={(e) => changeOpacity(layer, parseFloat(e.target.value))}
               className="w-full mt-1"
             />
 
             {/* Blend mode dropdown */}
             <select
               value={layer.blend}
-              onChange={(e) => changeBlendMode(layer.id, e.target.value)}
+              onChange={(e) => changeBlendMode(layer, e.target.value)}
               className="w-full text-sm mt-1"
             >
-              <option value="normal">Normal</option>
-              <option value="multiply">Multiply</option>
-              <option value="screen">Screen</option>
-              <option value="overlay">Overlay</option>
+              {BLEND_MODES.map((mode) => (
+                <option key={mode.value} value={mode.value}>{mode.label}</option>
+              ))}
             </select>
 
             {/* Delete button */}
@@ -151,7 +289,46 @@ export default function LayersPanel({
               </button>
             </div>
           </div>
-        ))}
+          {group && !collapsed.has(layer.id) && (
+            <div className="ml-3 pl-2 border-l-2 border-gray-300 space-y-2">{renderLayers(layer.id)}</div>
+          )}
+        </div>
+      );
+    });
+  }
+
+  return (
+    <div className="flex flex-col gap-2">
+      <div className="flex justify-between items-center">
+        <h2 className="font-bold">Layers</h2>
+        <div className="flex gap-1">
+          <button
+            onClick={() => groupLayer(activeLayerId)}
+            className="bg-gray-200 px-2 py-1 rounded text-sm"
+            title="Put the selected layer in a new group"
+          >
+            📁
+          </button>
+          <button
+            onClick={() => addLayer(`Layer ${layers.length + 1}`)}
+            className="bg-blue-500 text-white px-2 py-1 rounded text-sm"
+          >
+            +
+          </button>
+        </div>
+      </div>
+
+      <div className="flex gap-1 text-xs">
+        <button onClick={mergeVisible} className="px-2 py-1 bg-gray-200 rounded" title="Merge all visible layers into one">
+          Merge visible
+        </button>
+        <button onClick={flattenImage} className="px-2 py-1 bg-gray-200 rounded" title="Merge the visible layers and discard the hidden ones">
+          Flatten
+        </button>
+      </div>
+
+      <div className="space-y-2">
+        {renderLayers(null)}
       </div>
     </div>
   );
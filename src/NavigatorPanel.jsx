@@ -0,0 +1,51 @@
+import React, { useRef } from "react";
+import { stageToCanvas } from "./viewNavigation";
+
+const WIDTH = 192; // px
+
+// Thumbnail of the whole image with the part the window shows outlined.
+// Clicking or dragging on it brings that point to the middle of the window.
+export default function NavigatorPanel({ thumbnail, canvas, view, viewport, onNavigate }) {
+  const boxRef = useRef();
+  const ratio = WIDTH / canvas.width;
+  const height = Math.round(canvas.height * ratio);
+  const center = { x: canvas.width / 2, y: canvas.height / 2 };
+  // window corners in canvas coordinates: a rotated view shows a rotated rectangle
+  const corners = [
+    { x: 0, y: 0 },
+    { x: viewport.width, y: 0 },
+    { x: viewport.width, y: viewport.height },
+    { x: 0, y: viewport.height },
+  ].map((p) => stageToCanvas(view, p, center));
+
+  function navigate(e) {
+    const rect = boxRef.current.getBoundingClientRect();
+    onNavigate({ x: (e.clientX - rect.left) / ratio, y: (e.clientY - rect.top) / ratio });
+  }
+
+  return (
+    <div className="flex flex-col gap-1">
+      <h2 className="font-bold text-sm">Navigator</h2>
+      <div
+        ref={boxRef}
+        className="relative overflow-hidden bg-gray-300 cursor-move touch-none"
+        style={{ width: WIDTH, height }}
+        onPointerDown={(e) => {
+          e.currentTarget.setPointerCapture(e.pointerId);
+          navigate(e);
+        }}
+        onPointerMove={(e) => e.buttons === 1 && navigate(e)}
+      >
+        {thumbnail && <img src={thumbnail} alt="" className="absolute inset-0 w-full h-full" draggable={false} />}
+        <svg className="absolute inset-0 pointer-events-none" width={WIDTH} height={height}>
+          <polygon
+            points={corners.map((p) => `${p.x * ratio},${p.y * ratio}`).join(" ")}
+            fill="rgba(37, 99, 235, 0.1)"
+            stroke="#dc2626"
+            strokeWidth="1.5"
+          />
+        </svg>
+      </div>
+    </div>
+  );
+}
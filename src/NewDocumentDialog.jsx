@@ -0,0 +1,97 @@
+import React, { useState } from "react";
+import { CANVAS_PRESETS, DEFAULT_CANVAS, MAX_CANVAS_SIZE, clampCanvasSize } from "./canvasSize";
+
+export default function NewDocumentDialog({ onCreate, onClose }) {
+  const [name, setName] = useState("Untitled");
+  const [preset, setPreset] = useState("default");
+  const [width, setWidth] = useState(DEFAULT_CANVAS.width);
+  const [height, setHeight] = useState(DEFAULT_CANVAS.height);
+  const [background, setBackground] = useState("white");
+  const [color, setColor] = useState("#ffffff");
+
+  function choosePreset(id) {
+    setPreset(id);
+    const found = CANVAS_PRESETS.find((p) => p.id === id);
+    if (!found) return;
+    setWidth(found.width);
+    setHeight(found.height);
+  }
+
+  function create(e) {
+    e.preventDefault();
+    onCreate({
+      name: name.trim() || "Untitled",
+      canvas: {
+        width: clampCanvasSize(width),
+        height: clampCanvasSize(height),
+        background: background === "color" ? color : background,
+      },
+    });
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
+      <form onSubmit={create} className="w-80 bg-white shadow-xl rounded-lg p-4 flex flex-col gap-3 text-sm">
+        <h2 className="font-bold">New document</h2>
+
+        <label className="flex flex-col gap-1">
+          Name
+          <input value={name} onChange={(e) => setName(e.target.value)} className="border rounded px-1" />
+        </label>
+
+        <label className="flex flex-col gap-1">
+          Size
+          <select value={preset} onChange={(e) => choosePreset(e.target.value)} className="border rounded">
+            {CANVAS_PRESETS.map((p) => (
+              <option key={p.id} value={p.id}>{p.label} ({p.width}×{p.height})</option>
+            ))}
+            <option value="custom">Custom</option>
+          </select>
+        </label>
+
+        <div className="flex gap-2">
+          <label className="flex flex-col gap-1 flex-1">
+            Width (px)
+            <input
+              type="number"
+              min="1"
+              max={MAX_CANVAS_SIZE}
+              value={width}
+              onChange={(e) => { setWidth(e.target.value); setPreset("custom"); }}
+              className="border rounded px-1"
+            />
+          </label>
+          <label className="flex flex-col gap-1 flex-1">
+            Height (px)
+            <input
+              type="number"
+              min="1"
+              max={MAX_CANVAS_SIZE}
+              value={height}
+              onChange={(e) => { setHeight(e.target.value); setPreset("custom"); }}
+              className="border rounded px-1"
+            />
+          </label>
+        </div>
+
+        <fieldset className="flex gap-3 items-center">
+          <legend className="mb-1">Background</legend>
+          {["white", "transparent", "color"].map((value) => (
+            <label key={value} className="flex items-center gap-1 capitalize">
+              <input type="radio" checked={background === value} onChange={() => setBackground(value)} />
+              {value}
+            </label>
+          ))}
+          {background === "color" && (
+            <input type="color" value={color} onChange={(e) => setColor(e.target.value)} className="w-8 h-6" />
+          )}
+        </fieldset>
+
+        <div className="flex justify-end gap-2">
+          <button type="button" onClick={onClose} className="px-2 py-1 bg-gray-200 rounded">Cancel</button>
+          <button type="submit" className="px-2 py-1 bg-blue-500 text-white rounded">Create</button>
+        </div>
+      </form>
+    </div>
+  );
+}
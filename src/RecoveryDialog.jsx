@@ -0,0 +1,57 @@
+import React from "react";
+
+export default function RecoveryDialog({ documents, onRestore, onDelete, onClose }) {
+  const lastUnsaved = documents.find((doc) => doc.unsaved);
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
+      <div className="w-96 max-h-[80vh] overflow-y-auto bg-white shadow-xl rounded-lg p-4 flex flex-col gap-3">
+        <h2 className="font-bold">Recover documents</h2>
+
+        {lastUnsaved && (
+          <button
+            onClick={() => onRestore(lastUnsaved.id)}
+            className="bg-blue-500 text-white px-2 py-1 rounded text-sm"
+          >
+            Restore last unsaved document ({lastUnsaved.name})
+          </button>
+        )}
+
+        <h3 className="text-sm font-semibold">Recent documents</h3>
+        {documents.length === 0 && <p className="text-sm text-gray-500">No autosaved documents.</p>}
+        <div className="space-y-2">
+          {documents.map((doc) => (
+            <div
+              key={doc.id}
+              onClick={() => onRestore(doc.id)}
+              className="flex items-center gap-2 p-2 rounded border cursor-pointer bg-gray-50 hover:bg-blue-100"
+            >
+              {doc.thumbnail && (
+                <img src={doc.thumbnail} alt="" className="w-16 h-12 object-contain bg-white border" />
+              )}
+              <div className="flex-1 text-left text-sm">
+                <div>
+                  {doc.name}
+                  {doc.unsaved && <span className="ml-1 text-xs text-orange-600 font-semibold">Unsaved</span>}
+                </div>
+                <div className="text-xs text-gray-500">{new Date(doc.updatedAt).toLocaleString()}</div>
+              </div>
+              <button
+                onClick={(e) => { e.stopPropagation(); onDelete(doc.id); }}
+                className="text-red-500 text-xs"
+              >
+                Delete
+              </button>
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end">
+          <button onClick={onClose} className="px-2 py-1 bg-gray-200 rounded text-sm">
+            Continue with current document
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,88 @@
+import React from "react";
+import { SELECTION_MODES } from "./selection";
+
+// Options bar of the selection tools: how new selections combine with the
+// current one, magic wand settings, and what can be done with the selection.
+export default function SelectionOptions({
+  tool,
+  mode,
+  setMode,
+  wandOptions,
+  setWandOptions,
+  featherRadius,
+  setFeatherRadius,
+  hasSelection,
+  canPaste,
+  transforming,
+  actions,
+}) {
+  const button = "px-2 rounded disabled:text-gray-400";
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      {SELECTION_MODES.map(({ value, label, icon }) => (
+        <button
+          key={value}
+          onClick={() => setMode(value)}
+          className={`px-1 rounded ${mode === value ? "bg-gray-200" : ""}`}
+          title={label}
+        >
+          {icon}
+        </button>
+      ))}
+
+      {tool === "magicWand" && (
+        <>
+          <label title="How far colors may differ from the clicked one (0-255)">
+            Tolerance
+            <input
+              type="number"
+              min="0"
+              max="255"
+              value={wandOptions.tolerance}
+              onChange={(e) => setWandOptions({ ...wandOptions, tolerance: Math.min(255, Math.max(0, Number(e.target.value) || 0)) })}
+              className="w-14 ml-1"
+            />
+          </label>
+          <label title="Only select pixels connected to the clicked one">
+            <input
+              type="checkbox"
+              checked={wandOptions.contiguous}
+              onChange={(e) => setWandOptions({ ...wandOptions, contiguous: e.target.checked })}
+            />{" "}
+            Contiguous
+          </label>
+        </>
+      )}
+
+      <span className="border-l h-5" />
+      <button onClick={actions.selectAll} className={button} title="Select all (Ctrl+A)">All</button>
+      <button onClick={actions.deselect} disabled={!hasSelection} className={button} title="Deselect (Ctrl+D)">None</button>
+      <button onClick={actions.invert} className={button} title="Invert selection (Ctrl+Shift+I)">Invert</button>
+      <label title="Feather radius in pixels">
+        <input
+          type="number"
+          min="1"
+          max="250"
+          value={featherRadius}
+          onChange={(e) => setFeatherRadius(Math.min(250, Math.max(1, Number(e.target.value) || 1)))}
+          className="w-12"
+        />
+      </label>
+      <button onClick={actions.feather} disabled={!hasSelection} className={button} title="Soften the selection edge">Feather</button>
+      <button
+        onClick={actions.transform}
+        disabled={!hasSelection}
+        className={`${button} ${transforming ? "bg-gray-200" : ""}`}
+        title="Move and scale the selection"
+      >
+        Transform
+      </button>
+
+      <span className="border-l h-5" />
+      <button onClick={actions.copy} disabled={!hasSelection} className={button} title="Copy (Ctrl+C)">Copy</button>
+      <button onClick={actions.cut} disabled={!hasSelection} className={button} title="Cut (Ctrl+X)">Cut</button>
+      <button onClick={actions.paste} disabled={!canPaste} className={button} title="Paste as a new layer (Ctrl+V)">Paste</button>
+      <button onClick={actions.delete} disabled={!hasSelection} className={button} title="Delete the selected pixels (Delete)">Delete</button>
+    </div>
+  );
+}
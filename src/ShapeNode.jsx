@@ -0,0 +1,51 @@
+import React from "react";
+import { Rect, Ellipse, Line, Arrow } from "react-konva";
+import { nodeTransform } from "./layerTransform";
+
+// Konva node for a shape layer (see shapes.js for the geometry of each type).
+// Extra props (event handlers, draggable...) are passed through to the node.
+export default function ShapeNode({ layer, nodeRef, ...props }) {
+  const common = {
+    ref: nodeRef,
+    x: layer.x,
+    y: layer.y,
+    ...nodeTransform(layer),
+    stroke: layer.stroke,
+    strokeWidth: layer.strokeWidth,
+    ...props,
+  };
+
+  switch (layer.shapeType) {
+    case "rect":
+    case "roundedRect":
+      return (
+        <Rect
+          {...common}
+          width={layer.width}
+          height={layer.height}
+          cornerRadius={layer.cornerRadius || 0}
+          fill={layer.fill}
+        />
+      );
+    case "ellipse":
+      return <Ellipse {...common} radiusX={layer.radiusX} radiusY={layer.radiusY} fill={layer.fill} />;
+    case "line":
+      return <Line {...common} points={layer.points} lineCap="round" lineJoin="round" />;
+    case "arrow":
+      return (
+        <Arrow
+          {...common}
+          points={layer.points}
+          fill={layer.stroke} // arrow head
+          pointerLength={Math.max(10, layer.strokeWidth * 3)}
+          pointerWidth={Math.max(10, layer.strokeWidth * 3)}
+          lineCap="round"
+          lineJoin="round"
+        />
+      );
+    case "polygon":
+      return <Line {...common} points={layer.points} closed fill={layer.fill} lineJoin="round" />;
+    default:
+      return null;
+  }
+}
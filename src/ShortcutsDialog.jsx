@@ -0,0 +1,95 @@
+import React, { useEffect, useState } from "react";
+import { COMMANDS, eventChord, formatChord, defaultBindings, commandForChord, findCommand, findConflicts } from "./shortcuts";
+
+const GROUPS = [...new Set(COMMANDS.map((c) => c.group))];
+
+// Lists every command with its key bindings. "+" records the next chord
+// pressed; a chord taken by another command is moved over after confirming.
+export default function ShortcutsDialog({ bindings, onChange, onClose }) {
+  const [recording, setRecording] = useState(null); // command id waiting for a chord
+  const conflicts = findConflicts(bindings);
+  const defaults = defaultBindings();
+
+  useEffect(() => {
+    if (!recording) return;
+    const handleKeyDown = (e) => {
+      const chord = eventChord(e);
+      if (!chord) return; // wait for the key that goes with the modifiers
+      e.preventDefault();
+      e.stopPropagation();
+      setRecording(null);
+      if (chord === "escape") return;
+      const owner = commandForChord(bindings, chord);
+      if (owner === recording) return;
+      if (owner && !confirm(`${formatChord(chord)} is used by "${findCommand(owner).label}". Use it for "${findCommand(recording).label}" instead?`)) return;
+      const next = { ...bindings, [recording]: [...bindings[recording], chord] };
+      if (owner) next[owner] = bindings[owner].filter((c) => c !== chord);
+      onChange(next);
+    };
+    // capture phase: the editor's own shortcuts must not see the chord
+    window.addEventListener("keydown", handleKeyDown, true);
+    return () => window.removeEventListener("keydown", handleKeyDown, true);
+  }, [recording, bindings, onChange]);
+
+  function removeChord(id, chord) {
+    onChange({ ...bindings, [id]: bindings[id].filter((c) => c !== chord) });
+  }
+
+  return (
+    <div className="fixed inset-0 bg-black/40 flex items-center justify-center z-50">
+      <div className="w-[28rem] max-h-[85vh] bg-white shadow-xl rounded-lg p-4 flex flex-col gap-3 text-sm">
+        <h2 className="font-bold">Keyboard shortcuts</h2>
+        {conflicts.length > 0 && (
+          <p className="text-xs text-red-600">
+            {conflicts.map(({ chord, ids }) => `${formatChord(chord)}: ${ids.map((id) => findCommand(id).label).join(", ")}`).join("; ")}
+          </p>
+        )}
+
+        <div className="overflow-y-auto flex flex-col gap-3">
+          {GROUPS.map((group) => (
+            <div key={group}>
+              <h3 className="text-xs font-semibold text-gray-500 uppercase">{group}</h3>
+              {COMMANDS.filter((c) => c.group === group).map((command) => (
+                <div key={command.id} className="flex items-center gap-2 py-0.5">
+                  <span className="flex-1">{command.label}</span>
+                  {bindings[command.id].map((chord) => (
+                    <span key={chord} className="flex items-center gap-1 px-1 bg-gray-100 border rounded font-mono text-xs">
+                      {formatChord(chord)}
+                      <button onClick={() => removeChord(command.id, chord)} className="text-gray-400 hover:text-red-500" title="Remove">
+                        ✕
+                      </button>
+                    </span>
+                  ))}
+                  <button
+                    onClick={() => setRecording(recording === command.id ? null : command.id)}
+                    className={`px-1 rounded text-xs ${recording === command.id ? "bg-blue-500 text-white" : "bg-gray-200"}`}
+                    title="Add a shortcut"
+                  >
+                    {recording === command.id ? "Press keys…" : "+"}
+                  </button>
+                  <button
+                    onClick={() => onChange({ ...bindings, [command.id]: defaults[command.id] })}
+                    disabled={bindings[command.id].join(" ") === defaults[command.id].join(" ")}
+                    className="px-1 rounded text-xs bg-gray-200 disabled:opacity-40"
+                    title="Restore the default"
+                  >
+                    ↺
+                  </button>
+                </div>
+              ))}
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          <button onClick={() => onChange(defaults)} className="px-3 py-1 rounded bg-gray-200">
+            Reset all
+          </button>
+          <button onClick={onClose} className="px-3 py-1 rounded bg-blue-500 text-white">
+            Done
+          </button>
+        </div>
+      </div>
+    </div>
+  );
+}
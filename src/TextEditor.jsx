@@ -0,0 +1,64 @@
+import React, { useEffect, useRef } from "react";
+
+// In-place editor for a text layer: a <textarea> laid over the canvas at the
+// layer's screen position, matching its font, zoom and rotation.
+// Ctrl/Cmd+Enter or clicking away commits, Escape cancels.
+export default function TextEditor({ layer, screenPos, scale, rotation, onFinish, onCancel }) {
+  const ref = useRef();
+  const doneRef = useRef(false); // finish/cancel only once (unmounting can also blur)
+
+  useEffect(() => {
+    ref.current.focus();
+    ref.current.select();
+  }, []);
+
+  function done(callback) {
+    if (doneRef.current) return;
+    doneRef.current = true;
+    callback();
+  }
+
+  function handleKeyDown(e) {
+    e.stopPropagation(); // keep editor shortcuts (undo, tools) out of the way
+    if (e.key === "Escape") done(onCancel);
+    else if (e.key === "Enter" && (e.ctrlKey || e.metaKey)) done(() => onFinish(ref.current.value));
+  }
+
+  const lines = (layer.text || "").split("\n").length;
+
+  return (
+    <textarea
+      ref={ref}
+      defaultValue={layer.text}
+      onKeyDown={handleKeyDown}
+      onInput={(e) => { e.target.rows = e.target.value.split("\n").length; }}
+      onBlur={(e) => done(() => onFinish(e.target.value))}
+      rows={lines}
+      style={{
+        position: "fixed",
+        left: screenPos.x,
+        top: screenPos.y,
+        width: layer.width ? layer.width * scale : undefined,
+        minWidth: 40,
+        margin: 0,
+        padding: 0,
+        border: "1px dashed #3b82f6",
+        outline: "none",
+        background: "transparent",
+        resize: "none",
+        overflow: "hidden",
+        whiteSpace: "pre",
+        color: layer.fill,
+        fontFamily: layer.fontFamily,
+        fontSize: layer.fontSize * scale,
+        fontWeight: layer.fontWeight,
+        fontStyle: layer.fontStyle,
+        lineHeight: layer.lineHeight,
+        textAlign: layer.align,
+        transform: `rotate(${rotation}deg)`,
+        transformOrigin: "top left",
+        zIndex: 60,
+      }}
+    />
+  );
+}
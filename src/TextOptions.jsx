@@ -0,0 +1,73 @@
+import React from "react";
+
+const FONT_FAMILIES = ["Arial", "Helvetica", "Georgia", "Times New Roman", "Courier New", "Verdana", "Impact"];
+
+const FONT_WEIGHTS = [
+  { value: "300", label: "Light" },
+  { value: "normal", label: "Regular" },
+  { value: "600", label: "Semibold" },
+  { value: "bold", label: "Bold" },
+  { value: "900", label: "Black" },
+];
+
+// Font controls for the text tool. `style` is either the defaults for new
+// text or the active text layer's style.
+export default function TextOptions({ style, onChange }) {
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      <select value={style.fontFamily} onChange={(e) => onChange({ fontFamily: e.target.value })}>
+        {FONT_FAMILIES.map((family) => (
+          <option key={family} value={family}>{family}</option>
+        ))}
+      </select>
+
+      <input
+        type="number"
+        min="4"
+        max="500"
+        value={Math.round(style.fontSize)}
+        onChange={(e) => onChange({ fontSize: Math.max(4, Number(e.target.value) || 4) })}
+        className="w-16"
+        title="Font size"
+      />
+
+      <select value={style.fontWeight} onChange={(e) => onChange({ fontWeight: e.target.value })}>
+        {FONT_WEIGHTS.map(({ value, label }) => (
+          <option key={value} value={value}>{label}</option>
+        ))}
+      </select>
+
+      <button
+        onClick={() => onChange({ fontStyle: style.fontStyle === "italic" ? "normal" : "italic" })}
+        className={`px-2 rounded italic ${style.fontStyle === "italic" ? "bg-gray-200" : ""}`}
+        title="Italic"
+      >
+        I
+      </button>
+
+      {["left", "center", "right"].map((align) => (
+        <button
+          key={align}
+          onClick={() => onChange({ align })}
+          className={`px-2 rounded ${style.align === align ? "bg-gray-200" : ""}`}
+          title={`Align ${align}`}
+        >
+          {align === "left" ? "⇤" : align === "center" ? "↔" : "⇥"}
+        </button>
+      ))}
+
+      <label title="Line height">
+        ↕
+        <input
+          type="number"
+          min="0.5"
+          max="4"
+          step="0.1"
+          value={style.lineHeight}
+          onChange={(e) => onChange({ lineHeight: Number(e.target.value) || 1 })}
+          className="w-14 ml-1"
+        />
+      </label>
+    </div>
+  );
+}
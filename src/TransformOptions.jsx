@@ -0,0 +1,62 @@
+import React from "react";
+
+const MODES = [
+  { value: "free", label: "Scale and rotate", icon: "⤡" },
+  { value: "skew", label: "Skew: side handles slant the edges", icon: "▱" },
+  { value: "perspective", label: "Perspective: handles move the corners", icon: "⏢" },
+];
+
+const FIELDS = [
+  { key: "x", label: "X", title: "Left edge (px)" },
+  { key: "y", label: "Y", title: "Top edge (px)" },
+  { key: "width", label: "W", title: "Width (px)" },
+  { key: "height", label: "H", title: "Height (px)" },
+  { key: "rotation", label: "∠", title: "Angle (degrees)" },
+  { key: "skewX", label: "↔", title: "Horizontal skew (degrees)" },
+  { key: "skewY", label: "↕", title: "Vertical skew (degrees)" },
+];
+
+// Options bar of the Transform tool: what the handles do, numeric entry of
+// position, size, angle and skew, flips, and applying or dropping the change.
+// `fields` is null once the layer is distorted in perspective, which numbers
+// can't describe.
+export default function TransformOptions({ mode, setMode, fields, onFields, onFlip, onApply, onCancel, pending, disabled }) {
+  const button = "px-2 rounded disabled:text-gray-400";
+  return (
+    <div className="flex items-center gap-2 text-sm">
+      {MODES.map(({ value, label, icon }) => (
+        <button
+          key={value}
+          onClick={() => setMode(value)}
+          className={`px-1 rounded ${mode === value ? "bg-gray-200" : ""}`}
+          title={label}
+        >
+          {icon}
+        </button>
+      ))}
+
+      <span className="border-l h-5" />
+      {FIELDS.map(({ key, label, title }) => (
+        <label key={key} title={title}>
+          {label}
+          <input
+            type="number"
+            value={fields ? Math.round(fields[key] * 10) / 10 : ""}
+            disabled={disabled || !fields}
+            onChange={(e) => e.target.value !== "" && onFields({ [key]: Number(e.target.value) })}
+            className="w-16 ml-1"
+          />
+        </label>
+      ))}
+
+      <span className="border-l h-5" />
+      <button onClick={() => onFlip("x")} disabled={disabled} className={button} title="Flip horizontal">⇋</button>
+      <button onClick={() => onFlip("y")} disabled={disabled} className={button} title="Flip vertical">⥮</button>
+
+      <span className="border-l h-5" />
+      <button onClick={onApply} disabled={!pending} className={button} title="Apply (Enter)">✓</button>
+      <button onClick={onCancel} disabled={!pending} className={button} title="Cancel (Esc)">✕</button>
+      <span className="text-xs text-gray-500">Drag inside to move, outside to rotate; arrow keys nudge</span>
+    </div>
+  );
+}
@@ -0,0 +1,49 @@
+// In-memory registry of imported image data.
+//
+// Image layers keep a short object URL in `src` plus the `assetId` it belongs
+// to, so undo snapshots and autosaves never carry megabytes of base64. The
+// original Blob is looked up here whenever the bytes are needed (project
+// files, IndexedDB). The selection masks of clipped strokes are assets too,
+// which the strokes refer to by `clip.assetId`.
+
+import { v4 as uuidv4 } from 'uuid'
+
+const assets = new Map() // assetId -> { blob, url }
+
+export function registerAsset(blob, assetId = uuidv4()) {
+  const existing = assets.get(assetId)
+  if (existing) return { assetId, url: existing.url }
+  const url = URL.createObjectURL(blob)
+  assets.set(assetId, { blob, url })
+  return { assetId, url }
+}
+
+export function getAssetBlob(assetId) {
+  return assets.get(assetId)?.blob
+}
+
+export function getAssetURL(assetId) {
+  return assets.get(assetId)?.url
+}
+
+export async function dataURLToBlob(dataURL) {
+  const res = await fetch(dataURL)
+  return res.blob()
+}
+
+// dataURLToBlob for data URLs made on the spot, when the Blob is needed
+// right away
+export function dataURLToBlobSync(dataURL) {
+  const [header, data] = dataURL.split(',')
+  const bytes = Uint8Array.from(atob(data), c => c.charCodeAt(0))
+  return new Blob([bytes], { type: header.slice('data:'.length).split(';')[0] })
+}
+
+export function blobToDataURL(blob) {
+  return new Promise((resolve, reject) => {
+    const reader = new FileReader()
+    reader.onload = () => resolve(reader.result)
+    reader.onerror = () => reject(reader.error)
+    reader.readAsDataURL(blob)
+  })
+}
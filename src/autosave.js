@@ -0,0 +1,168 @@
+// Autosave / crash recovery backed by IndexedDB.
+//
+// Two object stores:
+//   documents: { id, name, updatedAt, unsaved, thumbnail, layers, lines, canvas, view }
+//   assets:    { id, blob }   image data referenced by layers' `assetId` and
+//                             selection masks referenced by strokes' `clip.assetId`
+//
+// Layers are stored without their `src` (object URLs die with the page); it is
+// recreated from the asset blob when a document is loaded.
+
+import { registerAsset, getAssetBlob, dataURLToBlob } from './assets'
+import { clipAssetIds, extractInlineClips } from './selection'
+
+const DB_NAME = 'iwilldraw'
+const DB_VERSION = 1
+const MAX_DOCUMENTS = 10
+
+let dbPromise = null
+const storedAssets = new Set() // asset ids already written this session
+
+function openDB() {
+  if (!dbPromise) {
+    dbPromise = new Promise((resolve, reject) => {
+      const req = indexedDB.open(DB_NAME, DB_VERSION)
+      req.onupgradeneeded = () => {
+        const db = req.result
+        db.createObjectStore('documents', { keyPath: 'id' })
+        db.createObjectStore('assets', { keyPath: 'id' })
+      }
+      req.onsuccess = () => resolve(req.result)
+      req.onerror = () => reject(req.error)
+    })
+  }
+  return dbPromise
+}
+
+function request(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result)
+    req.onerror = () => reject(req.error)
+  })
+}
+
+// Runs `fn(stores)` in one transaction and resolves with its result once the
+// transaction has committed.
+async function transaction(storeNames, mode, fn) {
+  const db = await openDB()
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeNames, mode)
+    const stores = Object.fromEntries(storeNames.map(name => [name, tx.objectStore(name)]))
+    let result
+    Promise.resolve(fn(stores)).then(r => { result = r }, reject)
+    tx.oncomplete = () => resolve(result)
+    tx.onerror = () => reject(tx.error)
+    tx.onabort = () => reject(tx.error)
+  })
+}
+
+// Ids of the assets a document refers to
+function assetIds({ layers, lines }) {
+  return [...new Set([...layers.map(l => l.assetId).filter(Boolean), ...clipAssetIds(lines)])]
+}
+
+export async function saveDocument({ id, name, layers, lines, canvas, view, thumbnail }) {
+  const newAssets = []
+  for (const assetId of assetIds({ layers, lines })) {
+    if (storedAssets.has(assetId)) continue
+    const blob = getAssetBlob(assetId)
+    if (blob) newAssets.push({ id: assetId, blob })
+  }
+  const record = {
+    id,
+    name,
+    updatedAt: Date.now(),
+    unsaved: true,
+    thumbnail,
+    layers: layers.map(layer => {
+      if (!layer.assetId) return layer
+      const { src: _SRC, ...rest } = layer
+      return rest
+    }),
+    lines,
+    canvas,
+    view,
+  }
+
+  await transaction(['documents', 'assets'], 'readwrite', ({ documents, assets }) => {
+    newAssets.forEach(asset => assets.put(asset))
+    documents.put(record)
+  })
+  newAssets.forEach(asset => storedAssets.add(asset.id))
+}
+
+// Clears the "unsaved" flag once the user has saved the document to a file
+export async function markDocumentSaved(id) {
+  await transaction(['documents'], 'readwrite', async ({ documents }) => {
+    const record = await request(documents.get(id))
+    if (record) documents.put({ ...record, unsaved: false })
+  })
+}
+
+// Lightweight listing for the recovery dialog, most recent first
+export async function listDocuments() {
+  const records = await transaction(['documents'], 'readonly', ({ documents }) => request(documents.getAll()))
+  return records
+    .map(({ id, name, updatedAt, unsaved, thumbnail }) => ({ id, name, updatedAt, unsaved, thumbnail }))
+    .sort((a, b) => b.updatedAt - a.updatedAt)
+}
+
+export async function loadDocument(id) {
+  const { record, blobs } = await transaction(['documents', 'assets'], 'readonly', async ({ documents, assets }) => {
+    const record = await request(documents.get(id))
+    if (!record) throw new Error('Document not found')
+    const blobs = {}
+    for (const assetId of assetIds(record)) {
+      const asset = await request(assets.get(assetId))
+      if (asset) blobs[assetId] = asset.blob
+    }
+    return { record, blobs }
+  })
+
+  for (const assetId of clipAssetIds(record.lines)) {
+    if (!blobs[assetId]) throw new Error('The selection some strokes were painted in is missing')
+    storedAssets.add(assetId)
+    registerAsset(blobs[assetId], assetId)
+  }
+  // saved before selection masks were assets
+  const inline = extractInlineClips(record.lines)
+  for (const [assetId, dataURL] of Object.entries(inline.assets)) registerAsset(await dataURLToBlob(dataURL), assetId)
+
+  const layers = record.layers.map(layer => {
+    if (!layer.assetId) return layer
+    const blob = blobs[layer.assetId]
+    if (!blob) throw new Error(`Image data for layer "${layer.name}" is missing`)
+    storedAssets.add(layer.assetId)
+    return { ...layer, src: registerAsset(blob, layer.assetId).url }
+  })
+  return { id: record.id, name: record.name, layers, lines: inline.lines, canvas: record.canvas, view: record.view }
+}
+
+export async function deleteDocument(id) {
+  await transaction(['documents'], 'readwrite', ({ documents }) => documents.delete(id))
+  await collectGarbage()
+}
+
+// Keeps the most recent MAX_DOCUMENTS documents and drops assets no longer
+// referenced by any of them.
+export async function pruneDocuments() {
+  const docs = await listDocuments()
+  const stale = docs.slice(MAX_DOCUMENTS)
+  if (stale.length === 0) return
+  await transaction(['documents'], 'readwrite', ({ documents }) => {
+    stale.forEach(doc => documents.delete(doc.id))
+  })
+  await collectGarbage()
+}
+
+async function collectGarbage() {
+  await transaction(['documents', 'assets'], 'readwrite', async ({ documents, assets }) => {
+    const records = await request(documents.getAll())
+    const used = new Set(records.flatMap(assetIds))
+    const ids = await request(assets.getAllKeys())
+    ids.filter(id => !used.has(id)).forEach(id => {
+      assets.delete(id)
+      storedAssets.delete(id)
+    })
+  })
+}
@@ -0,0 +1,30 @@
+// Layer blend modes. A layer's `blend` is one of these values; apart from
+// 'normal' they are named exactly like the Canvas 2D / CSS blend modes.
+
+export const BLEND_MODES = [
+  { value: 'normal', label: 'Normal' },
+  { value: 'multiply', label: 'Multiply' },
+  { value: 'screen', label: 'Screen' },
+  { value: 'overlay', label: 'Overlay' },
+  { value: 'darken', label: 'Darken' },
+  { value: 'lighten', label: 'Lighten' },
+  { value: 'color-dodge', label: 'Color Dodge' },
+  { value: 'color-burn', label: 'Color Burn' },
+  { value: 'hard-light', label: 'Hard Light' },
+  { value: 'soft-light', label: 'Soft Light' },
+  { value: 'difference', label: 'Difference' },
+  { value: 'exclusion', label: 'Exclusion' },
+  { value: 'hue', label: 'Hue' },
+  { value: 'saturation', label: 'Saturation' },
+  { value: 'color', label: 'Color' },
+  { value: 'luminosity', label: 'Luminosity' },
+]
+
+export function isBlendMode(value) {
+  return BLEND_MODES.some(mode => mode.value === value)
+}
+
+// globalCompositeOperation for a layer's blend mode
+export function blendToComposite(blend) {
+  return blend && blend !== 'normal' && isBlendMode(blend) ? blend : 'source-over'
+}
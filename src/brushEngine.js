@@ -0,0 +1,359 @@
+// Stroke rendering shared by the live canvas and every offscreen renderer.
+//
+// A stroke records one sample per pointer event:
+//   points    [x0, y0, x1, y1, ...]     canvas coordinates
+//   pressures [p0, p1, ...]             0..1 (missing on strokes made before pointer input)
+//   tilts     [tx0, ty0, tx1, ty1, ...] degrees
+//   times     [t0, t1, ...]             ms since the stroke started
+// plus its brush settings: color, size, opacity, mode ('brush' | 'eraser'),
+// pointerType, smoothing and dynamics ({ size, opacity }: what pressure drives).
+//
+// Strokes with textured/soft `brush` settings (see brushPresets.js) are
+// rendered by stamping the brush tip along the path; `seed` makes their
+// jitter repeatable so a stroke looks the same every time it is redrawn.
+//
+// A stroke painted inside a selection carries it as `clip: { assetId, x, y,
+// width, height }` (see selection.js) and only shows within it.
+//
+// Bucket fills and gradients are strokes too, so they stack, undo and mask
+// like any other paint. They have a `kind` and cover the rectangle `area`:
+//   { kind: 'fill', color, opacity, area, clip }    clip = the filled region
+//   { kind: 'gradient', gradient: { type, stops }, points: [x0, y0, x1, y1], opacity, area, clip? }
+// where gradient `type` is 'linear' or 'radial' (centered on the first point)
+// and `stops` are `{ offset, color, opacity }`.
+
+import { isPlainBrush } from './brushPresets'
+import { getStamp, loadStrokeImage } from './brushTips'
+import { getAssetURL } from './assets'
+import { parseHex, splitAlpha } from './colors'
+
+export const DEFAULT_SMOOTHING = 0.5
+const MIN_PRESSURE_SIZE = 0.15 // fraction of the brush size at zero pressure
+const MAX_BUFFER_SIZE = 4096
+
+function hasPressure(stroke) {
+  // mice report a constant 0.5 while pressed, which carries no information
+  return Array.isArray(stroke.pressures) && stroke.pointerType !== 'mouse'
+}
+
+function strokeSmoothing(stroke) {
+  return stroke.smoothing ?? (stroke.mode === 'eraser' ? 0 : DEFAULT_SMOOTHING)
+}
+
+// Resamples the stroke along a cardinal spline (tension = smoothing, 0.5 is
+// Catmull-Rom) so fast strokes stay round. Pressure is interpolated linearly.
+export function smoothStroke(stroke) {
+  const pts = stroke.points
+  const n = pts.length / 2
+  const pressure = (i) => (hasPressure(stroke) ? stroke.pressures[i] ?? 1 : 1)
+  const smoothing = strokeSmoothing(stroke)
+
+  const xs = []
+  const ys = []
+  const ps = []
+  if (n < 3 || smoothing <= 0) {
+    for (let i = 0; i < n; i++) {
+      xs.push(pts[i * 2])
+      ys.push(pts[i * 2 + 1])
+      ps.push(pressure(i))
+    }
+    return { xs, ys, ps }
+  }
+
+  const px = (i) => pts[Math.min(n - 1, Math.max(0, i)) * 2]
+  const py = (i) => pts[Math.min(n - 1, Math.max(0, i)) * 2 + 1]
+  for (let i = 0; i < n - 1; i++) {
+    const x1 = px(i), y1 = py(i), x2 = px(i + 1), y2 = py(i + 1)
+    const t1x = smoothing * (x2 - px(i - 1)), t1y = smoothing * (y2 - py(i - 1))
+    const t2x = smoothing * (px(i + 2) - x1), t2y = smoothing * (py(i + 2) - y1)
+    const steps = Math.min(16, Math.max(1, Math.ceil(Math.hypot(x2 - x1, y2 - y1) / 2)))
+    for (let s = 0; s < steps; s++) {
+      const t = s / steps
+      const t2 = t * t
+      const t3 = t2 * t
+      const h1 = 2 * t3 - 3 * t2 + 1
+      const h2 = -2 * t3 + 3 * t2
+      const h3 = t3 - 2 * t2 + t
+      const h4 = t3 - t2
+      xs.push(h1 * x1 + h2 * x2 + h3 * t1x + h4 * t2x)
+      ys.push(h1 * y1 + h2 * y2 + h3 * t1y + h4 * t2y)
+      ps.push(pressure(i) + (pressure(i + 1) - pressure(i)) * t)
+    }
+  }
+  xs.push(px(n - 1))
+  ys.push(py(n - 1))
+  ps.push(pressure(n - 1))
+  return { xs, ys, ps }
+}
+
+export function strokeBounds(stroke) {
+  if (stroke.area) return stroke.area
+  const scatter = stroke.brush?.scatter || 0
+  const pts = stroke.points
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity
+  for (let i = 0; i < pts.length; i += 2) {
+    minX = Math.min(minX, pts[i])
+    maxX = Math.max(maxX, pts[i])
+    minY = Math.min(minY, pts[i + 1])
+    maxY = Math.max(maxY, pts[i + 1])
+  }
+  // spline overshoot stays well within one brush width
+  const pad = stroke.size * (1 + scatter)
+  return { x: minX - pad, y: minY - pad, width: maxX - minX + pad * 2, height: maxY - minY + pad * 2 }
+}
+
+let buffer = null
+let clipBuffer = null
+function getBuffer(width, height, clipped = false) {
+  let canvas = clipped ? clipBuffer : buffer
+  if (!canvas) {
+    canvas = document.createElement('canvas')
+    if (clipped) clipBuffer = canvas
+    else buffer = canvas
+  }
+  if (canvas.width < width || canvas.height < height) {
+    canvas.width = Math.max(canvas.width, width)
+    canvas.height = Math.max(canvas.height, height)
+  }
+  const bctx = canvas.getContext('2d', { willReadFrequently: true })
+  bctx.setTransform(1, 0, 0, 1, 0, 0)
+  bctx.globalCompositeOperation = 'source-over'
+  bctx.clearRect(0, 0, width, height)
+  return { canvas, bctx }
+}
+
+function drawSegments(ctx, { xs, ys, ps }, size, widthFactor, styleFor) {
+  ctx.lineCap = 'round'
+  ctx.lineJoin = 'round'
+  for (let i = 0; i < xs.length - 1; i++) {
+    const p = (ps[i] + ps[i + 1]) / 2
+    ctx.beginPath()
+    ctx.moveTo(xs[i], ys[i])
+    ctx.lineTo(xs[i + 1], ys[i + 1])
+    ctx.lineWidth = size * widthFactor(p)
+    ctx.strokeStyle = styleFor(p)
+    ctx.stroke()
+  }
+}
+
+// Draws `stroke` onto a native 2D context, honouring the context's current
+// transform, globalAlpha and compositing. Erasers cut with destination-out.
+export function drawStroke(ctx, stroke) {
+  if (stroke.kind) return drawAreaStroke(ctx, stroke)
+  if (stroke.clip) return drawClippedStroke(ctx, stroke)
+  const path = smoothStroke(stroke)
+  const pressured = hasPressure(stroke)
+  const dynSize = pressured && (stroke.dynamics?.size ?? true)
+  const dynOpacity = pressured && !!stroke.dynamics?.opacity
+  const color = stroke.mode === 'eraser' ? '#000' : stroke.color
+  const widthFactor = (p) => (dynSize ? MIN_PRESSURE_SIZE + (1 - MIN_PRESSURE_SIZE) * p : 1)
+
+  ctx.save()
+  if (stroke.mode === 'eraser') ctx.globalCompositeOperation = 'destination-out'
+  ctx.globalAlpha *= stroke.opacity ?? 1
+
+  if (!isPlainBrush(stroke.brush)) {
+    stampStroke(ctx, stroke, path, { widthFactor, opacityFactor: (p) => (dynOpacity ? p : 1), color })
+  } else if (!dynSize && !dynOpacity) {
+    // uniform width: a single path, so self-overlaps don't build up opacity
+    ctx.beginPath()
+    ctx.moveTo(path.xs[0], path.ys[0])
+    for (let i = 1; i < path.xs.length; i++) ctx.lineTo(path.xs[i], path.ys[i])
+    ctx.lineCap = 'round'
+    ctx.lineJoin = 'round'
+    ctx.lineWidth = stroke.size
+    ctx.strokeStyle = color
+    ctx.stroke()
+  } else if (dynOpacity) {
+    // Opacity by pressure must not accumulate where segments overlap: draw the
+    // per-segment opacity as opaque grey with 'lighten' (a per-pixel max),
+    // then turn that grey into the alpha of the stroke color.
+    withBuffer(ctx, stroke, ({ bctx, bounds, width, height }) => {
+      bctx.fillStyle = '#000'
+      bctx.fillRect(bounds.x, bounds.y, bounds.width, bounds.height)
+      bctx.globalCompositeOperation = 'lighten'
+      drawSegments(bctx, path, stroke.size, widthFactor, (p) => {
+        const v = Math.round(255 * p)
+        return `rgb(${v},${v},${v})`
+      })
+      const image = bctx.getImageData(0, 0, width, height)
+      const { r, g, b, a } = parseHex(color)
+      const data = image.data
+      for (let i = 0; i < data.length; i += 4) {
+        data[i + 3] = data[i] * a
+        data[i] = r
+        data[i + 1] = g
+        data[i + 2] = b
+      }
+      bctx.putImageData(image, 0, 0)
+    })
+  } else {
+    // variable width: overlapping segments in a buffer, composited once
+    withBuffer(ctx, stroke, ({ bctx }) => drawSegments(bctx, path, stroke.size, widthFactor, () => color))
+  }
+  ctx.restore()
+}
+
+// Decoded mask image of a stroke's clip, or null while it isn't available
+function clipImage(clip) {
+  const url = getAssetURL(clip.assetId)
+  return url ? loadStrokeImage(url) : null
+}
+
+// Paints the stroke unclipped into a buffer of its own, keeps what lies inside
+// the clip and draws that onto `ctx`
+function drawClippedStroke(ctx, stroke) {
+  const { clip } = stroke
+  const image = clipImage(clip)
+  if (!image) return // redrawn once the clip has decoded
+  const eraser = stroke.mode === 'eraser'
+  const bounds = strokeBounds(stroke)
+  const m = ctx.getTransform()
+  const scale = Math.min(Math.hypot(m.a, m.b) || 1, MAX_BUFFER_SIZE / Math.max(bounds.width, bounds.height))
+  const width = Math.max(1, Math.ceil(bounds.width * scale))
+  const height = Math.max(1, Math.ceil(bounds.height * scale))
+  const { canvas, bctx } = getBuffer(width, height, true)
+  bctx.setTransform(scale, 0, 0, scale, -bounds.x * scale, -bounds.y * scale)
+  drawStroke(bctx, { ...stroke, clip: undefined, mode: 'brush', color: eraser ? '#000000' : stroke.color })
+  bctx.globalCompositeOperation = 'destination-in'
+  bctx.drawImage(image, clip.x, clip.y, clip.width, clip.height)
+
+  ctx.save()
+  if (eraser) ctx.globalCompositeOperation = 'destination-out'
+  ctx.drawImage(canvas, 0, 0, width, height, bounds.x, bounds.y, width / scale, height / scale)
+  ctx.restore()
+}
+
+function areaStyle(ctx, stroke) {
+  if (stroke.kind === 'fill') return stroke.color
+  const [x0, y0, x1, y1] = stroke.points
+  const { type, stops } = stroke.gradient
+  const gradient = type === 'radial'
+    ? ctx.createRadialGradient(x0, y0, 0, x0, y0, Math.max(1, Math.hypot(x1 - x0, y1 - y0)))
+    : ctx.createLinearGradient(x0, y0, x1, y1)
+  for (const stop of stops) {
+    const { r, g, b, a } = parseHex(stop.color)
+    gradient.addColorStop(Math.min(1, Math.max(0, stop.offset)), `rgba(${r},${g},${b},${a * (stop.opacity ?? 1)})`)
+  }
+  return gradient
+}
+
+// Fills and gradients: the area painted with the stroke's color or gradient,
+// cut to its clip
+function drawAreaStroke(ctx, stroke) {
+  const { area, clip } = stroke
+  ctx.save()
+  ctx.globalAlpha *= stroke.opacity ?? 1
+  if (!clip) {
+    ctx.fillStyle = areaStyle(ctx, stroke)
+    ctx.fillRect(area.x, area.y, area.width, area.height)
+    ctx.restore()
+    return
+  }
+  const image = clipImage(clip)
+  if (!image) {
+    ctx.restore()
+    return // redrawn once the clip has decoded
+  }
+  const m = ctx.getTransform()
+  const scale = Math.min(Math.hypot(m.a, m.b) || 1, MAX_BUFFER_SIZE / Math.max(area.width, area.height))
+  const width = Math.max(1, Math.ceil(area.width * scale))
+  const height = Math.max(1, Math.ceil(area.height * scale))
+  const { canvas, bctx } = getBuffer(width, height, true)
+  bctx.setTransform(scale, 0, 0, scale, -area.x * scale, -area.y * scale)
+  bctx.fillStyle = areaStyle(bctx, stroke)
+  bctx.fillRect(area.x, area.y, area.width, area.height)
+  bctx.globalCompositeOperation = 'destination-in'
+  bctx.drawImage(image, clip.x, clip.y, clip.width, clip.height)
+  ctx.drawImage(canvas, 0, 0, width, height, area.x, area.y, width / scale, height / scale)
+  ctx.restore()
+}
+
+// Vector description of a stroke for SVG export: `{ color, opacity, paths }`
+// where each path is `{ points: [x0, y0, ...], width }`. Null for strokes only
+// the raster renderer can reproduce (erasers, stamped tips, pressure opacity).
+export function strokeVector(stroke) {
+  const pressured = hasPressure(stroke)
+  if (stroke.kind || stroke.mode === 'eraser' || stroke.clip || !isPlainBrush(stroke.brush) || (pressured && stroke.dynamics?.opacity)) return null
+  const { xs, ys, ps } = smoothStroke(stroke)
+  const { hex, alpha } = splitAlpha(stroke.color)
+  const base = { color: hex, opacity: (stroke.opacity ?? 1) * alpha }
+  if (!pressured || !(stroke.dynamics?.size ?? true)) {
+    return { ...base, paths: [{ points: xs.flatMap((x, i) => [x, ys[i]]), width: stroke.size }] }
+  }
+  const paths = []
+  for (let i = 0; i < xs.length - 1; i++) {
+    const p = (ps[i] + ps[i + 1]) / 2
+    paths.push({ points: [xs[i], ys[i], xs[i + 1], ys[i + 1]], width: stroke.size * (MIN_PRESSURE_SIZE + (1 - MIN_PRESSURE_SIZE) * p) })
+  }
+  return { ...base, paths }
+}
+
+// Renders into a scratch canvas covering the stroke bounds at the device
+// resolution of `ctx`, then draws the result onto `ctx`.
+function withBuffer(ctx, stroke, draw) {
+  const bounds = strokeBounds(stroke)
+  const m = ctx.getTransform()
+  let scale = Math.hypot(m.a, m.b) || 1
+  scale = Math.min(scale, MAX_BUFFER_SIZE / Math.max(bounds.width, bounds.height))
+  const width = Math.max(1, Math.ceil(bounds.width * scale))
+  const height = Math.max(1, Math.ceil(bounds.height * scale))
+  const { canvas, bctx } = getBuffer(width, height)
+  bctx.setTransform(scale, 0, 0, scale, -bounds.x * scale, -bounds.y * scale)
+  draw({ bctx, bounds, width, height })
+  ctx.drawImage(canvas, 0, 0, width, height, bounds.x, bounds.y, width / scale, height / scale)
+}
+
+// Small seeded PRNG (mulberry32)
+function random(seed) {
+  let a = seed >>> 0
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0
+    let t = a
+    t = Math.imul(t ^ (t >>> 15), t | 1)
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61)
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296
+  }
+}
+
+// Stamps the brush tip along the path every `spacing * size`
+function stampStroke(ctx, stroke, path, { widthFactor, opacityFactor, color }) {
+  const brush = stroke.brush
+  const stamp = getStamp(brush, color)
+  if (!stamp) return // imported tip still decoding; redrawn once it has loaded
+  const rand = random(stroke.seed || 1)
+  const { xs, ys, ps } = path
+
+  withBuffer(ctx, stroke, ({ bctx }) => {
+    const place = (x, y, p) => {
+      const size = Math.max(0.5, stroke.size * widthFactor(p) * (1 - brush.sizeJitter * rand()))
+      const angle = ((brush.angle + brush.angleJitter * 360 * (rand() - 0.5)) * Math.PI) / 180
+      const alpha = brush.flow * opacityFactor(p) * (1 - brush.opacityJitter * rand())
+      const offsetX = (rand() - 0.5) * 2 * brush.scatter * stroke.size
+      const offsetY = (rand() - 0.5) * 2 * brush.scatter * stroke.size
+      bctx.save()
+      bctx.globalAlpha = alpha
+      bctx.translate(x + offsetX, y + offsetY)
+      bctx.rotate(angle)
+      bctx.drawImage(stamp, -size / 2, -size / 2, size, size)
+      bctx.restore()
+    }
+
+    place(xs[0], ys[0], ps[0])
+    let untilNext = Math.max(0.5, brush.spacing * stroke.size * widthFactor(ps[0]))
+    for (let i = 0; i < xs.length - 1; i++) {
+      const dx = xs[i + 1] - xs[i]
+      const dy = ys[i + 1] - ys[i]
+      const length = Math.hypot(dx, dy)
+      let travelled = 0
+      while (length - travelled >= untilNext) {
+        travelled += untilNext
+        const t = travelled / length
+        const p = ps[i] + (ps[i + 1] - ps[i]) * t
+        place(xs[i] + dx * t, ys[i] + dy * t, p)
+        untilNext = Math.max(0.5, brush.spacing * stroke.size * widthFactor(p))
+      }
+      untilNext -= length - travelled
+    }
+  })
+}
@@ -0,0 +1,118 @@
+// Brush settings and presets.
+//
+// Brush settings (stored on every stroke as `stroke.brush`):
+//   tip           'round' | 'square' | 'chalk' | 'airbrush' | 'custom'
+//   tipImage      data URL of an imported tip (tip === 'custom')
+//   hardness      0..1, edge falloff of generated tips
+//   spacing       distance between stamps, as a fraction of the brush size
+//   flow          0..1, opacity of each stamp (stamps build up within a stroke)
+//   angle         tip rotation in degrees
+//   sizeJitter, angleJitter, opacityJitter   0..1 random variation per stamp
+//   scatter       random offset per stamp, as a multiple of the brush size
+//
+// A preset is `{ id, name, size?, opacity?, brush }`. User presets live in
+// localStorage and travel between machines as JSON preset packs.
+
+import { v4 as uuidv4 } from 'uuid'
+
+const STORAGE_KEY = 'iwilldraw.brushPresets'
+const PACK_FORMAT = 'iwd-brushes'
+const PACK_VERSION = 1
+
+export const DEFAULT_BRUSH = {
+  tip: 'round',
+  hardness: 1,
+  spacing: 0.1,
+  flow: 1,
+  angle: 0,
+  sizeJitter: 0,
+  angleJitter: 0,
+  opacityJitter: 0,
+  scatter: 0,
+}
+
+export const BUILTIN_PRESETS = [
+  { id: 'basic-round', name: 'Basic round', builtin: true, brush: DEFAULT_BRUSH },
+  { id: 'soft-round', name: 'Soft round', builtin: true, size: 24, brush: { ...DEFAULT_BRUSH, hardness: 0.2, spacing: 0.08 } },
+  { id: 'square', name: 'Square', builtin: true, brush: { ...DEFAULT_BRUSH, tip: 'square', spacing: 0.08 } },
+  {
+    id: 'chalk',
+    name: 'Chalk',
+    builtin: true,
+    size: 18,
+    brush: { ...DEFAULT_BRUSH, tip: 'chalk', hardness: 0.7, spacing: 0.15, sizeJitter: 0.2, angleJitter: 1, opacityJitter: 0.4 },
+  },
+  { id: 'airbrush', name: 'Airbrush', builtin: true, size: 40, brush: { ...DEFAULT_BRUSH, tip: 'airbrush', spacing: 0.05, flow: 0.08 } },
+  {
+    id: 'scatter-dots',
+    name: 'Scatter dots',
+    builtin: true,
+    size: 8,
+    brush: { ...DEFAULT_BRUSH, hardness: 0.9, spacing: 1.5, sizeJitter: 0.6, opacityJitter: 0.3, scatter: 2 },
+  },
+]
+
+// A plain hard round brush renders as a simple path instead of stamps
+export function isPlainBrush(brush) {
+  return !brush || (
+    brush.tip === 'round' &&
+    brush.hardness >= 1 &&
+    brush.flow >= 1 &&
+    !brush.sizeJitter &&
+    !brush.angleJitter &&
+    !brush.opacityJitter &&
+    !brush.scatter
+  )
+}
+
+function normalizePreset(preset) {
+  if (!preset || typeof preset.name !== 'string' || !preset.brush || typeof preset.brush !== 'object') {
+    throw new Error('Invalid brush preset')
+  }
+  const result = {
+    id: uuidv4(),
+    name: preset.name,
+    brush: { ...DEFAULT_BRUSH, ...preset.brush },
+  }
+  if (Number.isFinite(preset.size)) result.size = preset.size
+  if (Number.isFinite(preset.opacity)) result.opacity = preset.opacity
+  return result
+}
+
+export function loadUserPresets() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '[]')
+    return Array.isArray(stored) ? stored : []
+  } catch {
+    return []
+  }
+}
+
+export function saveUserPresets(presets) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(presets))
+}
+
+export function createPreset(name, { size, opacity, brush }) {
+  return normalizePreset({ name, size, opacity, brush })
+}
+
+export function serializeBrushPack(presets) {
+  return JSON.stringify({
+    format: PACK_FORMAT,
+    version: PACK_VERSION,
+    presets: presets.map(({ name, size, opacity, brush }) => ({ name, size, opacity, brush })),
+  }, null, 2)
+}
+
+// Presets from a pack get fresh ids so importing twice never collides
+export function parseBrushPack(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Brush pack is not valid JSON')
+  }
+  if (data?.format !== PACK_FORMAT || !Array.isArray(data.presets)) throw new Error('Not a brush preset pack')
+  if (data.version > PACK_VERSION) throw new Error(`Brush pack was made by a newer version (v${data.version})`)
+  return data.presets.map(normalizePreset)
+}
@@ -0,0 +1,178 @@
+// Brush tip bitmaps for the stamp engine.
+//
+// A tip is a white alpha mask (TIP_SIZE square) generated from the brush's
+// `tip` and `hardness`, or decoded from a user-imported PNG (`tipImage`, a
+// data URL). Stamps are masks tinted with the stroke color. Both are cached.
+
+export const BRUSH_TIPS = [
+  { value: 'round', label: 'Round' },
+  { value: 'square', label: 'Square' },
+  { value: 'chalk', label: 'Chalk' },
+  { value: 'airbrush', label: 'Airbrush' },
+  { value: 'custom', label: 'Imported PNG' },
+]
+
+const TIP_SIZE = 128
+const masks = new Map() // tip key -> mask canvas
+const stamps = new Map() // tip key + color -> tinted canvas
+const customImages = new Map() // image URL -> HTMLImageElement (null while loading)
+const listeners = new Set()
+
+function smoothstep(edge0, edge1, x) {
+  if (edge0 >= edge1) return x < edge1 ? 0 : 1
+  const t = Math.min(1, Math.max(0, (x - edge0) / (edge1 - edge0)))
+  return t * t * (3 - 2 * t)
+}
+
+// Cheap deterministic per-pixel noise for the chalk grain
+function grain(x, y) {
+  const v = Math.sin(x * 12.9898 + y * 78.233) * 43758.5453
+  return v - Math.floor(v)
+}
+
+// Alpha of the tip at (x, y) in [-1, 1] tip space
+function tipAlpha(tip, hardness) {
+  switch (tip) {
+    case 'square':
+      return (x, y) => 1 - smoothstep(hardness, 1, Math.max(Math.abs(x), Math.abs(y)))
+    case 'chalk':
+      return (x, y) => (1 - smoothstep(hardness, 1, Math.hypot(x, y))) * (grain(x, y) > 0.45 ? 1 : 0.15)
+    case 'airbrush':
+      return (x, y) => {
+        const d = Math.hypot(x, y)
+        return d >= 1 ? 0 : Math.exp(-d * d * 4)
+      }
+    default:
+      return (x, y) => 1 - smoothstep(hardness, 1, Math.hypot(x, y))
+  }
+}
+
+function createCanvas(size) {
+  const canvas = document.createElement('canvas')
+  canvas.width = size
+  canvas.height = size
+  return canvas
+}
+
+function generatedMask(tip, hardness) {
+  const canvas = createCanvas(TIP_SIZE)
+  const ctx = canvas.getContext('2d')
+  const image = ctx.createImageData(TIP_SIZE, TIP_SIZE)
+  const alpha = tipAlpha(tip, Math.min(1, Math.max(0, hardness)))
+  for (let py = 0; py < TIP_SIZE; py++) {
+    for (let px = 0; px < TIP_SIZE; px++) {
+      const i = (py * TIP_SIZE + px) * 4
+      const a = alpha(((px + 0.5) / TIP_SIZE) * 2 - 1, ((py + 0.5) / TIP_SIZE) * 2 - 1)
+      image.data[i] = image.data[i + 1] = image.data[i + 2] = 255
+      image.data[i + 3] = Math.round(255 * Math.min(1, Math.max(0, a)))
+    }
+  }
+  ctx.putImageData(image, 0, 0)
+  return canvas
+}
+
+// PNG tips use their alpha channel; fully opaque images (e.g. black on white)
+// use inverted luminance instead.
+function imageMask(img) {
+  const canvas = createCanvas(TIP_SIZE)
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  const scale = TIP_SIZE / Math.max(img.width, img.height)
+  const w = img.width * scale
+  const h = img.height * scale
+  ctx.drawImage(img, (TIP_SIZE - w) / 2, (TIP_SIZE - h) / 2, w, h)
+  const image = ctx.getImageData(0, 0, TIP_SIZE, TIP_SIZE)
+  const data = image.data
+  let opaque = true
+  for (let i = 3; i < data.length; i += 4) if (data[i] < 255) { opaque = false; break }
+  for (let i = 0; i < data.length; i += 4) {
+    const luminance = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]
+    data[i + 3] = opaque ? 255 - luminance : data[i + 3]
+    data[i] = data[i + 1] = data[i + 2] = 255
+  }
+  ctx.putImageData(image, 0, 0)
+  return canvas
+}
+
+// Decoded image a stroke draws with (an imported tip's data URL or the asset
+// URL of its selection clip), or null while it is still decoding
+export function loadStrokeImage(url) {
+  if (customImages.has(url)) return customImages.get(url)
+  customImages.set(url, null)
+  const img = new window.Image()
+  img.onload = () => {
+    customImages.set(url, img)
+    listeners.forEach(listener => listener())
+  }
+  img.src = url
+  return null
+}
+
+function tipKey(brush) {
+  return brush.tip === 'custom' ? brush.tipImage : `${brush.tip}:${brush.hardness}`
+}
+
+// Mask canvas for the brush, or null while an imported tip is still decoding
+export function getTipMask(brush) {
+  const key = tipKey(brush)
+  let mask = masks.get(key)
+  if (!mask) {
+    if (brush.tip === 'custom') {
+      const img = brush.tipImage && loadStrokeImage(brush.tipImage)
+      if (!img) return null
+      mask = imageMask(img)
+    } else {
+      mask = generatedMask(brush.tip, brush.hardness ?? 1)
+    }
+    masks.set(key, mask)
+  }
+  return mask
+}
+
+// Tip tinted with `color`, ready to stamp
+export function getStamp(brush, color) {
+  const key = `${tipKey(brush)}|${color}`
+  let stamp = stamps.get(key)
+  if (!stamp) {
+    const mask = getTipMask(brush)
+    if (!mask) return null
+    stamp = createCanvas(TIP_SIZE)
+    const ctx = stamp.getContext('2d')
+    ctx.drawImage(mask, 0, 0)
+    ctx.globalCompositeOperation = 'source-in'
+    ctx.fillStyle = color
+    ctx.fillRect(0, 0, TIP_SIZE, TIP_SIZE)
+    stamps.set(key, stamp)
+  }
+  return stamp
+}
+
+// Calls `listener` whenever an imported tip or a selection clip finishes
+// decoding, so strokes that skipped it can be redrawn. Returns an unsubscribe function.
+export function onBrushTipLoaded(listener) {
+  listeners.add(listener)
+  return () => listeners.delete(listener)
+}
+
+// Shrinks an imported PNG to tip resolution and returns it as a data URL, so
+// strokes can carry their tip without bloating documents.
+export function importTipImage(file) {
+  return new Promise((resolve, reject) => {
+    const url = URL.createObjectURL(file)
+    const img = new window.Image()
+    img.onload = () => {
+      URL.revokeObjectURL(url)
+      const size = 64
+      const scale = Math.min(1, size / Math.max(img.width, img.height))
+      const canvas = document.createElement('canvas')
+      canvas.width = Math.max(1, Math.round(img.width * scale))
+      canvas.height = Math.max(1, Math.round(img.height * scale))
+      canvas.getContext('2d').drawImage(img, 0, 0, canvas.width, canvas.height)
+      resolve(canvas.toDataURL('image/png'))
+    }
+    img.onerror = () => {
+      URL.revokeObjectURL(url)
+      reject(new Error(`${file.name} is not a readable image`))
+    }
+    img.src = url
+  })
+}
@@ -0,0 +1,104 @@
+// Document canvas: size, background and the commands that change them.
+//
+// The document's `canvas` is `{ width, height, background, guides }` where
+// background is 'white', 'transparent' or a '#rrggbb' color and guides are
+// optional (see guides.js). Layers, strokes and guides live in canvas pixel
+// coordinates, so resizing the canvas moves them by the anchor offset, and
+// resampling the image scales them.
+
+import { scaleShape } from './shapes'
+
+export const MAX_CANVAS_SIZE = 8192
+
+export const DEFAULT_CANVAS = { width: 800, height: 600, background: 'white' }
+
+export const CANVAS_PRESETS = [
+  { id: 'a4', label: 'A4 at 300 DPI', width: 2480, height: 3508 },
+  { id: 'hd', label: '1080p', width: 1920, height: 1080 },
+  { id: 'square', label: 'Square social post', width: 1080, height: 1080 },
+  { id: 'default', label: 'Default', width: DEFAULT_CANVAS.width, height: DEFAULT_CANVAS.height },
+]
+
+// Anchor = which part of the content stays put, as fractions of the size
+export const ANCHORS = [
+  [0, 0], [0.5, 0], [1, 0],
+  [0, 0.5], [0.5, 0.5], [1, 0.5],
+  [0, 1], [0.5, 1], [1, 1],
+]
+
+export function clampCanvasSize(value) {
+  return Math.min(MAX_CANVAS_SIZE, Math.max(1, Math.round(Number(value) || 1)))
+}
+
+// Brush sizes and outline widths can't stretch along one axis: they scale by
+// the geometric mean of the two factors, which keeps the area they cover
+function lineScale(scaleX, scaleY) {
+  return Math.sqrt(Math.abs(scaleX * scaleY))
+}
+
+// A stroke or layer scaled by (scaleX, scaleY) around the canvas origin, then
+// moved by (dx, dy)
+export function transformStroke(stroke, dx, dy, scaleX = 1, scaleY = 1) {
+  const points = stroke.points.map((v, i) => (i % 2 === 0 ? v * scaleX + dx : v * scaleY + dy))
+  const moved = { ...stroke, points, size: stroke.size && stroke.size * lineScale(scaleX, scaleY) }
+  if (stroke.area) {
+    const { x, y, width, height } = stroke.area
+    moved.area = { x: x * scaleX + dx, y: y * scaleY + dy, width: width * scaleX, height: height * scaleY }
+  }
+  if (stroke.clip) {
+    const { x, y, width, height } = stroke.clip
+    moved.clip = { ...stroke.clip, x: x * scaleX + dx, y: y * scaleY + dy, width: width * scaleX, height: height * scaleY }
+  }
+  return moved
+}
+
+export function transformLayer(layer, dx, dy, scaleX = 1, scaleY = 1) {
+  if (layer.x === undefined) return layer
+  const moved = { ...layer, x: layer.x * scaleX + dx, y: layer.y * scaleY + dy }
+  if (scaleX === 1 && scaleY === 1) return moved
+  if (layer.isShape) return { ...moved, ...scaleShape(layer, scaleX, scaleY), strokeWidth: layer.strokeWidth * lineScale(scaleX, scaleY) }
+  // like a free transform: stretching across re-wraps, stretching down scales the font
+  if (layer.type === 'text') return { ...moved, width: layer.width && layer.width * scaleX, fontSize: layer.fontSize * Math.abs(scaleY) }
+  return { ...moved, width: layer.width * scaleX, height: layer.height * scaleY }
+}
+
+function transformDocument(doc, dx, dy, scaleX = 1, scaleY = 1) {
+  return {
+    ...doc,
+    canvas: {
+      ...doc.canvas,
+      guides: doc.canvas.guides?.map(guide => ({
+        ...guide,
+        position: guide.axis === 'x' ? guide.position * scaleX + dx : guide.position * scaleY + dy,
+      })),
+    },
+    layers: doc.layers.map(layer => transformLayer(layer, dx, dy, scaleX, scaleY)),
+    lines: Object.fromEntries(Object.entries(doc.lines).map(([id, strokes]) => [
+      id,
+      strokes.map(stroke => transformStroke(stroke, dx, dy, scaleX, scaleY)),
+    ])),
+  }
+}
+
+// Canvas Size: grows or trims the canvas around the anchored content
+export function resizeCanvas(doc, { width, height, anchor = [0.5, 0.5] }) {
+  const dx = Math.round((width - doc.canvas.width) * anchor[0])
+  const dy = Math.round((height - doc.canvas.height) * anchor[1])
+  const moved = transformDocument(doc, dx, dy)
+  return { ...moved, canvas: { ...moved.canvas, width, height } }
+}
+
+// Image Size: scales all content with the canvas
+export function resampleDocument(doc, { width, height }) {
+  const scaleX = width / doc.canvas.width
+  const scaleY = height / doc.canvas.height
+  const scaled = transformDocument(doc, 0, 0, scaleX, scaleY)
+  return { ...scaled, canvas: { ...scaled.canvas, width, height } }
+}
+
+// Crop: the canvas becomes `rect` (canvas coordinates). Content outside it is
+// kept, just off-canvas, so a later Canvas Size can bring it back.
+export function cropDocument(doc, rect) {
+  const moved = transformDocument(doc, -rect.x, -rect.y)
+  return { ...moved, canvas: { ...moved.canvas, width: rect.width, height: rect.height } }
+}
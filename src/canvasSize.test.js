@@ -0,0 +1,87 @@
+import { describe, it, expect } from 'vitest'
+import { ANCHORS, clampCanvasSize, resizeCanvas, resampleDocument, cropDocument, transformLayer } from './canvasSize'
+
+const stroke = { id: 's', points: [10, 20, 30, 40], size: 4, color: '#000000' }
+const fill = { id: 'f', kind: 'fill', points: [], color: '#ff0000', area: { x: 0, y: 0, width: 100, height: 50 }, clip: { assetId: 'c', x: 10, y: 10, width: 20, height: 10 } }
+
+function createDoc() {
+  return {
+    layers: [
+      { id: 'bg', type: 'raster' },
+      { id: 'img', type: 'image', x: 10, y: 20, width: 40, height: 10 },
+      { id: 'rect', type: 'shape', isShape: true, shapeType: 'rect', x: 0, y: 0, width: 20, height: 10, strokeWidth: 2 },
+      { id: 'oval', type: 'shape', isShape: true, shapeType: 'ellipse', x: 50, y: 25, radiusX: 10, radiusY: 5, strokeWidth: 2 },
+      { id: 'line', type: 'shape', isShape: true, shapeType: 'line', x: 0, y: 0, points: [0, 0, 10, 10], strokeWidth: 2 },
+      { id: 'text', type: 'text', text: 'Hi', x: 5, y: 5, width: 30, fontSize: 12 },
+    ],
+    lines: { bg: [stroke, fill] },
+    canvas: { width: 100, height: 50, background: 'white', guides: [{ axis: 'x', position: 50 }, { axis: 'y', position: 25 }] },
+  }
+}
+
+const find = (doc, id) => doc.layers.find(l => l.id === id)
+
+describe('canvas size', () => {
+  it('clamps sizes to whole pixels within the limits', () => {
+    expect(clampCanvasSize('12.6')).toBe(13)
+    expect(clampCanvasSize(0)).toBe(1)
+    expect(clampCanvasSize('abc')).toBe(1)
+    expect(clampCanvasSize(100000)).toBe(8192)
+  })
+
+  it('moves the content by the anchor offset', () => {
+    for (const anchor of ANCHORS) {
+      const resized = resizeCanvas(createDoc(), { width: 200, height: 150, anchor })
+      const dx = 100 * anchor[0]
+      const dy = 100 * anchor[1]
+      expect(resized.canvas).toMatchObject({ width: 200, height: 150, background: 'white' })
+      expect(resized.lines.bg[0].points).toEqual([10 + dx, 20 + dy, 30 + dx, 40 + dy])
+      expect(resized.lines.bg[1].clip).toEqual({ ...fill.clip, x: 10 + dx, y: 10 + dy })
+      expect(find(resized, 'img')).toMatchObject({ x: 10 + dx, y: 20 + dy, width: 40, height: 10 })
+      expect(resized.canvas.guides.map(g => g.position)).toEqual([50 + dx, 25 + dy])
+    }
+  })
+
+  it('trims around the anchor in whole pixels', () => {
+    const resized = resizeCanvas(createDoc(), { width: 51, height: 50 })
+    expect(find(resized, 'img').x).toBe(10 - 24)
+    expect(find(resized, 'bg')).toEqual({ id: 'bg', type: 'raster' })
+  })
+
+  it('crops to a rectangle, keeping what falls outside', () => {
+    const cropped = cropDocument(createDoc(), { x: 20, y: 10, width: 30, height: 20 })
+    expect(cropped.canvas).toMatchObject({ width: 30, height: 20 })
+    expect(cropped.lines.bg[0].points).toEqual([-10, 10, 10, 30])
+    expect(find(cropped, 'img')).toMatchObject({ x: -10, y: 10 })
+  })
+})
+
+describe('resampling', () => {
+  const resampled = resampleDocument(createDoc(), { width: 200, height: 25 }) // 2 × 0.5
+
+  it('scales strokes per axis, their width by the mean', () => {
+    const [s, f] = resampled.lines.bg
+    expect(s.points).toEqual([20, 10, 60, 20])
+    expect(s.size).toBe(4)
+    expect(f.area).toEqual({ x: 0, y: 0, width: 200, height: 25 })
+    expect(f.clip).toEqual({ assetId: 'c', x: 20, y: 5, width: 40, height: 5 })
+  })
+
+  it('scales layers per axis', () => {
+    expect(resampled.canvas).toMatchObject({ width: 200, height: 25 })
+    expect(find(resampled, 'img')).toMatchObject({ x: 20, y: 10, width: 80, height: 5 })
+    expect(find(resampled, 'rect')).toMatchObject({ width: 40, height: 5, strokeWidth: 2 })
+    expect(find(resampled, 'oval')).toMatchObject({ x: 100, y: 12.5, radiusX: 20, radiusY: 2.5 })
+    expect(find(resampled, 'line').points).toEqual([0, 0, 20, 5])
+    expect(resampled.canvas.guides.map(g => g.position)).toEqual([100, 12.5])
+  })
+
+  it('re-wraps text across and scales its font down the page', () => {
+    expect(find(resampled, 'text')).toMatchObject({ x: 10, y: 2.5, width: 60, fontSize: 6 })
+    expect(transformLayer({ type: 'text', x: 0, y: 0, fontSize: 12 }, 0, 0, 2, 3)).toEqual({ type: 'text', x: 0, y: 0, width: undefined, fontSize: 36 })
+  })
+
+  it('keeps widths positive when flipping', () => {
+    expect(transformLayer(find(createDoc(), 'line'), 0, 0, -1, 1).strokeWidth).toBe(2)
+  })
+})
@@ -0,0 +1,89 @@
+// Color values and conversions.
+//
+// Colors travel through the editor as CSS hex strings: '#rrggbb', or
+// '#rrggbbaa' when they are not fully opaque. Canvas, Konva and SVG all take
+// both forms. The color panel edits them as RGB (0-255), HSV and HSL (hue in
+// degrees, the rest 0-1) and alpha (0-1).
+
+export const DEFAULT_FOREGROUND = '#000000'
+export const DEFAULT_BACKGROUND = '#ffffff'
+
+function clamp(value, min, max) {
+  return Math.min(max, Math.max(min, value))
+}
+
+function hexByte(value) {
+  return Math.round(clamp(value, 0, 255)).toString(16).padStart(2, '0')
+}
+
+// { r, g, b, a } of a '#rgb', '#rrggbb' or '#rrggbbaa' string, or null when it isn't one
+export function parseHex(text) {
+  let hex = String(text).trim().replace(/^#/, '')
+  if (/^[0-9a-f]{3}$/i.test(hex)) hex = hex.split('').map(c => c + c).join('')
+  if (!/^([0-9a-f]{6}|[0-9a-f]{8})$/i.test(hex)) return null
+  const value = (i) => parseInt(hex.slice(i, i + 2), 16)
+  return { r: value(0), g: value(2), b: value(4), a: hex.length === 8 ? value(6) / 255 : 1 }
+}
+
+export function formatHex({ r, g, b, a = 1 }) {
+  const alpha = a < 1 ? hexByte(a * 255) : ''
+  return `#${hexByte(r)}${hexByte(g)}${hexByte(b)}${alpha}`
+}
+
+// The opaque part of a color and its alpha: { hex: '#rrggbb', alpha }
+export function splitAlpha(color) {
+  const rgba = parseHex(color) || { r: 0, g: 0, b: 0, a: 1 }
+  return { hex: formatHex({ ...rgba, a: 1 }), alpha: rgba.a }
+}
+
+export function rgbToHsv({ r, g, b }) {
+  r /= 255
+  g /= 255
+  b /= 255
+  const max = Math.max(r, g, b)
+  const d = max - Math.min(r, g, b)
+  return { h: hueOf(r, g, b, max, d), s: max === 0 ? 0 : d / max, v: max }
+}
+
+export function hsvToRgb({ h, s, v }) {
+  const f = (n) => {
+    const k = (n + h / 60) % 6
+    return 255 * (v - v * s * Math.max(0, Math.min(k, 4 - k, 1)))
+  }
+  return { r: f(5), g: f(3), b: f(1) }
+}
+
+export function rgbToHsl({ r, g, b }) {
+  r /= 255
+  g /= 255
+  b /= 255
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const d = max - min
+  const l = (max + min) / 2
+  return { h: hueOf(r, g, b, max, d), s: d === 0 ? 0 : d / (1 - Math.abs(2 * l - 1)), l }
+}
+
+export function hslToRgb({ h, s, l }) {
+  const a = s * Math.min(l, 1 - l)
+  const f = (n) => {
+    const k = (n + h / 30) % 12
+    return 255 * (l - a * Math.max(-1, Math.min(k - 3, 9 - k, 1)))
+  }
+  return { r: f(0), g: f(8), b: f(4) }
+}
+
+function hueOf(r, g, b, max, d) {
+  if (d === 0) return 0
+  let h
+  if (max === r) h = ((g - b) / d) % 6
+  else if (max === g) h = (b - r) / d + 2
+  else h = (r - g) / d + 4
+  return (h * 60 + 360) % 360
+}
+
+// Newest first, without duplicates, at most `limit`
+export function pushRecentColor(recent, color, limit = 16) {
+  const hex = color.toLowerCase()
+  return [hex, ...recent.filter(c => c !== hex)].slice(0, limit)
+}
@@ -0,0 +1,75 @@
+// Renders the document content group to a plain canvas, independent of the
+// current zoom/pan/rotation of the view. With `layerIds`, only those layers
+// (with everything inside them, for groups) are rendered, shown even if
+// hidden in the editor. They stay clipped only when the layer they clip to is
+// rendered too, and the groups holding them add no styling of their own.
+// `layerStyle: false` leaves out the opacity and blend mode of the rendered
+// layers, for formats that store those apart; a list of layer ids keeps them
+// for those layers only, and `masks: false` leaves out their layer masks.
+
+import { clipBase } from './layerGroup'
+import { renderingAt } from './layerRaster'
+
+const NEUTRAL_STYLE = { layerOpacity: 1, layerBlend: 'source-over' }
+
+export function renderDocument(group, { width, height, pixelRatio = 1, background = 'white', layerIds = null, layerStyle = true, masks = true }) {
+  // clone with an identity transform so the view doesn't leak into the output
+  const clone = group.clone({ x: 0, y: 0, scaleX: 1, scaleY: 1, rotation: 0, offsetX: 0, offsetY: 0 })
+  clone.find('Transformer').forEach(tr => tr.destroy())
+  if (layerIds) {
+    const listed = (node) => layerIds.includes(node.getAttr('layerId'))
+    const styled = (node) => (Array.isArray(layerStyle) ? layerStyle.includes(node.getAttr('layerId')) : layerStyle)
+    clone.getChildren(child => child.getClassName() !== 'LayerGroup').forEach(child => child.visible(false))
+    const nodes = clone.find('LayerGroup')
+    const clipped = nodes.filter(node => node.getAttr('layerClip') && listed(node) && clipBase(node) && listed(clipBase(node)))
+    nodes.forEach(node => {
+      if (node.findAncestors('LayerGroup').some(listed)) return
+      if (listed(node)) node.setAttrs({ visible: true, layerClip: clipped.includes(node), ...(styled(node) ? {} : NEUTRAL_STYLE), ...(masks ? {} : { layerMask: null }) })
+      else if (node.find('LayerGroup').some(listed)) node.setAttrs({ visible: true, layerClip: false, layerMask: null, ...NEUTRAL_STYLE })
+      else node.visible(false)
+    })
+  } else if (!layerStyle) {
+    clone.getChildren().forEach(child => child.setAttrs(NEUTRAL_STYLE))
+  }
+  const content = renderingAt(pixelRatio, () => clone.toCanvas({ x: 0, y: 0, width, height, pixelRatio }))
+  clone.destroy()
+
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(width * pixelRatio)
+  canvas.height = Math.round(height * pixelRatio)
+  const ctx = canvas.getContext('2d')
+  if (background) {
+    ctx.fillStyle = background
+    ctx.fillRect(0, 0, canvas.width, canvas.height)
+  }
+  ctx.drawImage(content, 0, 0, canvas.width, canvas.height)
+  return canvas
+}
+
+export function canvasToPNG(canvas) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => (blob ? resolve(blob) : reject(new Error('Could not encode PNG'))), 'image/png')
+  })
+}
+
+// Crops a canvas to its non-transparent pixels
+export function trimTransparent(canvas) {
+  const { width, height } = canvas
+  const data = canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, width, height).data
+  let minX = width, minY = height, maxX = -1, maxY = -1
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] === 0) continue
+      if (x < minX) minX = x
+      if (x > maxX) maxX = x
+      if (y < minY) minY = y
+      if (y > maxY) maxY = y
+    }
+  }
+  if (maxX < 0) return { canvas: Object.assign(document.createElement('canvas'), { width: 1, height: 1 }), x: 0, y: 0 }
+  const trimmed = document.createElement('canvas')
+  trimmed.width = maxX - minX + 1
+  trimmed.height = maxY - minY + 1
+  trimmed.getContext('2d').drawImage(canvas, -minX, -minY)
+  return { canvas: trimmed, x: minX, y: minY }
+}
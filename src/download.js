@@ -0,0 +1,9 @@
+// Triggers a browser download of `uri` (data or object URL)
+export function downloadURL(uri, filename) {
+  const link = document.createElement('a')
+  link.download = filename
+  link.href = uri
+  document.body.appendChild(link)
+  link.click()
+  link.remove()
+}
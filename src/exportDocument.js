@@ -0,0 +1,285 @@
+// Document export: PNG / JPEG / WebP through renderDocument, SVG built from
+// the layer model, per-layer exports bundled in a ZIP, and layered OpenRaster.
+//
+// Every export covers exactly the document canvas at `scale`, whatever the
+// current view transform.
+
+import JSZip from 'jszip'
+import Konva from 'konva'
+import { renderDocument } from './documentRender'
+import { drawStroke, strokeVector } from './brushEngine'
+import { getAssetBlob, blobToDataURL } from './assets'
+import { filterImage } from './filterRunner'
+import { konvaFontStyle } from './textStyle'
+import { exportOpenRaster } from './openRaster'
+import { blendToComposite } from './blendModes'
+import { clipBaseIndex, maskAlphaCanvas } from './layerMask'
+import { isGroup, childrenOf, descendantsOf } from './layerTree'
+import { nodeTransformSVG } from './layerTransform'
+
+export const EXPORT_FORMATS = [
+  { value: 'png', label: 'PNG', mime: 'image/png', extension: '.png', alpha: true },
+  { value: 'jpeg', label: 'JPEG', mime: 'image/jpeg', extension: '.jpg', quality: true },
+  { value: 'webp', label: 'WebP', mime: 'image/webp', extension: '.webp', alpha: true, quality: true },
+  { value: 'svg', label: 'SVG', mime: 'image/svg+xml', extension: '.svg', alpha: true },
+  { value: 'ora', label: 'OpenRaster (layered)', mime: 'image/openraster', extension: '.ora', layered: true },
+]
+
+const MAX_EXPORT_SIZE = 16384 // px per side; browsers refuse larger canvases
+
+// Background color of a flattened export
+function flatBackground(canvas) {
+  return canvas.background === 'transparent' ? '#ffffff' : canvas.background
+}
+
+function canvasToBlob(canvas, mime, quality) {
+  return new Promise((resolve, reject) => {
+    canvas.toBlob(blob => {
+      // browsers fall back to PNG for types they cannot encode
+      if (!blob || blob.type !== mime) reject(new Error(`This browser cannot encode ${mime}`))
+      else resolve(blob)
+    }, mime, quality)
+  })
+}
+
+async function exportRaster(group, doc, { format, quality, scale, transparent, layerIds }) {
+  const canvas = renderDocument(group, {
+    width: doc.canvas.width,
+    height: doc.canvas.height,
+    pixelRatio: scale,
+    background: format.alpha && transparent ? null : flatBackground(doc.canvas),
+    layerIds,
+  })
+  return canvasToBlob(canvas, format.mime, format.quality ? quality : undefined)
+}
+
+// --- SVG ---
+
+function escapeXML(text) {
+  return String(text).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`)
+}
+
+function attrs(values) {
+  return Object.entries(values)
+    .filter(([, value]) => value !== undefined && value !== null)
+    .map(([key, value]) => ` ${key}="${escapeXML(value)}"`)
+    .join('')
+}
+
+function pointList(points, dx = 0, dy = 0) {
+  const pairs = []
+  for (let i = 0; i < points.length; i += 2) pairs.push(`${points[i] + dx},${points[i + 1] + dy}`)
+  return pairs.join(' ')
+}
+
+// A layer's strokes as paths, or as one embedded bitmap when some of them
+// (erasers, textured tips...) have no vector equivalent.
+function strokesSVG(strokes, { width, height, scale }) {
+  const vectors = strokes.map(strokeVector)
+  if (vectors.some(v => !v)) {
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.round(width * scale)
+    canvas.height = Math.round(height * scale)
+    const ctx = canvas.getContext('2d')
+    ctx.scale(scale, scale)
+    strokes.forEach(stroke => drawStroke(ctx, stroke))
+    return `<image${attrs({ x: 0, y: 0, width, height, href: canvas.toDataURL('image/png') })}/>`
+  }
+  return vectors.map(({ color, opacity, paths }) => {
+    const lines = paths.map(({ points, width: strokeWidth }) => (
+      `<polyline${attrs({ points: pointList(points), 'stroke-width': strokeWidth })}/>`
+    ))
+    // group opacity, so overlapping segments don't build up
+    return `<g${attrs({ fill: 'none', stroke: color, opacity: opacity < 1 ? opacity : null, 'stroke-linecap': 'round', 'stroke-linejoin': 'round' })}>${lines.join('')}</g>`
+  }).join('')
+}
+
+function shapeSVG(layer) {
+  const paint = { stroke: layer.stroke, 'stroke-width': layer.strokeWidth, fill: layer.fill || 'none', 'stroke-linejoin': 'round' }
+  switch (layer.shapeType) {
+    case 'rect':
+    case 'roundedRect':
+      return `<rect${attrs({ x: layer.x, y: layer.y, width: layer.width, height: layer.height, rx: layer.cornerRadius || null, ...paint })}/>`
+    case 'ellipse':
+      return `<ellipse${attrs({ cx: layer.x, cy: layer.y, rx: layer.radiusX, ry: layer.radiusY, ...paint })}/>`
+    case 'polygon':
+      return `<polygon${attrs({ points: pointList(layer.points, layer.x, layer.y), ...paint })}/>`
+    case 'line':
+      return `<polyline${attrs({ points: pointList(layer.points, layer.x, layer.y), ...paint, fill: 'none', 'stroke-linecap': 'round' })}/>`
+    case 'arrow': {
+      // same head as Konva.Arrow: a triangle whose tip is the end point
+      const [x1, y1, x2, y2] = layer.points.slice(-4)
+      const size = Math.max(10, layer.strokeWidth * 3)
+      const angle = Math.atan2(y2 - y1, x2 - x1)
+      const bx = x2 - Math.cos(angle) * size
+      const by = y2 - Math.sin(angle) * size
+      const nx = (Math.sin(angle) * size) / 2
+      const ny = (-Math.cos(angle) * size) / 2
+      const head = [x2, y2, bx + nx, by + ny, bx - nx, by - ny]
+      return (
+        `<polyline${attrs({ points: pointList(layer.points, layer.x, layer.y), ...paint, fill: 'none', 'stroke-linecap': 'round' })}/>` +
+        `<polygon${attrs({ points: pointList(head, layer.x, layer.y), ...paint, fill: layer.stroke })}/>`
+      )
+    }
+    default:
+      return ''
+  }
+}
+
+// Wraps lines exactly as the editor does by letting Konva lay the text out
+function textSVG(layer) {
+  const node = new Konva.Text({
+    text: layer.text,
+    width: layer.width,
+    fontFamily: layer.fontFamily,
+    fontSize: layer.fontSize,
+    fontStyle: konvaFontStyle(layer),
+    lineHeight: layer.lineHeight,
+  })
+  const fontFamily = node.fontFamily()
+  const fontSize = node.fontSize()
+  const lineHeight = fontSize * node.lineHeight()
+  const width = node.width()
+  const anchor = { center: 'middle', right: 'end' }[layer.align] || 'start'
+  const x = layer.x + ({ center: width / 2, right: width }[layer.align] || 0)
+  const lines = node.textArr.map((line, i) => (
+    `<tspan${attrs({ x, y: layer.y + lineHeight * (i + 0.5) })}>${escapeXML(line.text)}</tspan>`
+  ))
+  node.destroy()
+  return `<text${attrs({
+    fill: layer.fill,
+    'font-family': fontFamily,
+    'font-size': fontSize,
+    'font-weight': layer.fontWeight,
+    'font-style': layer.fontStyle,
+    'text-anchor': anchor,
+    'dominant-baseline': 'central',
+    'xml:space': 'preserve',
+  })}>${lines.join('')}</text>`
+}
+
+async function imageHref(layer) {
+  if ((layer.filters || []).some(f => f.enabled !== false)) {
+    const img = new window.Image()
+    img.src = layer.src
+    await img.decode()
+    return (await filterImage(img, layer.filters)).toDataURL('image/png')
+  }
+  const blob = getAssetBlob(layer.assetId)
+  if (!blob) throw new Error(`Image data for layer "${layer.name}" is no longer available`)
+  return blobToDataURL(blob)
+}
+
+// Groups become nested <g>s, layer masks and clipping masks alpha <mask>s: a
+// clipped layer is masked by a <use> of its clip base. Like renderDocument,
+// exporting chosen `layerIds` leaves clipping out, and the groups around
+// those layers add no styling.
+export async function exportSVG(doc, { scale = 1, transparent = false, layerIds = null } = {}) {
+  const { width, height } = doc.canvas
+  const maskRegion = { maskUnits: 'userSpaceOnUse', x: 0, y: 0, width, height, style: 'mask-type:alpha' }
+  const defs = []
+
+  // `inside`: within a chosen layer (or no choice), where the editor's visibility applies
+  const layerSVG = async (layer, inside) => {
+    const index = doc.layers.indexOf(layer)
+    const normal = !layerIds || inside
+    const chosen = !normal && layerIds.includes(layer.id)
+    if (normal && !layer.visible) return ''
+    if (!normal && !chosen && !descendantsOf(doc.layers, layer.id).some(l => layerIds.includes(l.id))) return ''
+    const base = normal ? clipBaseIndex(doc.layers, index) : -1
+    if (base !== -1 && !doc.layers[base].visible) return '' // hidden with its base
+
+    let body
+    if (isGroup(layer)) {
+      body = await stackSVG(layer.id, normal || chosen)
+    } else {
+      const content = []
+      let node = null
+      if (layer.type === 'image') {
+        const href = await imageHref(layer)
+        node = `<image${attrs({ x: layer.x, y: layer.y, width: layer.width, height: layer.height, href, preserveAspectRatio: 'none' })}/>`
+      } else if (layer.type === 'text') {
+        node = textSVG(layer)
+      } else if (layer.isShape) {
+        node = shapeSVG(layer)
+      }
+      const strokes = doc.lines[layer.id] || []
+      // rotated, skewed or flipped
+      if (node && nodeTransformSVG(layer)) node = `<g${attrs({ transform: nodeTransformSVG(layer) })}>${node}</g>`
+      // erasers cut into the content as well
+      const erasers = strokes.filter(s => s.mode === 'eraser').map(s => ({ ...s, mode: 'brush', color: '#000000' }))
+      if (node && erasers.length) {
+        const alpha = maskAlphaCanvas(erasers, { width, height, scale })
+        defs.push(`<mask${attrs({ id: `cut${index}`, ...maskRegion })}><image${attrs({ width, height, href: alpha.toDataURL('image/png') })}/></mask>`)
+        node = `<g mask="url(#cut${index})">${node}</g>`
+      }
+      if (node) content.push(node)
+      content.push(strokesSVG(strokes, { width, height, scale }))
+      body = content.join('')
+      if (layer.mask?.enabled) {
+        const alpha = maskAlphaCanvas(doc.lines[layer.mask.id] || [], { width, height, scale, inverted: layer.mask.inverted })
+        defs.push(`<mask${attrs({ id: `mask${index}`, ...maskRegion })}><image${attrs({ width, height, href: alpha.toDataURL('image/png') })}/></mask>`)
+        body = `<g mask="url(#mask${index})">${body}</g>`
+      }
+    }
+    if (base !== -1) defs.push(`<mask${attrs({ id: `clip${index}`, ...maskRegion })}><use href="#layer${base}"/></mask>`)
+    const styled = normal || chosen
+    const blend = styled ? blendToComposite(layer.blend) : 'source-over'
+    return `<g${attrs({
+      id: `layer${index}`,
+      'data-name': layer.name,
+      opacity: styled && layer.opacity < 1 ? layer.opacity : null,
+      style: blend !== 'source-over' ? `mix-blend-mode:${blend}` : null,
+      mask: base !== -1 ? `url(#clip${index})` : null,
+    })}>${body}</g>`
+  }
+
+  const stackSVG = async (parentId, inside) => {
+    let out = ''
+    for (const layer of childrenOf(doc.layers, parentId)) out += await layerSVG(layer, inside)
+    return out
+  }
+
+  const layers = await stackSVG(null, false)
+  // layers blend with each other only, not with the background
+  const background = transparent ? '' : `<rect${attrs({ width, height, fill: flatBackground(doc.canvas) })}/>`
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg"${attrs({ width: width * scale, height: height * scale, viewBox: `0 0 ${width} ${height}` })}>` +
+    (defs.length ? `<defs>${defs.join('')}</defs>` : '') +
+    background +
+    `<g style="isolation:isolate">${layers}</g>` +
+    '</svg>'
+  )
+}
+
+// --- Entry point ---
+
+function fileSafe(name) {
+  return name.replace(/[\\/:*?"<>|]+/g, '_').trim() || 'layer'
+}
+
+// Resolves to `{ blob, filename }`. `scope` is 'document', 'layer' (only
+// `activeLayerId`) or 'layers' (one file per layer, zipped).
+export async function exportDocument(group, doc, { format, quality = 0.92, scale = 1, transparent = false, scope = 'document', activeLayerId, name }) {
+  const type = EXPORT_FORMATS.find(f => f.value === format)
+  if (!type) throw new Error(`Unknown export format: ${format}`)
+  if (type.layered) return { blob: await exportOpenRaster(group, doc), filename: `${name}${type.extension}` }
+  if (type.value !== 'svg' && Math.max(doc.canvas.width, doc.canvas.height) * scale > MAX_EXPORT_SIZE) {
+    throw new Error(`Exports are limited to ${MAX_EXPORT_SIZE} pixels per side`)
+  }
+
+  const render = async (layerIds) => {
+    if (type.value === 'svg') return new Blob([await exportSVG(doc, { scale, transparent, layerIds })], { type: type.mime })
+    return exportRaster(group, doc, { format: type, quality, scale, transparent, layerIds })
+  }
+
+  if (scope === 'layers') {
+    const zip = new JSZip()
+    for (const [index, layer] of doc.layers.filter(l => !isGroup(l)).entries()) {
+      zip.file(`${String(index + 1).padStart(2, '0')} ${fileSafe(layer.name)}${type.extension}`, await render([layer.id]))
+    }
+    return { blob: await zip.generateAsync({ type: 'blob' }), filename: `${name}-layers.zip` }
+  }
+  return { blob: await render(scope === 'layer' ? [activeLayerId] : null), filename: `${name}${type.extension}` }
+}
@@ -0,0 +1,68 @@
+// Paint bucket, gradient and eyedropper.
+//
+// Fills and gradients become strokes of their own kind (see brushEngine.js):
+// the bucket's region and any active selection travel with them as a clip.
+
+import { magicWandSelection, combineSelections, selectionClip } from './selection'
+
+export const FILL_TOOLS = [
+  { type: 'bucket', label: 'Paint bucket', icon: '🪣' },
+  { type: 'gradient', label: 'Gradient', icon: '▤' },
+  { type: 'eyedropper', label: 'Eyedropper (or Alt while painting)', icon: '💧' },
+]
+
+export const GRADIENT_TYPES = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'radial', label: 'Radial' },
+]
+
+export const DEFAULT_GRADIENT = {
+  type: 'linear',
+  stops: [
+    { offset: 0, color: '#000000', opacity: 1 },
+    { offset: 1, color: '#ffffff', opacity: 1 },
+  ],
+}
+
+// Fill stroke for a bucket click at (x, y) on `image` (ImageData of the
+// sampled pixels), or null when nothing would be filled. Within `selection`
+// only, when there is one.
+export function bucketFillStroke(image, x, y, { tolerance, contiguous, color, opacity, selection }) {
+  let region = magicWandSelection(image, x, y, { tolerance, contiguous })
+  if (selection) region = combineSelections(selection, region, 'intersect')
+  if (!region) return null
+  return { kind: 'fill', color, opacity, points: [], area: region.bounds, clip: selectionClip(region) }
+}
+
+// Gradient stroke dragged from `start` to `end`, covering the canvas or the
+// selection
+export function gradientStroke(gradient, start, end, { opacity, width, height, selection }) {
+  return {
+    kind: 'gradient',
+    gradient,
+    points: [start.x, start.y, end.x, end.y],
+    opacity,
+    area: selection ? selection.bounds : { x: 0, y: 0, width, height },
+    ...(selection && { clip: selectionClip(selection) }),
+  }
+}
+
+// '#rrggbb' of the pixel at (x, y) of a canvas, or null where it is transparent
+export function pixelColor(canvas, x, y) {
+  x = Math.floor(x)
+  y = Math.floor(y)
+  if (x < 0 || y < 0 || x >= canvas.width || y >= canvas.height) return null
+  const [r, g, b, a] = canvas.getContext('2d', { willReadFrequently: true }).getImageData(x, y, 1, 1).data
+  if (a === 0) return null
+  return `#${[r, g, b].map(v => v.toString(16).padStart(2, '0')).join('')}`
+}
+
+// CSS preview of a gradient's stops, left to right
+export function gradientCSS(gradient) {
+  const stops = [...gradient.stops].sort((a, b) => a.offset - b.offset).map(stop => {
+    const value = parseInt(stop.color.slice(1, 7), 16)
+    const rgb = [(value >> 16) & 255, (value >> 8) & 255, value & 255].join(',')
+    return `rgba(${rgb},${stop.opacity ?? 1}) ${Math.round(stop.offset * 100)}%`
+  })
+  return `linear-gradient(to right, ${stops.join(', ')})`
+}
@@ -0,0 +1,95 @@
+// Main-thread side of the filter pipeline: hands image pixels to the filter
+// worker and turns the result back into a canvas Konva can draw.
+
+import { useEffect, useState } from 'react'
+
+let worker = null
+let nextJobId = 0
+const jobs = new Map() // job id -> { resolve, reject }
+const sourcePixels = new WeakMap() // image element -> ImageData of the original
+
+function getWorker() {
+  if (!worker) {
+    worker = new Worker(new URL('./filters.worker.js', import.meta.url), { type: 'module' })
+    worker.onmessage = (e) => {
+      const { id, buffer, error } = e.data
+      const job = jobs.get(id)
+      jobs.delete(id)
+      if (error) job.reject(new Error(error))
+      else job.resolve(buffer)
+    }
+    // A worker that failed to load, crashed or sent something unreadable
+    // won't answer the jobs it holds: fail them and start afresh next time
+    worker.onerror = (e) => {
+      e.preventDefault?.()
+      resetWorker(new Error(e.message || 'The filter worker failed'))
+    }
+    worker.onmessageerror = () => resetWorker(new Error('The filter worker sent an unreadable result'))
+  }
+  return worker
+}
+
+function resetWorker(error) {
+  worker?.terminate()
+  worker = null
+  const pending = [...jobs.values()]
+  jobs.clear()
+  for (const job of pending) job.reject(error)
+}
+
+function readPixels(image) {
+  let pixels = sourcePixels.get(image)
+  if (!pixels) {
+    const canvas = document.createElement('canvas')
+    canvas.width = image.naturalWidth || image.width
+    canvas.height = image.naturalHeight || image.height
+    const ctx = canvas.getContext('2d')
+    ctx.drawImage(image, 0, 0)
+    pixels = ctx.getImageData(0, 0, canvas.width, canvas.height)
+    sourcePixels.set(image, pixels)
+  }
+  return pixels
+}
+
+// Resolves to a canvas holding `image` with the filter stack applied
+export async function filterImage(image, stack) {
+  const { width, height, data } = readPixels(image)
+  const buffer = data.slice().buffer // the original stays cached for the next run
+  const id = nextJobId++
+  const result = await new Promise((resolve, reject) => {
+    jobs.set(id, { resolve, reject })
+    getWorker().postMessage({ id, width, height, buffer, stack }, [buffer])
+  })
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  canvas.getContext('2d').putImageData(new ImageData(new Uint8ClampedArray(result), width, height), 0, 0)
+  return canvas
+}
+
+// The filtered version of `image`, or null when there's nothing to apply.
+// While a new result is computed the previous one stays on screen; results
+// for outdated stacks (e.g. mid slider drag) are dropped.
+export function useFilteredImage(image, filters) {
+  const [result, setResult] = useState(null)
+
+  useEffect(() => {
+    const stack = (filters || []).filter(f => f.enabled !== false)
+    if (!image || stack.length === 0) {
+      setResult(null)
+      return
+    }
+    let stale = false
+    const timer = setTimeout(() => {
+      filterImage(image, stack)
+        .then(canvas => { if (!stale) setResult(canvas) })
+        .catch(err => console.warn('Filter failed:', err))
+    }, 30) // let slider drags settle a little before queueing work
+    return () => {
+      stale = true
+      clearTimeout(timer)
+    }
+  }, [image, filters])
+
+  return result
+}
@@ -0,0 +1,60 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest'
+import { filterImage } from './filterRunner'
+
+// Stands in for filters.worker.js; each test decides how it answers
+const workers = []
+class FakeWorker {
+  constructor() {
+    this.jobs = []
+    this.terminated = false
+    workers.push(this)
+  }
+  postMessage(job) { this.jobs.push(job) }
+  terminate() { this.terminated = true }
+  reply(data) { this.onmessage({ data }) }
+}
+
+function picture() {
+  const canvas = document.createElement('canvas')
+  canvas.width = 2
+  canvas.height = 1
+  return canvas
+}
+
+beforeAll(() => vi.stubGlobal('Worker', FakeWorker))
+afterAll(() => vi.unstubAllGlobals())
+
+describe('filter runner', () => {
+  it('returns the worker result as a canvas', async () => {
+    const result = filterImage(picture(), [{ type: 'invert' }])
+    const worker = workers.at(-1)
+    const [{ id, width, height, stack }] = worker.jobs
+    expect({ width, height, stack }).toEqual({ width: 2, height: 1, stack: [{ type: 'invert' }] })
+    worker.reply({ id, buffer: new Uint8ClampedArray(8).fill(255).buffer })
+    const canvas = await result
+    expect([...canvas.getContext('2d').getImageData(0, 0, 2, 1).data]).toEqual(new Array(8).fill(255))
+  })
+
+  it('passes on filter errors', async () => {
+    const result = filterImage(picture(), [])
+    const worker = workers.at(-1)
+    worker.reply({ id: worker.jobs.at(-1).id, error: 'Bad filter' })
+    await expect(result).rejects.toThrow('Bad filter')
+    expect(worker.terminated).toBe(false)
+  })
+
+  it('fails pending jobs and restarts when the worker breaks', async () => {
+    const first = filterImage(picture(), [])
+    const second = filterImage(picture(), [])
+    const broken = workers.at(-1)
+    broken.onerror({ message: 'Worker crashed' })
+    await expect(first).rejects.toThrow('Worker crashed')
+    await expect(second).rejects.toThrow('Worker crashed')
+    expect(broken.terminated).toBe(true)
+
+    const third = filterImage(picture(), [])
+    expect(workers.at(-1)).not.toBe(broken)
+    workers.at(-1).onmessageerror()
+    await expect(third).rejects.toThrow(/unreadable/)
+  })
+})
@@ -0,0 +1,258 @@
+// Image adjustments. Pure pixel functions shared by the filter worker.
+//
+// An image layer's `filters` is an ordered stack of
+//   { id, type, params, enabled }
+// applied non-destructively on top of the original image data.
+
+export const FILTERS = {
+  brightnessContrast: {
+    label: 'Brightness/Contrast',
+    params: [
+      { key: 'brightness', label: 'Brightness', min: -100, max: 100, step: 1, default: 0 },
+      { key: 'contrast', label: 'Contrast', min: -100, max: 100, step: 1, default: 0 },
+    ],
+  },
+  hueSaturation: {
+    label: 'Hue/Saturation',
+    params: [
+      { key: 'hue', label: 'Hue', min: -180, max: 180, step: 1, default: 0 },
+      { key: 'saturation', label: 'Saturation', min: -100, max: 100, step: 1, default: 0 },
+      { key: 'lightness', label: 'Lightness', min: -100, max: 100, step: 1, default: 0 },
+    ],
+  },
+  levels: {
+    label: 'Levels',
+    params: [
+      { key: 'inBlack', label: 'Input black', min: 0, max: 254, step: 1, default: 0 },
+      { key: 'inWhite', label: 'Input white', min: 1, max: 255, step: 1, default: 255 },
+      { key: 'gamma', label: 'Gamma', min: 0.1, max: 5, step: 0.05, default: 1 },
+      { key: 'outBlack', label: 'Output black', min: 0, max: 255, step: 1, default: 0 },
+      { key: 'outWhite', label: 'Output white', min: 0, max: 255, step: 1, default: 255 },
+    ],
+  },
+  curves: {
+    label: 'Curves',
+    params: [
+      { key: 'shadows', label: 'Shadows (64)', min: 0, max: 255, step: 1, default: 64 },
+      { key: 'midtones', label: 'Midtones (128)', min: 0, max: 255, step: 1, default: 128 },
+      { key: 'highlights', label: 'Highlights (192)', min: 0, max: 255, step: 1, default: 192 },
+    ],
+  },
+  blur: {
+    label: 'Blur',
+    params: [{ key: 'radius', label: 'Radius', min: 0, max: 50, step: 1, default: 4 }],
+  },
+  sharpen: {
+    label: 'Sharpen',
+    params: [{ key: 'amount', label: 'Amount', min: 0, max: 300, step: 1, default: 100 }],
+  },
+  grayscale: { label: 'Grayscale', params: [] },
+  sepia: { label: 'Sepia', params: [] },
+  invert: { label: 'Invert', params: [] },
+  threshold: {
+    label: 'Threshold',
+    params: [{ key: 'level', label: 'Level', min: 0, max: 255, step: 1, default: 128 }],
+  },
+  posterize: {
+    label: 'Posterize',
+    params: [{ key: 'levels', label: 'Levels', min: 2, max: 32, step: 1, default: 4 }],
+  },
+}
+
+export function defaultParams(type) {
+  return Object.fromEntries(FILTERS[type].params.map(p => [p.key, p.default]))
+}
+
+const clamp = (v) => (v < 0 ? 0 : v > 255 ? 255 : v)
+
+// Applies a per-channel lookup table to RGB
+function applyLUT(data, lut) {
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = lut[data[i]]
+    data[i + 1] = lut[data[i + 1]]
+    data[i + 2] = lut[data[i + 2]]
+  }
+}
+
+function buildLUT(fn) {
+  const lut = new Uint8ClampedArray(256)
+  for (let v = 0; v < 256; v++) lut[v] = fn(v)
+  return lut
+}
+
+function brightnessContrast(data, { brightness, contrast }) {
+  const c = contrast * 2.55
+  const factor = (259 * (c + 255)) / (255 * (259 - c))
+  const offset = brightness * 2.55
+  applyLUT(data, buildLUT(v => factor * (v + offset - 128) + 128))
+}
+
+function rgbToHsl(r, g, b) {
+  r /= 255; g /= 255; b /= 255
+  const max = Math.max(r, g, b)
+  const min = Math.min(r, g, b)
+  const l = (max + min) / 2
+  if (max === min) return [0, 0, l]
+  const d = max - min
+  const s = l > 0.5 ? d / (2 - max - min) : d / (max + min)
+  let h
+  if (max === r) h = (g - b) / d + (g < b ? 6 : 0)
+  else if (max === g) h = (b - r) / d + 2
+  else h = (r - g) / d + 4
+  return [h / 6, s, l]
+}
+
+function hueToRgb(p, q, t) {
+  if (t < 0) t += 1
+  if (t > 1) t -= 1
+  if (t < 1 / 6) return p + (q - p) * 6 * t
+  if (t < 1 / 2) return q
+  if (t < 2 / 3) return p + (q - p) * (2 / 3 - t) * 6
+  return p
+}
+
+function hslToRgb(h, s, l) {
+  if (s === 0) return [l * 255, l * 255, l * 255]
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s
+  const p = 2 * l - q
+  return [hueToRgb(p, q, h + 1 / 3) * 255, hueToRgb(p, q, h) * 255, hueToRgb(p, q, h - 1 / 3) * 255]
+}
+
+function hueSaturation(data, { hue, saturation, lightness }) {
+  const hShift = hue / 360
+  const sScale = 1 + saturation / 100
+  const lShift = lightness / 100
+  for (let i = 0; i < data.length; i += 4) {
+    let [h, s, l] = rgbToHsl(data[i], data[i + 1], data[i + 2])
+    h = (h + hShift + 1) % 1
+    s = Math.min(1, Math.max(0, s * sScale))
+    l = Math.min(1, Math.max(0, lShift > 0 ? l + (1 - l) * lShift : l + l * lShift))
+    const [r, g, b] = hslToRgb(h, s, l)
+    data[i] = r
+    data[i + 1] = g
+    data[i + 2] = b
+  }
+}
+
+function levels(data, { inBlack, inWhite, gamma, outBlack, outWhite }) {
+  const range = Math.max(1, inWhite - inBlack)
+  applyLUT(data, buildLUT(v => {
+    const t = Math.min(1, Math.max(0, (v - inBlack) / range))
+    return outBlack + Math.pow(t, 1 / gamma) * (outWhite - outBlack)
+  }))
+}
+
+// Monotone cubic (Fritsch–Carlson) interpolation through the control points
+function curveLUT(xs, ys) {
+  const n = xs.length
+  const slopes = []
+  for (let i = 0; i < n - 1; i++) slopes.push((ys[i + 1] - ys[i]) / (xs[i + 1] - xs[i]))
+  const tangents = [slopes[0]]
+  for (let i = 1; i < n - 1; i++) tangents.push(slopes[i - 1] * slopes[i] <= 0 ? 0 : (slopes[i - 1] + slopes[i]) / 2)
+  tangents.push(slopes[n - 2])
+  return buildLUT(v => {
+    let i = 0
+    while (i < n - 2 && v > xs[i + 1]) i++
+    const h = xs[i + 1] - xs[i]
+    const t = (v - xs[i]) / h
+    const t2 = t * t
+    const t3 = t2 * t
+    return (2 * t3 - 3 * t2 + 1) * ys[i] + (t3 - 2 * t2 + t) * h * tangents[i] +
+      (-2 * t3 + 3 * t2) * ys[i + 1] + (t3 - t2) * h * tangents[i + 1]
+  })
+}
+
+function curves(data, { shadows, midtones, highlights }) {
+  applyLUT(data, curveLUT([0, 64, 128, 192, 255], [0, shadows, midtones, highlights, 255]))
+}
+
+// One horizontal or vertical box blur pass over all four channels
+function boxBlurPass(src, dst, width, height, radius, horizontal) {
+  const size = radius * 2 + 1
+  const outer = horizontal ? height : width
+  const inner = horizontal ? width : height
+  for (let o = 0; o < outer; o++) {
+    const index = (i) => (horizontal ? (o * width + i) * 4 : (i * width + o) * 4)
+    for (let c = 0; c < 4; c++) {
+      let sum = 0
+      for (let k = -radius; k <= radius; k++) sum += src[index(Math.min(inner - 1, Math.max(0, k))) + c]
+      for (let i = 0; i < inner; i++) {
+        dst[index(i) + c] = sum / size
+        sum += src[index(Math.min(inner - 1, i + radius + 1)) + c] - src[index(Math.max(0, i - radius)) + c]
+      }
+    }
+  }
+}
+
+// Three box blur passes approximate a gaussian blur
+function boxBlur(data, width, height, radius) {
+  if (radius < 1) return
+  const tmp = new Uint8ClampedArray(data.length)
+  const r = Math.max(1, Math.round(radius / 2))
+  for (let pass = 0; pass < 3; pass++) {
+    boxBlurPass(data, tmp, width, height, r, true)
+    boxBlurPass(tmp, data, width, height, r, false)
+  }
+}
+
+// Unsharp mask: original + amount * (original - blurred)
+function sharpen(data, width, height, { amount }) {
+  const blurred = new Uint8ClampedArray(data)
+  boxBlur(blurred, width, height, 2)
+  const k = amount / 100
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = clamp(data[i] + k * (data[i] - blurred[i]))
+    data[i + 1] = clamp(data[i + 1] + k * (data[i + 1] - blurred[i + 1]))
+    data[i + 2] = clamp(data[i + 2] + k * (data[i + 2] - blurred[i + 2]))
+  }
+}
+
+function grayscale(data) {
+  for (let i = 0; i < data.length; i += 4) {
+    const y = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2]
+    data[i] = data[i + 1] = data[i + 2] = y
+  }
+}
+
+function sepia(data) {
+  for (let i = 0; i < data.length; i += 4) {
+    const r = data[i], g = data[i + 1], b = data[i + 2]
+    data[i] = 0.393 * r + 0.769 * g + 0.189 * b
+    data[i + 1] = 0.349 * r + 0.686 * g + 0.168 * b
+    data[i + 2] = 0.272 * r + 0.534 * g + 0.131 * b
+  }
+}
+
+function threshold(data, { level }) {
+  for (let i = 0; i < data.length; i += 4) {
+    const v = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2] >= level ? 255 : 0
+    data[i] = data[i + 1] = data[i + 2] = v
+  }
+}
+
+function posterize(data, { levels }) {
+  const step = 255 / (levels - 1)
+  applyLUT(data, buildLUT(v => Math.round(v / step) * step))
+}
+
+// Runs the enabled filters of `stack` over RGBA `data` in place
+export function applyFilters(data, width, height, stack) {
+  for (const filter of stack) {
+    if (filter.enabled === false) continue
+    if (!FILTERS[filter.type]) throw new Error(`Unknown filter: ${filter.type}`)
+    const params = { ...defaultParams(filter.type), ...filter.params }
+    switch (filter.type) {
+      case 'brightnessContrast': brightnessContrast(data, params); break
+      case 'hueSaturation': hueSaturation(data, params); break
+      case 'levels': levels(data, params); break
+      case 'curves': curves(data, params); break
+      case 'blur': boxBlur(data, width, height, params.radius); break
+      case 'sharpen': sharpen(data, width, height, params); break
+      case 'grayscale': grayscale(data); break
+      case 'sepia': sepia(data); break
+      case 'invert': applyLUT(data, buildLUT(v => 255 - v)); break
+      case 'threshold': threshold(data, params); break
+      case 'posterize': posterize(data, params); break
+    }
+  }
+}
@@ -0,0 +1,63 @@
+import { describe, it, expect } from 'vitest'
+import { FILTERS, defaultParams, applyFilters } from './filters'
+
+// 2×2 RGBA test image
+const PIXELS = [
+  200, 100, 50, 255,
+  0, 0, 0, 255,
+  255, 255, 255, 128,
+  30, 160, 90, 255,
+]
+
+function filtered(stack, pixels = PIXELS) {
+  const data = new Uint8ClampedArray(pixels)
+  applyFilters(data, 2, 2, stack)
+  return [...data]
+}
+
+const channel = (data, pixel, c) => data[pixel * 4 + c]
+
+describe('filters', () => {
+  it('leave the image alone at their default adjustments', () => {
+    for (const type of ['brightnessContrast', 'hueSaturation', 'levels', 'curves']) {
+      expect(filtered([{ type, params: defaultParams(type) }])).toEqual(PIXELS)
+    }
+  })
+
+  it('have a default for every parameter', () => {
+    for (const [type, { params }] of Object.entries(FILTERS)) {
+      expect(Object.keys(defaultParams(type))).toEqual(params.map(p => p.key))
+    }
+  })
+
+  it('skip disabled filters', () => {
+    expect(filtered([{ type: 'invert', enabled: false }])).toEqual(PIXELS)
+  })
+
+  it('invert color but not alpha', () => {
+    const data = filtered([{ type: 'invert' }])
+    expect(data.slice(0, 4)).toEqual([55, 155, 205, 255])
+    expect(channel(data, 2, 3)).toBe(128)
+    expect(filtered([{ type: 'invert' }, { type: 'invert' }])).toEqual(PIXELS)
+  })
+
+  it('turn pixels grey, black and white or into few levels', () => {
+    const grey = filtered([{ type: 'grayscale' }])
+    for (let p = 0; p < 4; p++) expect(new Set([0, 1, 2].map(c => channel(grey, p, c))).size).toBe(1)
+
+    for (const stack of [[{ type: 'threshold', params: { level: 128 } }], [{ type: 'posterize', params: { levels: 2 } }]]) {
+      const data = filtered(stack)
+      data.forEach((v, i) => { if (i % 4 !== 3) expect([0, 255]).toContain(v) })
+    }
+  })
+
+  it('keep a flat image flat when blurring or sharpening', () => {
+    const flat = new Array(16).fill(0).map((_, i) => (i % 4 === 3 ? 255 : 120))
+    expect(filtered([{ type: 'blur', params: { radius: 3 } }], flat)).toEqual(flat)
+    expect(filtered([{ type: 'sharpen', params: { amount: 200 } }], flat)).toEqual(flat)
+  })
+
+  it('reject unknown filters', () => {
+    expect(() => filtered([{ type: 'melt' }])).toThrow(/Unknown filter/)
+  })
+})
@@ -0,0 +1,16 @@
+// Runs image filter stacks off the main thread.
+// In:  { id, width, height, buffer, stack }   (buffer is transferred)
+// Out: { id, buffer } or { id, error }
+
+import { applyFilters } from './filters'
+
+self.onmessage = (e) => {
+  const { id, width, height, buffer, stack } = e.data
+  try {
+    const data = new Uint8ClampedArray(buffer)
+    applyFilters(data, width, height, stack)
+    self.postMessage({ id, buffer }, [buffer])
+  } catch (err) {
+    self.postMessage({ id, error: err.message })
+  }
+}
@@ -0,0 +1,304 @@
+// Free transform: moving, scaling, rotating, flipping, skewing and perspective
+// distortion of a layer's (or a selection's) pixels.
+//
+// The pixels are a `source` canvas whose top-left corner sat at (box.x, box.y)
+// on the canvas. A transform is `{ box, params, pivot, corners }`:
+// - `params` are Konva node attrs (x, y, rotation in degrees, scaleX, scaleY,
+//   skewX/skewY as factors) placing the source on the canvas;
+// - `pivot` is the canvas point rotations turn about;
+// - `corners`, once the source is distorted in perspective, are the four
+//   canvas points its top-left, top-right, bottom-right and bottom-left
+//   corners go to, and then stand in for `params`.
+//
+// Gestures are computed from the transform at the start of the drag, so
+// rounding never builds up while the pointer moves.
+
+import Konva from 'konva'
+
+// Handle positions as fractions of the source's width and height
+export const HANDLES = [[0, 0], [0.5, 0], [1, 0], [1, 0.5], [1, 1], [0.5, 1], [0, 1], [0, 0.5]]
+
+const CORNER_HANDLES = [[0, 0], [1, 0], [1, 1], [0, 1]]
+const MESH_CELLS = 12 // perspective is drawn as a mesh of MESH_CELLS² quads
+const ROTATION_STEP = 15 // degrees, with Shift
+const toRadians = (degrees) => (degrees * Math.PI) / 180
+
+// The part `box` of `canvas`, as a canvas of its own
+export function cropCanvas(canvas, box) {
+  const cropped = Object.assign(document.createElement('canvas'), { width: box.width, height: box.height })
+  cropped.getContext('2d').drawImage(canvas, -box.x, -box.y)
+  return cropped
+}
+
+export function createTransform(box) {
+  return {
+    box,
+    params: { x: box.x, y: box.y, rotation: 0, scaleX: 1, scaleY: 1, skewX: 0, skewY: 0 },
+    pivot: { x: box.x + box.width / 2, y: box.y + box.height / 2 },
+    corners: null,
+  }
+}
+
+// Source px → canvas px for an affine transform
+export function paramsMatrix(params) {
+  return new Konva.Transform()
+    .translate(params.x, params.y)
+    .rotate(toRadians(params.rotation))
+    .skew(params.skewX, params.skewY)
+    .scale(params.scaleX, params.scaleY)
+}
+
+// Canvas-space change the transform makes, for things placed by canvas
+// coordinates (layer nodes) rather than drawn from the source
+export function canvasMatrix(t) {
+  return paramsMatrix(t.params).translate(-t.box.x, -t.box.y)
+}
+
+// Maps the unit square onto the quad `corners` (Heckbert's square-to-quad
+// projection)
+function squareToQuad([p0, p1, p2, p3]) {
+  const dx1 = p1.x - p2.x
+  const dx2 = p3.x - p2.x
+  const dx3 = p0.x - p1.x + p2.x - p3.x
+  const dy1 = p1.y - p2.y
+  const dy2 = p3.y - p2.y
+  const dy3 = p0.y - p1.y + p2.y - p3.y
+  const den = dx1 * dy2 - dx2 * dy1
+  const g = den ? (dx3 * dy2 - dx2 * dy3) / den : 0
+  const h = den ? (dx1 * dy3 - dx3 * dy1) / den : 0
+  const a = p1.x - p0.x + g * p1.x
+  const b = p3.x - p0.x + h * p3.x
+  const d = p1.y - p0.y + g * p1.y
+  const e = p3.y - p0.y + h * p3.y
+  return (s, t) => {
+    const w = g * s + h * t + 1
+    return { x: (a * s + b * t + p0.x) / w, y: (d * s + e * t + p0.y) / w }
+  }
+}
+
+// Canvas point of the source point at fractions (fx, fy) of its size
+export function transformPoint(t, fx, fy) {
+  if (t.corners) return squareToQuad(t.corners)(fx, fy)
+  return paramsMatrix(t.params).point({ x: fx * t.box.width, y: fy * t.box.height })
+}
+
+export function transformCorners(t) {
+  return CORNER_HANDLES.map(([fx, fy]) => transformPoint(t, fx, fy))
+}
+
+export function isIdentity(t) {
+  const { x, y, rotation, scaleX, scaleY, skewX, skewY } = t.params
+  return !t.corners && x === t.box.x && y === t.box.y && rotation === 0 && scaleX === 1 && scaleY === 1 && skewX === 0 && skewY === 0
+}
+
+// Only moved and resized: no rotation, skew, flip or perspective
+export function isMoveAndScale(t) {
+  const { rotation, scaleX, scaleY, skewX, skewY } = t.params
+  return !t.corners && rotation === 0 && skewX === 0 && skewY === 0 && scaleX > 0 && scaleY > 0
+}
+
+// `params` shifted so the source point `local` stays where `from` put it
+function keepPoint(from, params, local) {
+  const before = paramsMatrix(from).point(local)
+  const after = paramsMatrix(params).point(local)
+  return { ...params, x: params.x + before.x - after.x, y: params.y + before.y - after.y }
+}
+
+// `start` with new affine `params`, the pivot carried along
+function withParams(start, params) {
+  const local = paramsMatrix(start.params).invert().point(start.pivot)
+  return { ...start, params, pivot: paramsMatrix(params).point(local) }
+}
+
+export function moveTransform(t, dx, dy) {
+  const shift = (p) => ({ x: p.x + dx, y: p.y + dy })
+  return {
+    ...t,
+    params: { ...t.params, ...shift(t.params) },
+    pivot: shift(t.pivot),
+    corners: t.corners && t.corners.map(shift),
+  }
+}
+
+// Drags `handle` to `point`, the opposite handle (or, `fromCenter`, the
+// middle) staying put. `keepRatio` scales both directions alike.
+export function scaleTransform(start, [hx, hy], point, { keepRatio = false, fromCenter = false } = {}) {
+  const { width, height } = start.box
+  const local = paramsMatrix(start.params).invert().point(point)
+  const anchor = fromCenter ? { x: width / 2, y: height / 2 } : { x: (1 - hx) * width, y: (1 - hy) * height }
+  let fx = hx === 0.5 ? null : (local.x - anchor.x) / (hx * width - anchor.x)
+  let fy = hy === 0.5 ? null : (local.y - anchor.y) / (hy * height - anchor.y)
+  if (keepRatio) {
+    const f = Math.abs(fx ?? 0) > Math.abs(fy ?? 0) ? Math.abs(fx) : Math.abs(fy ?? fx)
+    fx = Math.sign(fx ?? 1) * f
+    fy = Math.sign(fy ?? 1) * f
+  }
+  // never squashed below a pixel, which would make the transform singular
+  const atLeast = (f, size) => (Math.abs(f * size) < 1 ? (f < 0 ? -1 : 1) / size : f)
+  const params = {
+    ...start.params,
+    scaleX: start.params.scaleX * atLeast(fx ?? 1, width),
+    scaleY: start.params.scaleY * atLeast(fy ?? 1, height),
+  }
+  return withParams(start, keepPoint(start.params, params, anchor))
+}
+
+// Turns by the angle between `from` and `to` around the pivot; `snap` keeps
+// the rotation to ROTATION_STEP steps
+export function rotateTransform(start, from, to, { snap = false } = {}) {
+  const { pivot } = start
+  let delta = (Math.atan2(to.y - pivot.y, to.x - pivot.x) - Math.atan2(from.y - pivot.y, from.x - pivot.x)) * 180 / Math.PI
+  if (snap) {
+    const base = start.corners ? 0 : start.params.rotation
+    delta = Math.round((base + delta) / ROTATION_STEP) * ROTATION_STEP - base
+  }
+  const cos = Math.cos(toRadians(delta))
+  const sin = Math.sin(toRadians(delta))
+  const turn = (p) => ({
+    x: pivot.x + (p.x - pivot.x) * cos - (p.y - pivot.y) * sin,
+    y: pivot.y + (p.x - pivot.x) * sin + (p.y - pivot.y) * cos,
+  })
+  let rotation = (start.params.rotation + delta) % 360
+  if (rotation > 180) rotation -= 360
+  if (rotation <= -180) rotation += 360
+  return {
+    ...start,
+    params: { ...start.params, ...turn(start.params), rotation },
+    corners: start.corners && start.corners.map(turn),
+  }
+}
+
+// Slides the edge of `handle` along itself, the opposite edge staying put
+export function skewTransform(start, [hx, hy], point) {
+  const { width, height } = start.box
+  const { params } = start
+  // the pointer in the rotated frame, where only skew and scale apply
+  const r = new Konva.Transform().rotate(toRadians(params.rotation)).invert().point({ x: point.x - params.x, y: point.y - params.y })
+  const next = { ...params }
+  let anchor
+  if (hx === 0.5) {
+    const edgeX = params.scaleX * width / 2 + params.skewX * params.scaleY * hy * height
+    const delta = (r.x - edgeX) / (params.scaleY * height)
+    next.skewX = params.skewX + (hy === 1 ? delta : -delta)
+    anchor = { x: width / 2, y: (1 - hy) * height }
+  } else {
+    const edgeY = params.skewY * params.scaleX * hx * width + params.scaleY * height / 2
+    const delta = (r.y - edgeY) / (params.scaleX * width)
+    next.skewY = params.skewY + (hx === 1 ? delta : -delta)
+    anchor = { x: (1 - hx) * width, y: height / 2 }
+  }
+  return withParams(start, keepPoint(params, next, anchor))
+}
+
+// Moves the corners under `handle` (one for a corner handle, two for an edge)
+// by the pointer's travel from `from` to `to`
+export function distortTransform(start, [hx, hy], from, to) {
+  const dx = to.x - from.x
+  const dy = to.y - from.y
+  const corners = transformCorners(start).map((p, i) => {
+    const [cx, cy] = CORNER_HANDLES[i]
+    const moved = (hx === 0.5 || hx === cx) && (hy === 0.5 || hy === cy)
+    return moved ? { x: p.x + dx, y: p.y + dy } : p
+  })
+  return { ...start, corners }
+}
+
+// Mirrors the content across its own middle, 'x' for horizontally, 'y' for
+// vertically, leaving the outline where it is
+export function flipTransform(t, axis) {
+  if (t.corners) {
+    const [a, b, c, d] = t.corners
+    return { ...t, corners: axis === 'x' ? [b, a, d, c] : [d, c, b, a] }
+  }
+  const params = axis === 'x' ? { ...t.params, scaleX: -t.params.scaleX } : { ...t.params, scaleY: -t.params.scaleY }
+  return withParams(t, keepPoint(t.params, params, { x: t.box.width / 2, y: t.box.height / 2 }))
+}
+
+// Values for numeric entry: position of the source's top-left corner, size,
+// rotation and skew in degrees
+export function transformFields(t) {
+  const { params, box } = t
+  return {
+    x: params.x,
+    y: params.y,
+    width: Math.abs(params.scaleX) * box.width,
+    height: Math.abs(params.scaleY) * box.height,
+    rotation: params.rotation,
+    skewX: (Math.atan(params.skewX) * 180) / Math.PI,
+    skewY: (Math.atan(params.skewY) * 180) / Math.PI,
+  }
+}
+
+// `t` with the numeric entry `fields` (any subset) applied; flips are kept
+export function applyFields(t, fields) {
+  const next = { ...transformFields(t), ...fields }
+  const { params, box } = t
+  return withParams(t, {
+    x: next.x,
+    y: next.y,
+    rotation: next.rotation,
+    scaleX: (params.scaleX < 0 ? -1 : 1) * Math.max(1, next.width) / box.width,
+    scaleY: (params.scaleY < 0 ? -1 : 1) * Math.max(1, next.height) / box.height,
+    skewX: Math.tan(toRadians(Math.max(-89, Math.min(89, next.skewX)))),
+    skewY: Math.tan(toRadians(Math.max(-89, Math.min(89, next.skewY)))),
+  })
+}
+
+// Draws the part `s` (source px) of `source` onto the triangle `d` (canvas px)
+function drawTriangle(ctx, source, s, d) {
+  const sx1 = s[1].x - s[0].x
+  const sy1 = s[1].y - s[0].y
+  const sx2 = s[2].x - s[0].x
+  const sy2 = s[2].y - s[0].y
+  const dx1 = d[1].x - d[0].x
+  const dy1 = d[1].y - d[0].y
+  const dx2 = d[2].x - d[0].x
+  const dy2 = d[2].y - d[0].y
+  const det = sx1 * sy2 - sx2 * sy1
+  const a = (dx1 * sy2 - dx2 * sy1) / det
+  const b = (dy1 * sy2 - dy2 * sy1) / det
+  const c = (dx2 * sx1 - dx1 * sx2) / det
+  const e = (dy2 * sx1 - dy1 * sx2) / det
+  // the clip is grown a little so neighbouring triangles overlap instead of
+  // leaving hairline seams
+  const cx = (d[0].x + d[1].x + d[2].x) / 3
+  const cy = (d[0].y + d[1].y + d[2].y) / 3
+  ctx.save()
+  ctx.beginPath()
+  for (const p of d) {
+    const length = Math.hypot(p.x - cx, p.y - cy) || 1
+    ctx.lineTo(p.x + ((p.x - cx) / length) * 0.75, p.y + ((p.y - cy) / length) * 0.75)
+  }
+  ctx.closePath()
+  ctx.clip()
+  ctx.transform(a, b, c, e, d[0].x - a * s[0].x - c * s[0].y, d[0].y - b * s[0].x - e * s[0].y)
+  const left = Math.max(0, Math.floor(Math.min(s[0].x, s[1].x, s[2].x)) - 1)
+  const top = Math.max(0, Math.floor(Math.min(s[0].y, s[1].y, s[2].y)) - 1)
+  const right = Math.min(source.width, Math.ceil(Math.max(s[0].x, s[1].x, s[2].x)) + 1)
+  const bottom = Math.min(source.height, Math.ceil(Math.max(s[0].y, s[1].y, s[2].y)) + 1)
+  if (right > left && bottom > top) ctx.drawImage(source, left, top, right - left, bottom - top, left, top, right - left, bottom - top)
+  ctx.restore()
+}
+
+// Draws `source` transformed by `t` onto a context in canvas space
+export function drawTransformed(ctx, source, t) {
+  if (!t.corners) {
+    ctx.save()
+    ctx.transform(...paramsMatrix(t.params).getMatrix())
+    ctx.drawImage(source, 0, 0)
+    ctx.restore()
+    return
+  }
+  const map = squareToQuad(t.corners)
+  const { width, height } = source
+  for (let row = 0; row < MESH_CELLS; row++) {
+    for (let col = 0; col < MESH_CELLS; col++) {
+      const fx = [col / MESH_CELLS, (col + 1) / MESH_CELLS]
+      const fy = [row / MESH_CELLS, (row + 1) / MESH_CELLS]
+      const s = [[0, 0], [1, 0], [1, 1], [0, 1]].map(([i, j]) => ({ x: fx[i] * width, y: fy[j] * height }))
+      const d = [[0, 0], [1, 0], [1, 1], [0, 1]].map(([i, j]) => map(fx[i], fy[j]))
+      drawTriangle(ctx, source, [s[0], s[1], s[2]], [d[0], d[1], d[2]])
+      drawTriangle(ctx, source, [s[0], s[2], s[3]], [d[0], d[2], d[3]])
+    }
+  }
+}
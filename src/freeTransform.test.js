@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+import {
+  createTransform,
+  transformCorners,
+  transformPoint,
+  isIdentity,
+  isMoveAndScale,
+  moveTransform,
+  scaleTransform,
+  rotateTransform,
+  skewTransform,
+  distortTransform,
+  flipTransform,
+  transformFields,
+  applyFields,
+} from './freeTransform'
+
+const box = { x: 10, y: 20, width: 100, height: 50 }
+
+function expectPoints(points, expected) {
+  expect(points).toHaveLength(expected.length)
+  points.forEach((p, i) => {
+    expect(p.x).toBeCloseTo(expected[i][0])
+    expect(p.y).toBeCloseTo(expected[i][1])
+  })
+}
+
+describe('free transform', () => {
+  it('starts as the untouched box, pivoting about its middle', () => {
+    const t = createTransform(box)
+    expectPoints(transformCorners(t), [[10, 20], [110, 20], [110, 70], [10, 70]])
+    expect(t.pivot).toEqual({ x: 60, y: 45 })
+    expect(isIdentity(t)).toBe(true)
+    expect(isMoveAndScale(t)).toBe(true)
+  })
+
+  it('moves everything, pivot included', () => {
+    const t = moveTransform(createTransform(box), 5, -5)
+    expectPoints(transformCorners(t), [[15, 15], [115, 15], [115, 65], [15, 65]])
+    expect(t.pivot).toEqual({ x: 65, y: 40 })
+    expect(isIdentity(t)).toBe(false)
+  })
+
+  it('scales from the opposite corner', () => {
+    const t = scaleTransform(createTransform(box), [1, 1], { x: 210, y: 120 })
+    expectPoints(transformCorners(t), [[10, 20], [210, 20], [210, 120], [10, 120]])
+    expectPoints([t.pivot], [[110, 70]])
+    expect(isMoveAndScale(t)).toBe(true)
+  })
+
+  it('scales from the middle and keeps proportions on request', () => {
+    const t = scaleTransform(createTransform(box), [1, 1], { x: 160, y: 50 }, { keepRatio: true, fromCenter: true })
+    expectPoints(transformCorners(t), [[-40, -5], [160, -5], [160, 95], [-40, 95]])
+  })
+
+  it('never squashes the content below a pixel', () => {
+    const t = scaleTransform(createTransform(box), [1, 0.5], { x: 10, y: 45 })
+    expect(transformFields(t).width).toBeCloseTo(1)
+  })
+
+  it('rotates about the pivot, snapping with Shift', () => {
+    const t = rotateTransform(createTransform(box), { x: 100, y: 45 }, { x: 60, y: 85 })
+    expect(t.params.rotation).toBeCloseTo(90)
+    expectPoints(transformCorners(t), [[85, -5], [85, 95], [35, 95], [35, -5]])
+    expect(isMoveAndScale(t)).toBe(false)
+
+    const snapped = rotateTransform(createTransform(box), { x: 100, y: 45 }, { x: 100, y: 52 }, { snap: true })
+    expect(snapped.params.rotation).toBeCloseTo(15)
+  })
+
+  it('slides an edge along itself when skewing', () => {
+    const t = skewTransform(createTransform(box), [0.5, 1], { x: 80, y: 70 })
+    expectPoints(transformCorners(t), [[10, 20], [110, 20], [130, 70], [30, 70]])
+  })
+
+  it('moves single corners in perspective', () => {
+    const t = distortTransform(createTransform(box), [1, 1], { x: 0, y: 0 }, { x: 30, y: 10 })
+    expectPoints(transformCorners(t), [[10, 20], [110, 20], [140, 80], [10, 70]])
+    expectPoints([transformPoint(t, 0.5, 0.5)], [[62, 44]])
+    expect(isIdentity(t)).toBe(false)
+  })
+
+  it('flips in place', () => {
+    const t = flipTransform(createTransform(box), 'x')
+    expect(t.params.scaleX).toBe(-1)
+    expectPoints(transformCorners(t), [[110, 20], [10, 20], [10, 70], [110, 70]])
+    expect(isMoveAndScale(t)).toBe(false)
+  })
+
+  it('round-trips numeric entry and keeps flips', () => {
+    const t = skewTransform(rotateTransform(flipTransform(createTransform(box), 'y'), { x: 100, y: 45 }, { x: 90, y: 80 }), [1, 0.5], { x: 70, y: 90 })
+    const again = applyFields(t, transformFields(t))
+    expect(again.params.scaleY).toBeLessThan(0)
+    expectPoints(transformCorners(again), transformCorners(t).map(p => [p.x, p.y]))
+
+    const resized = applyFields(createTransform(box), { width: 200, rotation: 45 })
+    expect(transformFields(resized)).toMatchObject({ x: 10, y: 20, height: 50 })
+    expect(transformFields(resized).width).toBeCloseTo(200)
+    expect(transformFields(resized).rotation).toBe(45)
+  })
+})
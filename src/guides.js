@@ -0,0 +1,112 @@
+// Rulers, guides, the document grid and snapping.
+//
+// Guides are saved with the document as `canvas.guides`: a list of
+// `{ id, axis, position }` where axis 'x' is a vertical guide at x = position
+// and 'y' a horizontal one, in canvas px. The grid and the snapping switches
+// are editor preferences, kept in localStorage.
+//
+// Snapping works on targets `{ xs, ys, grid }`: candidate x and y positions
+// and the grid spacing (0 when the grid doesn't attract). Thresholds are in
+// canvas px; callers convert SNAP_DISTANCE from screen px with the zoom.
+
+import { v4 as uuidv4 } from 'uuid'
+import { isGroup, layerBounds } from './layerTree'
+
+const STORAGE_KEY = 'iwilldraw.guides'
+
+export const RULER_SIZE = 20 // screen px
+export const SNAP_DISTANCE = 8 // screen px
+export const GUIDE_COLOR = '#06b6d4'
+
+export const DEFAULT_GUIDE_SETTINGS = {
+  rulers: true,
+  guides: true,
+  grid: false,
+  gridSize: 50,
+  snap: true,
+  snapToGuides: true,
+  snapToGrid: true,
+  snapToCanvas: true,
+  snapToLayers: true,
+}
+
+export function loadGuideSettings() {
+  try {
+    return { ...DEFAULT_GUIDE_SETTINGS, ...JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}') }
+  } catch {
+    return DEFAULT_GUIDE_SETTINGS
+  }
+}
+
+export function saveGuideSettings(settings) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(settings))
+}
+
+export function createGuide(axis, position) {
+  return { id: uuidv4(), axis, position: Math.round(position) }
+}
+
+// Distance between labelled ruler ticks: a 1, 2 or 5 step that leaves at
+// least `minSpacing` screen px between labels at `scale`
+export function rulerStep(scale, minSpacing = 50) {
+  const raw = minSpacing / scale
+  const magnitude = 10 ** Math.floor(Math.log10(raw))
+  return [1, 2, 5, 10].map(m => m * magnitude).find(step => step >= raw)
+}
+
+// Things worth snapping to in `doc`, leaving out the layer `excludeId` (the
+// one being moved) and what it contains
+export function snapTargets(doc, settings, excludeId = null) {
+  const xs = []
+  const ys = []
+  if (!settings.snap) return { xs, ys, grid: 0 }
+  if (settings.snapToGuides && settings.guides) {
+    for (const guide of doc.canvas.guides || []) (guide.axis === 'x' ? xs : ys).push(guide.position)
+  }
+  if (settings.snapToCanvas) {
+    xs.push(0, doc.canvas.width / 2, doc.canvas.width)
+    ys.push(0, doc.canvas.height / 2, doc.canvas.height)
+  }
+  if (settings.snapToLayers) {
+    const excluded = (layer) => {
+      for (let l = layer; l; l = doc.layers.find(p => p.id === l.parentId)) if (l.id === excludeId) return true
+      return false
+    }
+    for (const layer of doc.layers) {
+      if (isGroup(layer) || layer.visible === false || excluded(layer)) continue
+      const box = layerBounds(doc, layer.id)
+      if (!box) continue
+      xs.push(box.x, box.x + box.width / 2, box.x + box.width)
+      ys.push(box.y, box.y + box.height / 2, box.y + box.height)
+    }
+  }
+  return { xs, ys, grid: settings.snapToGrid && settings.grid ? settings.gridSize : 0 }
+}
+
+// Offset from the closest of `values` to a candidate within `threshold`, or 0
+function snapOffset(values, candidates, grid, threshold) {
+  let best = null
+  for (const value of values) {
+    const options = grid ? [...candidates, Math.round(value / grid) * grid] : candidates
+    for (const candidate of options) {
+      const offset = candidate - value
+      if (Math.abs(offset) <= threshold && (best === null || Math.abs(offset) < Math.abs(best))) best = offset
+    }
+  }
+  return best ?? 0
+}
+
+export function snapPoint(point, targets, threshold) {
+  return {
+    x: point.x + snapOffset([point.x], targets.xs, targets.grid, threshold),
+    y: point.y + snapOffset([point.y], targets.ys, targets.grid, threshold),
+  }
+}
+
+// Move `{ dx, dy }` that snaps an edge or the center of `box` to a target
+export function snapBox(box, targets, threshold) {
+  return {
+    dx: snapOffset([box.x, box.x + box.width / 2, box.x + box.width], targets.xs, targets.grid, threshold),
+    dy: snapOffset([box.y, box.y + box.height / 2, box.y + box.height], targets.ys, targets.grid, threshold),
+  }
+}
@@ -0,0 +1,324 @@
+// Command-based undo/redo.
+//
+// The document is `{ layers, lines, canvas }` and is only ever changed by
+// committing an operation. Callers describe intent (e.g. `{ type: 'updateLayer', id, props }`);
+// `execute` resolves it against the current document into an invertible delta
+// (filling in the previous props, indices, removed content...) which is what
+// the history stores. Undo applies `invert(op)`, redo re-applies `op`.
+//
+// Operations:
+//   insertLayer  { layer, index?, strokes?, maskStrokes? }
+//   removeLayer  { id }                also removes the layer's mask strokes
+//   moveLayer    { id, to }
+//   updateLayer  { id, props }
+//   insertStroke { layerId, stroke }
+//   removeStroke { layerId, strokeId }
+//   setStrokes   { layerId, strokes }  replaces a whole stroke list; null drops it
+//   updateCanvas { props }            canvas settings other than the size (guides...)
+//   setDocument  { doc }              whole-document replacement (resize, crop...)
+//   batch        { ops }
+
+import { useCallback, useReducer } from 'react'
+
+export const DEFAULT_HISTORY_DEPTH = 200
+export const DEFAULT_HISTORY_BUDGET = 64 * 1024 * 1024 // bytes, approximate
+
+const MERGE_WINDOW = 1000 // ms; consecutive commits with the same mergeKey coalesce
+
+function resolve(doc, op) {
+  switch (op.type) {
+    case 'insertLayer':
+      return { ...op, index: op.index ?? doc.layers.length, strokes: op.strokes || [], maskStrokes: op.maskStrokes || [] }
+    case 'removeLayer': {
+      const index = doc.layers.findIndex(l => l.id === op.id)
+      const layer = doc.layers[index]
+      return { ...op, index, layer, strokes: doc.lines[op.id] || [], maskStrokes: (layer.mask && doc.lines[layer.mask.id]) || [] }
+    }
+    case 'moveLayer':
+      return { ...op, from: doc.layers.findIndex(l => l.id === op.id) }
+    case 'updateLayer': {
+      const layer = doc.layers.find(l => l.id === op.id)
+      const prev = Object.fromEntries(Object.keys(op.props).map(key => [key, layer[key]]))
+      return { ...op, prev }
+    }
+    case 'insertStroke':
+      return { ...op, index: op.index ?? (doc.lines[op.layerId] || []).length }
+    case 'removeStroke': {
+      const list = doc.lines[op.layerId] || []
+      const index = list.findIndex(s => s.id === op.strokeId)
+      return { ...op, index, stroke: list[index] }
+    }
+    case 'setStrokes':
+      return { ...op, strokes: op.strokes ?? null, prev: doc.lines[op.layerId] ?? null }
+    case 'updateCanvas':
+      return { ...op, prev: Object.fromEntries(Object.keys(op.props).map(key => [key, doc.canvas[key]])) }
+    case 'setDocument':
+      return { ...op, prev: doc }
+    default:
+      return op
+  }
+}
+
+function applyResolved(doc, op) {
+  switch (op.type) {
+    case 'insertLayer': {
+      const layers = doc.layers.slice()
+      layers.splice(op.index, 0, op.layer)
+      const lines = { ...doc.lines, [op.layer.id]: op.strokes }
+      if (op.layer.mask) lines[op.layer.mask.id] = op.maskStrokes
+      return { ...doc, layers, lines }
+    }
+    case 'removeLayer': {
+      const lines = { ...doc.lines }
+      delete lines[op.id]
+      if (op.layer.mask) delete lines[op.layer.mask.id]
+      return { ...doc, layers: doc.layers.filter(l => l.id !== op.id), lines }
+    }
+    case 'moveLayer': {
+      const layers = doc.layers.slice()
+      const [layer] = layers.splice(op.from, 1)
+      layers.splice(op.to, 0, layer)
+      return { ...doc, layers }
+    }
+    case 'updateLayer':
+      return { ...doc, layers: doc.layers.map(l => (l.id === op.id ? { ...l, ...op.props } : l)) }
+    case 'insertStroke': {
+      const list = (doc.lines[op.layerId] || []).slice()
+      list.splice(op.index, 0, op.stroke)
+      return { ...doc, lines: { ...doc.lines, [op.layerId]: list } }
+    }
+    case 'removeStroke': {
+      const list = (doc.lines[op.layerId] || []).filter(s => s.id !== op.strokeId)
+      return { ...doc, lines: { ...doc.lines, [op.layerId]: list } }
+    }
+    case 'setStrokes': {
+      const lines = { ...doc.lines }
+      if (op.strokes) lines[op.layerId] = op.strokes
+      else delete lines[op.layerId]
+      return { ...doc, lines }
+    }
+    case 'updateCanvas':
+      return { ...doc, canvas: { ...doc.canvas, ...op.props } }
+    case 'setDocument':
+      return op.doc
+    default:
+      throw new Error(`Unknown history operation: ${op.type}`)
+  }
+}
+
+// Applies an operation and returns the new document with the resolved op
+export function execute(doc, op) {
+  if (op.type === 'batch') {
+    const ops = []
+    for (const child of op.ops) {
+      const result = execute(doc, child)
+      doc = result.doc
+      ops.push(result.op)
+    }
+    return { doc, op: { ...op, ops } }
+  }
+  const resolved = resolve(doc, op)
+  return { doc: applyResolved(doc, resolved), op: resolved }
+}
+
+export function invert(op) {
+  switch (op.type) {
+    case 'insertLayer':
+      return { type: 'removeLayer', id: op.layer.id, index: op.index, layer: op.layer, strokes: op.strokes, maskStrokes: op.maskStrokes }
+    case 'removeLayer':
+      return { type: 'insertLayer', layer: op.layer, index: op.index, strokes: op.strokes, maskStrokes: op.maskStrokes }
+    case 'moveLayer':
+      return { type: 'moveLayer', id: op.id, from: op.to, to: op.from }
+    case 'updateLayer':
+      return { type: 'updateLayer', id: op.id, props: op.prev, prev: op.props }
+    case 'insertStroke':
+      return { type: 'removeStroke', layerId: op.layerId, strokeId: op.stroke.id, index: op.index, stroke: op.stroke }
+    case 'removeStroke':
+      return { type: 'insertStroke', layerId: op.layerId, stroke: op.stroke, index: op.index }
+    case 'setStrokes':
+      return { type: 'setStrokes', layerId: op.layerId, strokes: op.prev, prev: op.strokes }
+    case 'updateCanvas':
+      return { type: 'updateCanvas', props: op.prev, prev: op.props }
+    case 'setDocument':
+      return { type: 'setDocument', doc: op.prev, prev: op.doc }
+    case 'batch':
+      return { type: 'batch', ops: op.ops.map(invert).reverse() }
+    default:
+      throw new Error(`Unknown history operation: ${op.type}`)
+  }
+}
+
+// Rough memory cost of keeping an operation around, in bytes
+function strokeSize(stroke) {
+  const samples = ['points', 'pressures', 'tilts', 'times'].reduce((sum, key) => sum + (stroke?.[key]?.length || 0), 0)
+  return 100 + samples * 8
+}
+
+function jsonSize(value) {
+  return JSON.stringify(value ?? null).length * 2
+}
+
+function strokesSize(strokes) {
+  return (strokes || []).reduce((sum, stroke) => sum + strokeSize(stroke), 0)
+}
+
+function documentSize(doc) {
+  return doc.layers.reduce((sum, layer) => sum + jsonSize(layer), 0) +
+    Object.values(doc.lines).reduce((sum, strokes) => sum + strokesSize(strokes), 0)
+}
+
+export function operationSize(op) {
+  switch (op.type) {
+    case 'insertLayer':
+    case 'removeLayer':
+      return jsonSize(op.layer) + strokesSize(op.strokes) + strokesSize(op.maskStrokes)
+    case 'insertStroke':
+    case 'removeStroke':
+      return strokeSize(op.stroke)
+    case 'setStrokes':
+      return strokesSize(op.strokes) + strokesSize(op.prev)
+    case 'updateLayer':
+    case 'updateCanvas':
+      return jsonSize(op.props) + jsonSize(op.prev)
+    case 'setDocument':
+      return documentSize(op.doc) + documentSize(op.prev)
+    case 'batch':
+      return op.ops.reduce((sum, child) => sum + operationSize(child), 0)
+    default:
+      return 64
+  }
+}
+
+function coalesce(prev, next) {
+  const a = prev.op
+  const b = next.op
+  if (a.type === 'updateLayer' && b.type === 'updateLayer' && a.id === b.id) {
+    return { ...next, op: { ...b, props: { ...a.props, ...b.props }, prev: { ...b.prev, ...a.prev } } }
+  }
+  return { ...next, op: { type: 'batch', ops: [a, b] } }
+}
+
+function trim(state) {
+  let { past, bytes } = state
+  let start = 0
+  // always keep the newest step, even if it alone exceeds the budget
+  while (past.length - start > 1 && (past.length - start > state.limit || bytes > state.budget)) {
+    bytes -= past[start].size
+    start++
+  }
+  return start === 0 ? state : { ...state, past: past.slice(start), bytes }
+}
+
+function historyReducer(state, action) {
+  switch (action.type) {
+    case 'commit': {
+      const { doc, op } = execute(state.doc, action.op)
+      let entry = { op, label: action.label, mergeKey: action.mergeKey, time: action.time }
+      let past = state.past
+      let bytes = state.bytes - state.future.reduce((sum, e) => sum + e.size, 0)
+      const last = past[past.length - 1]
+      if (last && action.mergeKey && last.mergeKey === action.mergeKey && action.time - last.time < MERGE_WINDOW) {
+        entry = coalesce(last, entry)
+        past = past.slice(0, -1)
+        bytes -= last.size
+      }
+      entry.size = operationSize(entry.op)
+      return trim({ ...state, doc, past: [...past, entry], future: [], bytes: bytes + entry.size })
+    }
+    case 'undo': {
+      const entry = state.past[state.past.length - 1]
+      if (!entry) return state
+      return {
+        ...state,
+        doc: execute(state.doc, invert(entry.op)).doc,
+        past: state.past.slice(0, -1),
+        future: [entry, ...state.future],
+      }
+    }
+    case 'redo': {
+      const [entry, ...future] = state.future
+      if (!entry) return state
+      return { ...state, doc: execute(state.doc, entry.op).doc, past: [...state.past, entry], future }
+    }
+    case 'jump': {
+      // position = number of applied steps, 0 being the document as loaded
+      let next = state
+      while (next.past.length > action.position) next = historyReducer(next, { type: 'undo' })
+      while (next.past.length < action.position && next.future.length > 0) next = historyReducer(next, { type: 'redo' })
+      return next
+    }
+    case 'reset':
+      return { ...state, doc: action.doc, past: [], future: [], bytes: 0 }
+    default:
+      throw new Error(`Unknown history action: ${action.type}`)
+  }
+}
+
+function initHistory({ createDoc, limit, budget }) {
+  return { doc: createDoc(), past: [], future: [], bytes: 0, limit, budget }
+}
+
+// `createDoc` builds the initial document; `limit` caps the number of undo
+// steps and `budget` the approximate memory they may hold.
+export function useHistory(createDoc, { limit = DEFAULT_HISTORY_DEPTH, budget = DEFAULT_HISTORY_BUDGET } = {}) {
+  const [state, dispatch] = useReducer(historyReducer, { createDoc, limit, budget }, initHistory)
+
+  const commit = useCallback((op, label, mergeKey) => dispatch({ type: 'commit', op, label, mergeKey, time: Date.now() }), [])
+  const undo = useCallback(() => dispatch({ type: 'undo' }), [])
+  const redo = useCallback(() => dispatch({ type: 'redo' }), [])
+  const jumpTo = useCallback((position) => dispatch({ type: 'jump', position }), [])
+  const reset = useCallback((doc) => dispatch({ type: 'reset', doc }), [])
+
+  return {
+    doc: state.doc,
+    past: state.past,
+    future: state.future,
+    canUndo: state.past.length > 0,
+    canRedo: state.future.length > 0,
+    commit,
+    undo,
+    redo,
+    jumpTo,
+    reset,
+  }
+}
+
+const COMPARED_PROPS = ['name', 'visible', 'opacity', 'blend', 'clip', 'x', 'y', 'width', 'height']
+
+// Human-readable list of differences between two documents, used to compare
+// a snapshot with the current state
+export function describeChanges(from, to) {
+  const changes = []
+  if (from.canvas && to.canvas && (from.canvas.width !== to.canvas.width || from.canvas.height !== to.canvas.height)) {
+    changes.push(`Canvas size: ${from.canvas.width}×${from.canvas.height} → ${to.canvas.width}×${to.canvas.height}`)
+  }
+  if ((from.canvas?.guides?.length || 0) !== (to.canvas?.guides?.length || 0)) {
+    changes.push(`Guides: ${from.canvas?.guides?.length || 0} → ${to.canvas?.guides?.length || 0}`)
+  }
+  const before = new Map(from.layers.map(l => [l.id, l]))
+  const after = new Map(to.layers.map(l => [l.id, l]))
+
+  for (const layer of from.layers) {
+    if (!after.has(layer.id)) changes.push(`Layer "${layer.name}" removed`)
+  }
+  for (const layer of to.layers) {
+    const old = before.get(layer.id)
+    if (!old) {
+      changes.push(`Layer "${layer.name}" added`)
+      continue
+    }
+    for (const key of COMPARED_PROPS) {
+      if (old[key] !== layer[key]) changes.push(`"${layer.name}" ${key}: ${old[key] ?? '—'} → ${layer[key] ?? '—'}`)
+    }
+    if (!old.mask !== !layer.mask) changes.push(`"${layer.name}" mask ${layer.mask ? 'added' : 'removed'}`)
+    const oldStrokes = new Set((from.lines[layer.id] || []).map(s => s.id))
+    const newStrokes = new Set((to.lines[layer.id] || []).map(s => s.id))
+    const added = [...newStrokes].filter(id => !oldStrokes.has(id)).length
+    const removed = [...oldStrokes].filter(id => !newStrokes.has(id)).length
+    if (added) changes.push(`"${layer.name}": ${added} stroke${added === 1 ? '' : 's'} added`)
+    if (removed) changes.push(`"${layer.name}": ${removed} stroke${removed === 1 ? '' : 's'} removed`)
+  }
+  const order = (doc) => doc.layers.filter(l => before.has(l.id) && after.has(l.id)).map(l => l.id).join()
+  if (order(from) !== order(to)) changes.push('Layer order changed')
+  return changes
+}
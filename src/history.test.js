@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import { execute, invert, operationSize, describeChanges } from './history'
+
+const stroke = (id) => ({ id, points: [0, 0, 10, 10], color: '#000000', size: 4 })
+
+function createDoc() {
+  return {
+    layers: [
+      { id: 'bg', name: 'Background', type: 'raster', visible: true, opacity: 1 },
+      { id: 'a', name: 'Layer 1', type: 'raster', visible: true, opacity: 1, mask: { id: 'm', enabled: true } },
+    ],
+    lines: { bg: [stroke('s1'), stroke('s2')], a: [stroke('s3')], m: [stroke('s4')] },
+    canvas: { width: 800, height: 600, background: 'white' },
+  }
+}
+
+const OPS = {
+  insertLayer: { type: 'insertLayer', layer: { id: 'new', name: 'New', type: 'raster' }, index: 1, strokes: [stroke('s5')] },
+  removeLayer: { type: 'removeLayer', id: 'a' },
+  moveLayer: { type: 'moveLayer', id: 'bg', to: 1 },
+  updateLayer: { type: 'updateLayer', id: 'a', props: { opacity: 0.5, clip: true } },
+  insertStroke: { type: 'insertStroke', layerId: 'a', stroke: stroke('s5') },
+  removeStroke: { type: 'removeStroke', layerId: 'bg', strokeId: 's1' },
+  setStrokes: { type: 'setStrokes', layerId: 'bg', strokes: null },
+  updateCanvas: { type: 'updateCanvas', props: { background: 'transparent' } },
+  setDocument: { type: 'setDocument', doc: { ...createDoc(), layers: [createDoc().layers[0]], lines: {} } },
+  batch: { type: 'batch', ops: [{ type: 'updateLayer', id: 'bg', props: { name: 'Paper' } }, { type: 'removeStroke', layerId: 'bg', strokeId: 's2' }] },
+}
+
+describe('history operations', () => {
+  for (const [type, op] of Object.entries(OPS)) {
+    it(`undoes and redoes ${type}`, () => {
+      const before = createDoc()
+      const done = execute(before, op)
+      expect(done.doc).not.toEqual(before)
+      const undone = execute(done.doc, invert(done.op))
+      expect(undone.doc).toEqual(before)
+      expect(execute(undone.doc, done.op).doc).toEqual(done.doc)
+    })
+  }
+
+  it('removes and restores a layer together with its mask strokes', () => {
+    const { doc, op } = execute(createDoc(), OPS.removeLayer)
+    expect(doc.lines).not.toHaveProperty('a')
+    expect(doc.lines).not.toHaveProperty('m')
+    expect(execute(doc, invert(op)).doc.lines.m).toEqual([stroke('s4')])
+  })
+
+  it('rejects unknown operations', () => {
+    expect(() => execute(createDoc(), { type: 'explode' })).toThrow(/Unknown history operation/)
+  })
+
+  it('counts what an operation keeps alive', () => {
+    const small = execute(createDoc(), OPS.insertStroke).op
+    const large = execute(createDoc(), { ...OPS.insertStroke, stroke: { ...stroke('s6'), points: new Array(1000).fill(0) } }).op
+    expect(operationSize(large)).toBeGreaterThan(operationSize(small))
+    expect(operationSize(execute(createDoc(), OPS.batch).op)).toBeGreaterThan(0)
+  })
+})
+
+describe('describeChanges', () => {
+  it('lists what differs between two documents', () => {
+    const before = createDoc()
+    const after = execute(before, { type: 'batch', ops: [OPS.insertStroke, OPS.updateLayer, OPS.moveLayer] }).doc
+    expect(describeChanges(before, after)).toEqual([
+      '"Layer 1" opacity: 1 → 0.5',
+      '"Layer 1" clip: — → true',
+      '"Layer 1": 1 stroke added',
+      'Layer order changed',
+    ])
+    expect(describeChanges(before, before)).toEqual([])
+  })
+})
@@ -0,0 +1,77 @@
+// Images coming in from outside — picked in the upload dialog, dropped on the
+// canvas or pasted from the system clipboard — and pixels copied out to the
+// system clipboard as PNG.
+
+import { v4 as uuidv4 } from 'uuid'
+import { registerAsset } from './assets'
+
+// Resolves to `{ assetId, url, width, height }` for an image file, or rejects
+// with a message for the user when the browser can't decode it. Files that
+// don't say what they are are given a try.
+export function loadImageFile(file) {
+  const name = file.name || 'The pasted data'
+  if (file.type && !file.type.startsWith('image/')) return Promise.reject(new Error(`${name} is not an image`))
+  return new Promise((resolve, reject) => {
+    const probe = URL.createObjectURL(file)
+    const img = new window.Image()
+    img.onload = () => {
+      URL.revokeObjectURL(probe)
+      if (!img.width || !img.height) return reject(new Error(`${name} has no size`))
+      // keep the file as a Blob asset rather than inlining it as a data URL
+      resolve({ ...registerAsset(file), width: img.width, height: img.height })
+    }
+    img.onerror = () => {
+      URL.revokeObjectURL(probe)
+      reject(new Error(`${name} is damaged or in a format this browser can't open`))
+    }
+    img.src = probe
+  })
+}
+
+export function isOversized(image, canvas) {
+  return image.width > canvas.width || image.height > canvas.height
+}
+
+// Size of `image` scaled down, proportions kept, to fit within `canvas`
+export function fittedSize(image, canvas) {
+  const scale = Math.min(1, canvas.width / image.width, canvas.height / image.height)
+  return { width: Math.max(1, Math.round(image.width * scale)), height: Math.max(1, Math.round(image.height * scale)) }
+}
+
+// New image layer showing `image` at `size`, centered on `center`
+export function imageLayer(name, image, size, center) {
+  return {
+    id: uuidv4(),
+    name,
+    type: 'image',
+    src: image.url,
+    assetId: image.assetId,
+    x: Math.round(center.x - size.width / 2),
+    y: Math.round(center.y - size.height / 2),
+    ...size,
+    opacity: 1,
+    visible: true,
+    blend: 'normal',
+    draggable: true,
+    isShape: false,
+  }
+}
+
+// Image files on the system clipboard, through the async Clipboard API.
+// Rejects where the browser doesn't offer it or the user won't allow it.
+export async function readClipboardImages() {
+  const files = []
+  for (const item of await navigator.clipboard.read()) {
+    const type = item.types.find(t => t.startsWith('image/'))
+    if (type) files.push(new File([await item.getType(type)], `Pasted image.${type.split('/')[1]}`, { type }))
+  }
+  return files
+}
+
+// Puts an image on the system clipboard; resolves to false where the browser
+// can't take images
+export async function writeClipboardImage(blob) {
+  if (!navigator.clipboard?.write || !window.ClipboardItem) return false
+  await navigator.clipboard.write([new window.ClipboardItem({ [blob.type]: blob })])
+  return true
+}
@@ -0,0 +1,104 @@
+// Konva group that composites its content as one unit.
+//
+// Plain Konva groups hand their opacity down to each child and ignore their
+// blend mode, so overlapping children show through each other and blending
+// never happens. A LayerGroup draws its children into a scratch canvas first
+// and then composites that onto what is beneath it in the same canvas (the
+// layers below, never the grey grid or the canvas background, which live in
+// separate Konva Layers) with `layerOpacity` and `layerBlend`, a canvas
+// globalCompositeOperation. Nested LayerGroups composite into their parent.
+//
+// Before compositing, `layerMask(ctx)` (if set) may cut into the scratch
+// content; it is called with the group's transform applied. With `layerClip`
+// the content is also kept only where the clip base (the nearest earlier
+// sibling LayerGroup that isn't clipped itself) has pixels, and disappears
+// while that base is hidden. `layerIsolated` takes the scratch canvas route
+// even without any of these, for content that erases part of itself.
+//
+// Used from JSX as <LayerGroup layerOpacity={...} layerBlend="multiply">.
+
+import Konva from 'konva'
+import { _registerNode } from 'konva/lib/Global'
+import { SceneCanvas } from 'konva/lib/Canvas'
+
+const scratchPool = [] // one scratch canvas per nesting depth in use
+
+function acquireScratch(target) {
+  const scratch = scratchPool.pop() || new SceneCanvas({ width: 1, height: 1 })
+  if (scratch.pixelRatio !== target.pixelRatio) scratch.setPixelRatio(target.pixelRatio)
+  if (scratch.width !== target.width || scratch.height !== target.height) {
+    scratch.setSize(target.width / target.pixelRatio, target.height / target.pixelRatio)
+  }
+  scratch.isCache = target.isCache
+  const ctx = scratch.getContext()._context
+  ctx.setTransform(1, 0, 0, 1, 0, 0)
+  ctx.clearRect(0, 0, scratch.width, scratch.height)
+  // children draw relative to the current transform of the target
+  ctx.setTransform(target.getContext()._context.getTransform())
+  return scratch
+}
+
+// The LayerGroup a clipped `group` clips to, if any
+export function clipBase(group) {
+  const siblings = group.getParent()?.getChildren() || []
+  for (let i = group.index - 1; i >= 0; i--) {
+    if (siblings[i] instanceof LayerGroup && !siblings[i].getAttr('layerClip')) return siblings[i]
+  }
+  return null
+}
+
+export class LayerGroup extends Konva.Group {
+  drawScene(can, top, bufferCanvas) {
+    const opacity = this.getAttr('layerOpacity') ?? 1
+    const blend = this.getAttr('layerBlend') || 'source-over'
+    const mask = this.getAttr('layerMask')
+    const base = this.getAttr('layerClip') ? clipBase(this) : null
+    const canvas = can || this.getLayer()?.getCanvas()
+    const isolated = opacity < 1 || blend !== 'source-over' || mask || base || this.getAttr('layerIsolated')
+    if (!isolated || !canvas) return super.drawScene(can, top, bufferCanvas)
+    if ((!this.isVisible() && !canvas.isCache) || opacity <= 0) return this
+    if (base && !base.isVisible()) return this
+
+    const scratch = acquireScratch(canvas)
+    try {
+      super.drawScene(scratch, top, bufferCanvas)
+      const sctx = scratch.getContext()._context
+      if (mask) {
+        sctx.save()
+        const m = this.getAbsoluteTransform(top).getMatrix()
+        sctx.transform(m[0], m[1], m[2], m[3], m[4], m[5])
+        mask(sctx)
+        sctx.restore()
+      }
+      if (base) {
+        // the base as it would be drawn, opacity and mask included
+        const shape = acquireScratch(canvas)
+        try {
+          base.drawScene(shape, top, bufferCanvas)
+          sctx.save()
+          sctx.setTransform(1, 0, 0, 1, 0, 0)
+          sctx.globalCompositeOperation = 'destination-in'
+          sctx.drawImage(shape._canvas, 0, 0)
+          sctx.restore()
+        } finally {
+          scratchPool.push(shape)
+        }
+      }
+      const ctx = canvas.getContext()._context
+      ctx.save()
+      ctx.setTransform(1, 0, 0, 1, 0, 0)
+      ctx.globalAlpha = opacity
+      ctx.globalCompositeOperation = blend
+      ctx.drawImage(scratch._canvas, 0, 0)
+      ctx.restore()
+    } finally {
+      scratchPool.push(scratch)
+    }
+    return this
+  }
+}
+
+LayerGroup.prototype.className = 'LayerGroup'
+_registerNode(LayerGroup)
+
+export default 'LayerGroup'
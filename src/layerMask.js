@@ -0,0 +1,55 @@
+// Layer masks and clipping masks.
+//
+// A layer's `mask` is `{ id, enabled, inverted }`. Its strokes live in
+// `lines[mask.id]`, next to the layers' own, so painting on a mask is the
+// same undoable insertStroke as painting on a layer. Brush strokes on a mask
+// paint black (hide the layer), eraser strokes paint white (reveal it again);
+// an inverted mask shows only what has been painted. Nothing is lost until
+// the mask is applied, which bakes it into the layer's pixels.
+//
+// A layer with `clip: true` only shows where its clip base, the nearest
+// sibling below it that isn't clipped itself, has pixels.
+
+import { v4 as uuidv4 } from 'uuid'
+import { drawStroke } from './brushEngine'
+import { rasterizeLayers, mergedLayerOp } from './rasterize'
+
+export function createMask() {
+  return { id: uuidv4(), enabled: true, inverted: false }
+}
+
+// Index of the layer `layers[index]` is clipped to, or -1 when it isn't clipped
+export function clipBaseIndex(layers, index) {
+  const layer = layers[index]
+  if (!layer?.clip) return -1
+  for (let i = index - 1; i >= 0; i--) {
+    if ((layers[i].parentId ?? null) === (layer.parentId ?? null) && !layers[i].clip) return i
+  }
+  return -1
+}
+
+// Canvas whose alpha is how visible the masked layer is, at `scale`
+export function maskAlphaCanvas(strokes, { width, height, scale = 1, inverted = false }) {
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.round(width * scale)
+  canvas.height = Math.round(height * scale)
+  const ctx = canvas.getContext('2d', { willReadFrequently: true })
+  ctx.scale(scale, scale)
+  strokes.forEach(stroke => drawStroke(ctx, stroke))
+  const image = ctx.getImageData(0, 0, canvas.width, canvas.height)
+  const data = image.data
+  for (let i = 0; i < data.length; i += 4) {
+    data[i] = data[i + 1] = data[i + 2] = 0
+    if (!inverted) data[i + 3] = 255 - data[i + 3]
+  }
+  ctx.putImageData(image, 0, 0)
+  return canvas
+}
+
+// Resolves to the history op that applies the mask of `layerId`: the layer,
+// as currently rendered, becomes an image layer and its strokes and mask are
+// dropped.
+export async function bakeLayerMask(group, doc, layerId) {
+  const pixels = await rasterizeLayers(group, doc, [layerId])
+  return mergedLayerOp(doc, layerId, [], pixels)
+}
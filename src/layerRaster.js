@@ -0,0 +1,311 @@
+// Cached bitmaps of committed strokes, one per layer.
+//
+// Instead of redrawing every stroke as a vector on each frame, a layer's
+// strokes are rasterized once into a document-sized canvas that follows the
+// layer's stroke array: appended strokes are painted on top, and when strokes
+// are removed or inserted (undo, redo, merges) only the region they cover is
+// cleared and repainted from the strokes that intersect it. Only the stroke
+// being drawn is rendered live.
+//
+// Layer masks (see layerMask.js) are cached the same way, under the mask's id.
+// Image, text and shape layers also keep a raster of just their erasers,
+// which cuts the content beneath the strokes.
+//
+// Rasters follow the `resolution` of the view (screen pixels per document
+// pixel: zoom times devicePixelRatio) in power-of-two steps, so they stay
+// sharp on HiDPI screens and when zoomed in, and are rebuilt only when the
+// view crosses a step. They never go below 1× nor above MAX_RASTER_PIXELS.
+// Renders at a higher pixel ratio (exports) go through `renderingAt`, which
+// has strokes drawn afresh at that resolution instead.
+
+import { drawStroke, strokeBounds } from './brushEngine'
+
+const MAX_RASTER_PIXELS = 4096 * 4096 // per raster, 64 MB
+
+const rasters = new Map() // layer id -> { canvas, scale, strokes, width, height }
+const cutRasters = new Map() // layer id -> the same, of its erasers as plain brush strokes
+const cutStrokes = new WeakMap() // eraser stroke -> its brush version (kept for identity)
+const boundsCache = new WeakMap() // stroke -> bounds (strokes are immutable)
+let scratch = null
+let maskScratch = null
+let renderScale = 1 // output pixels per document pixel of the render in progress
+
+function boundsOf(stroke) {
+  let bounds = boundsCache.get(stroke)
+  if (!bounds) {
+    bounds = strokeBounds(stroke)
+    boundsCache.set(stroke, bounds)
+  }
+  return bounds
+}
+
+function union(a, b) {
+  if (!a) return b
+  const x = Math.min(a.x, b.x)
+  const y = Math.min(a.y, b.y)
+  return {
+    x,
+    y,
+    width: Math.max(a.x + a.width, b.x + b.width) - x,
+    height: Math.max(a.y + a.height, b.y + b.height) - y,
+  }
+}
+
+function intersects(a, b) {
+  return a.x < b.x + b.width && b.x < a.x + a.width && a.y < b.y + b.height && b.y < a.y + a.height
+}
+
+function scaleRect(rect, factor) {
+  return { x: rect.x * factor, y: rect.y * factor, width: rect.width * factor, height: rect.height * factor }
+}
+
+// Whole raster pixels covering `bounds` (in document coordinates) at
+// `scale`, clamped to the raster's `canvas`; null if outside
+function pixelRect(bounds, scale, canvas) {
+  const x = Math.max(0, Math.floor(bounds.x * scale))
+  const y = Math.max(0, Math.floor(bounds.y * scale))
+  const right = Math.min(canvas.width, Math.ceil((bounds.x + bounds.width) * scale))
+  const bottom = Math.min(canvas.height, Math.ceil((bounds.y + bounds.height) * scale))
+  return right > x && bottom > y ? { x, y, width: right - x, height: bottom - y } : null
+}
+
+// Raster pixels per document pixel for a view at `resolution`
+function rasterScale(resolution, width, height) {
+  const step = 2 ** Math.ceil(Math.log2(Math.max(1, resolution)))
+  return Math.max(1, Math.min(step, Math.sqrt(MAX_RASTER_PIXELS / (width * height))))
+}
+
+// Draws `raster` over the document area of `ctx`
+function drawRaster(ctx, { canvas, scale }) {
+  ctx.drawImage(canvas, 0, 0, canvas.width / scale, canvas.height / scale)
+}
+
+// Clears `region` (raster pixels) and repaints the strokes that reach into it
+function repaint({ canvas, scale }, strokes, region) {
+  const area = scaleRect(region, 1 / scale)
+  const ctx = canvas.getContext('2d')
+  ctx.save()
+  ctx.setTransform(1, 0, 0, 1, 0, 0)
+  ctx.beginPath()
+  ctx.rect(region.x, region.y, region.width, region.height)
+  ctx.clip()
+  ctx.clearRect(region.x, region.y, region.width, region.height)
+  ctx.setTransform(scale, 0, 0, scale, 0, 0)
+  for (const stroke of strokes) {
+    if (intersects(boundsOf(stroke), area)) drawStroke(ctx, stroke)
+  }
+  ctx.restore()
+}
+
+// Brings the raster `store` keeps for `layerId` up to date with `strokes`,
+// at `scale`
+function syncRaster(store, layerId, strokes, { width, height, scale }) {
+  let raster = store.get(layerId)
+  if (strokes.length === 0) {
+    store.delete(layerId)
+    return null
+  }
+  if (!raster || raster.width !== width || raster.height !== height || raster.scale !== scale) {
+    const canvas = document.createElement('canvas')
+    canvas.width = Math.ceil(width * scale)
+    canvas.height = Math.ceil(height * scale)
+    canvas.getContext('2d').setTransform(scale, 0, 0, scale, 0, 0)
+    raster = { canvas, scale, strokes: [], width, height }
+    store.set(layerId, raster)
+  }
+
+  const prev = raster.strokes
+  if (prev === strokes) return raster
+  raster.strokes = strokes
+  const ctx = raster.canvas.getContext('2d')
+
+  let common = 0
+  while (common < prev.length && common < strokes.length && prev[common] === strokes[common]) common++
+  if (common === prev.length) {
+    for (let i = common; i < strokes.length; i++) drawStroke(ctx, strokes[i])
+    return raster
+  }
+
+  // strokes were removed or inserted: repaint the area they cover
+  const before = new Set(prev)
+  const after = new Set(strokes)
+  let dirty = null
+  for (const stroke of prev) if (!after.has(stroke)) dirty = union(dirty, boundsOf(stroke))
+  for (const stroke of strokes) if (!before.has(stroke)) dirty = union(dirty, boundsOf(stroke))
+  const region = dirty && pixelRect(dirty, raster.scale, raster.canvas)
+  if (region) repaint(raster, strokes, region)
+  return raster
+}
+
+// A raster of `strokes` at renderScale, not cached
+function freshRaster(strokes, width, height) {
+  if (strokes.length === 0) return null
+  const canvas = document.createElement('canvas')
+  canvas.width = Math.ceil(width * renderScale)
+  canvas.height = Math.ceil(height * renderScale)
+  const ctx = canvas.getContext('2d')
+  ctx.scale(renderScale, renderScale)
+  for (const stroke of strokes) drawStroke(ctx, stroke)
+  return { canvas, scale: renderScale }
+}
+
+// The raster of `strokes` for this render: cached at the view's resolution,
+// or fresh at a higher pixel ratio
+function layerRaster(store, layerId, strokes, { width, height, resolution }) {
+  if (renderScale > 1) return freshRaster(strokes, width, height)
+  return syncRaster(store, layerId, strokes, { width, height, scale: rasterScale(resolution, width, height) })
+}
+
+// Runs `render`, which renders the document synchronously at `pixelRatio`.
+// Above 1× stretching the rasters would blur the strokes, so they are drawn
+// at that ratio for the duration.
+export function renderingAt(pixelRatio, render) {
+  const previous = renderScale
+  renderScale = pixelRatio
+  try {
+    return render()
+  } finally {
+    renderScale = previous
+  }
+}
+
+function cutStroke(stroke) {
+  let cut = cutStrokes.get(stroke)
+  if (!cut) {
+    cut = { ...stroke, mode: 'brush', color: '#000000' }
+    cutStrokes.set(stroke, cut)
+  }
+  return cut
+}
+
+// Erases what is already on `ctx` wherever the layer's erasers (and a live
+// one) went. Strokes always sit above the content, so cutting the content
+// with every eraser first and then drawing the strokes gives the same pixels
+// as erasing both in stroke order.
+function cutContent(ctx, layerId, strokes, { width, height, liveStroke, resolution }) {
+  const erasers = strokes.filter(s => s.mode === 'eraser').map(cutStroke)
+  const cuts = layerRaster(cutRasters, layerId, erasers, { width, height, resolution })
+  if (cuts) {
+    ctx.save()
+    ctx.globalCompositeOperation = 'destination-out'
+    drawRaster(ctx, cuts)
+    ctx.restore()
+  }
+  if (liveStroke?.mode === 'eraser') drawStroke(ctx, liveStroke)
+}
+
+// Whether the erasers among `strokes` (or a live one) have to cut into what
+// `layer` shows beneath its strokes: its image, text or shape. That content
+// then needs a canvas of its own (see LayerGroup's `layerIsolated`).
+export function erasesContent(layer, strokes, liveStroke = null) {
+  if (layer.type !== 'image' && layer.type !== 'text' && !layer.isShape) return false
+  return liveStroke?.mode === 'eraser' || strokes.some(s => s.mode === 'eraser')
+}
+
+// Draws a layer's strokes (and the in-progress `liveStroke`, if any) onto a
+// native 2D context in document coordinates, for a view at `resolution`
+// (see above). Erasers only cut through this
+// layer's own strokes, and with `cutsContent` also through whatever the
+// layer's content already drew on `ctx` (which must then hold nothing else,
+// like a LayerGroup's scratch canvas).
+export function drawLayerStrokes(ctx, layerId, strokes, { width, height, liveStroke, resolution = 1, cutsContent = false }) {
+  if (cutsContent) cutContent(ctx, layerId, strokes, { width, height, liveStroke, resolution })
+  if (renderScale > 1) {
+    const raster = freshRaster(liveStroke ? [...strokes, liveStroke] : strokes, width, height)
+    if (raster) drawRaster(ctx, raster)
+    return
+  }
+  const raster = layerRaster(rasters, layerId, strokes, { width, height, resolution })
+  if (liveStroke?.mode !== 'eraser') {
+    if (raster) drawRaster(ctx, raster)
+    if (liveStroke) drawStroke(ctx, liveStroke)
+    return
+  }
+  if (!raster) return
+
+  const { canvas, scale } = raster
+  const region = pixelRect(strokeBounds(liveStroke), scale, canvas)
+  if (!region) {
+    drawRaster(ctx, raster)
+    return
+  }
+  const area = scaleRect(region, 1 / scale)
+  // everything outside the eraser's reach comes straight from the raster...
+  ctx.save()
+  ctx.beginPath()
+  ctx.rect(0, 0, width, height)
+  ctx.rect(area.x, area.y, area.width, area.height)
+  ctx.clip('evenodd')
+  drawRaster(ctx, raster)
+  ctx.restore()
+
+  // ...and the rest from an erased copy of that region
+  if (!scratch) scratch = document.createElement('canvas')
+  if (scratch.width < region.width || scratch.height < region.height) {
+    scratch.width = Math.max(scratch.width, region.width)
+    scratch.height = Math.max(scratch.height, region.height)
+  }
+  const sctx = scratch.getContext('2d')
+  sctx.setTransform(1, 0, 0, 1, 0, 0)
+  sctx.clearRect(0, 0, region.width, region.height)
+  sctx.drawImage(canvas, region.x, region.y, region.width, region.height, 0, 0, region.width, region.height)
+  sctx.setTransform(scale, 0, 0, scale, -region.x, -region.y)
+  drawStroke(sctx, liveStroke)
+  ctx.drawImage(scratch, 0, 0, region.width, region.height, area.x, area.y, area.width, area.height)
+}
+
+// Applies a layer mask to what has already been drawn on `ctx`: the mask's
+// strokes (and `liveStroke`) hide those pixels, or with `inverted` everything
+// else.
+export function drawLayerMask(ctx, maskId, strokes, { width, height, liveStroke, inverted, resolution = 1 }) {
+  ctx.save()
+  if (!inverted) {
+    ctx.globalCompositeOperation = 'destination-out'
+    drawLayerStrokes(ctx, maskId, strokes, { width, height, liveStroke, resolution })
+    ctx.restore()
+    return
+  }
+
+  // destination-in needs the whole mask in a single draw
+  let source
+  if (renderScale > 1) {
+    source = freshRaster(liveStroke ? [...strokes, liveStroke] : strokes, width, height)
+  } else if (liveStroke) {
+    const scale = rasterScale(resolution, width, height)
+    if (!maskScratch) maskScratch = document.createElement('canvas')
+    if (maskScratch.width !== Math.ceil(width * scale) || maskScratch.height !== Math.ceil(height * scale)) {
+      maskScratch.width = Math.ceil(width * scale)
+      maskScratch.height = Math.ceil(height * scale)
+    }
+    const mctx = maskScratch.getContext('2d')
+    mctx.setTransform(1, 0, 0, 1, 0, 0)
+    mctx.clearRect(0, 0, maskScratch.width, maskScratch.height)
+    mctx.setTransform(scale, 0, 0, scale, 0, 0)
+    drawLayerStrokes(mctx, maskId, strokes, { width, height, liveStroke, resolution })
+    source = { canvas: maskScratch, scale }
+  } else {
+    source = layerRaster(rasters, maskId, strokes, { width, height, resolution })
+  }
+  if (source) {
+    ctx.globalCompositeOperation = 'destination-in'
+    drawRaster(ctx, source)
+  } else {
+    ctx.setTransform(1, 0, 0, 1, 0, 0)
+    ctx.clearRect(0, 0, ctx.canvas.width, ctx.canvas.height)
+  }
+  ctx.restore()
+}
+
+// Drops every raster, e.g. after an imported brush tip finished loading
+export function invalidateLayerRasters() {
+  rasters.clear()
+  cutRasters.clear()
+}
+
+// Frees the rasters of layers (and masks) that no longer exist
+export function pruneLayerRasters(layerIds) {
+  const keep = new Set(layerIds)
+  for (const store of [rasters, cutRasters]) {
+    for (const id of store.keys()) if (!keep.has(id)) store.delete(id)
+  }
+}
@@ -0,0 +1,108 @@
+import { describe, it, expect, afterEach } from 'vitest'
+import Konva from 'konva'
+import { LayerGroup } from './layerGroup'
+import { drawLayerStrokes, erasesContent, invalidateLayerRasters, renderingAt } from './layerRaster'
+import { mergedLayerOp } from './rasterize'
+import { execute } from './history'
+
+const WIDTH = 40
+const HEIGHT = 20
+
+const stroke = (id, mode, x) => ({ id, mode, points: [x, 0, x, HEIGHT], color: '#00ff00', size: 8, opacity: 1 })
+
+function solid(color) {
+  const canvas = document.createElement('canvas')
+  canvas.width = WIDTH
+  canvas.height = HEIGHT
+  const ctx = canvas.getContext('2d')
+  ctx.fillStyle = color
+  ctx.fillRect(0, 0, WIDTH, HEIGHT)
+  return canvas
+}
+
+const image = { id: 'img', type: 'image', visible: true, opacity: 1 }
+
+// Built the way App renders layers: `layer` showing a red image under
+// `strokes`, over a blue layer. Shown at `resolution`, or exported at `pixelRatio`.
+function render(strokes, { layer = image, liveStroke = null, resolution = 1, pixelRatio = 1 } = {}) {
+  const cutsContent = erasesContent(layer, strokes, liveStroke)
+  const root = new Konva.Group()
+  root.add(new Konva.Rect({ width: WIDTH, height: HEIGHT, fill: '#0000ff' }))
+  const group = new LayerGroup({ layerIsolated: cutsContent })
+  group.add(new Konva.Image({ image: solid('#ff0000'), width: WIDTH, height: HEIGHT }))
+  group.add(new Konva.Shape({
+    sceneFunc: (ctx) => drawLayerStrokes(ctx._context, layer.id, strokes, { width: WIDTH, height: HEIGHT, liveStroke, resolution, cutsContent }),
+  }))
+  root.add(group)
+  const scale = Math.max(resolution, pixelRatio)
+  const canvas = renderingAt(pixelRatio, () => root.toCanvas({ x: 0, y: 0, width: WIDTH, height: HEIGHT, pixelRatio: scale }))
+  const ctx = canvas.getContext('2d')
+  return (x, y) => [...ctx.getImageData(x * scale, y * scale, 1, 1).data]
+}
+
+const RED = [255, 0, 0, 255]
+const GREEN = [0, 255, 0, 255]
+const BLUE = [0, 0, 255, 255]
+
+afterEach(() => invalidateLayerRasters())
+
+describe('drawLayerStrokes', () => {
+  it('erases the image beneath the strokes, not the layers below', () => {
+    const pixel = render([stroke('a', 'brush', 20), stroke('b', 'eraser', 20), stroke('c', 'brush', 32)])
+    expect(pixel(5, 10)).toEqual(RED)
+    expect(pixel(20, 10)).toEqual(BLUE)
+    expect(pixel(32, 10)).toEqual(GREEN)
+  })
+
+  it('follows erasers added to and undone from the cached strokes', () => {
+    const painted = [stroke('a', 'brush', 20)]
+    const erased = [...painted, stroke('b', 'eraser', 10)]
+    expect(render(painted)(10, 10)).toEqual(RED)
+    expect(render(erased)(10, 10)).toEqual(BLUE)
+    expect(render(painted)(10, 10)).toEqual(RED)
+  })
+
+  it('erases the image while the eraser is still down', () => {
+    for (const resolution of [1, 4]) {
+      const pixel = render([stroke('a', 'brush', 20), stroke('c', 'brush', 32)], { liveStroke: stroke('b', 'eraser', 20), resolution })
+      expect(pixel(20, 10)).toEqual(BLUE)
+      expect(pixel(32, 10)).toEqual(GREEN)
+      expect(pixel(5, 10)).toEqual(RED)
+    }
+  })
+
+  it('erases the image in renders at a higher pixel ratio', () => {
+    const pixel = render([stroke('b', 'eraser', 20)], { pixelRatio: 2 })
+    expect(pixel(20, 10)).toEqual(BLUE)
+    expect(pixel(5, 10)).toEqual(RED)
+  })
+
+  it('erases layers that merging turned into pixels', () => {
+    const doc = {
+      layers: [
+        { id: 'a', name: 'Layer 1', type: 'raster', visible: true, opacity: 1 },
+        { id: 'b', name: 'Layer 2', type: 'raster', visible: true, opacity: 1 },
+      ],
+      lines: { a: [stroke('s1', 'brush', 10)], b: [stroke('s2', 'brush', 30)] },
+      canvas: { width: WIDTH, height: HEIGHT, background: 'white' },
+    }
+    const pixels = { src: 'blob:merged', assetId: 'merged', x: 0, y: 0, width: WIDTH, height: HEIGHT }
+    const merged = execute(doc, mergedLayerOp(doc, 'b', ['a'], pixels)).doc
+    const erased = execute(merged, { type: 'insertStroke', layerId: 'b', stroke: stroke('s3', 'eraser', 20) }).doc
+
+    const layer = erased.layers.find(l => l.id === 'b')
+    const pixel = render(erased.lines.b, { layer })
+    expect(pixel(20, 10)).toEqual(BLUE)
+    expect(pixel(5, 10)).toEqual(RED)
+  })
+
+  it('keeps the cached strokes as sharp as the view', () => {
+    const strokes = [stroke('a', 'brush', 20)] // edges at x = 16 and 24
+    render(strokes)
+    const pixel = render(strokes, { resolution: 4 })
+    expect(pixel(15.75, 10)).toEqual(RED)
+    expect(pixel(16, 10)).toEqual(GREEN)
+    expect(pixel(23.75, 10)).toEqual(GREEN)
+    expect(pixel(24, 10)).toEqual(RED)
+  })
+})
@@ -0,0 +1,108 @@
+// Rotation, skew and flips of image, text and shape layers.
+//
+// Those layers are Konva nodes, so they keep their transform as node attrs on
+// the layer: `rotation` (degrees, around the layer's x/y), `skewX`/`skewY`
+// (Konva's skew factors) and a `scaleX`/`scaleY` that is only ever ±1 — the
+// size itself lives in the layer's own width/height/geometry, a negative scale
+// is a flip. Layers without these props are simply upright.
+
+import Konva from 'konva'
+import { scaleShape } from './shapes'
+
+export const NODE_TRANSFORM_KEYS = ['rotation', 'skewX', 'skewY', 'scaleX', 'scaleY']
+
+// The node attrs of `layer`'s transform, with defaults filled in
+export function nodeTransform(layer) {
+  return {
+    rotation: layer.rotation || 0,
+    skewX: layer.skewX || 0,
+    skewY: layer.skewY || 0,
+    scaleX: layer.scaleX || 1,
+    scaleY: layer.scaleY || 1,
+  }
+}
+
+export function hasNodeTransform(layer) {
+  const t = nodeTransform(layer)
+  return t.rotation !== 0 || t.skewX !== 0 || t.skewY !== 0 || t.scaleX !== 1 || t.scaleY !== 1
+}
+
+// Matrix of `layer`'s transform around its x/y, in canvas space
+export function nodeMatrix(layer) {
+  const t = nodeTransform(layer)
+  return new Konva.Transform()
+    .translate(layer.x, layer.y)
+    .rotate((t.rotation * Math.PI) / 180)
+    .skew(t.skewX, t.skewY)
+    .scale(t.scaleX, t.scaleY)
+    .translate(-layer.x, -layer.y)
+}
+
+// SVG `transform` attribute value for `layer`, or null when it has none
+export function nodeTransformSVG(layer) {
+  if (!hasNodeTransform(layer)) return null
+  return `matrix(${nodeMatrix(layer).getMatrix().join(' ')})`
+}
+
+// Upright `box` of `layer`'s content turned into the canvas-space box around
+// it once the layer's transform is applied
+export function transformedBox(layer, box) {
+  if (!hasNodeTransform(layer)) return box
+  const m = nodeMatrix(layer)
+  const corners = [
+    { x: box.x, y: box.y },
+    { x: box.x + box.width, y: box.y },
+    { x: box.x + box.width, y: box.y + box.height },
+    { x: box.x, y: box.y + box.height },
+  ].map(p => m.point(p))
+  const xs = corners.map(p => p.x)
+  const ys = corners.map(p => p.y)
+  const x = Math.min(...xs)
+  const y = Math.min(...ys)
+  return { x, y, width: Math.max(...xs) - x, height: Math.max(...ys) - y }
+}
+
+// A transform split into the props kept on the layer (position, rotation,
+// skew, flips) and the size factors to bake into its geometry
+function splitScale({ x, y, rotation, skewX, skewY, scaleX, scaleY }) {
+  return {
+    props: { x, y, rotation, skewX, skewY, scaleX: Math.sign(scaleX) || 1, scaleY: Math.sign(scaleY) || 1 },
+    factorX: Math.abs(scaleX),
+    factorY: Math.abs(scaleY),
+  }
+}
+
+// Reads a node a Transformer has changed and resets its scale to the flips
+// the layer keeps
+export function settleNodeTransform(node) {
+  const settled = splitScale({
+    x: node.x(),
+    y: node.y(),
+    rotation: node.rotation(),
+    skewX: node.skewX(),
+    skewY: node.skewY(),
+    scaleX: node.scaleX(),
+    scaleY: node.scaleY(),
+  })
+  node.scaleX(settled.props.scaleX)
+  node.scaleY(settled.props.scaleY)
+  return settled
+}
+
+// `layer`'s transform once the canvas-space `matrix` is applied on top of it
+export function matrixNodeTransform(layer, matrix) {
+  const full = matrix.copy().multiply(nodeMatrix(layer)).translate(layer.x, layer.y)
+  return splitScale(full.decompose())
+}
+
+// updateLayer props for a transform from settleNodeTransform or
+// matrixNodeTransform, its size factors baked into the layer's geometry
+export function sizedNodeProps(layer, { props, factorX, factorY }) {
+  if (layer.type === 'text') {
+    // stretching across re-wraps the text (text without a width has no
+    // wrapping to change), stretching down scales the font
+    return { ...props, width: layer.width && Math.max(10, layer.width * factorX), fontSize: Math.max(4, layer.fontSize * factorY) }
+  }
+  if (layer.isShape) return { ...props, ...scaleShape(layer, factorX, factorY, 5) }
+  return { ...props, width: Math.max(5, layer.width * factorX), height: Math.max(5, layer.height * factorY) }
+}
@@ -0,0 +1,68 @@
+import { describe, it, expect } from 'vitest'
+import Konva from 'konva'
+import { nodeTransform, hasNodeTransform, nodeTransformSVG, transformedBox, matrixNodeTransform, sizedNodeProps } from './layerTransform'
+
+const image = { id: 'img', type: 'image', x: 10, y: 20, width: 100, height: 50 }
+const text = { id: 't', type: 'text', text: 'Hi', x: 10, y: 20, fontSize: 32 }
+
+// Rotation by `degrees` around (x, y), in canvas space
+function turnAround(x, y, degrees) {
+  return new Konva.Transform().translate(x, y).rotate((degrees * Math.PI) / 180).translate(-x, -y)
+}
+
+describe('node transforms', () => {
+  it('fill in an upright transform for layers that have none', () => {
+    expect(nodeTransform(image)).toEqual({ rotation: 0, skewX: 0, skewY: 0, scaleX: 1, scaleY: 1 })
+    expect(hasNodeTransform(image)).toBe(false)
+    expect(nodeTransformSVG(image)).toBeNull()
+    expect(hasNodeTransform({ ...image, scaleX: -1 })).toBe(true)
+  })
+
+  it('give the canvas box around a rotated layer', () => {
+    const box = transformedBox({ ...image, rotation: 90 }, image)
+    expect(box.x).toBeCloseTo(-40)
+    expect(box.y).toBeCloseTo(20)
+    expect(box.width).toBeCloseTo(50)
+    expect(box.height).toBeCloseTo(100)
+  })
+})
+
+describe('matrixNodeTransform', () => {
+  it('keeps the rotation on the layer and splits off the size factors', () => {
+    const matrix = turnAround(10, 20, 30).scale(2, 3)
+    const { props, factorX, factorY } = matrixNodeTransform(image, matrix)
+    expect(props.rotation).toBeCloseTo(30)
+    expect(props.scaleX).toBe(1)
+    expect(props.scaleY).toBe(1)
+    expect(factorX).toBeCloseTo(2)
+    expect(factorY).toBeCloseTo(3)
+  })
+
+  it('keeps flips as a negative scale of 1', () => {
+    const matrix = new Konva.Transform().translate(60, 0).scale(-1, 1).translate(-60, 0)
+    const { props, factorX, factorY } = matrixNodeTransform(image, matrix)
+    expect(props.scaleX * props.scaleY).toBe(-1)
+    expect(factorX).toBeCloseTo(1)
+    expect(factorY).toBeCloseTo(1)
+  })
+})
+
+describe('sizedNodeProps', () => {
+  const settled = { props: { x: 0, y: 0, rotation: 30, skewX: 0, skewY: 0, scaleX: 1, scaleY: -1 }, factorX: 2, factorY: 0.5 }
+
+  it('bakes the size into image layers', () => {
+    expect(sizedNodeProps(image, settled)).toEqual({ ...settled.props, width: 200, height: 25 })
+    expect(sizedNodeProps(image, { ...settled, factorX: 0.01 }).width).toBe(5)
+  })
+
+  it('re-wraps text that has a width and scales its font', () => {
+    expect(sizedNodeProps({ ...text, width: 120 }, settled)).toEqual({ ...settled.props, width: 240, fontSize: 16 })
+  })
+
+  it('leaves text without a width unwrapped', () => {
+    const props = sizedNodeProps(text, matrixNodeTransform(text, turnAround(10, 20, 30)))
+    expect(props.width).toBeUndefined()
+    expect(props.fontSize).toBeCloseTo(32)
+    expect(props.rotation).toBeCloseTo(30)
+  })
+})
@@ -0,0 +1,132 @@
+// Layer groups.
+//
+// `layers` stays one flat, bottom-first array so every history operation
+// keeps working on indices. A group is a layer of `type: 'group'`; layers
+// inside it carry its id as `parentId` (top-level layers have none). Siblings
+// stack in array order, wherever their group sits in the array. Groups have
+// their own visibility, opacity and blend mode, applied to their content as a
+// whole.
+
+import { strokeBounds } from './brushEngine'
+import { shapeBounds } from './shapes'
+import { textSize } from './textStyle'
+import { transformLayer, transformStroke } from './canvasSize'
+import { transformedBox } from './layerTransform'
+
+export function isGroup(layer) {
+  return layer?.type === 'group'
+}
+
+// Direct children of `parentId` (null for the top level), bottom-first
+export function childrenOf(layers, parentId = null) {
+  return layers.filter(l => (l.parentId ?? null) === parentId)
+}
+
+// Every layer nested in `id`, at any depth
+export function descendantsOf(layers, id) {
+  const found = []
+  for (const child of childrenOf(layers, id)) found.push(child, ...descendantsOf(layers, child.id))
+  return found
+}
+
+export function isInside(layers, id, ancestorId) {
+  for (let layer = layers.find(l => l.id === id); layer?.parentId; layer = layers.find(l => l.id === layer.parentId)) {
+    if (layer.parentId === ancestorId) return true
+  }
+  return false
+}
+
+// moveLayer ops that turn the order of `layers` into `order` (layer ids)
+export function reorderOps(layers, order) {
+  const current = layers.map(l => l.id)
+  const ops = []
+  order.forEach((id, to) => {
+    const from = current.indexOf(id)
+    if (from === to) return
+    current.splice(from, 1)
+    current.splice(to, 0, id)
+    ops.push({ type: 'moveLayer', id, to })
+  })
+  return ops
+}
+
+// Ops that move layer `id` next to `targetId` in the stack: 'below' or
+// 'above' it as a sibling, or 'inside' it (on top of its children) when the
+// target is a group. Null when the move is impossible, like a group into itself.
+export function placeLayerOps(layers, id, targetId, position) {
+  const layer = layers.find(l => l.id === id)
+  const target = layers.find(l => l.id === targetId)
+  if (!layer || !target || id === targetId || isInside(layers, targetId, id)) return null
+  if (position === 'inside' && !isGroup(target)) return null
+
+  const parentId = position === 'inside' ? target.id : target.parentId
+  const order = layers.map(l => l.id).filter(other => other !== id)
+  let index = order.indexOf(targetId)
+  if (position === 'above') {
+    index += 1
+  } else if (position === 'inside') {
+    const children = childrenOf(layers, targetId).filter(l => l.id !== id)
+    if (children.length) index = order.indexOf(children[children.length - 1].id) + 1
+  }
+  order.splice(index, 0, id)
+
+  const ops = reorderOps(layers, order)
+  if ((layer.parentId ?? null) !== (parentId ?? null)) ops.unshift({ type: 'updateLayer', id, props: { parentId } })
+  return ops
+}
+
+// insertLayer ops that add `newLayers` (bottom-first) right above
+// `targetId`, inside the same group; on top of the stack without a target.
+// Landing inside a clipping group clips them too, so the clipped layers
+// above keep their base.
+export function insertLayerOps(layers, newLayers, targetId) {
+  const target = layers.find(l => l.id === targetId)
+  const index = target ? layers.indexOf(target) + 1 : layers.length
+  const parentId = target?.parentId ?? null
+  const next = childrenOf(layers, parentId).find(l => layers.indexOf(l) >= index)
+  const clip = next?.clip ? { clip: true } : {}
+  return newLayers.map((layer, i) => ({ type: 'insertLayer', layer: { ...layer, parentId, ...clip }, index: index + i }))
+}
+
+// Canvas-space box around everything a layer (or group) shows, or null when
+// it is empty
+export function layerBounds(doc, id) {
+  let box = null
+  const add = (b) => {
+    if (!box) {
+      box = { ...b }
+      return
+    }
+    const right = Math.max(box.x + box.width, b.x + b.width)
+    const bottom = Math.max(box.y + box.height, b.y + b.height)
+    box.x = Math.min(box.x, b.x)
+    box.y = Math.min(box.y, b.y)
+    box.width = right - box.x
+    box.height = bottom - box.y
+  }
+  const layer = doc.layers.find(l => l.id === id)
+  for (const item of [layer, ...descendantsOf(doc.layers, id)]) {
+    for (const stroke of doc.lines[item.id] || []) add(strokeBounds(stroke))
+    if (item.type === 'image') add(transformedBox(item, { x: item.x, y: item.y, width: item.width, height: item.height }))
+    else if (item.type === 'text') add(transformedBox(item, { x: item.x, y: item.y, ...textSize(item) }))
+    else if (item.isShape) add(transformedBox(item, shapeBounds(item)))
+  }
+  return box
+}
+
+// Ops that scale a layer (or group) by (scaleX, scaleY) around the canvas
+// origin and move it by (dx, dy), strokes and masks included
+export function transformLayerOps(doc, id, { dx, dy, scaleX = 1, scaleY = 1 }) {
+  const ops = []
+  const layer = doc.layers.find(l => l.id === id)
+  for (const item of [layer, ...descendantsOf(doc.layers, id)]) {
+    if (isGroup(item)) continue
+    const moved = transformLayer(item, dx, dy, scaleX, scaleY)
+    if (moved !== item) ops.push({ type: 'updateLayer', id: item.id, props: moved })
+    for (const key of [item.id, item.mask?.id]) {
+      const strokes = key && doc.lines[key]
+      if (strokes?.length) ops.push({ type: 'setStrokes', layerId: key, strokes: strokes.map(s => transformStroke(s, dx, dy, scaleX, scaleY)) })
+    }
+  }
+  return ops
+}
@@ -0,0 +1,106 @@
+import { describe, it, expect } from 'vitest'
+import { childrenOf, descendantsOf, isInside, reorderOps, placeLayerOps, insertLayerOps } from './layerTree'
+import { execute, invert } from './history'
+
+const layer = (id, parentId = null, props = {}) => ({ id, name: id, type: 'raster', parentId, visible: true, opacity: 1, ...props })
+const group = (id, parentId = null) => ({ ...layer(id, parentId), type: 'group' })
+
+// bg, then g1 holding a, b and g2 (holding c), then top
+function createDoc() {
+  return {
+    layers: [layer('bg'), group('g1'), layer('a', 'g1'), layer('b', 'g1'), group('g2', 'g1'), layer('c', 'g2'), layer('top')],
+    lines: {},
+    canvas: { width: 100, height: 100, background: 'white' },
+  }
+}
+
+function apply(doc, ops) {
+  return execute(doc, { type: 'batch', ops })
+}
+
+const stack = (doc, parentId = null) => childrenOf(doc.layers, parentId).map(l => l.id)
+
+describe('layer tree', () => {
+  it('walks groups', () => {
+    const { layers } = createDoc()
+    expect(stack({ layers })).toEqual(['bg', 'g1', 'top'])
+    expect(stack({ layers }, 'g1')).toEqual(['a', 'b', 'g2'])
+    expect(descendantsOf(layers, 'g1').map(l => l.id)).toEqual(['a', 'b', 'g2', 'c'])
+    expect(isInside(layers, 'c', 'g1')).toBe(true)
+    expect(isInside(layers, 'top', 'g1')).toBe(false)
+  })
+
+  it('reorders to a given order', () => {
+    const doc = createDoc()
+    const order = ['top', 'bg', 'g1', 'b', 'a', 'g2', 'c']
+    expect(apply(doc, reorderOps(doc.layers, order)).doc.layers.map(l => l.id)).toEqual(order)
+    expect(reorderOps(doc.layers, doc.layers.map(l => l.id))).toEqual([])
+  })
+})
+
+describe('placeLayerOps', () => {
+  it('moves a layer among its siblings', () => {
+    const doc = createDoc()
+    const moved = apply(doc, placeLayerOps(doc.layers, 'a', 'b', 'above')).doc
+    expect(stack(moved, 'g1')).toEqual(['b', 'a', 'g2'])
+    expect(apply(doc, placeLayerOps(doc.layers, 'g2', 'a', 'below')).doc.layers.map(l => l.id)).toEqual(['bg', 'g1', 'g2', 'a', 'b', 'c', 'top'])
+  })
+
+  it('moves layers across groups, and back on undo', () => {
+    const doc = createDoc()
+    const { doc: inside, op } = apply(doc, placeLayerOps(doc.layers, 'top', 'g2', 'inside'))
+    expect(stack(inside, 'g2')).toEqual(['c', 'top'])
+    expect(stack(inside)).toEqual(['bg', 'g1'])
+    expect(execute(inside, invert(op)).doc).toEqual(doc)
+
+    const out = apply(doc, placeLayerOps(doc.layers, 'c', 'bg', 'above')).doc
+    expect(out.layers.find(l => l.id === 'c').parentId).toBeNull()
+    expect(stack(out)).toEqual(['bg', 'c', 'g1', 'top'])
+    expect(stack(out, 'g2')).toEqual([])
+  })
+
+  it('moves a group together with its content', () => {
+    const doc = createDoc()
+    const moved = apply(doc, placeLayerOps(doc.layers, 'g2', 'top', 'above')).doc
+    expect(stack(moved)).toEqual(['bg', 'g1', 'top', 'g2'])
+    expect(stack(moved, 'g2')).toEqual(['c'])
+  })
+
+  it('refuses moves into the layer itself or its descendants', () => {
+    const { layers } = createDoc()
+    expect(placeLayerOps(layers, 'g1', 'g1', 'inside')).toBeNull()
+    expect(placeLayerOps(layers, 'g1', 'g2', 'inside')).toBeNull()
+    expect(placeLayerOps(layers, 'g1', 'c', 'above')).toBeNull()
+    expect(placeLayerOps(layers, 'top', 'a', 'inside')).toBeNull()
+    expect(placeLayerOps(layers, 'top', 'gone', 'above')).toBeNull()
+  })
+})
+
+describe('insertLayerOps', () => {
+  it('inserts above the target, in its group', () => {
+    const doc = createDoc()
+    const inserted = apply(doc, insertLayerOps(doc.layers, [layer('n1'), layer('n2')], 'a')).doc
+    expect(stack(inserted, 'g1')).toEqual(['a', 'n1', 'n2', 'b', 'g2'])
+  })
+
+  it('inserts above a group, not inside it', () => {
+    const doc = createDoc()
+    const inserted = apply(doc, insertLayerOps(doc.layers, [layer('n')], 'g2')).doc
+    expect(stack(inserted, 'g1')).toEqual(['a', 'b', 'g2', 'n'])
+    expect(stack(inserted, 'g2')).toEqual(['c'])
+  })
+
+  it('inserts on top without a target', () => {
+    const doc = createDoc()
+    expect(stack(apply(doc, insertLayerOps(doc.layers, [layer('n', 'g2')], null)).doc)).toEqual(['bg', 'g1', 'top', 'n'])
+  })
+
+  it('joins the clipping group it lands in', () => {
+    const doc = createDoc()
+    doc.layers[3] = layer('b', 'g1', { clip: true })
+    const [{ layer: clipped }] = insertLayerOps(doc.layers, [layer('n')], 'a')
+    expect(clipped.clip).toBe(true)
+    const [{ layer: unclipped }] = insertLayerOps(doc.layers, [layer('n')], 'b')
+    expect(unclipped.clip).toBeUndefined()
+  })
+})
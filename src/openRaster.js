@@ -0,0 +1,165 @@
+// OpenRaster (.ora) interchange with desktop painting tools.
+//
+// An .ora file is a ZIP holding an uncompressed `mimetype` entry first, a
+// `stack.xml` describing the layers (top-most first) and one PNG per layer,
+// plus a flattened `mergedimage.png` and a thumbnail. On export every layer is
+// rendered on its own (strokes, images, text and shapes alike) and trimmed to
+// its visible pixels, and groups become nested stacks; on import every layer
+// becomes an image layer and every nested stack a group.
+
+import JSZip from 'jszip'
+import { v4 as uuidv4 } from 'uuid'
+import { renderDocument, canvasToPNG, trimTransparent } from './documentRender'
+import { registerAsset } from './assets'
+import { clampCanvasSize } from './canvasSize'
+import { isBlendMode } from './blendModes'
+import { isGroup, childrenOf } from './layerTree'
+
+export const ORA_EXTENSION = '.ora'
+
+const MIMETYPE = 'image/openraster'
+const THUMBNAIL_SIZE = 256
+
+// layer.blend <-> stack.xml composite-op ('svg:' + the CSS blend mode name)
+function compositeOp(blend) {
+  return !blend || blend === 'normal' ? 'svg:src-over' : `svg:${blend}`
+}
+
+function blendFromCompositeOp(op) {
+  const blend = op?.replace(/^svg:/, '')
+  return isBlendMode(blend) ? blend : 'normal'
+}
+
+function escapeXML(text) {
+  return String(text).replace(/[<>&"']/g, c => `&#${c.charCodeAt(0)};`)
+}
+
+function styleAttrs(layer) {
+  return (
+    `name="${escapeXML(layer.name)}" opacity="${layer.opacity ?? 1}"` +
+    ` visibility="${layer.visible === false ? 'hidden' : 'visible'}" composite-op="${compositeOp(layer.blend)}"`
+  )
+}
+
+// Resolves to the .ora file as a Blob. `group` is the editor's content group.
+export async function exportOpenRaster(group, doc) {
+  const { width, height } = doc.canvas
+  const zip = new JSZip()
+  zip.file('mimetype', MIMETYPE, { compression: 'STORE' }) // must be the first entry
+
+  let count = 0
+  // stack.xml lists the top-most layer first
+  const stackXML = async (parentId) => {
+    const entries = []
+    for (const layer of childrenOf(doc.layers, parentId)) {
+      if (isGroup(layer)) {
+        const isolation = layer.opacity < 1 || (layer.blend && layer.blend !== 'normal') ? 'isolate' : 'auto'
+        entries.unshift(`<stack ${styleAttrs(layer)} isolation="${isolation}">${await stackXML(layer.id)}</stack>`)
+        continue
+      }
+      const rendered = renderDocument(group, { width, height, background: null, layerIds: [layer.id], layerStyle: false })
+      const { canvas, x, y } = trimTransparent(rendered)
+      const src = `data/layer${count++}.png`
+      zip.file(src, await canvasToPNG(canvas))
+      entries.unshift(`<layer ${styleAttrs(layer)} src="${src}" x="${x}" y="${y}"/>`)
+    }
+    return entries.join('')
+  }
+  zip.file('stack.xml', `<?xml version="1.0" encoding="UTF-8"?>\n<image version="0.0.3" w="${width}" h="${height}"><stack>${await stackXML(null)}</stack></image>`)
+
+  const background = doc.canvas.background === 'transparent' ? null : doc.canvas.background
+  const merged = renderDocument(group, { width, height, background })
+  zip.file('mergedimage.png', await canvasToPNG(merged))
+  const thumbScale = Math.min(1, THUMBNAIL_SIZE / Math.max(width, height))
+  zip.file('Thumbnails/thumbnail.png', await canvasToPNG(renderDocument(group, { width, height, background, pixelRatio: thumbScale })))
+
+  return zip.generateAsync({ type: 'blob', mimeType: MIMETYPE })
+}
+
+function loadImage(url) {
+  return new Promise((resolve, reject) => {
+    const img = new window.Image()
+    img.onload = () => resolve(img)
+    img.onerror = () => reject(new Error('Layer image could not be decoded'))
+    img.src = url
+  })
+}
+
+// Lists the layers and nested stacks top-most first, each group before its
+// children; stack offsets are passed down to the layers in them
+function collectLayers(stack, parent, out) {
+  for (const node of stack.children) {
+    const x = parent.x + Number(node.getAttribute('x') || 0)
+    const y = parent.y + Number(node.getAttribute('y') || 0)
+    if (node.tagName === 'stack') {
+      const id = uuidv4()
+      out.push({ node, id, parentId: parent.id, group: true })
+      collectLayers(node, { id, x, y }, out)
+    } else if (node.tagName === 'layer' && node.getAttribute('src')) {
+      out.push({ node, id: uuidv4(), parentId: parent.id, x, y })
+    }
+  }
+  return out
+}
+
+function layerStyle(node) {
+  return {
+    opacity: Number(node.getAttribute('opacity') ?? 1),
+    visible: node.getAttribute('visibility') !== 'hidden',
+    blend: blendFromCompositeOp(node.getAttribute('composite-op')),
+  }
+}
+
+// Resolves to `{ layers, lines, canvas }` with one image layer per .ora layer
+// and one group per nested stack
+export async function importOpenRaster(file) {
+  let zip
+  try {
+    zip = await JSZip.loadAsync(file)
+  } catch {
+    throw new Error('Not a valid OpenRaster file (not a ZIP archive)')
+  }
+  const stackFile = zip.file('stack.xml')
+  if (!stackFile) throw new Error('Not a valid OpenRaster file (stack.xml is missing)')
+  const xml = new DOMParser().parseFromString(await stackFile.async('text'), 'application/xml')
+  const image = xml.querySelector('image')
+  const root = image?.querySelector(':scope > stack')
+  if (!root) throw new Error('OpenRaster stack.xml has no layer stack')
+
+  const found = collectLayers(root, { id: null, x: 0, y: 0 }, [])
+  if (!found.some(entry => !entry.group)) throw new Error('OpenRaster file has no layers')
+
+  const layers = []
+  for (const { node, id, parentId, group, x, y } of found.reverse()) { // ours are bottom-first
+    const name = node.getAttribute('name')
+    if (group) {
+      layers.push({ id, name: name || 'Group', type: 'group', parentId, ...layerStyle(node) })
+      continue
+    }
+    const src = node.getAttribute('src')
+    const entry = zip.file(src)
+    if (!entry) throw new Error(`OpenRaster file is missing ${src}`)
+    const { assetId, url } = registerAsset(new Blob([await entry.async('arraybuffer')], { type: 'image/png' }))
+    const img = await loadImage(url)
+    layers.push({
+      id,
+      name: name || `Layer ${layers.length + 1}`,
+      type: 'image',
+      parentId,
+      src: url,
+      assetId,
+      x,
+      y,
+      width: img.width,
+      height: img.height,
+      ...layerStyle(node),
+      draggable: true,
+      isShape: false,
+    })
+  }
+
+  const images = layers.filter(l => !isGroup(l))
+  const width = Number(image.getAttribute('w')) || Math.max(...images.map(l => l.x + l.width))
+  const height = Number(image.getAttribute('h')) || Math.max(...images.map(l => l.y + l.height))
+  return { layers, lines: {}, canvas: { width: clampCanvasSize(width), height: clampCanvasSize(height), background: 'transparent' } }
+}
@@ -0,0 +1,118 @@
+import { describe, it, expect, beforeAll, afterAll, vi } from 'vitest'
+import Konva from 'konva'
+import JSZip from 'jszip'
+import { Window } from 'happy-dom'
+import { exportOpenRaster, importOpenRaster } from './openRaster'
+import { LayerGroup } from './layerGroup'
+import { blendToComposite } from './blendModes'
+import { isGroup, childrenOf } from './layerTree'
+
+const layer = (id, props = {}) => ({ id, name: `Layer ${id}`, type: 'raster', parentId: null, visible: true, opacity: 1, blend: 'normal', ...props })
+
+// bg, then a group g holding a hidden layer a; each layer paints one rect
+const DOC = {
+  layers: [
+    layer('bg'),
+    { ...layer('g', { name: 'Group <1>', opacity: 0.5, blend: 'multiply' }), type: 'group' },
+    layer('a', { parentId: 'g', visible: false, blend: 'screen', opacity: 0.75 }),
+  ],
+  lines: {},
+  canvas: { width: 8, height: 6, background: 'white' },
+}
+const PAINT = { bg: { x: 0, y: 0, width: 8, height: 6, fill: '#ff0000' }, a: { x: 2, y: 1, width: 3, height: 2, fill: '#0000ff' } }
+
+// The content group the way App builds it: one LayerGroup per layer
+function contentGroup(doc) {
+  const add = (parent, parentId) => {
+    for (const l of childrenOf(doc.layers, parentId)) {
+      const node = new LayerGroup({ layerId: l.id, visible: l.visible, layerOpacity: l.opacity, layerBlend: blendToComposite(l.blend) })
+      if (isGroup(l)) add(node, l.id)
+      else node.add(new Konva.Rect(PAINT[l.id]))
+      parent.add(node)
+    }
+    return parent
+  }
+  return add(new Konva.Group(), null)
+}
+
+async function png(width, height) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return new Promise(resolve => canvas.toBlob(resolve, 'image/png'))
+}
+
+async function imageSize(blob) {
+  const image = new Image()
+  const loaded = new Promise(resolve => { image.onload = resolve })
+  image.src = URL.createObjectURL(blob)
+  await loaded
+  return { width: image.width, height: image.height }
+}
+
+async function oraFile(stackXML, files = {}) {
+  const zip = new JSZip()
+  zip.file('mimetype', 'image/openraster', { compression: 'STORE' })
+  if (stackXML) zip.file('stack.xml', stackXML)
+  for (const [name, blob] of Object.entries(files)) zip.file(name, blob)
+  return zip.generateAsync({ type: 'blob' })
+}
+
+beforeAll(() => {
+  vi.stubGlobal('DOMParser', new Window().DOMParser)
+  vi.stubGlobal('window', { Image })
+})
+afterAll(() => vi.unstubAllGlobals())
+
+describe('OpenRaster', () => {
+  it('exports the stack, the merged image and a thumbnail', async () => {
+    const zip = await JSZip.loadAsync(await exportOpenRaster(contentGroup(DOC), DOC))
+    expect(Object.keys(zip.files)[0]).toBe('mimetype')
+    expect(await zip.file('mimetype').async('text')).toBe('image/openraster')
+
+    const stack = await zip.file('stack.xml').async('text')
+    expect(stack).toContain('<image version="0.0.3" w="8" h="6">')
+    expect(stack).toContain('<stack name="Group &#60;1&#62;" opacity="0.5" visibility="visible" composite-op="svg:multiply" isolation="isolate">')
+    expect(stack).toMatch(/<layer name="Layer a" opacity="0.75" visibility="hidden" composite-op="svg:screen" src="(data\/layer\d\.png)" x="2" y="1"\/>/)
+    expect(stack.indexOf('Layer a')).toBeLessThan(stack.indexOf('Layer bg')) // top-most first
+
+    const layerPNG = stack.match(/src="(data\/layer\d\.png)" x="2"/)[1]
+    expect(await imageSize(await zip.file(layerPNG).async('blob'))).toEqual({ width: 3, height: 2 })
+    expect(await imageSize(await zip.file('mergedimage.png').async('blob'))).toEqual({ width: 8, height: 6 })
+    expect(await imageSize(await zip.file('Thumbnails/thumbnail.png').async('blob'))).toEqual({ width: 8, height: 6 })
+  })
+
+  it('imports what it exports', async () => {
+    const { layers, lines, canvas } = await importOpenRaster(await exportOpenRaster(contentGroup(DOC), DOC))
+    expect(canvas).toEqual({ width: 8, height: 6, background: 'transparent' })
+    expect(lines).toEqual({})
+    const [bg, a, g] = layers // groups come after their content
+    expect(bg).toMatchObject({ name: 'Layer bg', type: 'image', x: 0, y: 0, width: 8, height: 6, blend: 'normal', visible: true })
+    expect(g).toMatchObject({ name: 'Group <1>', type: 'group', opacity: 0.5, blend: 'multiply' })
+    expect(a).toMatchObject({ name: 'Layer a', type: 'image', parentId: g.id, x: 2, y: 1, width: 3, height: 2, opacity: 0.75, blend: 'screen', visible: false })
+    expect(bg.parentId).toBeNull()
+  })
+
+  it('turns nested stacks into groups, offsets included', async () => {
+    const file = await oraFile(
+      '<image w="0" h="0"><stack><stack name="Outer" x="10" y="5"><stack x="1" y="1"><layer name="Deep" src="deep.png" x="2" y="3" composite-op="krita:dissolve"/></stack></stack><layer src="bottom.png"/></stack></image>',
+      { 'deep.png': await png(4, 2), 'bottom.png': await png(1, 1) },
+    )
+    const { layers, canvas } = await importOpenRaster(file)
+    expect(layers.map(l => l.name)).toEqual(['Layer 1', 'Deep', 'Group', 'Outer'])
+    const [bottom, deep, inner, outer] = layers
+    expect(deep).toMatchObject({ x: 13, y: 9, width: 4, height: 2, blend: 'normal', parentId: inner.id })
+    expect(inner.parentId).toBe(outer.id)
+    expect(bottom).toMatchObject({ x: 0, y: 0, width: 1, height: 1 })
+    expect(bottom.parentId).toBeNull()
+    expect(canvas).toMatchObject({ width: 17, height: 11 })
+  })
+
+  it('reports broken files', async () => {
+    await expect(importOpenRaster(new Blob(['not a zip']))).rejects.toThrow(/not a ZIP archive/)
+    await expect(importOpenRaster(await oraFile(null))).rejects.toThrow(/stack.xml is missing/)
+    await expect(importOpenRaster(await oraFile('<image/>'))).rejects.toThrow(/no layer stack/)
+    await expect(importOpenRaster(await oraFile('<image><stack><stack/></stack></image>'))).rejects.toThrow(/has no layers/)
+    await expect(importOpenRaster(await oraFile('<image><stack><layer src="gone.png"/></stack></image>'))).rejects.toThrow(/missing gone.png/)
+  })
+})
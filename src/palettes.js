@@ -0,0 +1,212 @@
+// Swatch palettes and recent colors.
+//
+// A palette is `{ id, name, colors }` where each color is `{ color, name }`
+// with `color` an opaque '#rrggbb'. Palettes and the recent colors live in
+// localStorage, and palettes are shared as GIMP (.gpl) or Adobe Swatch
+// Exchange (.ase) files.
+
+import { v4 as uuidv4 } from 'uuid'
+import { parseHex, formatHex, splitAlpha } from './colors'
+
+const PALETTES_KEY = 'iwilldraw.palettes'
+const RECENT_KEY = 'iwilldraw.recentColors'
+
+export const PALETTE_EXTENSIONS = ['.gpl', '.ase']
+
+const DEFAULT_PALETTE = {
+  name: 'Basic',
+  colors: [
+    '#000000', '#404040', '#808080', '#c0c0c0', '#ffffff', '#ff0000', '#ff8000', '#ffff00',
+    '#00ff00', '#00ffff', '#0000ff', '#8000ff', '#ff00ff', '#804000', '#008040', '#004080',
+  ].map(color => ({ color, name: '' })),
+}
+
+function load(key, fallback) {
+  try {
+    const stored = JSON.parse(localStorage.getItem(key))
+    return Array.isArray(stored) ? stored : fallback
+  } catch {
+    return fallback
+  }
+}
+
+export function loadPalettes() {
+  return load(PALETTES_KEY, null) || [createPalette(DEFAULT_PALETTE.name, DEFAULT_PALETTE.colors)]
+}
+
+export function savePalettes(palettes) {
+  localStorage.setItem(PALETTES_KEY, JSON.stringify(palettes))
+}
+
+export function loadRecentColors() {
+  return load(RECENT_KEY, [])
+}
+
+export function saveRecentColors(colors) {
+  localStorage.setItem(RECENT_KEY, JSON.stringify(colors))
+}
+
+export function createPalette(name, colors = []) {
+  return { id: uuidv4(), name, colors }
+}
+
+// Swatches are opaque: the alpha of `color` is dropped
+export function paletteColor(color, name = '') {
+  return { color: splitAlpha(color).hex, name }
+}
+
+// GIMP palette: a text header, then one "R G B<tab>name" line per color
+export function serializeGPL(palette) {
+  const lines = ['GIMP Palette', `Name: ${palette.name}`, 'Columns: 8', '#']
+  for (const { color, name } of palette.colors) {
+    const { r, g, b } = parseHex(color)
+    lines.push(`${String(r).padStart(3)} ${String(g).padStart(3)} ${String(b).padStart(3)}\t${name || color}`)
+  }
+  return lines.join('\n') + '\n'
+}
+
+export function parseGPL(text, fallbackName) {
+  const lines = text.split(/\r?\n/)
+  if (lines[0].trim() !== 'GIMP Palette') throw new Error('Not a GIMP palette')
+  let name = fallbackName
+  const colors = []
+  for (const line of lines.slice(1)) {
+    const trimmed = line.trim()
+    if (!trimmed || trimmed.startsWith('#') || trimmed.startsWith('Columns:')) continue
+    if (trimmed.startsWith('Name:')) {
+      name = trimmed.slice(5).trim() || name
+      continue
+    }
+    const match = trimmed.match(/^(\d+)\s+(\d+)\s+(\d+)\s*(.*)$/)
+    if (!match) continue
+    const [, r, g, b, label] = match
+    const color = formatHex({ r: Number(r), g: Number(g), b: Number(b) })
+    colors.push({ color, name: label === color ? '' : label })
+  }
+  return createPalette(name, colors)
+}
+
+// Adobe Swatch Exchange: big-endian binary blocks after an 'ASEF' header
+const ASE_GROUP_START = 0xc001
+const ASE_GROUP_END = 0xc002
+const ASE_COLOR = 0x0001
+const ASE_NORMAL_COLOR = 2
+
+function aseName(name) {
+  const units = [...name].flatMap(c => {
+    const code = c.codePointAt(0)
+    return code > 0xffff ? [0xd800 + ((code - 0x10000) >> 10), 0xdc00 + ((code - 0x10000) & 0x3ff)] : [code]
+  })
+  return [...units, 0]
+}
+
+export function serializeASE(palette) {
+  const blocks = []
+  const block = (type, body) => blocks.push({ type, body })
+  const nameBytes = (name) => {
+    const units = aseName(name)
+    const view = new DataView(new ArrayBuffer(2 + units.length * 2))
+    view.setUint16(0, units.length)
+    units.forEach((unit, i) => view.setUint16(2 + i * 2, unit))
+    return new Uint8Array(view.buffer)
+  }
+
+  block(ASE_GROUP_START, nameBytes(palette.name))
+  for (const { color, name } of palette.colors) {
+    const { r, g, b } = parseHex(color)
+    const label = nameBytes(name || color)
+    const body = new Uint8Array(label.length + 4 + 12 + 2)
+    body.set(label)
+    const view = new DataView(body.buffer)
+    let offset = label.length
+    for (const c of 'RGB ') view.setUint8(offset++, c.charCodeAt(0))
+    for (const v of [r, g, b]) {
+      view.setFloat32(offset, v / 255)
+      offset += 4
+    }
+    view.setUint16(offset, ASE_NORMAL_COLOR)
+    block(ASE_COLOR, body)
+  }
+  block(ASE_GROUP_END, new Uint8Array(0))
+
+  const size = 12 + blocks.reduce((sum, { body }) => sum + 6 + body.length, 0)
+  const out = new Uint8Array(size)
+  const view = new DataView(out.buffer)
+  'ASEF'.split('').forEach((c, i) => view.setUint8(i, c.charCodeAt(0)))
+  view.setUint16(4, 1) // version 1.0
+  view.setUint16(6, 0)
+  view.setUint32(8, blocks.length)
+  let offset = 12
+  for (const { type, body } of blocks) {
+    view.setUint16(offset, type)
+    view.setUint32(offset + 2, body.length)
+    out.set(body, offset + 6)
+    offset += 6 + body.length
+  }
+  return out
+}
+
+// Lab (D50) to sRGB, for swatches stored in Lab
+function labToRgb(l, a, b) {
+  const fy = (l + 16) / 116
+  const fx = fy + a / 500
+  const fz = fy - b / 200
+  const f = (t) => (t ** 3 > 0.008856 ? t ** 3 : (t - 16 / 116) / 7.787)
+  const x = 0.9642 * f(fx), y = f(fy), z = 0.8249 * f(fz)
+  const gamma = (c) => 255 * (c <= 0.0031308 ? 12.92 * c : 1.055 * c ** (1 / 2.4) - 0.055)
+  return {
+    r: gamma(3.1339 * x - 1.6169 * y - 0.4906 * z),
+    g: gamma(-0.9788 * x + 1.9161 * y + 0.0335 * z),
+    b: gamma(0.0719 * x - 0.2290 * y + 1.4052 * z),
+  }
+}
+
+// Palette from an .ase file (an ArrayBuffer); colors in groups are gathered
+// into one palette, named after the first group
+export function parseASE(buffer, fallbackName) {
+  const view = new DataView(buffer)
+  const text = (offset, length) => String.fromCharCode(...new Uint8Array(buffer, offset, length))
+  if (buffer.byteLength < 12 || text(0, 4) !== 'ASEF') throw new Error('Not an Adobe Swatch Exchange file')
+  const count = view.getUint32(8)
+  const readName = (offset) => {
+    const length = view.getUint16(offset)
+    const units = []
+    for (let i = 0; i < length; i++) units.push(view.getUint16(offset + 2 + i * 2))
+    return { name: String.fromCharCode(...units).replace(/\0+$/, ''), end: offset + 2 + length * 2 }
+  }
+
+  let name = null
+  const colors = []
+  let offset = 12
+  for (let i = 0; i < count && offset + 6 <= buffer.byteLength; i++) {
+    const type = view.getUint16(offset)
+    const length = view.getUint32(offset + 2)
+    const start = offset + 6
+    if (start + length > buffer.byteLength) throw new Error('The swatch file is cut short')
+    if (type === ASE_GROUP_START && name === null) {
+      name = readName(start).name
+    } else if (type === ASE_COLOR) {
+      const { name: label, end } = readName(start)
+      const model = text(end, 4)
+      const v = (k) => view.getFloat32(end + 4 + k * 4)
+      let rgb = null
+      if (model === 'RGB ') rgb = { r: v(0) * 255, g: v(1) * 255, b: v(2) * 255 }
+      else if (model === 'Gray') rgb = { r: v(0) * 255, g: v(0) * 255, b: v(0) * 255 }
+      else if (model === 'CMYK') rgb = { r: 255 * (1 - v(0)) * (1 - v(3)), g: 255 * (1 - v(1)) * (1 - v(3)), b: 255 * (1 - v(2)) * (1 - v(3)) }
+      else if (model === 'LAB ') rgb = labToRgb(v(0) * 100, v(1), v(2))
+      if (rgb) {
+        const color = formatHex(rgb)
+        colors.push({ color, name: label === color ? '' : label })
+      }
+    }
+    offset = start + length
+  }
+  return createPalette(name || fallbackName, colors)
+}
+
+// Reads a .gpl or .ase file into a palette
+export async function importPalette(file) {
+  const baseName = file.name.replace(/\.[^.]+$/, '')
+  if (file.name.toLowerCase().endsWith('.ase')) return parseASE(await file.arrayBuffer(), baseName)
+  return parseGPL(await file.text(), baseName)
+}
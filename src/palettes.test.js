@@ -0,0 +1,103 @@
+import { describe, it, expect } from 'vitest'
+import { serializeGPL, parseGPL, serializeASE, parseASE } from './palettes'
+
+const palette = {
+  id: 'p',
+  name: 'Café ☕ 🎨',
+  colors: [{ color: '#ff8000', name: 'Orange' }, { color: '#123456', name: '' }, { color: '#ffffff', name: 'Ünïcode 🎨' }],
+}
+
+// Big-endian writers onto a byte array
+const u16 = (bytes, v) => bytes.push(v >> 8, v & 0xff)
+const u32 = (bytes, v) => bytes.push(v >>> 24, (v >> 16) & 0xff, (v >> 8) & 0xff, v & 0xff)
+const ascii = (bytes, text) => bytes.push(...text.split('').map(c => c.charCodeAt(0)))
+function f32(bytes, v) {
+  const view = new DataView(new ArrayBuffer(4))
+  view.setFloat32(0, v)
+  bytes.push(...new Uint8Array(view.buffer))
+}
+
+// An .ase file of `blocks`: [type, name?, model?, values?]
+function aseFile(blocks) {
+  const bytes = []
+  ascii(bytes, 'ASEF')
+  u16(bytes, 1)
+  u16(bytes, 0)
+  u32(bytes, blocks.length)
+  for (const [type, name, model, values = []] of blocks) {
+    const body = []
+    if (name !== undefined) {
+      u16(body, name.length + 1)
+      for (const c of name) u16(body, c.charCodeAt(0))
+      u16(body, 0)
+    }
+    if (model) {
+      ascii(body, model)
+      values.forEach(v => f32(body, v))
+      u16(body, 2)
+    }
+    u16(bytes, type)
+    u32(bytes, body.length)
+    bytes.push(...body)
+  }
+  return new Uint8Array(bytes).buffer
+}
+
+describe('GIMP palettes', () => {
+  it('round-trip', () => {
+    const parsed = parseGPL(serializeGPL(palette), 'fallback')
+    expect(parsed.name).toBe(palette.name)
+    expect(parsed.colors).toEqual(palette.colors)
+  })
+
+  it('skip comments and lines that are not colors', () => {
+    const parsed = parseGPL('GIMP Palette\r\nColumns: 4\r\n# comment\r\n\r\nnot a color\r\n  0  10 255\tBlue-ish\r\n', 'fallback')
+    expect(parsed.name).toBe('fallback')
+    expect(parsed.colors).toEqual([{ color: '#000aff', name: 'Blue-ish' }])
+  })
+
+  it('reject other text files', () => {
+    expect(() => parseGPL('hello', 'x')).toThrow(/Not a GIMP palette/)
+  })
+})
+
+describe('Adobe Swatch Exchange', () => {
+  it('round-trips names outside the Basic Multilingual Plane', () => {
+    const parsed = parseASE(serializeASE(palette).buffer, 'fallback')
+    expect(parsed.name).toBe(palette.name)
+    expect(parsed.colors).toEqual(palette.colors)
+  })
+
+  it('converts every color model and gathers groups', () => {
+    const buffer = aseFile([
+      [0xc001, 'Brand'],
+      [0x0001, 'Cyan', 'CMYK', [1, 0, 0, 0]],
+      [0x0001, 'Mid', 'Gray', [0.5]],
+      [0xc002],
+      [0xc001, 'Second'],
+      [0x0001, 'White', 'LAB ', [1, 0, 0]],
+      [0x0001, 'Red', 'RGB ', [1, 0, 0]],
+      [0x0001, 'Odd', 'XYZ ', [0, 0, 0]],
+      [0xc002],
+    ])
+    const parsed = parseASE(buffer, 'fallback')
+    expect(parsed.name).toBe('Brand')
+    expect(parsed.colors).toEqual([
+      { color: '#00ffff', name: 'Cyan' },
+      { color: '#808080', name: 'Mid' },
+      { color: '#ffffff', name: 'White' },
+      { color: '#ff0000', name: 'Red' },
+    ])
+  })
+
+  it('falls back to the file name without a group', () => {
+    expect(parseASE(aseFile([[0x0001, 'Red', 'RGB ', [1, 0, 0]]]), 'fallback').name).toBe('fallback')
+  })
+
+  it('rejects other and truncated files', () => {
+    expect(() => parseASE(new ArrayBuffer(4), 'x')).toThrow(/Not an Adobe Swatch Exchange file/)
+    expect(() => parseASE(new TextEncoder().encode('GIMP Palette\nName: x\n').buffer, 'x')).toThrow(/Not an Adobe Swatch Exchange file/)
+    const bytes = serializeASE(palette)
+    expect(() => parseASE(bytes.slice(0, bytes.length - 10).buffer, 'x')).toThrow(/cut short/)
+  })
+})
@@ -0,0 +1,154 @@
+// Native project format (.iwd)
+//
+// A project file is plain JSON:
+//   {
+//     format: 'iwd',
+//     version: <PROJECT_VERSION>,
+//     savedAt: <ISO date>,
+//     document: { layers, lines, canvas }, // image layers and clipped strokes reference assets by id
+//     assets: { [assetId]: dataURL }, // embedded images and selection masks, stored once per asset
+//     view: { pos, scale, rotation, activeLayerId }
+//   }
+//
+// Files are upgraded on load by running them through `migrations`, so when the
+// layer model grows, bump PROJECT_VERSION and append a migration instead of
+// breaking older files.
+
+import { v4 as uuidv4 } from 'uuid'
+import { registerAsset, getAssetBlob, blobToDataURL, dataURLToBlob } from './assets'
+import { DEFAULT_CANVAS } from './canvasSize'
+import { nodeTransform } from './layerTransform'
+import { clipAssetIds, extractInlineClips } from './selection'
+
+export const PROJECT_EXTENSION = '.iwd'
+export const PROJECT_VERSION = 4
+
+const FORMAT = 'iwd'
+
+// migrations[n] upgrades a version n file to version n + 1
+const migrations = [
+  // v0: a bare `{ layers, lines }` snapshot (what the undo history stores),
+  // with image data inline on each layer's `src`
+  (data) => {
+    const assets = {}
+    const layers = data.layers.map(layer => {
+      if (!layer.src) return layer
+      const { src, ...rest } = layer
+      const assetId = uuidv4()
+      assets[assetId] = src
+      return { ...rest, assetId }
+    })
+    return {
+      format: FORMAT,
+      version: 1,
+      document: { layers, lines: data.lines || {} },
+      assets,
+      view: null,
+    }
+  },
+  // v1: the canvas was always 800×600 on white
+  (data) => ({
+    ...data,
+    version: 2,
+    document: { ...data.document, canvas: DEFAULT_CANVAS },
+  }),
+  // v2: no groups, masks or clipping yet, and image, text and shape layers
+  // were always upright
+  (data) => ({
+    ...data,
+    version: 3,
+    document: {
+      ...data.document,
+      layers: data.document.layers.map(layer => ({
+        parentId: null,
+        clip: false,
+        ...(['image', 'text', 'shape'].includes(layer.type) && nodeTransform(layer)),
+        ...layer,
+      })),
+    },
+  }),
+  // v3: strokes painted inside a selection each carried its mask inline, as
+  // a data URL in `clip.src`
+  (data) => {
+    const { lines, assets } = extractInlineClips(data.document.lines)
+    return { ...data, version: 4, document: { ...data.document, lines }, assets: { ...data.assets, ...assets } }
+  },
+]
+
+// Resolves to the JSON text of a project file
+export async function serializeProject({ layers, lines, canvas, view }) {
+  const assets = {}
+  for (const layer of layers) {
+    if (!layer.assetId || assets[layer.assetId]) continue
+    const blob = getAssetBlob(layer.assetId)
+    if (!blob) throw new Error(`Image data for layer "${layer.name}" is no longer available`)
+    assets[layer.assetId] = await blobToDataURL(blob)
+  }
+  for (const assetId of clipAssetIds(lines)) {
+    const blob = getAssetBlob(assetId)
+    if (!blob) throw new Error('The selection some strokes were painted in is no longer available')
+    assets[assetId] = await blobToDataURL(blob)
+  }
+
+  const storedLayers = layers.map(layer => {
+    if (!layer.assetId) return layer
+    const { src: _SRC, ...rest } = layer
+    return rest
+  })
+
+  return JSON.stringify({
+    format: FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    document: { layers: storedLayers, lines, canvas },
+    assets,
+    view,
+  })
+}
+
+function detectVersion(data) {
+  if (data.format === FORMAT && Number.isInteger(data.version)) return data.version
+  if (Array.isArray(data.layers)) return 0
+  throw new Error('Not an IWillDraw project file')
+}
+
+// Resolves to `{ layers, lines, canvas, view }` ready to load into the editor. Embedded
+// images and selection masks are registered as assets, and image layers are
+// given fresh object URLs.
+export async function parseProject(text) {
+  let data
+  try {
+    data = JSON.parse(text)
+  } catch {
+    throw new Error('Project file is corrupt (invalid JSON)')
+  }
+  if (!data || typeof data !== 'object') throw new Error('Not an IWillDraw project file')
+
+  let version = detectVersion(data)
+  if (version > PROJECT_VERSION) {
+    throw new Error(`Project was saved by a newer version of the editor (format v${version})`)
+  }
+  while (version < PROJECT_VERSION) {
+    data = migrations[version](data)
+    version = data.version
+  }
+
+  const { document, assets = {}, view } = data
+  if (!document || !Array.isArray(document.layers) || document.layers.length === 0) {
+    throw new Error('Project file has no layers')
+  }
+
+  const layers = await Promise.all(document.layers.map(async layer => {
+    if (!layer.assetId) return layer
+    const dataURL = assets[layer.assetId]
+    if (!dataURL) throw new Error(`Project file is missing image data for layer "${layer.name}"`)
+    const { url } = registerAsset(await dataURLToBlob(dataURL), layer.assetId)
+    return { ...layer, src: url }
+  }))
+  for (const assetId of clipAssetIds(document.lines)) {
+    if (!assets[assetId]) throw new Error('Project file is missing the selection some strokes were painted in')
+    registerAsset(await dataURLToBlob(assets[assetId]), assetId)
+  }
+
+  return { layers, lines: document.lines || {}, canvas: document.canvas || DEFAULT_CANVAS, view: view || null }
+}
@@ -0,0 +1,86 @@
+import { describe, it, expect } from 'vitest'
+import { serializeProject, parseProject, PROJECT_VERSION } from './projectFile'
+import { getAssetBlob } from './assets'
+import { DEFAULT_CANVAS } from './canvasSize'
+
+const PIXEL = 'data:image/png;base64,iVBORw0KGgo='
+
+const raster = { id: 'bg', name: 'Background', type: 'raster', isBase: true, visible: true, opacity: 1, blend: 'normal', content: [] }
+const text = { id: 't', name: 'Title', type: 'text', text: 'Hi', x: 10, y: 20, fontSize: 32, visible: true, opacity: 1, blend: 'normal' }
+const stroke = { points: [0, 0, 10, 10], color: '#000000', size: 4 }
+
+function projectText(version, document, extra = {}) {
+  return JSON.stringify({ format: 'iwd', version, document, assets: {}, view: null, ...extra })
+}
+
+describe('parseProject', () => {
+  it('upgrades a bare v0 snapshot, moving inline images into assets', async () => {
+    const image = { id: 'img', name: 'Photo', type: 'image', src: PIXEL, x: 5, y: 5, width: 1, height: 1 }
+    const project = await parseProject(JSON.stringify({ layers: [raster, image], lines: { bg: [stroke] } }))
+
+    expect(project.canvas).toEqual(DEFAULT_CANVAS)
+    expect(project.lines).toEqual({ bg: [stroke] })
+    expect(project.view).toBeNull()
+    const loaded = project.layers[1]
+    expect(loaded.assetId).toEqual(expect.any(String))
+    expect(loaded.src).toMatch(/^blob:/)
+    expect(getAssetBlob(loaded.assetId)).toBeInstanceOf(Blob)
+  })
+
+  it('gives v2 layers the group, clipping and transform defaults', async () => {
+    const shape = { id: 's', name: 'Rectangle 1', type: 'shape', isShape: true, shapeType: 'rect', x: 0, y: 0, width: 40, height: 30 }
+    const canvas = { width: 320, height: 240, background: 'transparent' }
+    const project = await parseProject(projectText(2, { layers: [raster, text, shape], lines: {}, canvas }))
+
+    expect(project.canvas).toEqual(canvas)
+    expect(project.layers[0]).toEqual({ ...raster, parentId: null, clip: false })
+    for (const layer of [text, shape]) {
+      expect(project.layers.find(l => l.id === layer.id)).toEqual({
+        ...layer, parentId: null, clip: false, rotation: 0, skewX: 0, skewY: 0, scaleX: 1, scaleY: 1,
+      })
+    }
+  })
+
+  it('keeps what a v2 file already says', async () => {
+    const project = await parseProject(projectText(2, { layers: [{ ...text, clip: true, rotation: 45 }], lines: {}, canvas: DEFAULT_CANVAS }))
+    expect(project.layers[0]).toMatchObject({ clip: true, rotation: 45, scaleX: 1 })
+  })
+
+  it('moves selection masks carried by each stroke into one shared asset', async () => {
+    const clip = { src: PIXEL, x: 1, y: 2, width: 3, height: 4 }
+    const strokes = [{ ...stroke, id: 'a', clip }, { ...stroke, id: 'b', clip }, { ...stroke, id: 'c' }]
+    const project = await parseProject(projectText(3, { layers: [raster], lines: { bg: strokes }, canvas: DEFAULT_CANVAS }))
+
+    const [a, b, c] = project.lines.bg
+    expect(a.clip).toEqual({ assetId: expect.any(String), x: 1, y: 2, width: 3, height: 4 })
+    expect(b.clip).toEqual(a.clip)
+    expect(c).toEqual(strokes[2])
+    expect(getAssetBlob(a.clip.assetId)).toBeInstanceOf(Blob)
+  })
+
+  it('loads current files as they are', async () => {
+    const document = { layers: [raster, text], lines: { bg: [stroke] }, canvas: DEFAULT_CANVAS }
+    const view = { pos: { x: 1, y: 2 }, scale: 2, rotation: 0, activeLayerId: 't' }
+    expect(await parseProject(await serializeProject({ ...document, view }))).toEqual({ ...document, view })
+  })
+
+  it('rejects files from a newer editor', async () => {
+    await expect(parseProject(projectText(PROJECT_VERSION + 1, { layers: [raster] }))).rejects.toThrow(/newer version/)
+  })
+
+  it('rejects files that are not projects', async () => {
+    await expect(parseProject('{')).rejects.toThrow(/invalid JSON/)
+    await expect(parseProject('{"hello": 1}')).rejects.toThrow(/Not an IWillDraw project/)
+    await expect(parseProject(projectText(PROJECT_VERSION, { layers: [] }))).rejects.toThrow(/no layers/)
+  })
+
+  it('rejects image layers whose data is missing', async () => {
+    const image = { id: 'img', name: 'Photo', type: 'image', assetId: 'gone', x: 0, y: 0, width: 1, height: 1 }
+    await expect(parseProject(projectText(PROJECT_VERSION, { layers: [image] }))).rejects.toThrow(/missing image data for layer "Photo"/)
+  })
+
+  it('rejects clipped strokes whose selection is missing', async () => {
+    const clipped = { ...stroke, clip: { assetId: 'gone', x: 0, y: 0, width: 1, height: 1 } }
+    await expect(parseProject(projectText(PROJECT_VERSION, { layers: [raster], lines: { bg: [clipped] } }))).rejects.toThrow(/missing the selection/)
+  })
+})
@@ -0,0 +1,58 @@
+// Baking layers into pixels. Applying a mask, merging layers or deleting part
+// of a layer renders them as they look in the editor and turns the result
+// into an image layer; only what lies within the canvas is kept.
+
+import { renderDocument, canvasToPNG, trimTransparent } from './documentRender'
+import { registerAsset } from './assets'
+
+// Properties that survive a layer being replaced by its pixels
+const KEPT_PROPS = ['id', 'name', 'parentId', 'visible', 'opacity', 'blend', 'clip', 'isBase']
+
+// Resolves to the image of `layerIds` rendered together, trimmed to its
+// visible pixels: `{ src, assetId, x, y, width, height }`. With `layerStyle:
+// false` the opacity and blend mode of those layers are left out; a list of
+// layer ids keeps them for those only. `masks: false` leaves out their layer
+// masks, and `process(canvas)` may change the document-sized rendering before
+// it is trimmed.
+export async function rasterizeLayers(group, doc, layerIds, { layerStyle = false, masks = true, process } = {}) {
+  const { width, height } = doc.canvas
+  const rendered = renderDocument(group, { width, height, background: null, layerIds, layerStyle, masks })
+  process?.(rendered)
+  return canvasPixels(rendered)
+}
+
+// Resolves to `rendered`, a document-sized canvas, as image layer pixels
+// trimmed to its visible pixels
+export async function canvasPixels(rendered) {
+  const { canvas, x, y } = trimTransparent(rendered)
+  const { assetId, url } = registerAsset(await canvasToPNG(canvas))
+  return { src: url, assetId, x, y, width: canvas.width, height: canvas.height }
+}
+
+// updateLayer props that turn `layer` into an image layer showing `pixels`
+export function imageLayerProps(layer, pixels) {
+  const cleared = Object.fromEntries(Object.keys(layer).filter(key => !KEPT_PROPS.includes(key)).map(key => [key, undefined]))
+  return { ...cleared, ...pixels, type: 'image', draggable: true, isShape: false }
+}
+
+// History op that turns `keepId` into an image layer showing `pixels`, with
+// `props` on top, and removes the layers `removeIds` that went into them. The
+// strokes and mask of the kept layer are dropped.
+export function mergedLayerOp(doc, keepId, removeIds, pixels, props = {}) {
+  const layer = doc.layers.find(l => l.id === keepId)
+  const ops = removeIds.map(id => ({ type: 'removeLayer', id }))
+  if (doc.lines[keepId]) ops.push({ type: 'setStrokes', layerId: keepId, strokes: [] })
+  if (layer.mask) ops.push({ type: 'setStrokes', layerId: layer.mask.id, strokes: null })
+  ops.push({ type: 'updateLayer', id: keepId, props: { ...imageLayerProps(layer, pixels), ...props } })
+  return { type: 'batch', ops }
+}
+
+// History op that turns `layerId` into an image layer showing `pixels`, with
+// its strokes dropped but its mask kept
+export function replacePixelsOp(doc, layerId, pixels) {
+  const layer = doc.layers.find(l => l.id === layerId)
+  const ops = []
+  if (doc.lines[layerId]) ops.push({ type: 'setStrokes', layerId, strokes: [] })
+  ops.push({ type: 'updateLayer', id: layerId, props: { ...imageLayerProps(layer, pixels), mask: layer.mask } })
+  return { type: 'batch', ops }
+}
@@ -0,0 +1,320 @@
+// Selections: marquee, lasso and magic wand.
+//
+// A selection is `{ canvas, bounds, outline }`: a canvas the size of the
+// document whose alpha is how much each pixel is selected (feathered edges are
+// partly selected), the box around its selected pixels and a Path2D along its
+// edge for the marching ants. Selections are editor state, not part of the
+// document, and are never changed in place: every operation returns a new one,
+// or null when nothing is left selected.
+//
+// Strokes painted while a selection is active carry it as `clip` (see
+// brushEngine.js), so they stay inside it however often they are redrawn.
+
+import { v4 as uuidv4 } from 'uuid'
+import { registerAsset, dataURLToBlobSync } from './assets'
+import { cropCanvas, drawTransformed } from './freeTransform'
+
+export const SELECTION_TOOLS = [
+  { type: 'selectRect', label: 'Rectangular marquee', icon: '⬚' },
+  { type: 'selectEllipse', label: 'Elliptical marquee', icon: '◌' },
+  { type: 'lasso', label: 'Lasso', icon: '➰' },
+  { type: 'polygonLasso', label: 'Polygonal lasso (double-click to close)', icon: '⟁' },
+  { type: 'magicWand', label: 'Magic wand', icon: '🪄' },
+]
+
+// How a new selection combines with the current one
+export const SELECTION_MODES = [
+  { value: 'replace', label: 'New selection', icon: '▣' },
+  { value: 'add', label: 'Add to selection (Shift)', icon: '⊕' },
+  { value: 'subtract', label: 'Subtract from selection (Alt)', icon: '⊖' },
+  { value: 'intersect', label: 'Intersect with selection (Shift+Alt)', icon: '⊗' },
+]
+
+const OUTLINE_THRESHOLD = 128 // alpha from which a pixel counts as inside for the ants
+
+export function isSelectionTool(tool) {
+  return SELECTION_TOOLS.some(t => t.type === tool)
+}
+
+// Mode picked by the modifier keys held when a selection gesture starts
+export function selectionModeFor(evt, fallback = 'replace') {
+  if (evt.shiftKey && evt.altKey) return 'intersect'
+  if (evt.shiftKey) return 'add'
+  if (evt.altKey) return 'subtract'
+  return fallback
+}
+
+function blankCanvas(width, height) {
+  const canvas = document.createElement('canvas')
+  canvas.width = width
+  canvas.height = height
+  return canvas
+}
+
+function alphaBounds(data, width, height) {
+  let minX = width, minY = height, maxX = -1, maxY = -1
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      if (data[(y * width + x) * 4 + 3] === 0) continue
+      if (x < minX) minX = x
+      if (x > maxX) maxX = x
+      if (y < minY) minY = y
+      if (y > maxY) maxY = y
+    }
+  }
+  return maxX < 0 ? null : { x: minX, y: minY, width: maxX - minX + 1, height: maxY - minY + 1 }
+}
+
+// Pixel edges between inside and outside, joined into runs
+function outlinePath(data, width, height, bounds) {
+  const path = new Path2D()
+  const inside = (x, y) => x >= 0 && y >= 0 && x < width && y < height && data[(y * width + x) * 4 + 3] >= OUTLINE_THRESHOLD
+  const left = bounds.x, top = bounds.y
+  const right = bounds.x + bounds.width, bottom = bounds.y + bounds.height
+  for (let y = top; y <= bottom; y++) {
+    let start = -1
+    for (let x = left; x <= right; x++) {
+      const edge = x < right && inside(x, y) !== inside(x, y - 1)
+      if (edge && start < 0) start = x
+      if (!edge && start >= 0) {
+        path.moveTo(start, y)
+        path.lineTo(x, y)
+        start = -1
+      }
+    }
+  }
+  for (let x = left; x <= right; x++) {
+    let start = -1
+    for (let y = top; y <= bottom; y++) {
+      const edge = y < bottom && inside(x, y) !== inside(x - 1, y)
+      if (edge && start < 0) start = y
+      if (!edge && start >= 0) {
+        path.moveTo(x, start)
+        path.lineTo(x, y)
+        start = -1
+      }
+    }
+  }
+  return path
+}
+
+// Wraps a canvas as a selection, or null when none of it is selected
+export function createSelection(canvas) {
+  const { width, height } = canvas
+  const data = canvas.getContext('2d', { willReadFrequently: true }).getImageData(0, 0, width, height).data
+  const bounds = alphaBounds(data, width, height)
+  if (!bounds) return null
+  return { canvas, bounds, outline: outlinePath(data, width, height, bounds) }
+}
+
+export function selectAll(width, height) {
+  const canvas = blankCanvas(width, height)
+  canvas.getContext('2d').fillRect(0, 0, width, height)
+  return createSelection(canvas)
+}
+
+// Selection of a marquee or lasso shape: `{ type: 'rect', x, y, width,
+// height }`, `{ type: 'ellipse', ... }` (the box around it) or `{ type:
+// 'polygon', points }`
+export function shapeSelection(width, height, shape) {
+  const canvas = blankCanvas(width, height)
+  const ctx = canvas.getContext('2d')
+  ctx.beginPath()
+  if (shape.type === 'rect') {
+    ctx.rect(shape.x, shape.y, shape.width, shape.height)
+  } else if (shape.type === 'ellipse') {
+    ctx.ellipse(shape.x + shape.width / 2, shape.y + shape.height / 2, shape.width / 2, shape.height / 2, 0, 0, Math.PI * 2)
+  } else {
+    const { points } = shape
+    ctx.moveTo(points[0], points[1])
+    for (let i = 2; i < points.length; i += 2) ctx.lineTo(points[i], points[i + 1])
+    ctx.closePath()
+  }
+  ctx.fill()
+  return createSelection(canvas)
+}
+
+// `next` added to, subtracted from or intersected with `current`
+export function combineSelections(current, next, mode) {
+  if (mode === 'replace' || !current) return mode === 'subtract' || mode === 'intersect' ? null : next
+  if (!next) return mode === 'add' || mode === 'subtract' ? current : null
+  const canvas = blankCanvas(current.canvas.width, current.canvas.height)
+  const ctx = canvas.getContext('2d')
+  ctx.drawImage(current.canvas, 0, 0)
+  ctx.globalCompositeOperation = { add: 'source-over', subtract: 'destination-out', intersect: 'destination-in' }[mode]
+  ctx.drawImage(next.canvas, 0, 0)
+  return createSelection(canvas)
+}
+
+export function invertSelection(selection, width, height) {
+  const canvas = blankCanvas(width, height)
+  const ctx = canvas.getContext('2d')
+  ctx.fillRect(0, 0, width, height)
+  if (selection) {
+    ctx.globalCompositeOperation = 'destination-out'
+    ctx.drawImage(selection.canvas, 0, 0)
+  }
+  return createSelection(canvas)
+}
+
+// Softens the edge over about `radius` pixels
+export function featherSelection(selection, radius) {
+  if (!(radius > 0)) return selection
+  const canvas = blankCanvas(selection.canvas.width, selection.canvas.height)
+  const ctx = canvas.getContext('2d')
+  ctx.filter = `blur(${radius / 2}px)`
+  ctx.drawImage(selection.canvas, 0, 0)
+  return createSelection(canvas)
+}
+
+// Scaled by (scaleX, scaleY) around the canvas origin, then moved by (dx, dy)
+export function transformSelection(selection, { dx, dy, scaleX = 1, scaleY = 1 }) {
+  const canvas = blankCanvas(selection.canvas.width, selection.canvas.height)
+  const ctx = canvas.getContext('2d')
+  ctx.setTransform(scaleX, 0, 0, scaleY, dx, dy)
+  ctx.drawImage(selection.canvas, 0, 0)
+  return createSelection(canvas)
+}
+
+// Carried along with the pixels a free transform `t` (see freeTransform.js)
+// moves, its box being part of this selection's canvas
+export function freeTransformSelection(selection, t) {
+  const canvas = blankCanvas(selection.canvas.width, selection.canvas.height)
+  drawTransformed(canvas.getContext('2d'), cropCanvas(selection.canvas, t.box), t)
+  return createSelection(canvas)
+}
+
+// Pixels whose color is within `tolerance` (0-255, per channel) of the one at
+// (x, y) in `image` (ImageData), only those connected to it when `contiguous`
+export function magicWandSelection(image, x, y, { tolerance = 32, contiguous = true } = {}) {
+  const { width, height, data } = image
+  x = Math.floor(x)
+  y = Math.floor(y)
+  if (x < 0 || y < 0 || x >= width || y >= height) return null
+  const start = (y * width + x) * 4
+  const target = [data[start], data[start + 1], data[start + 2], data[start + 3]]
+  const matches = (i) => {
+    const p = i * 4
+    return (
+      Math.abs(data[p] - target[0]) <= tolerance &&
+      Math.abs(data[p + 1] - target[1]) <= tolerance &&
+      Math.abs(data[p + 2] - target[2]) <= tolerance &&
+      Math.abs(data[p + 3] - target[3]) <= tolerance
+    )
+  }
+
+  const canvas = blankCanvas(width, height)
+  const ctx = canvas.getContext('2d')
+  const out = ctx.createImageData(width, height)
+  const selected = out.data
+  if (contiguous) {
+    // scanline flood fill
+    const seen = new Uint8Array(width * height)
+    const stack = [x, y]
+    while (stack.length) {
+      const sy = stack.pop()
+      let sx = stack.pop()
+      const row = sy * width
+      while (sx > 0 && !seen[row + sx - 1] && matches(row + sx - 1)) sx--
+      let aboveOpen = false
+      let belowOpen = false
+      for (; sx < width && !seen[row + sx] && matches(row + sx); sx++) {
+        seen[row + sx] = 1
+        selected[(row + sx) * 4 + 3] = 255
+        for (const [ny, open] of [[sy - 1, aboveOpen], [sy + 1, belowOpen]]) {
+          if (ny < 0 || ny >= height) continue
+          const fits = !seen[ny * width + sx] && matches(ny * width + sx)
+          if (fits && !open) stack.push(sx, ny)
+          if (ny < sy) aboveOpen = fits
+          else belowOpen = fits
+        }
+      }
+    }
+  } else {
+    for (let i = 0; i < width * height; i++) if (matches(i)) selected[i * 4 + 3] = 255
+  }
+  ctx.putImageData(out, 0, 0)
+  return createSelection(canvas)
+}
+
+// Clears what lies outside the selection from a canvas of the document's size
+export function keepSelected(canvas, selection) {
+  const ctx = canvas.getContext('2d')
+  ctx.save()
+  ctx.setTransform(1, 0, 0, 1, 0, 0)
+  ctx.globalCompositeOperation = 'destination-in'
+  ctx.drawImage(selection.canvas, 0, 0, canvas.width, canvas.height)
+  ctx.restore()
+  return canvas
+}
+
+// Clears what lies inside the selection from a canvas of the document's size
+export function clearSelected(canvas, selection) {
+  const ctx = canvas.getContext('2d')
+  ctx.save()
+  ctx.setTransform(1, 0, 0, 1, 0, 0)
+  ctx.globalCompositeOperation = 'destination-out'
+  ctx.drawImage(selection.canvas, 0, 0, canvas.width, canvas.height)
+  ctx.restore()
+  return canvas
+}
+
+const clips = new WeakMap() // selection -> stroke clip
+
+// The selection as a stroke's `clip`: `{ assetId, x, y, width, height }`, the
+// selected area as a PNG asset placed at (x, y). All the strokes painted
+// inside one selection share its asset.
+export function selectionClip(selection) {
+  let clip = clips.get(selection)
+  if (!clip) {
+    const { x, y, width, height } = selection.bounds
+    const canvas = blankCanvas(width, height)
+    canvas.getContext('2d').drawImage(selection.canvas, -x, -y)
+    const { assetId } = registerAsset(dataURLToBlobSync(canvas.toDataURL('image/png')))
+    clip = { assetId, x, y, width, height }
+    clips.set(selection, clip)
+  }
+  return clip
+}
+
+// Ids of the assets the strokes in `lines` are clipped to
+export function clipAssetIds(lines) {
+  const ids = new Set()
+  for (const strokes of Object.values(lines || {})) {
+    for (const stroke of strokes) if (stroke.clip?.assetId) ids.add(stroke.clip.assetId)
+  }
+  return [...ids]
+}
+
+// Strokes saved before clips were assets carry the mask inline, as a data URL
+// in `clip.src`. Returns `{ lines, assets }`: the strokes pointing at
+// assets instead, and the data URL of each distinct mask by its new assetId.
+export function extractInlineClips(lines) {
+  const assets = {}
+  const ids = new Map() // data URL -> assetId
+  const converted = Object.fromEntries(Object.entries(lines || {}).map(([layerId, strokes]) => [layerId, strokes.map(stroke => {
+    if (!stroke.clip?.src) return stroke
+    const { src, ...clip } = stroke.clip
+    if (!ids.has(src)) {
+      ids.set(src, uuidv4())
+      assets[ids.get(src)] = src
+    }
+    return { ...stroke, clip: { ...clip, assetId: ids.get(src) } }
+  })]))
+  return { lines: converted, assets }
+}
+
+// Marching ants along the selection edge, onto a native 2D context in
+// document coordinates viewed at `scale`. `offset` (in screen pixels) moves
+// the dashes.
+export function drawMarchingAnts(ctx, selection, { scale = 1, offset = 0 } = {}) {
+  ctx.save()
+  ctx.lineWidth = 1 / scale
+  ctx.strokeStyle = '#ffffff'
+  ctx.stroke(selection.outline)
+  ctx.setLineDash([4 / scale, 4 / scale])
+  ctx.lineDashOffset = -offset / scale
+  ctx.strokeStyle = '#000000'
+  ctx.stroke(selection.outline)
+  ctx.restore()
+}
@@ -0,0 +1,114 @@
+import { describe, it, expect } from 'vitest'
+import { magicWandSelection, shapeSelection, combineSelections, invertSelection, selectAll, selectionModeFor } from './selection'
+
+// ImageData from rows of one-letter colors
+const COLORS = { r: [255, 0, 0, 255], s: [250, 8, 0, 255], k: [0, 0, 0, 255], t: [0, 0, 0, 0] }
+function image(rows) {
+  const width = rows[0].length
+  const data = new Uint8ClampedArray(rows.flatMap(row => row.split('').flatMap(c => COLORS[c])))
+  return new ImageData(data, width, rows.length)
+}
+
+// The selection as rows of '#' (selected) and '.' (not)
+function selected(selection) {
+  const { width, height } = selection.canvas
+  const data = selection.canvas.getContext('2d').getImageData(0, 0, width, height).data
+  const rows = []
+  for (let y = 0; y < height; y++) {
+    let row = ''
+    for (let x = 0; x < width; x++) row += data[(y * width + x) * 4 + 3] >= 128 ? '#' : '.'
+    rows.push(row)
+  }
+  return rows
+}
+
+const rect = (x, y, width, height) => shapeSelection(6, 6, { type: 'rect', x, y, width, height })
+
+describe('magic wand', () => {
+  // a red U around a black block, a separate red column on the right
+  const PICTURE = [
+    'rkkkrkr',
+    'rkkkrkr',
+    'rrrrrks',
+    'kkkkkkr',
+  ]
+
+  it('floods the connected pixels of the clicked color', () => {
+    const selection = magicWandSelection(image(PICTURE), 4, 0, { tolerance: 0 })
+    expect(selected(selection)).toEqual([
+      '#...#..',
+      '#...#..',
+      '#####..',
+      '.......',
+    ])
+    expect(selection.bounds).toEqual({ x: 0, y: 0, width: 5, height: 3 })
+  })
+
+  it('takes similar colors within the tolerance', () => {
+    const strict = selected(magicWandSelection(image(PICTURE), 6, 0, { tolerance: 0 }))
+    const loose = selected(magicWandSelection(image(PICTURE), 6, 0, { tolerance: 10 }))
+    expect(strict.map(row => row[6])).toEqual(['#', '#', '.', '.'])
+    expect(loose.map(row => row[6])).toEqual(['#', '#', '#', '#'])
+  })
+
+  it('takes the color anywhere when not contiguous', () => {
+    expect(selected(magicWandSelection(image(PICTURE), 1, 0, { tolerance: 0, contiguous: false }))).toEqual([
+      '.###.#.',
+      '.###.#.',
+      '.....#.',
+      '######.',
+    ])
+  })
+
+  it('selects transparent areas and nothing outside the image', () => {
+    expect(selected(magicWandSelection(image(['tr', 'tt']), 0, 0))).toEqual(['#.', '##'])
+    expect(magicWandSelection(image(['tr']), 2, 0)).toBeNull()
+    expect(magicWandSelection(image(['tr']), -1, 0)).toBeNull()
+  })
+})
+
+describe('combining selections', () => {
+  const a = rect(0, 0, 3, 3)
+  const b = rect(2, 2, 3, 3)
+
+  it('adds, subtracts and intersects', () => {
+    expect(combineSelections(a, b, 'add').bounds).toEqual({ x: 0, y: 0, width: 5, height: 5 })
+    expect(selected(combineSelections(a, b, 'subtract')).slice(0, 3)).toEqual(['###...', '###...', '##....'])
+    expect(selected(combineSelections(a, b, 'intersect')).slice(1, 4)).toEqual(['......', '..#...', '......'])
+    expect(combineSelections(a, b, 'replace')).toBe(b)
+  })
+
+  it('handles either side being empty', () => {
+    expect(combineSelections(null, b, 'add')).toBe(b)
+    expect(combineSelections(null, b, 'subtract')).toBeNull()
+    expect(combineSelections(null, b, 'intersect')).toBeNull()
+    expect(combineSelections(a, null, 'add')).toBe(a)
+    expect(combineSelections(a, null, 'subtract')).toBe(a)
+    expect(combineSelections(a, null, 'intersect')).toBeNull()
+    expect(combineSelections(a, rect(4, 4, 2, 2), 'intersect')).toBeNull()
+  })
+
+  it('follows the modifier keys', () => {
+    expect(selectionModeFor({ shiftKey: true, altKey: true })).toBe('intersect')
+    expect(selectionModeFor({ shiftKey: true })).toBe('add')
+    expect(selectionModeFor({ altKey: true })).toBe('subtract')
+    expect(selectionModeFor({}, 'add')).toBe('add')
+  })
+
+  it('inverts', () => {
+    expect(selected(invertSelection(rect(0, 0, 6, 5), 6, 6))).toEqual(['......', '......', '......', '......', '......', '######'])
+    expect(invertSelection(selectAll(6, 6), 6, 6)).toBeNull()
+    expect(invertSelection(null, 6, 6).bounds).toEqual({ x: 0, y: 0, width: 6, height: 6 })
+  })
+})
+
+describe('selection outline', () => {
+  it('runs along the pixel edges of the selection', () => {
+    const { outline } = combineSelections(rect(1, 1, 2, 2), rect(4, 1, 1, 1), 'add')
+    const ctx = document.createElement('canvas').getContext('2d')
+    ctx.lineWidth = 0.2
+    const onEdge = (x, y) => ctx.isPointInStroke(outline, x, y)
+    for (const [x, y] of [[1, 1], [2, 1], [3, 2], [1, 3], [2, 3], [4, 1], [5, 2]]) expect(onEdge(x, y)).toBe(true)
+    for (const [x, y] of [[2, 2], [3.5, 1], [0, 0], [4.5, 4]]) expect(onEdge(x, y)).toBe(false)
+  })
+})
@@ -0,0 +1,31 @@
+// Tests run in node. Canvas-based modules get canvases from @napi-rs/canvas
+// through a minimal `document`, plus the drawing globals they reach for.
+import { Buffer, resolveObjectURL } from 'node:buffer'
+import { createCanvas, Image as CanvasImage, ImageData, Path2D, DOMMatrix } from '@napi-rs/canvas'
+
+// Loads object URLs of Blobs too, like browser images
+class Image extends CanvasImage {
+  get src() {
+    return super.src
+  }
+
+  set src(url) {
+    const blob = typeof url === 'string' && url.startsWith('blob:') ? resolveObjectURL(url) : null
+    if (!blob) {
+      super.src = url
+      return
+    }
+    blob.arrayBuffer().then(bytes => { super.src = Buffer.from(bytes) })
+  }
+}
+
+globalThis.document ??= {
+  createElement(tag) {
+    if (tag !== 'canvas') throw new Error(`No <${tag}> elements in tests`)
+    return Object.assign(createCanvas(300, 150), { style: {} })
+  },
+}
+globalThis.Image ??= Image
+globalThis.ImageData ??= ImageData
+globalThis.Path2D ??= Path2D
+globalThis.DOMMatrix ??= DOMMatrix
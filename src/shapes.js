@@ -0,0 +1,115 @@
+// Shape tools: geometry from a drag gesture, and transform baking.
+//
+// Shape layers store their geometry relative to (x, y):
+//   rect / roundedRect: width, height, cornerRadius   (x, y = top-left)
+//   ellipse:            radiusX, radiusY              (x, y = center)
+//   line / arrow:       points [0, 0, dx, dy]         (x, y = start)
+//   polygon:            points [x0, y0, x1, y1, ...]  (x, y = center, closed)
+
+export const SHAPE_TOOLS = [
+  { type: 'rect', label: 'Rectangle', icon: '▭' },
+  { type: 'roundedRect', label: 'Rounded rectangle', icon: '▢' },
+  { type: 'ellipse', label: 'Ellipse', icon: '◯' },
+  { type: 'line', label: 'Line', icon: '╱' },
+  { type: 'arrow', label: 'Arrow', icon: '➔' },
+  { type: 'polygon', label: 'Polygon', icon: '⬠' },
+]
+
+export function isShapeTool(tool) {
+  return SHAPE_TOOLS.some(t => t.type === tool)
+}
+
+export function shapeLabel(type) {
+  return SHAPE_TOOLS.find(t => t.type === type)?.label || 'Shape'
+}
+
+function snapAngle(angle, step) {
+  return Math.round(angle / step) * step
+}
+
+// Geometry for a shape dragged from `start` to `end`. With `constrain` (Shift)
+// rectangles become squares, ellipses circles, lines snap to 45° and polygons
+// rotate in 15° steps.
+export function shapeGeometry(type, start, end, { constrain = false, sides = 5, cornerRadius = 12 } = {}) {
+  let dx = end.x - start.x
+  let dy = end.y - start.y
+
+  switch (type) {
+    case 'rect':
+    case 'roundedRect':
+    case 'ellipse': {
+      if (constrain) {
+        const size = Math.max(Math.abs(dx), Math.abs(dy))
+        dx = (dx < 0 ? -1 : 1) * size
+        dy = (dy < 0 ? -1 : 1) * size
+      }
+      const left = Math.min(start.x, start.x + dx)
+      const top = Math.min(start.y, start.y + dy)
+      const width = Math.abs(dx)
+      const height = Math.abs(dy)
+      if (type === 'ellipse') {
+        return { x: left + width / 2, y: top + height / 2, radiusX: width / 2, radiusY: height / 2 }
+      }
+      return { x: left, y: top, width, height, cornerRadius: type === 'roundedRect' ? cornerRadius : 0 }
+    }
+    case 'line':
+    case 'arrow': {
+      if (constrain) {
+        const length = Math.hypot(dx, dy)
+        const angle = snapAngle(Math.atan2(dy, dx), Math.PI / 4)
+        dx = Math.cos(angle) * length
+        dy = Math.sin(angle) * length
+      }
+      return { x: start.x, y: start.y, points: [0, 0, dx, dy] }
+    }
+    case 'polygon': {
+      const radius = Math.hypot(dx, dy)
+      let angle = Math.atan2(dy, dx)
+      if (constrain) angle = snapAngle(angle, Math.PI / 12)
+      const points = []
+      for (let i = 0; i < sides; i++) {
+        const a = angle + (i * 2 * Math.PI) / sides
+        points.push(Math.cos(a) * radius, Math.sin(a) * radius)
+      }
+      return { x: start.x, y: start.y, points }
+    }
+    default:
+      throw new Error(`Unknown shape type: ${type}`)
+  }
+}
+
+// Shape geometry scaled by (scaleX, scaleY) around the shape's origin
+export function scaleShape(layer, scaleX, scaleY, minSize = 0) {
+  switch (layer.shapeType) {
+    case 'rect':
+    case 'roundedRect':
+      return { width: Math.max(minSize, layer.width * scaleX), height: Math.max(minSize, layer.height * scaleY) }
+    case 'ellipse':
+      return { radiusX: Math.max(minSize, layer.radiusX * scaleX), radiusY: Math.max(minSize, layer.radiusY * scaleY) }
+    default:
+      return { points: layer.points.map((v, i) => v * (i % 2 === 0 ? scaleX : scaleY)) }
+  }
+}
+
+// Canvas-space box around a shape layer, its outline included
+export function shapeBounds(layer) {
+  const pad = layer.shapeType === 'arrow' ? Math.max(10, layer.strokeWidth * 3) : (layer.strokeWidth || 0) / 2
+  let xs, ys
+  switch (layer.shapeType) {
+    case 'rect':
+    case 'roundedRect':
+      xs = [layer.x, layer.x + layer.width]
+      ys = [layer.y, layer.y + layer.height]
+      break
+    case 'ellipse':
+      xs = [layer.x - layer.radiusX, layer.x + layer.radiusX]
+      ys = [layer.y - layer.radiusY, layer.y + layer.radiusY]
+      break
+    default:
+      xs = layer.points.filter((_, i) => i % 2 === 0).map(v => v + layer.x)
+      ys = layer.points.filter((_, i) => i % 2 === 1).map(v => v + layer.y)
+  }
+  const x = Math.min(...xs) - pad
+  const y = Math.min(...ys) - pad
+  return { x, y, width: Math.max(...xs) + pad - x, height: Math.max(...ys) + pad - y }
+}
@@ -0,0 +1,73 @@
+import { describe, it, expect } from 'vitest'
+import { shapeGeometry, scaleShape, shapeBounds, isShapeTool, shapeLabel } from './shapes'
+
+const start = { x: 100, y: 100 }
+
+function expectNumbers(values, expected) {
+  expect(values).toHaveLength(expected.length)
+  values.forEach((v, i) => expect(v).toBeCloseTo(expected[i]))
+}
+
+describe('shapeGeometry', () => {
+  it('boxes rectangles dragged in any direction', () => {
+    expect(shapeGeometry('rect', start, { x: 60, y: 130 })).toEqual({ x: 60, y: 100, width: 40, height: 30, cornerRadius: 0 })
+    expect(shapeGeometry('roundedRect', start, { x: 140, y: 130 }, { cornerRadius: 8 }).cornerRadius).toBe(8)
+  })
+
+  it('makes squares and circles with Shift, towards the drag', () => {
+    expect(shapeGeometry('rect', start, { x: 60, y: 130 }, { constrain: true })).toMatchObject({ x: 60, y: 100, width: 40, height: 40 })
+    expect(shapeGeometry('ellipse', start, { x: 120, y: 50 }, { constrain: true })).toEqual({ x: 125, y: 75, radiusX: 25, radiusY: 25 })
+    expect(shapeGeometry('ellipse', start, { x: 120, y: 110 })).toEqual({ x: 110, y: 105, radiusX: 10, radiusY: 5 })
+  })
+
+  it('snaps lines to 45° with Shift, keeping their length', () => {
+    expect(shapeGeometry('arrow', start, { x: 130, y: 140 })).toEqual({ x: 100, y: 100, points: [0, 0, 30, 40] })
+    const { points } = shapeGeometry('line', start, { x: 200, y: 110 }, { constrain: true })
+    expectNumbers(points, [0, 0, Math.hypot(100, 10), 0])
+    expectNumbers(shapeGeometry('line', start, { x: 130, y: 140 }, { constrain: true }).points, [0, 0, 50 / Math.SQRT2, 50 / Math.SQRT2])
+  })
+
+  it('puts polygon corners around the start, turning in 15° steps with Shift', () => {
+    const { x, y, points } = shapeGeometry('polygon', start, { x: 100, y: 120 }, { sides: 4 })
+    expect({ x, y }).toEqual(start)
+    expectNumbers(points, [0, 20, -20, 0, 0, -20, 20, 0])
+    const snapped = shapeGeometry('polygon', start, { x: 120, y: 103 }, { sides: 3, constrain: true })
+    expect(snapped.points).toHaveLength(6)
+    const radius = Math.hypot(20, 3) // about 8.5°, snapped to 15°
+    expectNumbers(snapped.points.slice(0, 2), [radius * Math.cos(Math.PI / 12), radius * Math.sin(Math.PI / 12)])
+  })
+
+  it('rejects unknown shapes', () => {
+    expect(() => shapeGeometry('star', start, start)).toThrow(/Unknown shape type: star/)
+  })
+})
+
+describe('scaleShape', () => {
+  it('scales each kind of geometry per axis, not below the minimum', () => {
+    expect(scaleShape({ shapeType: 'rect', width: 40, height: 30 }, 2, 0.5)).toEqual({ width: 80, height: 15 })
+    expect(scaleShape({ shapeType: 'rect', width: 40, height: 30 }, 0.01, 1, 5)).toEqual({ width: 5, height: 30 })
+    expect(scaleShape({ shapeType: 'ellipse', radiusX: 10, radiusY: 5 }, 2, 3)).toEqual({ radiusX: 20, radiusY: 15 })
+    expect(scaleShape({ shapeType: 'polygon', points: [1, 2, 3, 4] }, 2, 3)).toEqual({ points: [2, 6, 6, 12] })
+  })
+})
+
+describe('shapeBounds', () => {
+  it('includes half the outline', () => {
+    expect(shapeBounds({ shapeType: 'rect', x: 10, y: 20, width: 40, height: 30, strokeWidth: 4 })).toEqual({ x: 8, y: 18, width: 44, height: 34 })
+    expect(shapeBounds({ shapeType: 'ellipse', x: 50, y: 50, radiusX: 10, radiusY: 5, strokeWidth: 0 })).toEqual({ x: 40, y: 45, width: 20, height: 10 })
+    expect(shapeBounds({ shapeType: 'polygon', x: 10, y: 10, points: [0, -5, 5, 5, -5, 5], strokeWidth: 2 })).toEqual({ x: 4, y: 4, width: 12, height: 12 })
+  })
+
+  it('leaves room for arrow heads', () => {
+    expect(shapeBounds({ shapeType: 'arrow', x: 0, y: 0, points: [0, 0, 100, 0], strokeWidth: 2 })).toEqual({ x: -10, y: -10, width: 120, height: 20 })
+  })
+})
+
+describe('shape tools', () => {
+  it('are known by type', () => {
+    expect(isShapeTool('ellipse')).toBe(true)
+    expect(isShapeTool('brush')).toBe(false)
+    expect(shapeLabel('roundedRect')).toBe('Rounded rectangle')
+    expect(shapeLabel('star')).toBe('Shape')
+  })
+})
@@ -0,0 +1,145 @@
+// Keyboard shortcuts.
+//
+// Every shortcut runs a named command from COMMANDS. A binding is a key chord
+// such as 'mod+z' or 'mod+shift+z': modifiers in the order mod, alt, shift,
+// then the lowercased key ('mod' is Ctrl, or Cmd on a Mac). Commands with a
+// `tool` select that tool; `spring` tools only stay while the key is held.
+// Bindings the user changed in the shortcuts dialog live in localStorage.
+
+const STORAGE_KEY = 'iwilldraw.shortcuts'
+
+export const COMMANDS = [
+  { id: 'undo', label: 'Undo', group: 'Edit', keys: ['mod+z'] },
+  { id: 'redo', label: 'Redo', group: 'Edit', keys: ['mod+y', 'mod+shift+z'] },
+  { id: 'showShortcuts', label: 'Keyboard shortcuts', group: 'Edit', keys: ['?'] },
+
+  { id: 'brush', label: 'Brush', group: 'Tools', keys: ['b'], tool: 'brush' },
+  { id: 'eraser', label: 'Eraser', group: 'Tools', keys: ['e'], tool: 'eraser' },
+  { id: 'rotate', label: 'Rotate view (hold)', group: 'Tools', keys: ['r'], tool: 'rotate', spring: true },
+  { id: 'transform', label: 'Transform', group: 'Tools', keys: ['v'], tool: 'transform' },
+  { id: 'crop', label: 'Crop', group: 'Tools', keys: ['c'], tool: 'crop' },
+  { id: 'text', label: 'Text', group: 'Tools', keys: ['t'], tool: 'text' },
+  { id: 'selectRect', label: 'Rectangular marquee', group: 'Tools', keys: ['m'], tool: 'selectRect' },
+  { id: 'selectEllipse', label: 'Elliptical marquee', group: 'Tools', keys: ['shift+m'], tool: 'selectEllipse' },
+  { id: 'lasso', label: 'Lasso', group: 'Tools', keys: ['l'], tool: 'lasso' },
+  { id: 'polygonLasso', label: 'Polygonal lasso', group: 'Tools', keys: ['shift+l'], tool: 'polygonLasso' },
+  { id: 'magicWand', label: 'Magic wand', group: 'Tools', keys: ['w'], tool: 'magicWand' },
+  { id: 'bucket', label: 'Paint bucket', group: 'Tools', keys: ['g'], tool: 'bucket' },
+  { id: 'gradient', label: 'Gradient', group: 'Tools', keys: ['shift+g'], tool: 'gradient' },
+  { id: 'eyedropper', label: 'Eyedropper', group: 'Tools', keys: ['i'], tool: 'eyedropper' },
+  { id: 'rect', label: 'Rectangle', group: 'Tools', keys: ['u'], tool: 'rect' },
+  { id: 'ellipse', label: 'Ellipse', group: 'Tools', keys: ['shift+u'], tool: 'ellipse' },
+  { id: 'line', label: 'Line', group: 'Tools', keys: [], tool: 'line' },
+
+  { id: 'brushSmaller', label: 'Decrease brush size', group: 'Brush', keys: ['['] },
+  { id: 'brushLarger', label: 'Increase brush size', group: 'Brush', keys: [']'] },
+  { id: 'swapColors', label: 'Swap foreground/background', group: 'Brush', keys: ['x'] },
+  { id: 'resetColors', label: 'Black and white', group: 'Brush', keys: ['d'] },
+
+  { id: 'zoomIn', label: 'Zoom in', group: 'View', keys: ['mod+=', '+'] },
+  { id: 'zoomOut', label: 'Zoom out', group: 'View', keys: ['mod+-', '-'] },
+  { id: 'fitToScreen', label: 'Fit to screen', group: 'View', keys: ['mod+0'] },
+  { id: 'actualSize', label: 'Actual size (100%)', group: 'View', keys: ['mod+1'] },
+  { id: 'resetRotation', label: 'Reset rotation', group: 'View', keys: ['shift+r'] },
+  { id: 'toggleNavigator', label: 'Navigator', group: 'View', keys: ['f9'] },
+
+  { id: 'newLayer', label: 'New layer', group: 'Layers', keys: ['mod+shift+n'] },
+  { id: 'toggleLayers', label: 'Layers panel', group: 'Layers', keys: ['f7'] },
+  { id: 'toggleBrushes', label: 'Brushes panel', group: 'Layers', keys: ['f5'] },
+  { id: 'toggleColors', label: 'Color panel', group: 'Layers', keys: ['f6'] },
+  { id: 'toggleHistory', label: 'History panel', group: 'Layers', keys: ['f8'] },
+
+  { id: 'selectAll', label: 'Select all', group: 'Selection', keys: ['mod+a'] },
+  { id: 'deselect', label: 'Deselect', group: 'Selection', keys: ['mod+d'] },
+  { id: 'invertSelection', label: 'Invert selection', group: 'Selection', keys: ['mod+shift+i'] },
+  { id: 'copy', label: 'Copy', group: 'Selection', keys: ['mod+c'] },
+  { id: 'cut', label: 'Cut', group: 'Selection', keys: ['mod+x'] },
+  { id: 'paste', label: 'Paste as layer', group: 'Selection', keys: ['mod+v'] },
+  { id: 'clearSelection', label: 'Delete selected pixels', group: 'Selection', keys: ['delete', 'backspace'] },
+  { id: 'confirm', label: 'Close polygonal lasso / apply transform', group: 'Selection', keys: ['enter'] },
+  { id: 'cancel', label: 'Cancel / deselect', group: 'Selection', keys: ['escape'] },
+
+  { id: 'nudgeLeft', label: 'Nudge left', group: 'Transform', keys: ['arrowleft'] },
+  { id: 'nudgeRight', label: 'Nudge right', group: 'Transform', keys: ['arrowright'] },
+  { id: 'nudgeUp', label: 'Nudge up', group: 'Transform', keys: ['arrowup'] },
+  { id: 'nudgeDown', label: 'Nudge down', group: 'Transform', keys: ['arrowdown'] },
+  { id: 'nudgeLeftFar', label: 'Nudge left 10 px', group: 'Transform', keys: ['shift+arrowleft'] },
+  { id: 'nudgeRightFar', label: 'Nudge right 10 px', group: 'Transform', keys: ['shift+arrowright'] },
+  { id: 'nudgeUpFar', label: 'Nudge up 10 px', group: 'Transform', keys: ['shift+arrowup'] },
+  { id: 'nudgeDownFar', label: 'Nudge down 10 px', group: 'Transform', keys: ['shift+arrowdown'] },
+]
+
+const MODIFIER_KEYS = ['control', 'meta', 'shift', 'alt', 'altgraph']
+
+const isMac = typeof navigator !== 'undefined' && /Mac|iP(hone|ad|od)/.test(navigator.platform)
+
+export function findCommand(id) {
+  return COMMANDS.find(c => c.id === id)
+}
+
+// The chord of a keyboard event, or null for a lone modifier. Shift is only
+// part of the chord for letters and named keys: for punctuation it already
+// picked the character ('?' rather than 'shift+/').
+export function eventChord(e) {
+  const key = e.key === ' ' ? 'space' : e.key.toLowerCase()
+  if (MODIFIER_KEYS.includes(key)) return null
+  const parts = []
+  if (e.ctrlKey || e.metaKey) parts.push('mod')
+  if (e.altKey) parts.push('alt')
+  if (e.shiftKey && (key.length > 1 || /^[a-z]$/.test(key))) parts.push('shift')
+  parts.push(key)
+  return parts.join('+')
+}
+
+// Human-readable chord: 'Ctrl+Shift+Z', or '⌘⇧Z' on a Mac
+export function formatChord(chord) {
+  const names = isMac ? { mod: '⌘', alt: '⌥', shift: '⇧' } : { mod: 'Ctrl', alt: 'Alt', shift: 'Shift' }
+  const parts = chord.split('+')
+  // '+' itself splits into two empty parts
+  const key = chord.endsWith('+') ? '+' : parts.pop()
+  const modifiers = parts.filter(Boolean).map(m => names[m])
+  const label = key.length === 1 ? key.toUpperCase() : key[0].toUpperCase() + key.slice(1)
+  return isMac ? modifiers.join('') + label : [...modifiers, label].join('+')
+}
+
+export function defaultBindings() {
+  return Object.fromEntries(COMMANDS.map(c => [c.id, c.keys]))
+}
+
+// Defaults with the user's changes on top
+export function loadBindings() {
+  try {
+    const stored = JSON.parse(localStorage.getItem(STORAGE_KEY) || '{}')
+    const bindings = defaultBindings()
+    for (const [id, keys] of Object.entries(stored)) {
+      if (id in bindings && Array.isArray(keys)) bindings[id] = keys
+    }
+    return bindings
+  } catch {
+    return defaultBindings()
+  }
+}
+
+// Only the bindings that differ from the defaults are stored, so later
+// defaults still reach commands the user never touched
+export function saveBindings(bindings) {
+  const defaults = defaultBindings()
+  const changed = Object.fromEntries(
+    Object.entries(bindings).filter(([id, keys]) => keys.join(' ') !== defaults[id].join(' '))
+  )
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(changed))
+}
+
+export function commandForChord(bindings, chord) {
+  if (!chord) return null
+  return Object.keys(bindings).find(id => bindings[id].includes(chord)) || null
+}
+
+// Chords bound to more than one command: [{ chord, ids }]
+export function findConflicts(bindings) {
+  const byChord = new Map()
+  for (const [id, keys] of Object.entries(bindings)) {
+    for (const chord of keys) byChord.set(chord, [...(byChord.get(chord) || []), id])
+  }
+  return [...byChord].filter(([, ids]) => ids.length > 1).map(([chord, ids]) => ({ chord, ids }))
+}
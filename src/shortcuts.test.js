@@ -0,0 +1,59 @@
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { COMMANDS, eventChord, formatChord, defaultBindings, loadBindings, saveBindings, commandForChord, findConflicts } from './shortcuts'
+
+function keyEvent(key, modifiers = {}) {
+  return { key, ctrlKey: false, metaKey: false, altKey: false, shiftKey: false, ...modifiers }
+}
+
+function memoryStorage(items = {}) {
+  return {
+    getItem: (key) => items[key] ?? null,
+    setItem: (key, value) => { items[key] = value },
+    items,
+  }
+}
+
+afterEach(() => vi.unstubAllGlobals())
+
+describe('shortcuts', () => {
+  it('turns key events into chords', () => {
+    expect(eventChord(keyEvent('Z', { ctrlKey: true, shiftKey: true }))).toBe('mod+shift+z')
+    expect(eventChord(keyEvent('z', { metaKey: true }))).toBe('mod+z')
+    expect(eventChord(keyEvent(' '))).toBe('space')
+    expect(eventChord(keyEvent('ArrowLeft', { shiftKey: true }))).toBe('shift+arrowleft')
+    expect(eventChord(keyEvent('?', { shiftKey: true }))).toBe('?')
+    expect(eventChord(keyEvent('Shift', { shiftKey: true }))).toBeNull()
+  })
+
+  it('names chords for people', () => {
+    expect(formatChord('mod+shift+z')).toBe('Ctrl+Shift+Z')
+    expect(formatChord('mod++')).toBe('Ctrl++')
+  })
+
+  it('ships defaults without conflicts', () => {
+    expect(new Set(COMMANDS.map(c => c.id)).size).toBe(COMMANDS.length)
+    expect(findConflicts(defaultBindings())).toEqual([])
+    expect(commandForChord(defaultBindings(), 'mod+z')).toBe('undo')
+    expect(commandForChord(defaultBindings(), null)).toBeNull()
+  })
+
+  it('reports chords bound twice', () => {
+    const bindings = { ...defaultBindings(), redo: ['mod+z'] }
+    expect(findConflicts(bindings)).toEqual([{ chord: 'mod+z', ids: ['undo', 'redo'] }])
+  })
+
+  it('stores only what differs from the defaults', () => {
+    const storage = memoryStorage()
+    vi.stubGlobal('localStorage', storage)
+    saveBindings({ ...defaultBindings(), undo: ['mod+u'] })
+    expect(JSON.parse(storage.items['iwilldraw.shortcuts'])).toEqual({ undo: ['mod+u'] })
+    expect(loadBindings()).toEqual({ ...defaultBindings(), undo: ['mod+u'] })
+  })
+
+  it('falls back to the defaults when the stored bindings are unusable', () => {
+    vi.stubGlobal('localStorage', memoryStorage({ 'iwilldraw.shortcuts': '{"undo": "mod+u", "gone": ["x"]}' }))
+    expect(loadBindings()).toEqual(defaultBindings())
+    vi.stubGlobal('localStorage', memoryStorage({ 'iwilldraw.shortcuts': '{' }))
+    expect(loadBindings()).toEqual(defaultBindings())
+  })
+})
@@ -0,0 +1,21 @@
+import Konva from 'konva'
+
+// Konva takes weight and italics as one fontStyle string, e.g. 'italic bold'
+export function konvaFontStyle(layer) {
+  return [layer.fontStyle === 'italic' ? 'italic' : null, layer.fontWeight || 'normal'].filter(Boolean).join(' ')
+}
+
+// Size of a text layer as Konva lays it out, wrapping included
+export function textSize(layer) {
+  const node = new Konva.Text({
+    text: layer.text,
+    width: layer.width,
+    fontFamily: layer.fontFamily,
+    fontSize: layer.fontSize,
+    fontStyle: konvaFontStyle(layer),
+    lineHeight: layer.lineHeight,
+  })
+  const size = node.size()
+  node.destroy()
+  return size
+}
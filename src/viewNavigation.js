@@ -0,0 +1,70 @@
+// View navigation: zoom limits and presets, fitting the canvas to the window,
+// zooming about a point and two-finger touch gestures.
+//
+// A view is `{ pos, scale, rotation }` as kept in App: the canvas is scaled and
+// rotated (degrees) about its center, which sits at `pos + center` on the
+// stage, `center` being half the canvas size.
+
+export const MIN_ZOOM = 0.05
+export const MAX_ZOOM = 32
+export const ZOOM_PRESETS = [0.125, 0.25, 0.5, 1, 2, 4, 8]
+
+export function clampZoom(scale) {
+  return Math.min(MAX_ZOOM, Math.max(MIN_ZOOM, scale))
+}
+
+// Centers the canvas in a viewport, zoomed out to fit when it is larger, or
+// also zoomed in to fill it with `enlarge`
+export function fitView(canvas, viewWidth, viewHeight, { enlarge = false } = {}) {
+  const fit = Math.min((viewWidth * 0.9) / canvas.width, (viewHeight * 0.9) / canvas.height)
+  const scale = clampZoom(enlarge ? fit : Math.min(1, fit))
+  return { scale, pos: { x: viewWidth / 2 - canvas.width / 2, y: viewHeight / 2 - canvas.height / 2 } }
+}
+
+function rotate({ x, y }, degrees) {
+  const a = (degrees * Math.PI) / 180
+  return { x: x * Math.cos(a) - y * Math.sin(a), y: x * Math.sin(a) + y * Math.cos(a) }
+}
+
+export function canvasToStage(view, point, center) {
+  const r = rotate({ x: (point.x - center.x) * view.scale, y: (point.y - center.y) * view.scale }, view.rotation)
+  return { x: view.pos.x + center.x + r.x, y: view.pos.y + center.y + r.y }
+}
+
+export function stageToCanvas(view, point, center) {
+  const r = rotate({ x: point.x - view.pos.x - center.x, y: point.y - view.pos.y - center.y }, -view.rotation)
+  return { x: center.x + r.x / view.scale, y: center.y + r.y / view.scale }
+}
+
+// Position that puts canvas `point` at stage point `target`, at the scale and
+// rotation of `view`
+export function viewPosFor(view, point, target, center) {
+  const r = rotate({ x: (point.x - center.x) * view.scale, y: (point.y - center.y) * view.scale }, view.rotation)
+  return { x: target.x - r.x - center.x, y: target.y - r.y - center.y }
+}
+
+// The view at `scale` (clamped) with the canvas point under stage point
+// `anchor` staying where it is
+export function zoomViewAbout(view, scale, anchor, center) {
+  const next = { ...view, scale: clampZoom(scale) }
+  return { ...next, pos: viewPosFor(next, stageToCanvas(view, anchor, center), anchor, center) }
+}
+
+// Two-finger gesture: `start` is `{ view, touches }` from when the second
+// finger went down, `touches` the two current stage points. Spreading the
+// fingers zooms, turning them rotates, and the canvas follows their midpoint.
+export function pinchView(start, touches, center) {
+  const measure = ([a, b]) => ({
+    mid: { x: (a.x + b.x) / 2, y: (a.y + b.y) / 2 },
+    distance: Math.max(1, Math.hypot(b.x - a.x, b.y - a.y)),
+    angle: (Math.atan2(b.y - a.y, b.x - a.x) * 180) / Math.PI,
+  })
+  const from = measure(start.touches)
+  const to = measure(touches)
+  const view = {
+    scale: clampZoom((start.view.scale * to.distance) / from.distance),
+    rotation: start.view.rotation + to.angle - from.angle,
+  }
+  const anchor = stageToCanvas(start.view, from.mid, center)
+  return { ...view, pos: viewPosFor(view, anchor, to.mid, center) }
+}
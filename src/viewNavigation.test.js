@@ -0,0 +1,57 @@
+import { describe, it, expect } from 'vitest'
+import { MIN_ZOOM, MAX_ZOOM, clampZoom, fitView, canvasToStage, stageToCanvas, zoomViewAbout, pinchView } from './viewNavigation'
+
+const canvas = { width: 800, height: 600 }
+const center = { x: 400, y: 300 }
+const view = { pos: { x: 100, y: 50 }, scale: 1.5, rotation: 30 }
+
+function expectPoint(point, x, y) {
+  expect(point.x).toBeCloseTo(x)
+  expect(point.y).toBeCloseTo(y)
+}
+
+describe('view navigation', () => {
+  it('clamps the zoom', () => {
+    expect(clampZoom(0.001)).toBe(MIN_ZOOM)
+    expect(clampZoom(1000)).toBe(MAX_ZOOM)
+    expect(clampZoom(2)).toBe(2)
+    expect(zoomViewAbout(view, 100, { x: 0, y: 0 }, center).scale).toBe(MAX_ZOOM)
+  })
+
+  it('fits the canvas in the window, enlarging only on request', () => {
+    expect(fitView(canvas, 500, 1000)).toEqual({ scale: 450 / 800, pos: { x: -150, y: 200 } })
+    expect(fitView(canvas, 2000, 2000).scale).toBe(1)
+    expect(fitView(canvas, 2000, 2000, { enlarge: true }).scale).toBe(1800 / 800)
+    expect(fitView({ width: 8192, height: 8192 }, 100, 100).scale).toBe(MIN_ZOOM)
+  })
+
+  it('maps between canvas and stage points', () => {
+    expectPoint(canvasToStage(view, center, center), 500, 350)
+    const point = { x: 123, y: 456 }
+    const back = stageToCanvas(view, canvasToStage(view, point, center), center)
+    expectPoint(back, point.x, point.y)
+  })
+
+  it('keeps the canvas point under the cursor while zooming', () => {
+    const anchor = { x: 640, y: 210 }
+    const under = stageToCanvas(view, anchor, center)
+    for (const scale of [0.2, 3, 64]) {
+      const zoomed = zoomViewAbout(view, scale, anchor, center)
+      expectPoint(canvasToStage(zoomed, under, center), anchor.x, anchor.y)
+      expect(zoomed.rotation).toBe(view.rotation)
+    }
+  })
+
+  it('pinches: zooms by the spread, turns with the fingers and follows their midpoint', () => {
+    const touches = [{ x: 300, y: 300 }, { x: 500, y: 300 }]
+    const grabbed = stageToCanvas(view, { x: 400, y: 300 }, center)
+    const pinched = pinchView({ view, touches }, [{ x: 450, y: 200 }, { x: 450, y: 600 }], center)
+    expect(pinched.scale).toBeCloseTo(3)
+    expect(pinched.rotation).toBeCloseTo(120)
+    expectPoint(canvasToStage(pinched, grabbed, center), 450, 400)
+
+    const squeezed = pinchView({ view, touches }, [{ x: 400, y: 300 }, { x: 400.5, y: 300 }], center)
+    expect(squeezed.scale).toBe(MIN_ZOOM)
+    expect(pinchView({ view, touches }, [{ x: 0, y: 0 }, { x: 100000, y: 0 }], center).scale).toBe(MAX_ZOOM)
+  })
+})
@@ -4,4 +4,10 @@ import react from '@vitejs/plugin-react'
 // https://vite.dev/config/
 export default defineConfig({
   plugins: [react()],
+  test: {
+    // konva's node entry needs the native `canvas` package; the browser build
+    // covers what the tests use
+    alias: [{ find: /^konva$/, replacement: 'konva/lib/index.js' }],
+    setupFiles: ['./src/setupTests.js'],
+  },
 })